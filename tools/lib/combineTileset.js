@@ -19,6 +19,7 @@ module.exports = combineTileset;
 
 /**
  * Combines all external tilesets into a single tileset.json file.
+ * External tilesets may be referenced by the <code>content</code> of a tile or by one of its multiple <code>contents</code>.
  *
  * @param {Object} options Object with the following properties:
  * @param {String} options.inputDirectory Path to the input directory.
@@ -46,7 +47,7 @@ function combineTileset(options) {
     var logCallback = options.logCallback;
 
     var tilesets = [rootJsonFile];
-    return combine(rootJsonFile, inputDirectory, undefined, tilesets)
+    return combine(rootJsonFile, inputDirectory, undefined, undefined, tilesets)
         .then(function (json) {
             if (defined(logCallback)) {
                 logCallback('Combined ' + (tilesets.length - 1) + ' external tilesets.');
@@ -66,7 +67,7 @@ function combineTileset(options) {
         });
 }
 
-function combine(jsonFile, inputDirectory, parentTile, tilesets) {
+function combine(jsonFile, inputDirectory, parentTile, parentContent, tilesets) {
     return readFile(jsonFile, 'json')
         .then(function (json) {
             var tilesetDirectory = path.dirname(jsonFile);
@@ -74,10 +75,13 @@ function combine(jsonFile, inputDirectory, parentTile, tilesets) {
             var root = json.root;
 
             if (defined(root)) {
-                // Append the external tileset to the parent tile
+                // Append the external tileset to the parent tile. The parent tile keeps its own children and the
+                // children of the other external tilesets referenced by its contents.
                 if (defined(parentTile)) {
-                    parentTile.content = root.content;
-                    parentTile.children = root.children;
+                    replaceContent(parentTile, parentContent, root);
+                    if (defined(root.children)) {
+                        parentTile.children = defaultValue(parentTile.children, []).concat(root.children);
+                    }
                 }
                 // Loop over all the tiles
                 var stack = [];
@@ -85,17 +89,25 @@ function combine(jsonFile, inputDirectory, parentTile, tilesets) {
                 while (stack.length > 0) {
                     var tile = stack.pop();
                     // Look for external tilesets
-                    if (defined(tile.content)) {
-                        var uri = tile.content.uri;
+                    var contents = getContents(tile).slice();
+                    var contentsLength = contents.length;
+                    for (var j = 0; j < contentsLength; ++j) {
+                        var content = contents[j];
+                        // Tilesets before 1.0 use url instead of uri
+                        var uriName = defined(content.uri) ? 'uri' : 'url';
+                        var uri = content[uriName];
+                        if (!defined(uri)) {
+                            continue;
+                        }
                         if (isJson(uri)) {
                             // Load the external tileset
                             uri = path.join(tilesetDirectory, uri);
                             tilesets.push(uri);
-                            var promise = combine(uri, inputDirectory, tile, tilesets);
+                            var promise = combine(uri, inputDirectory, tile, content, tilesets);
                             promises.push(promise);
                         } else {
                             var contentUri = path.join(tilesetDirectory, uri);
-                            tile.content.uri = getRelativePath(inputDirectory, contentUri);
+                            content[uriName] = getRelativePath(inputDirectory, contentUri);
                         }
                     }
                     // Push children to the stack
@@ -116,6 +128,39 @@ function combine(jsonFile, inputDirectory, parentTile, tilesets) {
         });
 }
 
+function getContents(tile) {
+    // A tile has a single content, a contents array, or the contents of the 3DTILES_multiple_contents extension
+    if (defined(tile.content)) {
+        return [tile.content];
+    } else if (defined(tile.contents)) {
+        return tile.contents;
+    }
+    var extension = defined(tile.extensions) ? tile.extensions['3DTILES_multiple_contents'] : undefined;
+    if (defined(extension)) {
+        return defaultValue(extension.contents, defaultValue(extension.content, []));
+    }
+    return [];
+}
+
+function replaceContent(tile, content, root) {
+    // Replaces the content that refers to the external tileset by the contents of its root tile
+    if (tile.content === content) {
+        delete tile.content;
+        if (defined(root.content)) {
+            tile.content = root.content;
+        } else if (defined(root.contents)) {
+            tile.contents = root.contents;
+        } else if (defined(root.extensions) && defined(root.extensions['3DTILES_multiple_contents'])) {
+            tile.extensions = defaultValue(tile.extensions, {});
+            tile.extensions['3DTILES_multiple_contents'] = root.extensions['3DTILES_multiple_contents'];
+        }
+        return;
+    }
+    var contents = getContents(tile);
+    var index = contents.indexOf(content);
+    Array.prototype.splice.apply(contents, [index, 1].concat(getContents(root)));
+}
+
 function getRelativePath(inputDirectory, file) {
     var relative = path.relative(inputDirectory, file);
     return relative.replace(/\\/g, '/'); // Use forward slashes in the JSON
@@ -24,6 +24,7 @@ module.exports = upgradeTileset;
 
 /**
  * Upgrades the input tileset to the latest version of the 3D Tiles spec. Embedded glTF models will be upgraded to glTF 2.0.
+ * Tileset JSON files are only changed where needed, so the <code>contents</code> of tiles and 3D Tiles 1.1 properties are preserved.
  *
  * @param {Object} options Object with the following properties:
  * @param {String} options.inputDirectory Path to the input directory.
@@ -76,12 +77,30 @@ function upgradeFile(file) {
 }
 
 function upgradeTilesetJson(file) {
-    return readFile(file, 'text')
-        .then(function(contents) {
-            contents = contents.replace(/"version": ".*"/g, '"version": "1.0"');
-            contents = contents.replace(/"add"/g, '"ADD"');
-            contents = contents.replace(/"replace"/g, '"REPLACE"');
-            return Buffer.from(contents);
+    return readFile(file, 'json')
+        .then(function(json) {
+            // Other JSON files, like metadata schemas or subtrees, are copied unchanged
+            if (!defined(json.asset) || !defined(json.root)) {
+                return readFile(file);
+            }
+            // Tilesets of 3D Tiles 1.1, which may use multiple contents or metadata, keep their version
+            var version = parseFloat(json.asset.version);
+            if (!(version >= 1.0)) {
+                json.asset.version = '1.0';
+            }
+            var stack = [json.root];
+            while (stack.length > 0) {
+                var tile = stack.pop();
+                if (typeof tile.refine === 'string') {
+                    tile.refine = tile.refine.toUpperCase();
+                }
+                var children = defaultValue(tile.children, []);
+                var length = children.length;
+                for (var i = 0; i < length; ++i) {
+                    stack.push(children[i]);
+                }
+            }
+            return Buffer.from(JSON.stringify(json, null, 2));
         });
 }
 
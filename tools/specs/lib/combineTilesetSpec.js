@@ -11,6 +11,8 @@ var tilesetDirectory = './specs/data/TilesetOfTilesets/';
 var combinedDirectory = './specs/data/TilesetOfTilesets-combined';
 var combinedJson = './specs/data/TilesetOfTilesets-combined/tileset.json';
 var gzippedDirectory = './specs/data/TilesetOfTilesets-gzipped';
+var multipleContentsDirectory = './specs/data/MultipleContents';
+var multipleContentsCombinedDirectory = './specs/data/MultipleContents-combined';
 
 function isJson(file) {
     return path.extname(file) === '.json';
@@ -45,7 +47,9 @@ describe('combineTileset', function() {
     afterEach(function(done) {
         Promise.all([
             fsExtra.remove(gzippedDirectory),
-            fsExtra.remove(combinedDirectory)
+            fsExtra.remove(combinedDirectory),
+            fsExtra.remove(multipleContentsDirectory),
+            fsExtra.remove(multipleContentsCombinedDirectory)
         ]).then(function() {
             done();
         });
@@ -119,6 +123,119 @@ describe('combineTileset', function() {
             }), done).toResolve();
     });
 
+    it('combines external tilesets referenced by one of multiple contents', function (done) {
+        var tileset = {
+            asset : {
+                version : '1.1'
+            },
+            geometricError : 100,
+            root : {
+                geometricError : 50,
+                contents : [{
+                    uri : 'terrain.glb'
+                }, {
+                    uri : 'buildings/tileset.json'
+                }]
+            }
+        };
+        var externalTileset = {
+            asset : {
+                version : '1.1'
+            },
+            geometricError : 50,
+            root : {
+                geometricError : 50,
+                contents : [{
+                    uri : 'buildings.glb'
+                }, {
+                    uri : 'trees.glb'
+                }]
+            }
+        };
+        var combineOptions = {
+            inputDirectory : multipleContentsDirectory,
+            outputDirectory : multipleContentsCombinedDirectory
+        };
+        expect(Promise.all([
+            fsExtra.outputJson(path.join(multipleContentsDirectory, 'tileset.json'), tileset),
+            fsExtra.outputJson(path.join(multipleContentsDirectory, 'buildings/tileset.json'), externalTileset)
+        ])
+            .then(function() {
+                return combineTileset(combineOptions);
+            })
+            .then(function() {
+                return fsExtra.readJson(path.join(multipleContentsCombinedDirectory, 'tileset.json'));
+            })
+            .then(function(json) {
+                var uris = json.root.contents.map(function(content) {
+                    return content.uri;
+                });
+                expect(uris).toEqual(['terrain.glb', 'buildings/buildings.glb', 'buildings/trees.glb']);
+            }), done).toResolve();
+    });
+
+    it('keeps the children of all external tilesets referenced by multiple contents', function (done) {
+        var tileset = {
+            asset : {
+                version : '1.1'
+            },
+            geometricError : 100,
+            root : {
+                geometricError : 50,
+                contents : [{
+                    uri : 'buildings/tileset.json'
+                }, {
+                    uri : 'trees/tileset.json'
+                }],
+                children : [{
+                    geometricError : 0,
+                    content : {
+                        uri : 'terrain.glb'
+                    }
+                }]
+            }
+        };
+        function createExternalTileset(uri) {
+            return {
+                asset : {
+                    version : '1.1'
+                },
+                geometricError : 50,
+                root : {
+                    geometricError : 50,
+                    children : [{
+                        geometricError : 0,
+                        content : {
+                            uri : uri
+                        }
+                    }]
+                }
+            };
+        }
+        var combineOptions = {
+            inputDirectory : multipleContentsDirectory,
+            outputDirectory : multipleContentsCombinedDirectory
+        };
+        expect(Promise.all([
+            fsExtra.outputJson(path.join(multipleContentsDirectory, 'tileset.json'), tileset),
+            fsExtra.outputJson(path.join(multipleContentsDirectory, 'buildings/tileset.json'), createExternalTileset('buildings.glb')),
+            fsExtra.outputJson(path.join(multipleContentsDirectory, 'trees/tileset.json'), createExternalTileset('trees.glb'))
+        ])
+            .then(function() {
+                return combineTileset(combineOptions);
+            })
+            .then(function() {
+                return fsExtra.readJson(path.join(multipleContentsCombinedDirectory, 'tileset.json'));
+            })
+            .then(function(json) {
+                var uris = json.root.children.map(function(child) {
+                    return child.content.uri;
+                });
+                // The external tilesets are read in parallel, so the order of their children is not fixed
+                expect(uris.sort()).toEqual(['buildings/buildings.glb', 'terrain.glb', 'trees/trees.glb']);
+            }), done).toResolve();
+    });
+
     it('throws when no input tileset is given ', function () {
         expect(function() {
             combineTileset();
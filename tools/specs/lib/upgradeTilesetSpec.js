@@ -18,12 +18,14 @@ var upgradedDirectory = './specs/data/BatchedDeprecated-upgraded/';
 var upgradedJson = './specs/data/BatchedDeprecated-upgraded/tileset.json';
 var upgradedB3dm1 = './specs/data/BatchedDeprecated-upgraded/batchedDeprecated1.b3dm';
 var upgradedB3dm2 = './specs/data/BatchedDeprecated-upgraded/batchedDeprecated2.b3dm';
+var multipleContentsDirectory = './specs/data/MultipleContents/';
 
 describe('upgradeTileset', function() {
     afterEach(function (done) {
         Promise.all([
             fsExtra.remove(upgradedDirectory),
-            fsExtra.remove(gzippedDirectory)
+            fsExtra.remove(gzippedDirectory),
+            fsExtra.remove(multipleContentsDirectory)
         ]).then(function() {
             done();
         });
@@ -44,6 +46,47 @@ describe('upgradeTileset', function() {
             }), done).toResolve();
     });
 
+    it('preserves the multiple contents and version of 3D Tiles 1.1 tilesets', function (done) {
+        var contents = [{
+            uri : 'terrain.glb'
+        }, {
+            uri : 'buildings.glb',
+            group : 0
+        }];
+        var tileset = {
+            asset : {
+                version : '1.1'
+            },
+            schema : {
+                id : 'layers',
+                version : '2.3.0'
+            },
+            geometricError : 100,
+            root : {
+                geometricError : 0,
+                refine : 'add',
+                contents : contents
+            }
+        };
+        var upgradeOptions = {
+            inputDirectory : multipleContentsDirectory,
+            outputDirectory : upgradedDirectory
+        };
+        expect(fsExtra.outputJson(path.join(multipleContentsDirectory, 'tileset.json'), tileset)
+            .then(function() {
+                return upgradeTileset(upgradeOptions);
+            })
+            .then(function() {
+                return readFile(upgradedJson, 'json');
+            })
+            .then(function(json) {
+                expect(json.asset.version).toBe('1.1');
+                expect(json.schema.version).toBe('2.3.0');
+                expect(json.root.refine).toBe('ADD');
+                expect(json.root.contents).toEqual(contents);
+            }), done).toResolve();
+    });
+
     function checkUpgradedB3dm(tilesetUrl, tileUrl, done) {
         var upgradeOptions = {
             inputDirectory : tilesetUrl,
@@ -1,34 +1,42 @@
 'use strict';
 const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
 const path = require('path');
 const yargs = require('yargs');
 
+const createReader = require('../lib/createReader');
+const formatIssues = require('../lib/formatIssues');
 const isTile = require('../lib/isTile');
-const readTile = require('../lib/readTile');
-const readTileset = require('../lib/readTileset');
+const utility = require('../lib/utility');
 const validateTile = require('../lib/validateTile');
 const validateTileset = require('../lib/validateTileset');
+const ValidationSeverity = require('../lib/ValidationSeverity');
 
+const clone = Cesium.clone;
 const defined = Cesium.defined;
 
+const hasErrors = utility.hasErrors;
+
 const args = process.argv;
 const argv = yargs
     .usage('Usage: node $0 -i <path>')
     .example('node $0 -i tile.b3dm')
     .example('node $0 -i tileset.json')
+    .example('node $0 -i tileset.3tz')
+    .example('node $0 -i tileset.3dtiles -s tileset.json')
+    .example('node $0 -i https://example.com/tileset/')
     .help('h')
     .alias('h', 'help')
     .options({
         input: {
             alias: 'i',
-            describe: 'Path to the tileset JSON or tile to validate.',
-            normalize: true,
+            describe: 'Path to the tileset JSON or tile to validate, or to a directory, zip archive (.zip, .3tz), sqlite database (.3dtiles) or HTTP(S) URL containing it.',
             demandOption: true,
             type: 'string'
         },
         innerPath: {
             alias: 's',
-            describe: 'Path to the tileset JSON or tile to validate.',
+            describe: 'Path to the tileset JSON or tile to validate within the input directory, archive, database or URL.',
             normalize: true,
             default: 'tileset.json',
             demandOption: false,
@@ -45,52 +53,128 @@ const argv = yargs
             describe: 'Only validate tileset files, for quick shallow validation.',
             default: false,
             type: 'boolean'
+        },
+        collectAll: {
+            alias: 'a',
+            describe: 'Validate every tile and content and report all issues instead of stopping at the first tile with issues.',
+            default: false,
+            type: 'boolean'
+        },
+        containmentTolerance: {
+            alias: 't',
+            describe: 'The distance in meters by which a bounding volume may extend beyond the bounding volume that should contain it.',
+            default: 0.0,
+            type: 'number'
+        },
+        warningsAsErrors: {
+            alias: 'w',
+            describe: 'Treat warnings as errors.',
+            default: false,
+            type: 'boolean'
+        },
+        format: {
+            alias: 'f',
+            describe: 'The report format.',
+            choices: ['text', 'json', 'junit'],
+            default: 'text',
+            type: 'string'
+        },
+        output: {
+            alias: 'o',
+            describe: 'Write the report to this file instead of the console.',
+            normalize: true,
+            type: 'string'
         }
     }).parse(args);
 
 async function validate(argv) {
-    let filePath = argv.input;
     const writeReports = argv.writeReports;
-    let message;
+    let issues = [];
 
-    let reader = {
-        readBinary: readTile,
-        readJson: readTileset
-    };
+    // Progress goes to stderr so that it does not interleave with the report
+    const logProgress = message => console.error(message);
+
+    let filePath = argv.input;
+    let reader;
+    let input;
+    try {
+        const result = await createReader(argv.input, argv.innerPath);
+        reader = result.reader;
+        filePath = result.filePath;
+        if (!isTile(filePath)) {
+            input = await reader.readJson(filePath);
+        } else if (!argv.onlyValidateTilesets) {
+            input = await reader.readBinary(filePath);
+        }
+    } catch (error) {
+        console.error(`Could not read input: ${error.message}`);
+        process.exitCode = 2;
+        if (defined(reader)) {
+            await reader.close();
+        }
+        return;
+    }
 
     try {
         if (isTile(filePath)) {
             if (argv.onlyValidateTilesets) {
-                message = `${filePath} is a tile, validation skipped.`;
+                console.error(`${filePath} is a tile, validation skipped.`);
             } else {
-                message = await validateTile({
+                issues = await validateTile({
                     reader: reader,
-                    content: await reader.readBinary(filePath),
+                    content: input,
                     filePath: filePath,
                     directory: path.dirname(filePath),
                     writeReports: writeReports
                 });
-                }
+            }
         } else {
-            message = await validateTileset({
+            issues = await validateTileset({
                 reader: reader,
-                tileset: await reader.readJson(filePath),
+                tileset: input,
                 filePath: filePath,
                 directory: path.dirname(filePath),
                 writeReports: writeReports,
-                onlyValidateTilesets: argv.onlyValidateTilesets
+                onlyValidateTilesets: argv.onlyValidateTilesets,
+                containmentTolerance: argv.containmentTolerance,
+                collectAll: argv.collectAll,
+                logProgress: logProgress
             });
         }
     } catch (error) {
-        console.log(`Could not read input: ${error.message}`);
+        // Problems of the input are reported as issues, so this is a bug in the validator
+        console.error(`Validation of ${filePath} failed unexpectedly: ${error.stack}`);
+        process.exitCode = 3;
         return;
+    } finally {
+        await reader.close();
     }
 
-    if (defined(message)) {
-        console.log(message);
+    if (argv.warningsAsErrors) {
+        issues = issues.map(promoteWarning);
+    }
+
+    const report = formatIssues(issues, {
+        filePath: filePath,
+        format: argv.format
+    });
+
+    if (defined(argv.output)) {
+        await fsExtra.outputFile(argv.output, report);
     } else {
-        console.log(`${filePath} is valid`);
+        console.log(report);
+    }
+
+    process.exitCode = hasErrors(issues) ? 1 : 0;
+}
+
+function promoteWarning(issue) {
+    if (issue.severity !== ValidationSeverity.WARNING) {
+        return issue;
     }
+    const promoted = clone(issue);
+    promoted.severity = ValidationSeverity.ERROR;
+    return promoted;
 }
 
 return validate(argv);
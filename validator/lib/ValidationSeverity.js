@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * The severity of a {@link ValidationIssue}.
+ *
+ * @exports ValidationSeverity
+ */
+const ValidationSeverity = {
+    /**
+     * The content violates the 3D Tiles specification.
+     *
+     * @type {String}
+     * @constant
+     */
+    ERROR: 'ERROR',
+
+    /**
+     * The content is valid but likely to cause problems or does not follow best practices.
+     *
+     * @type {String}
+     * @constant
+     */
+    WARNING: 'WARNING',
+
+    /**
+     * Informational finding that does not affect validity.
+     *
+     * @type {String}
+     * @constant
+     */
+    INFO: 'INFO'
+};
+
+module.exports = Object.freeze(ValidationSeverity);
@@ -0,0 +1,95 @@
+'use strict';
+const Cesium = require('cesium');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = checkMetadataValue;
+
+const componentsLengths = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+};
+
+const componentRanges = {
+    INT8: [-128, 127],
+    UINT8: [0, 255],
+    INT16: [-32768, 32767],
+    UINT16: [0, 65535],
+    INT32: [-2147483648, 2147483647],
+    UINT32: [0, 4294967295],
+    INT64: [-9223372036854775808, 9223372036854775807],
+    UINT64: [0, 18446744073709551615]
+};
+
+/**
+ * Checks that a JSON value has the shape of a value of a metadata class property, e.g. that a VEC3 array property with a
+ * <code>count</code> of 2 has an array of two arrays of three numbers.
+ *
+ * @param {*} value The JSON value.
+ * @param {Object} property The class property definition.
+ * @param {Object} enums The enums of the metadata schema.
+ * @param {Boolean} [checkComponentRange=true] Whether the components of integer types must be integers within the range of the component type. This does not apply to values that the <code>offset</code>, <code>scale</code> or <code>normalized</code> flag of a property were applied to.
+ * @returns {String|undefined} A description of the expected value if the value does not conform, otherwise undefined.
+ */
+function checkMetadataValue(value, property, enums, checkComponentRange) {
+    checkComponentRange = defaultValue(checkComponentRange, true);
+    const isElement = element => isValidElement(element, property, enums, checkComponentRange);
+    const elementDescription = getElementDescription(property, checkComponentRange);
+    if (!property.array) {
+        return isElement(value) ? undefined : `must be ${elementDescription}`;
+    }
+    if (!Array.isArray(value) || (defined(property.count) && value.length !== property.count) || !value.every(isElement)) {
+        return `must be an array of ${defaultValue(property.count, 'any number of')} elements that are ${elementDescription}`;
+    }
+}
+
+function isValidElement(element, property, enums, checkComponentRange) {
+    const type = property.type;
+    if (type === 'STRING') {
+        return typeof element === 'string';
+    } else if (type === 'BOOLEAN') {
+        return typeof element === 'boolean';
+    } else if (type === 'ENUM') {
+        const enumDefinition = defined(enums) ? enums[property.enumType] : undefined;
+        return defined(enumDefinition) && defaultValue(enumDefinition.values, []).some(enumValue => enumValue.name === element);
+    }
+
+    const isComponent = component => isValidComponent(component, property.componentType, checkComponentRange);
+    if (type === 'SCALAR') {
+        return isComponent(element);
+    }
+    return Array.isArray(element) && element.length === componentsLengths[type] && element.every(isComponent);
+}
+
+function isValidComponent(component, componentType, checkComponentRange) {
+    if (!Number.isFinite(component)) {
+        return false;
+    }
+    const range = componentRanges[componentType];
+    if (!checkComponentRange || !defined(range)) {
+        return true;
+    }
+    return Number.isInteger(component) && component >= range[0] && component <= range[1];
+}
+
+function getElementDescription(property, checkComponentRange) {
+    const type = property.type;
+    if (type === 'STRING') {
+        return 'a string';
+    } else if (type === 'BOOLEAN') {
+        return 'a boolean';
+    } else if (type === 'ENUM') {
+        return `a value name of enum ${property.enumType}`;
+    }
+    const component = checkComponentRange && defined(componentRanges[property.componentType]) ? `${property.componentType} integer` : 'number';
+    if (type === 'SCALAR') {
+        return `a ${component}`;
+    }
+    return `an array of ${componentsLengths[type]} ${component}s`;
+}
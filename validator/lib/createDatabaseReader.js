@@ -0,0 +1,77 @@
+/*eslint-disable global-require*/
+'use strict';
+const Cesium = require('cesium');
+const path = require('path');
+const zlib = require('zlib');
+
+const bufferToJson = require('./bufferToJson');
+const isGzipped = require('./isGzipped');
+
+const defined = Cesium.defined;
+
+module.exports = createDatabaseReader;
+
+/**
+ * Creates a reader for a .3dtiles sqlite database as written by <code>tilesetToDatabase</code>, which stores every file
+ * of a tileset in the <code>content</code> column of the <code>media</code> table, keyed by its path relative to the
+ * tileset directory. Tiles and JSON files in the database are gzipped and are decompressed when read.
+ *
+ * @param {String} databasePath The path of the database.
+ * @returns {Promise} A promise that resolves to a reader with <code>readBinary</code>, <code>readJson</code>, <code>getActualPath</code> and <code>close</code> functions.
+ */
+async function createDatabaseReader(databasePath) {
+    // sqlite3 is a native module, so it is only loaded when a database is validated
+    const sqlite3 = require('sqlite3');
+    const db = await new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(databasePath, sqlite3.OPEN_READONLY, error => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(database);
+            }
+        });
+    });
+
+    const getKey = filePath => path.posix.normalize(filePath.replace(/\\/g, '/'));
+    const get = (sql, parameters) => new Promise((resolve, reject) => {
+        db.get(sql, parameters, (error, row) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(row);
+            }
+        });
+    });
+
+    const readBinary = async filePath => {
+        const key = getKey(filePath);
+        const row = await get('SELECT content FROM media WHERE key = ?', [key]);
+        if (!defined(row)) {
+            throw new Error(`${key} does not exist in ${databasePath}`);
+        }
+        let data = Buffer.from(row.content);
+        if (isGzipped(data)) {
+            data = zlib.gunzipSync(data);
+        }
+        return data;
+    };
+    return {
+        readBinary: readBinary,
+        readJson: async filePath => bufferToJson(await readBinary(filePath)),
+        getActualPath: async filePath => {
+            // Prefers the exact key over keys that only differ in case
+            const key = getKey(filePath);
+            const row = await get('SELECT key FROM media WHERE key = ? COLLATE NOCASE ORDER BY key = ? DESC LIMIT 1', [key, key]);
+            return defined(row) ? row.key : undefined;
+        },
+        close: () => new Promise((resolve, reject) => {
+            db.close(error => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        })
+    };
+}
@@ -0,0 +1,85 @@
+'use strict';
+const Cesium = require('cesium');
+
+const defined = Cesium.defined;
+
+module.exports = createExtensionRegistry;
+
+// The extensions this validator knows, with where they are used. Content extensions are used in the feature tables and
+// batch tables of tiles, so they are only found when the tile contents are validated.
+const knownExtensions = {
+    '3DTILES_batch_table_hierarchy': 'content',
+    '3DTILES_bounding_volume_S2': 'tileset',
+    '3DTILES_content_gltf': 'tileset',
+    '3DTILES_draco_point_compression': 'content',
+    '3DTILES_implicit_tiling': 'tileset',
+    '3DTILES_metadata': 'tileset',
+    '3DTILES_multiple_contents': 'tileset'
+};
+
+/**
+ * Creates a registry of the extensions used by a tileset JSON and its contents. The usages of each extension are recorded
+ * with the file and location they were found in, so that undeclared extensions can be reported where they are used.
+ *
+ * @returns {Object} The registry with the following functions:
+ * <ul>
+ * <li><code>addExtension(name, filePath, pointer, byteOffset)</code> records the usage of an extension.</li>
+ * <li><code>addExtensions(json, filePath, pointer, byteOffset)</code> records the usages of all <code>extensions</code> objects found anywhere in the JSON at the JSON pointer, which is located at the byte offset in binary files.</li>
+ * <li><code>addRegistry(registry, byteOffset)</code> records the usages of another registry, e.g. of an inner tile, shifting their byte offsets.</li>
+ * <li><code>getExtensionNames()</code> returns the names of the extensions used.</li>
+ * <li><code>getUsages(name)</code> returns the usages of an extension, at most one per file.</li>
+ * <li><code>isKnown(name)</code> and <code>isContentExtension(name)</code> tell whether an extension is known to the validator and whether it is used in tile contents.</li>
+ * </ul>
+ */
+function createExtensionRegistry() {
+    const usages = new Map();
+
+    const addExtension = (name, filePath, pointer, byteOffset) => {
+        if (!usages.has(name)) {
+            usages.set(name, []);
+        }
+        const extensionUsages = usages.get(name);
+        if (!extensionUsages.some(usage => usage.filePath === filePath)) {
+            extensionUsages.push({
+                filePath: filePath,
+                pointer: pointer,
+                byteOffset: byteOffset
+            });
+        }
+    };
+
+    const addExtensions = (json, filePath, pointer, byteOffset) => {
+        if (Array.isArray(json)) {
+            json.forEach((element, i) => addExtensions(element, filePath, `${pointer}/${i}`, byteOffset));
+        } else if (typeof json === 'object' && json !== null) {
+            for (const name in json) {
+                if (json.hasOwnProperty(name)) {
+                    if (name === 'extensions' && typeof json.extensions === 'object' && json.extensions !== null) {
+                        for (const extensionName in json.extensions) {
+                            if (json.extensions.hasOwnProperty(extensionName)) {
+                                addExtension(extensionName, filePath, `${pointer}/extensions/${extensionName}`, byteOffset);
+                            }
+                        }
+                    }
+                    addExtensions(json[name], filePath, `${pointer}/${name}`, byteOffset);
+                }
+            }
+        }
+    };
+
+    return {
+        addExtension: addExtension,
+        addExtensions: addExtensions,
+        addRegistry: (registry, byteOffset) => {
+            registry.getExtensionNames().forEach(name => {
+                registry.getUsages(name).forEach(usage => {
+                    addExtension(name, usage.filePath, usage.pointer, defined(usage.byteOffset) ? usage.byteOffset + byteOffset : undefined);
+                });
+            });
+        },
+        getExtensionNames: () => Array.from(usages.keys()),
+        getUsages: name => usages.has(name) ? usages.get(name) : [],
+        isKnown: name => knownExtensions.hasOwnProperty(name),
+        isContentExtension: name => knownExtensions[name] === 'content'
+    };
+}
@@ -0,0 +1,55 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const path = require('path');
+
+const readTile = require('./readTile');
+const readTileset = require('./readTileset');
+
+const defined = Cesium.defined;
+
+module.exports = createFileReader;
+
+/**
+ * Creates a reader for files on the file system. Gzipped files are decompressed.
+ *
+ * @returns {Object} A reader with <code>readBinary</code>, <code>readJson</code>, <code>getActualPath</code> and <code>close</code> functions. <code>getActualPath</code> resolves to the path of the file whose path matches the given path when ignoring case, or undefined if there is none.
+ */
+function createFileReader() {
+    // Directories are listed once, however many files they contain
+    const directoryListings = new Map();
+    const readDirectory = directory => {
+        if (!directoryListings.has(directory)) {
+            directoryListings.set(directory, fsExtra.readdir(directory).catch(() => []));
+        }
+        return directoryListings.get(directory);
+    };
+
+    const getActualPath = async filePath => {
+        const normalizedPath = path.normalize(filePath);
+        const root = path.parse(normalizedPath).root;
+        const names = normalizedPath.slice(root.length).split(path.sep);
+        let actualPath = root;
+        for (const name of names) {
+            if (name === '.' || name === '..' || name === '') {
+                actualPath = path.join(actualPath, name);
+                continue;
+            }
+            const fileNames = await readDirectory(actualPath === '' ? '.' : actualPath);
+            const lowerCaseName = name.toLowerCase();
+            const actualName = fileNames.includes(name) ? name : fileNames.find(fileName => fileName.toLowerCase() === lowerCaseName);
+            if (!defined(actualName)) {
+                return undefined;
+            }
+            actualPath = path.join(actualPath, actualName);
+        }
+        return actualPath;
+    };
+
+    return {
+        readBinary: readTile,
+        readJson: readTileset,
+        getActualPath: getActualPath,
+        close: async () => {}
+    };
+}
@@ -0,0 +1,72 @@
+'use strict';
+const Cesium = require('cesium');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+const bufferToJson = require('./bufferToJson');
+const isGzipped = require('./isGzipped');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = createHttpReader;
+
+const maximumRedirects = 5;
+
+/**
+ * Creates a reader for resources that are served over HTTP or HTTPS. Responses that are gzipped, either by the server or
+ * because the resource itself is gzipped, are decompressed like files on disk.
+ *
+ * @param {String} baseUrl The URL that the paths passed to the reader are relative to, e.g. <code>https://example.com/tilesets/city/</code>.
+ * @param {Number} [timeout=60000] The number of milliseconds that a request may be idle before it is aborted and the read rejects.
+ * @returns {Object} A reader with <code>readBinary</code>, <code>readJson</code> and <code>close</code> functions.
+ */
+function createHttpReader(baseUrl, timeout) {
+    timeout = defaultValue(timeout, 60000);
+    const readBinary = async filePath => {
+        const url = new URL(filePath.replace(/\\/g, '/'), baseUrl);
+        let data = await request(url, 0, timeout);
+        if (isGzipped(data)) {
+            data = zlib.gunzipSync(data);
+        }
+        return data;
+    };
+    return {
+        readBinary: readBinary,
+        readJson: async filePath => bufferToJson(await readBinary(filePath)),
+        close: async () => {}
+    };
+}
+
+function request(url, redirects, timeout) {
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const clientRequest = client.get(url, response => {
+            const statusCode = response.statusCode;
+            if (statusCode >= 300 && statusCode < 400 && defined(response.headers.location)) {
+                response.resume();
+                if (redirects >= maximumRedirects) {
+                    reject(new Error(`${url} redirected more than ${maximumRedirects} times`));
+                    return;
+                }
+                resolve(request(new URL(response.headers.location, url), redirects + 1, timeout));
+                return;
+            }
+            if (statusCode !== 200) {
+                response.resume();
+                reject(new Error(`${url} responded with status ${statusCode}`));
+                return;
+            }
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+            response.on('error', reject);
+        });
+        clientRequest.on('error', reject);
+        clientRequest.setTimeout(timeout, () => {
+            // Destroying the request emits the error
+            clientRequest.destroy(new Error(`${url} did not respond within ${timeout} ms`));
+        });
+    });
+}
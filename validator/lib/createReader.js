@@ -0,0 +1,72 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const path = require('path');
+
+const createDatabaseReader = require('./createDatabaseReader');
+const createFileReader = require('./createFileReader');
+const createHttpReader = require('./createHttpReader');
+const createZipReader = require('./createZipReader');
+const isTile = require('./isTile');
+
+const defaultValue = Cesium.defaultValue;
+
+module.exports = createReader;
+
+/**
+ * Creates the reader for the input of the validator, which can be
+ * <ul>
+ * <li>a tileset JSON or tile file, or a directory containing <code>innerPath</code>,</li>
+ * <li>a zip archive or 3D Tiles archive (.zip, .3tz) containing <code>innerPath</code>,</li>
+ * <li>a sqlite database (.3dtiles) as written by <code>tilesetToDatabase</code> containing <code>innerPath</code>,</li>
+ * <li>the HTTP(S) URL of a tileset JSON or tile, or a base URL that <code>innerPath</code> is relative to.</li>
+ * </ul>
+ *
+ * @param {String} input The input path or URL.
+ * @param {String} [innerPath='tileset.json'] The path of the tileset JSON or tile within a directory, archive, database or base URL.
+ * @returns {Promise} A promise that resolves to an object with the <code>reader</code> and the <code>filePath</code> of the tileset JSON or tile to validate, relative to the reader.
+ */
+async function createReader(input, innerPath) {
+    innerPath = defaultValue(innerPath, 'tileset.json');
+    if (/^https?:\/\//i.test(input)) {
+        const url = new URL(input);
+        if (isTile(url.pathname) || path.extname(url.pathname).toLowerCase() === '.json') {
+            return {
+                reader: createHttpReader(url.href),
+                filePath: decodeURIComponent(path.posix.basename(url.pathname))
+            };
+        }
+        if (!url.pathname.endsWith('/')) {
+            url.pathname += '/';
+        }
+        return {
+            reader: createHttpReader(url.href),
+            filePath: innerPath
+        };
+    }
+
+    const extension = path.extname(input).toLowerCase();
+    if (extension === '.zip' || extension === '.3tz') {
+        return {
+            reader: await createZipReader(input),
+            filePath: innerPath
+        };
+    } else if (extension === '.3dtiles') {
+        return {
+            reader: await createDatabaseReader(input),
+            filePath: innerPath
+        };
+    }
+
+    const reader = createFileReader();
+    if ((await fsExtra.stat(input)).isDirectory()) {
+        return {
+            reader: reader,
+            filePath: path.join(input, innerPath)
+        };
+    }
+    return {
+        reader: reader,
+        filePath: input
+    };
+}
@@ -0,0 +1,43 @@
+'use strict';
+const Cesium = require('cesium');
+
+const ValidationSeverity = require('./ValidationSeverity');
+
+const defaultValue = Cesium.defaultValue;
+
+module.exports = createValidationIssue;
+
+/**
+ * A single problem found during validation.
+ *
+ * @typedef {Object} ValidationIssue
+ * @property {String} severity The {@link ValidationSeverity} of the issue.
+ * @property {String} code A machine-readable identifier for the kind of issue, e.g. <code>TILE_GEOMETRIC_ERROR_MISSING</code>.
+ * @property {String} message A human-readable description of the issue.
+ * @property {String} [filePath] The path of the file the issue was found in.
+ * @property {String} [pointer] A JSON pointer to the offending value within the JSON the issue refers to.
+ * @property {Number} [byteOffset] The byte offset within the file where the offending data starts.
+ */
+
+/**
+ * Creates a validation issue.
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {String} options.code A machine-readable identifier for the kind of issue.
+ * @param {String} options.message A human-readable description of the issue.
+ * @param {String} [options.severity=ValidationSeverity.ERROR] The severity of the issue.
+ * @param {String} [options.filePath] The path of the file the issue was found in.
+ * @param {String} [options.pointer] A JSON pointer to the offending value.
+ * @param {Number} [options.byteOffset] The byte offset within the file where the offending data starts.
+ * @returns {ValidationIssue} The validation issue.
+ */
+function createValidationIssue(options) {
+    return {
+        severity: defaultValue(options.severity, ValidationSeverity.ERROR),
+        code: options.code,
+        message: options.message,
+        filePath: options.filePath,
+        pointer: options.pointer,
+        byteOffset: options.byteOffset
+    };
+}
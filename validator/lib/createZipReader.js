@@ -0,0 +1,67 @@
+'use strict';
+const Cesium = require('cesium');
+const path = require('path');
+const unzipper = require('unzipper');
+const zlib = require('zlib');
+
+const bufferToJson = require('./bufferToJson');
+const isGzipped = require('./isGzipped');
+
+const defined = Cesium.defined;
+
+module.exports = createZipReader;
+
+/**
+ * Creates a reader for the entries of a zip archive, including 3D Tiles archives (.3tz), which are zip archives with an index.
+ * Only the central directory is read up front, entries are read on demand, so the archive is never loaded into memory as
+ * a whole. ZIP64 archives are supported. Entries that are gzipped are decompressed like files on disk.
+ *
+ * @param {String} zipPath The path of the zip archive.
+ * @returns {Promise} A promise that resolves to a reader with <code>readBinary</code>, <code>readJson</code>, <code>getActualPath</code> and <code>close</code> functions. The paths passed to the reader are relative to the root of the archive.
+ */
+async function createZipReader(zipPath) {
+    let directory;
+    try {
+        directory = await unzipper.Open.file(zipPath);
+    } catch (error) {
+        throw new Error(`${zipPath} is not a zip archive (${error.message})`);
+    }
+    const entries = new Map();
+    directory.files.forEach(file => {
+        // Directories have no data
+        if (file.type === 'File') {
+            entries.set(file.path, file);
+        }
+    });
+
+    const readBinary = async filePath => {
+        const name = path.posix.normalize(filePath.replace(/\\/g, '/'));
+        const entry = entries.get(name);
+        if (!defined(entry)) {
+            throw new Error(`${name} does not exist in ${zipPath}`);
+        }
+        let data = await entry.buffer();
+        if (isGzipped(data)) {
+            data = zlib.gunzipSync(data);
+        }
+        return data;
+    };
+    let lowerCaseNames;
+    const getActualPath = async filePath => {
+        if (!defined(lowerCaseNames)) {
+            lowerCaseNames = new Map();
+            for (const name of entries.keys()) {
+                lowerCaseNames.set(name.toLowerCase(), name);
+            }
+        }
+        const name = path.posix.normalize(filePath.replace(/\\/g, '/'));
+        return entries.has(name) ? name : lowerCaseNames.get(name.toLowerCase());
+    };
+    return {
+        readBinary: readBinary,
+        readJson: async filePath => bufferToJson(await readBinary(filePath)),
+        getActualPath: getActualPath,
+        // Each entry is read with its own stream, so there is nothing to close
+        close: async () => {}
+    };
+}
@@ -0,0 +1,94 @@
+/*eslint-disable global-require*/
+'use strict';
+const Cesium = require('cesium');
+
+const defined = Cesium.defined;
+
+module.exports = decodeDraco;
+
+let decoderModulePromise;
+
+/**
+ * Decodes Draco compressed geometry, e.g. the data of a <code>KHR_draco_mesh_compression</code> primitive or a
+ * <code>3DTILES_draco_point_compression</code> feature table.
+ *
+ * @param {Buffer} data The Draco compressed data.
+ * @param {Object} attributeIds The unique IDs of the attributes to decode by name.
+ * @returns {Promise} A promise that resolves to an object with the <code>pointsLength</code> of the geometry and the decoded <code>attributes</code> by name. The values of an attribute are floating point numbers, interleaved by component. Attributes whose ID is not in the data are undefined. The promise rejects if the data cannot be decoded.
+ */
+async function decodeDraco(data, attributeIds) {
+    const decoderModule = (await getDecoderModule()).decoderModule;
+    const decoder = new decoderModule.Decoder();
+    const buffer = new decoderModule.DecoderBuffer();
+    let geometry;
+    try {
+        buffer.Init(new Int8Array(data.buffer, data.byteOffset, data.length), data.length);
+        const geometryType = decoder.GetEncodedGeometryType(buffer);
+        let status;
+        if (geometryType === decoderModule.TRIANGULAR_MESH) {
+            geometry = new decoderModule.Mesh();
+            status = decoder.DecodeBufferToMesh(buffer, geometry);
+        } else if (geometryType === decoderModule.POINT_CLOUD) {
+            geometry = new decoderModule.PointCloud();
+            status = decoder.DecodeBufferToPointCloud(buffer, geometry);
+        } else {
+            throw new Error('Data is not a Draco compressed mesh or point cloud');
+        }
+        if (!status.ok()) {
+            throw new Error(status.error_msg());
+        }
+
+        const attributes = {};
+        for (const name in attributeIds) {
+            if (attributeIds.hasOwnProperty(name)) {
+                attributes[name] = decodeAttribute(decoderModule, decoder, geometry, attributeIds[name]);
+            }
+        }
+        return {
+            pointsLength: geometry.num_points(),
+            attributes: attributes
+        };
+    } finally {
+        if (defined(geometry)) {
+            decoderModule.destroy(geometry);
+        }
+        decoderModule.destroy(buffer);
+        decoderModule.destroy(decoder);
+    }
+}
+
+function decodeAttribute(decoderModule, decoder, geometry, attributeId) {
+    const attribute = decoder.GetAttributeByUniqueId(geometry, attributeId);
+    if (decoderModule.getPointer(attribute) === 0) {
+        return undefined;
+    }
+    const dracoArray = new decoderModule.DracoFloat32Array();
+    try {
+        decoder.GetAttributeFloatForAllPoints(geometry, attribute, dracoArray);
+        const length = dracoArray.size();
+        const values = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            values[i] = dracoArray.GetValue(i);
+        }
+        return values;
+    } finally {
+        decoderModule.destroy(dracoArray);
+    }
+}
+
+function getDecoderModule() {
+    if (!defined(decoderModulePromise)) {
+        // The decoder is large, so it is only loaded once Draco compressed data is found
+        const draco3d = require('draco3d');
+        // The module has a then function that calls back with the module itself, so a promise that resolves to it
+        // never settles. It is wrapped in an object instead.
+        decoderModulePromise = new Promise(resolve => {
+            draco3d.createDecoderModule({
+                onModuleLoaded: decoderModule => resolve({
+                    decoderModule: decoderModule
+                })
+            });
+        });
+    }
+    return decoderModulePromise;
+}
@@ -0,0 +1,130 @@
+'use strict';
+const Cesium = require('cesium');
+
+const ValidationSeverity = require('./ValidationSeverity');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const DeveloperError = Cesium.DeveloperError;
+
+module.exports = formatIssues;
+
+/**
+ * Formats validation issues as a report.
+ *
+ * @param {ValidationIssue[]} issues The issues found during validation.
+ * @param {Object} options An object with the following properties:
+ * @param {String} options.filePath The path of the validated tileset JSON or tile.
+ * @param {String} [options.format='text'] The report format, one of <code>'text'</code>, <code>'json'</code> or <code>'junit'</code>.
+ * @returns {String} The report.
+ */
+function formatIssues(issues, options) {
+    const format = defaultValue(options.format, 'text');
+    if (format === 'text') {
+        return formatText(issues, options.filePath);
+    } else if (format === 'json') {
+        return formatJson(issues, options.filePath);
+    } else if (format === 'junit') {
+        return formatJunit(issues, options.filePath);
+    }
+    throw new DeveloperError(`Unsupported report format: ${format}`);
+}
+
+function countIssues(issues, severity) {
+    return issues.filter(issue => issue.severity === severity).length;
+}
+
+function getLocation(issue) {
+    let location = issue.filePath;
+    if (defined(issue.pointer)) {
+        location += `#${issue.pointer}`;
+    }
+    if (defined(issue.byteOffset)) {
+        location += ` (byte ${issue.byteOffset})`;
+    }
+    return location;
+}
+
+function formatIssue(issue) {
+    return `${issue.severity} ${issue.code} ${getLocation(issue)}: ${issue.message}`;
+}
+
+function formatText(issues, filePath) {
+    const lines = issues.map(formatIssue);
+    if (issues.length === 0) {
+        lines.push(`${filePath} is valid`);
+    } else {
+        const errors = countIssues(issues, ValidationSeverity.ERROR);
+        const counts = `${errors} error(s), ${countIssues(issues, ValidationSeverity.WARNING)} warning(s), ${countIssues(issues, ValidationSeverity.INFO)} info(s) found`;
+        lines.push(`${filePath} is ${errors > 0 ? 'invalid' : 'valid'}: ${counts}`);
+    }
+    return lines.join('\n');
+}
+
+function formatJson(issues, filePath) {
+    const report = {
+        filePath: filePath,
+        valid: countIssues(issues, ValidationSeverity.ERROR) === 0,
+        errors: countIssues(issues, ValidationSeverity.ERROR),
+        warnings: countIssues(issues, ValidationSeverity.WARNING),
+        infos: countIssues(issues, ValidationSeverity.INFO),
+        issues: issues
+    };
+    return JSON.stringify(report, undefined, 2);
+}
+
+function escapeXml(string) {
+    return String(string)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function formatJunit(issues, filePath) {
+    // One test case per file with issues, or a single passing test case for the input if there are none
+    const issuesByFile = {};
+    const filePaths = [];
+    const length = issues.length;
+    for (let i = 0; i < length; i++) {
+        const issue = issues[i];
+        const issueFilePath = defaultValue(issue.filePath, filePath);
+        if (!defined(issuesByFile[issueFilePath])) {
+            issuesByFile[issueFilePath] = [];
+            filePaths.push(issueFilePath);
+        }
+        issuesByFile[issueFilePath].push(issue);
+    }
+    if (filePaths.length === 0) {
+        filePaths.push(filePath);
+        issuesByFile[filePath] = [];
+    }
+
+    // JUnit counts failing test cases, and each test case has at most one failure that lists all of its errors
+    const failures = filePaths.filter(testCaseFilePath => countIssues(issuesByFile[testCaseFilePath], ValidationSeverity.ERROR) > 0).length;
+    const lines = [];
+    lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+    lines.push(`<testsuites tests="${filePaths.length}" failures="${failures}">`);
+    lines.push(`  <testsuite name="${escapeXml(filePath)}" tests="${filePaths.length}" failures="${failures}">`);
+    const filePathsLength = filePaths.length;
+    for (let i = 0; i < filePathsLength; i++) {
+        const testCaseFilePath = filePaths[i];
+        const testCaseIssues = issuesByFile[testCaseFilePath];
+        lines.push(`    <testcase name="${escapeXml(testCaseFilePath)}" classname="3d-tiles-validator">`);
+        const errors = testCaseIssues.filter(issue => issue.severity === ValidationSeverity.ERROR);
+        const output = testCaseIssues.filter(issue => issue.severity !== ValidationSeverity.ERROR).map(formatIssue);
+        if (errors.length > 0) {
+            const type = errors.length === 1 ? errors[0].code : 'ERRORS';
+            const message = errors.length === 1 ? errors[0].message : `${errors.length} errors found`;
+            lines.push(`      <failure type="${escapeXml(type)}" message="${escapeXml(message)}">${escapeXml(errors.map(formatIssue).join('\n'))}</failure>`);
+        }
+        if (output.length > 0) {
+            lines.push(`      <system-out>${escapeXml(output.join('\n'))}</system-out>`);
+        }
+        lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
@@ -0,0 +1,311 @@
+'use strict';
+const Cesium = require('cesium');
+
+const bufferToJson = require('./bufferToJson');
+const isDataUri = require('./isDataUri');
+const readGltfAccessor = require('./readGltfAccessor');
+
+const Axis = Cesium.Axis;
+const Cartesian3 = Cesium.Cartesian3;
+const Cesium3DTileFeatureTable = Cesium.Cesium3DTileFeatureTable;
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const Matrix4 = Cesium.Matrix4;
+const Quaternion = Cesium.Quaternion;
+
+module.exports = getContentPositions;
+
+const instancingAttributeTypes = {
+    TRANSLATION: 'VEC3',
+    ROTATION: 'VEC4',
+    SCALE: 'VEC3'
+};
+
+/**
+ * Reads the positions of a tile content's geometry: the POSITION attributes of all mesh primitives of glTF content, the
+ * point positions of pnts and the instance positions of i3dm. Instances of i3dm are treated as points, i.e. the extent of the
+ * instanced model is ignored. Meshes instanced with <code>EXT_mesh_gpu_instancing</code> are repeated for every instance.
+ *
+ * @param {Buffer} content The tile content: b3dm, i3dm, pnts, cmpt, glb or glTF JSON.
+ * @param {Object} [options] An object with the following properties:
+ * @param {String} [options.gltfUpAxis='Y'] The up axis of glTF content, as declared in <code>asset.gltfUpAxis</code> of 3D Tiles 1.0 tilesets.
+ * @returns {Float64Array|undefined} The x, y and z coordinates of the positions in the coordinate system of the tile, or undefined if they cannot be read, e.g. because the content is compressed, malformed or references external buffers.
+ */
+function getContentPositions(content, options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    try {
+        const positions = getPositions(content, defaultValue(options.gltfUpAxis, 'Y'));
+        if (defined(positions)) {
+            return Float64Array.from(positions);
+        }
+    } catch (error) {
+        // Malformed content is reported by the tile validation
+    }
+    return undefined;
+}
+
+function getPositions(content, gltfUpAxis) {
+    const magic = content.toString('utf8', 0, 4);
+    if (magic === 'b3dm') {
+        return getB3dmPositions(content, gltfUpAxis);
+    } else if (magic === 'i3dm') {
+        return getI3dmPositions(content);
+    } else if (magic === 'pnts') {
+        return getPntsPositions(content);
+    } else if (magic === 'cmpt') {
+        return getCmptPositions(content, gltfUpAxis);
+    } else if (magic === 'glTF') {
+        return getGlbPositions(content, Matrix4.IDENTITY, gltfUpAxis);
+    }
+    return getGltfPositions(bufferToJson(content), undefined, Matrix4.IDENTITY, gltfUpAxis);
+}
+
+function readTables(content, headerByteLength) {
+    const featureTableJsonByteLength = content.readUInt32LE(12);
+    const featureTableBinaryByteLength = content.readUInt32LE(16);
+    const batchTableJsonByteLength = content.readUInt32LE(20);
+    const batchTableBinaryByteLength = content.readUInt32LE(24);
+
+    const featureTableJsonByteOffset = headerByteLength;
+    const featureTableBinaryByteOffset = featureTableJsonByteOffset + featureTableJsonByteLength;
+    const featureTableBinaryByteEnd = featureTableBinaryByteOffset + featureTableBinaryByteLength;
+    const featureTableJson = bufferToJson(content.slice(featureTableJsonByteOffset, featureTableBinaryByteOffset));
+    const featureTableBinary = content.slice(featureTableBinaryByteOffset, featureTableBinaryByteEnd);
+    return {
+        featureTable: new Cesium3DTileFeatureTable(featureTableJson, featureTableBinary),
+        featureTableJson: featureTableJson,
+        bodyByteOffset: featureTableBinaryByteEnd + batchTableJsonByteLength + batchTableBinaryByteLength
+    };
+}
+
+function getRtcTransform(featureTable) {
+    const rtcCenter = featureTable.getGlobalProperty('RTC_CENTER', ComponentDatatype.FLOAT, 3);
+    if (!defined(rtcCenter)) {
+        return Matrix4.IDENTITY;
+    }
+    return Matrix4.fromTranslation(Cartesian3.unpack(rtcCenter));
+}
+
+function getB3dmPositions(content, gltfUpAxis) {
+    const tables = readTables(content, 28);
+    const transform = getRtcTransform(tables.featureTable);
+    return getGlbPositions(content.slice(tables.bodyByteOffset), transform, gltfUpAxis);
+}
+
+function getFeatureTablePositions(tables, length) {
+    const featureTable = tables.featureTable;
+    const featureTableJson = tables.featureTableJson;
+    featureTable.featuresLength = length;
+    let positions;
+    if (defined(featureTableJson.POSITION)) {
+        positions = Array.from(featureTable.getPropertyArray('POSITION', ComponentDatatype.FLOAT, 3));
+    } else if (defined(featureTableJson.POSITION_QUANTIZED)) {
+        const quantizedPositions = featureTable.getPropertyArray('POSITION_QUANTIZED', ComponentDatatype.UNSIGNED_SHORT, 3);
+        const offset = featureTable.getGlobalProperty('QUANTIZED_VOLUME_OFFSET', ComponentDatatype.FLOAT, 3);
+        const scale = featureTable.getGlobalProperty('QUANTIZED_VOLUME_SCALE', ComponentDatatype.FLOAT, 3);
+        positions = new Array(quantizedPositions.length);
+        for (let i = 0; i < quantizedPositions.length; i++) {
+            const component = i % 3;
+            positions[i] = offset[component] + quantizedPositions[i] / 65535.0 * scale[component];
+        }
+    } else {
+        return undefined;
+    }
+    return transformPositions(positions, getRtcTransform(featureTable));
+}
+
+function getPntsPositions(content) {
+    const tables = readTables(content, 28);
+    const featureTableJson = tables.featureTableJson;
+    const extensions = defaultValue(featureTableJson.extensions, defaultValue.EMPTY_OBJECT);
+    if (defined(extensions['3DTILES_draco_point_compression'])) {
+        return undefined;
+    }
+    return getFeatureTablePositions(tables, featureTableJson.POINTS_LENGTH);
+}
+
+function getI3dmPositions(content) {
+    const tables = readTables(content, 32);
+    return getFeatureTablePositions(tables, tables.featureTableJson.INSTANCES_LENGTH);
+}
+
+function getCmptPositions(content, gltfUpAxis) {
+    const tilesLength = content.readUInt32LE(12);
+    const positionArrays = [];
+    let byteOffset = 16;
+    for (let i = 0; i < tilesLength; i++) {
+        const byteLength = content.readUInt32LE(byteOffset + 8);
+        const innerPositions = getPositions(content.slice(byteOffset, byteOffset + byteLength), gltfUpAxis);
+        if (!defined(innerPositions)) {
+            return undefined;
+        }
+        positionArrays.push(innerPositions);
+        byteOffset += byteLength;
+    }
+    return concatPositions(positionArrays);
+}
+
+function getGlbPositions(glb, transform, gltfUpAxis) {
+    if (glb.readUInt32LE(4) !== 2) {
+        return undefined;
+    }
+    // The JSON chunk is always first and may be followed by the binary chunk
+    const jsonChunkLength = glb.readUInt32LE(12);
+    const gltf = bufferToJson(glb.slice(20, 20 + jsonChunkLength));
+    const binaryChunkByteOffset = 20 + jsonChunkLength;
+    let binaryChunk;
+    if (binaryChunkByteOffset + 8 <= glb.length) {
+        const binaryChunkLength = glb.readUInt32LE(binaryChunkByteOffset);
+        binaryChunk = glb.slice(binaryChunkByteOffset + 8, binaryChunkByteOffset + 8 + binaryChunkLength);
+    }
+    return getGltfPositions(gltf, binaryChunk, transform, gltfUpAxis);
+}
+
+function getUpAxisTransform(gltfUpAxis) {
+    if (gltfUpAxis === 'Y') {
+        return Axis.Y_UP_TO_Z_UP;
+    } else if (gltfUpAxis === 'X') {
+        return Axis.X_UP_TO_Z_UP;
+    }
+    return Matrix4.IDENTITY;
+}
+
+function getGltfPositions(gltf, binaryChunk, transform, gltfUpAxis) {
+    if (!defined(gltf.asset) || gltf.asset.version !== '2.0') {
+        return undefined;
+    }
+    const extensions = defaultValue(gltf.extensions, defaultValue.EMPTY_OBJECT);
+    if (defined(extensions.CESIUM_RTC)) {
+        transform = Matrix4.multiply(transform, Matrix4.fromTranslation(Cartesian3.unpack(extensions.CESIUM_RTC.center)), new Matrix4());
+    }
+    transform = Matrix4.multiply(transform, getUpAxisTransform(gltfUpAxis), new Matrix4());
+
+    const nodes = defaultValue(gltf.nodes, []);
+    let rootNodes;
+    if (defined(gltf.scenes) && gltf.scenes.length > 0) {
+        rootNodes = defaultValue(gltf.scenes[defaultValue(gltf.scene, 0)].nodes, []);
+    } else {
+        rootNodes = nodes.map((node, index) => index);
+    }
+
+    // Only the binary chunk and embedded buffers are available, external buffers are not read
+    const buffers = defaultValue(gltf.buffers, []).map(buffer => {
+        if (!defined(buffer.uri)) {
+            return binaryChunk;
+        } else if (isDataUri(buffer.uri)) {
+            return Buffer.from(buffer.uri.split(',')[1], 'base64');
+        }
+        return undefined;
+    });
+
+    const positionArrays = [];
+    const stack = rootNodes.map(nodeIndex => ({
+        node: nodes[nodeIndex],
+        transform: transform
+    }));
+    while (stack.length > 0) {
+        const entry = stack.pop();
+        const node = entry.node;
+        const nodeTransform = Matrix4.multiply(entry.transform, getNodeTransform(node), new Matrix4());
+        if (defined(node.mesh)) {
+            const instanceTransforms = getInstanceTransforms(gltf, buffers, node);
+            if (!defined(instanceTransforms)) {
+                return undefined;
+            }
+            const primitives = gltf.meshes[node.mesh].primitives;
+            for (let i = 0; i < primitives.length; i++) {
+                const accessorPositions = readAccessor(gltf, buffers, primitives[i].attributes.POSITION, 'VEC3');
+                if (!defined(accessorPositions)) {
+                    return undefined;
+                }
+                for (let j = 0; j < instanceTransforms.length; j++) {
+                    const instanceTransform = Matrix4.multiply(nodeTransform, instanceTransforms[j], new Matrix4());
+                    positionArrays.push(transformPositions(accessorPositions.slice(), instanceTransform));
+                }
+            }
+        }
+        const children = defaultValue(node.children, []);
+        for (let i = 0; i < children.length; i++) {
+            stack.push({
+                node: nodes[children[i]],
+                transform: nodeTransform
+            });
+        }
+    }
+    return concatPositions(positionArrays);
+}
+
+function getNodeTransform(node) {
+    if (defined(node.matrix)) {
+        return Matrix4.fromArray(node.matrix);
+    }
+    const translation = defined(node.translation) ? Cartesian3.unpack(node.translation) : Cartesian3.ZERO;
+    const rotation = defined(node.rotation) ? Quaternion.unpack(node.rotation) : Quaternion.IDENTITY;
+    const scale = defined(node.scale) ? Cartesian3.unpack(node.scale) : new Cartesian3(1.0, 1.0, 1.0);
+    return Matrix4.fromTranslationQuaternionRotationScale(translation, rotation, scale);
+}
+
+function getInstanceTransforms(gltf, buffers, node) {
+    // The transforms of the instances of EXT_mesh_gpu_instancing are applied before the transform of the node
+    const instancing = defaultValue(node.extensions, defaultValue.EMPTY_OBJECT).EXT_mesh_gpu_instancing;
+    if (!defined(instancing)) {
+        return [Matrix4.IDENTITY];
+    }
+    const attributes = defaultValue(instancing.attributes, defaultValue.EMPTY_OBJECT);
+    const values = {};
+    let instancesLength = 1;
+    for (const semantic of Object.keys(instancingAttributeTypes)) {
+        const accessorIndex = attributes[semantic];
+        if (defined(accessorIndex)) {
+            values[semantic] = readAccessor(gltf, buffers, accessorIndex, instancingAttributeTypes[semantic]);
+            if (!defined(values[semantic])) {
+                return undefined;
+            }
+            instancesLength = gltf.accessors[accessorIndex].count;
+        }
+    }
+    const instanceTransforms = new Array(instancesLength);
+    for (let i = 0; i < instancesLength; i++) {
+        const translation = defined(values.TRANSLATION) ? Cartesian3.unpack(values.TRANSLATION, i * 3) : Cartesian3.ZERO;
+        const rotation = defined(values.ROTATION) ? Quaternion.unpack(values.ROTATION, i * 4) : Quaternion.IDENTITY;
+        const scale = defined(values.SCALE) ? Cartesian3.unpack(values.SCALE, i * 3) : new Cartesian3(1.0, 1.0, 1.0);
+        instanceTransforms[i] = Matrix4.fromTranslationQuaternionRotationScale(translation, rotation, scale);
+    }
+    return instanceTransforms;
+}
+
+function readAccessor(gltf, buffers, accessorIndex, type) {
+    const accessor = gltf.accessors[accessorIndex];
+    if (!defined(accessor) || accessor.type !== type) {
+        return undefined;
+    }
+    return readGltfAccessor(gltf, buffers, accessorIndex);
+}
+
+function concatPositions(positionArrays) {
+    let length = 0;
+    for (let i = 0; i < positionArrays.length; i++) {
+        length += positionArrays[i].length;
+    }
+    const positions = new Array(length);
+    let offset = 0;
+    for (let i = 0; i < positionArrays.length; i++) {
+        const array = positionArrays[i];
+        for (let j = 0; j < array.length; j++) {
+            positions[offset + j] = array[j];
+        }
+        offset += array.length;
+    }
+    return positions;
+}
+
+function transformPositions(positions, transform) {
+    const position = new Cartesian3();
+    for (let i = 0; i < positions.length; i += 3) {
+        Cartesian3.unpack(positions, i, position);
+        Matrix4.multiplyByPoint(transform, position, position);
+        Cartesian3.pack(position, positions, i);
+    }
+    return positions;
+}
@@ -0,0 +1,34 @@
+'use strict';
+const createValidationIssue = require('./createValidationIssue');
+const ValidationSeverity = require('./ValidationSeverity');
+
+module.exports = getGltfValidatorIssues;
+
+// glTF-Validator severities: 0 = error, 1 = warning, 2 = information, 3 = hint
+const severities = [ValidationSeverity.ERROR, ValidationSeverity.WARNING, ValidationSeverity.INFO, ValidationSeverity.INFO];
+
+/**
+ * Converts the messages in a glTF-Validator report to validation issues. Errors are errors, warnings are warnings, and
+ * informations and hints are infos.
+ *
+ * @param {Object} result The report returned by glTF-Validator.
+ * @param {String} filePath The path of the validated glTF.
+ * @returns {ValidationIssue[]} The issues found.
+ */
+function getGltfValidatorIssues(result, filePath) {
+    const issues = [];
+    const messages = result.issues.messages;
+    const length = messages.length;
+    for (let i = 0; i < length; i++) {
+        const message = messages[i];
+        issues.push(createValidationIssue({
+            severity: severities[message.severity],
+            code: message.code,
+            message: message.message,
+            filePath: filePath,
+            pointer: message.pointer,
+            byteOffset: message.offset
+        }));
+    }
+    return issues;
+}
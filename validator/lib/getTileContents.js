@@ -0,0 +1,47 @@
+'use strict';
+const Cesium = require('cesium');
+
+const defined = Cesium.defined;
+
+module.exports = getTileContents;
+
+/**
+ * Gets the contents of a tile, which can be a single <code>content</code>, a <code>contents</code> array or the contents of
+ * the <code>3DTILES_multiple_contents</code> extension.
+ *
+ * @param {Object} tile The tile JSON.
+ * @param {String} pointer The JSON pointer to the tile.
+ * @returns {Object[]} The <code>content</code> JSON of each content together with the <code>pointer</code> to it. Contents that are not objects are left out, the schema validation reports them.
+ */
+function getTileContents(tile, pointer) {
+    const tileContents = [];
+    if (typeof tile.content === 'object' && tile.content !== null) {
+        tileContents.push({
+            content: tile.content,
+            pointer: `${pointer}/content`
+        });
+    }
+    addContents(tile.contents, `${pointer}/contents`, tileContents);
+
+    const extension = defined(tile.extensions) ? tile.extensions['3DTILES_multiple_contents'] : undefined;
+    if (defined(extension)) {
+        // Early drafts of the extension named the array content
+        const name = defined(extension.contents) ? 'contents' : 'content';
+        addContents(extension[name], `${pointer}/extensions/3DTILES_multiple_contents/${name}`, tileContents);
+    }
+    return tileContents;
+}
+
+function addContents(contents, pointer, tileContents) {
+    contents = Array.isArray(contents) ? contents : [];
+    const length = contents.length;
+    for (let i = 0; i < length; i++) {
+        if (typeof contents[i] !== 'object' || contents[i] === null) {
+            continue;
+        }
+        tileContents.push({
+            content: contents[i],
+            pointer: `${pointer}/${i}`
+        });
+    }
+}
@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = isAbsoluteUri;
+
+// A scheme has at least two characters, so Windows paths like C:\tiles are not absolute URIs
+const absoluteUriRegex = /^[a-z][a-z0-9+.-]+:/i;
+
+function isAbsoluteUri(uri) {
+    return absoluteUriRegex.test(uri);
+}
@@ -12,7 +12,7 @@ module.exports = isTile;
  * @returns {Boolean} True if the file path is a tile file path, false if not.
  */
 function isTile(filePath, version) {
-    var extension = path.extname(filePath);
+    const extension = path.extname(filePath);
     if (defined(version)) {
         if (version === '1.0') {
             return (
@@ -20,19 +20,22 @@ function isTile(filePath, version) {
                 extension === '.i3dm' ||
                 extension === '.pnts' ||
                 extension === '.cmpt');
-        } else if (version === '2.0.0-alpha.0') {
+        }
+        if (version === '2.0.0-alpha.0') {
             return (
                 extension === '.gltf' ||
                 extension === '.glb');
-        } else {
+        }
+        if (version !== '1.1') {
             return false;
         }
     }
 
-    // if no version specified, match any
+    // 3D Tiles 1.1 supports glTF content as well as the legacy tile formats.
+    // If no version is specified, match any.
     return (
         extension === '.gltf' ||
-        extension === '.glb' || 
+        extension === '.glb' ||
         extension === '.b3dm' ||
         extension === '.i3dm' ||
         extension === '.pnts' ||
@@ -0,0 +1,63 @@
+'use strict';
+const Cesium = require('cesium');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = readGltfAccessor;
+
+const componentTypes = {
+    5120: { read: 'getInt8', byteLength: 1, maximum: 127 },
+    5121: { read: 'getUint8', byteLength: 1, maximum: 255 },
+    5122: { read: 'getInt16', byteLength: 2, maximum: 32767 },
+    5123: { read: 'getUint16', byteLength: 2, maximum: 65535 },
+    5125: { read: 'getUint32', byteLength: 4, maximum: 4294967295 },
+    5126: { read: 'getFloat32', byteLength: 4, maximum: 1 }
+};
+
+const componentsLengths = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+};
+
+/**
+ * Reads the values of a glTF accessor. Normalized integer values are converted to floating point.
+ *
+ * @param {Object} gltf The glTF JSON.
+ * @param {Buffer[]} buffers The data of the glTF buffers by index. Buffers that are not available are undefined.
+ * @param {Number} accessorIndex The index of the accessor.
+ * @returns {Number[]|undefined} The component values of all elements, or undefined if the accessor cannot be read because it does not exist, is sparse, has no buffer view (e.g. because it is Draco compressed) or its buffer is not available.
+ */
+function readGltfAccessor(gltf, buffers, accessorIndex) {
+    const accessor = defaultValue(gltf.accessors, [])[accessorIndex];
+    if (!defined(accessor) || !defined(accessor.bufferView) || defined(accessor.sparse)) {
+        return undefined;
+    }
+    const componentType = componentTypes[accessor.componentType];
+    const componentsLength = componentsLengths[accessor.type];
+    const bufferView = defaultValue(gltf.bufferViews, [])[accessor.bufferView];
+    if (!defined(componentType) || !defined(componentsLength) || !defined(bufferView) || !defined(buffers[bufferView.buffer])) {
+        return undefined;
+    }
+
+    const buffer = buffers[bufferView.buffer];
+    const dataView = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const byteStride = defaultValue(bufferView.byteStride, componentType.byteLength * componentsLength);
+    const byteOffset = defaultValue(bufferView.byteOffset, 0) + defaultValue(accessor.byteOffset, 0);
+    const values = new Array(accessor.count * componentsLength);
+    for (let i = 0; i < accessor.count; i++) {
+        for (let j = 0; j < componentsLength; j++) {
+            let value = dataView[componentType.read](byteOffset + i * byteStride + j * componentType.byteLength, true);
+            if (accessor.normalized) {
+                value = Math.max(value / componentType.maximum, -1.0);
+            }
+            values[i * componentsLength + j] = value;
+        }
+    }
+    return values;
+}
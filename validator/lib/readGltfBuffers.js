@@ -0,0 +1,36 @@
+'use strict';
+const Cesium = require('cesium');
+const path = require('path');
+
+const isDataUri = require('./isDataUri');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = readGltfBuffers;
+
+/**
+ * Reads the data of the buffers of a glTF: the binary chunk of a glb, embedded buffers and external buffers.
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {Object} options.gltf The glTF JSON.
+ * @param {Buffer} [options.binaryChunk] The binary chunk of a glb.
+ * @param {String} options.directory The directory that external buffers are relative to.
+ * @param {Object} options.reader The resource reader.
+ * @returns {Promise} A promise that resolves to the data of the buffers by index. Buffers that cannot be read are undefined, since they are reported by glTF-Validator.
+ */
+async function readGltfBuffers(options) {
+    const buffers = defaultValue(options.gltf.buffers, []);
+    return await Promise.all(buffers.map(async buffer => {
+        if (!defined(buffer.uri)) {
+            return options.binaryChunk;
+        } else if (isDataUri(buffer.uri)) {
+            return Buffer.from(buffer.uri.split(',')[1], 'base64');
+        }
+        try {
+            return await options.reader.readBinary(path.join(options.directory, decodeURIComponent(buffer.uri)));
+        } catch (error) {
+            return undefined;
+        }
+    }));
+}
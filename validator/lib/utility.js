@@ -1,21 +1,40 @@
 'use strict';
 const Cesium = require('cesium');
 
+const ValidationSeverity = require('./ValidationSeverity');
+
 const BoundingSphere = Cesium.BoundingSphere;
 const Cartesian3 = Cesium.Cartesian3;
+const Cartographic = Cesium.Cartographic;
 const CesiumMath = Cesium.Math;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const Ellipsoid = Cesium.Ellipsoid;
 const Intersect = Cesium.Intersect;
 const Matrix3 = Cesium.Matrix3;
 const Matrix4 = Cesium.Matrix4;
+const OrientedBoundingBox = Cesium.OrientedBoundingBox;
 const Plane = Cesium.Plane;
+const Rectangle = Cesium.Rectangle;
 
 module.exports = {
     boxInsideBox: boxInsideBox,
+    boxInsideRegion: boxInsideRegion,
     boxInsideSphere: boxInsideSphere,
     componentTypeToByteLength: componentTypeToByteLength,
+    hasErrors: hasErrors,
     isBufferValidUtf8: isBufferValidUtf8,
+    isLessThanOrEqual: isLessThanOrEqual,
+    locateIssues: locateIssues,
+    pointInsideBox: pointInsideBox,
+    pointInsideRegion: pointInsideRegion,
+    pointInsideSphere: pointInsideSphere,
+    regionInsideBox: regionInsideBox,
     regionInsideRegion: regionInsideRegion,
+    regionInsideSphere: regionInsideSphere,
+    regionToBox: regionToBox,
     sphereInsideBox: sphereInsideBox,
+    sphereInsideRegion: sphereInsideRegion,
     sphereInsideSphere: sphereInsideSphere,
     typeToComponentsLength: typeToComponentsLength,
     normalizePath: normalizePath
@@ -24,10 +43,28 @@ module.exports = {
 function normalizePath(path) {
     // on Windows, the paths get backslashes (due to path.join)
     // normalize that to be able to deal with internal zip paths
-    let res = path.replace(/\.\//, "");
+    const res = path.replace(/^(\.\/)+/, '');
     return res.replace(/\\/g, '/');
 }
 
+function locateIssues(issues, filePath, byteOffset) {
+    // Issues from helpers that validate a section of a file (feature table, batch table, embedded glb, inner tile)
+    // are reported relative to that section. Assign them to the file and shift their byte offsets to the section.
+    const length = issues.length;
+    for (let i = 0; i < length; i++) {
+        const issue = issues[i];
+        issue.filePath = filePath;
+        if (defined(issue.byteOffset)) {
+            issue.byteOffset += byteOffset;
+        }
+    }
+    return issues;
+}
+
+function hasErrors(issues) {
+    return issues.some(issue => issue.severity === ValidationSeverity.ERROR);
+}
+
 function typeToComponentsLength(type) {
     switch (type) {
         case 'SCALAR':
@@ -66,21 +103,62 @@ function isBufferValidUtf8(buffer){
     return Buffer.compare(Buffer.from(buffer.toString()), buffer) === 0;
 }
 
-function regionInsideRegion(regionInner, regionOuter) {
-    return (regionInner[0] >= regionOuter[0]) &&
-        (regionInner[1] >= regionOuter[1]) &&
-        (regionInner[2] <= regionOuter[2]) &&
-        (regionInner[3] <= regionOuter[3]) &&
-        (regionInner[4] >= regionOuter[4]) &&
-        (regionInner[5] <= regionOuter[5]);
+function isLessThanOrEqual(a, b) {
+    // Compares metadata values component-wise, including the elements of arrays, vectors and matrices
+    if (Array.isArray(a)) {
+        return Array.isArray(b) && a.length === b.length && a.every((component, index) => isLessThanOrEqual(component, b[index]));
+    }
+    return a <= b;
+}
+
+// The containment checks accept an optional tolerance in meters by which the outer volume is grown
+
+function regionInsideRegion(regionInner, regionOuter, tolerance) {
+    tolerance = defaultValue(tolerance, 0.0);
+    const angleTolerance = tolerance / Ellipsoid.WGS84.minimumRadius;
+    return longitudesInsideLongitudes(regionInner[0], regionInner[2], regionOuter[0], regionOuter[2], angleTolerance) &&
+        (regionInner[1] >= regionOuter[1] - angleTolerance) &&
+        (regionInner[3] <= regionOuter[3] + angleTolerance) &&
+        (regionInner[4] >= regionOuter[4] - tolerance) &&
+        (regionInner[5] <= regionOuter[5] + tolerance);
+}
+
+function longitudesInsideLongitudes(westInner, eastInner, westOuter, eastOuter, angleTolerance) {
+    // Regions with west > east cross the antimeridian. Their east is unwrapped past PI so that each longitude range is
+    // an increasing interval, and the inner interval is compared against the outer one shifted by a full turn both ways.
+    if (eastInner < westInner) {
+        eastInner += CesiumMath.TWO_PI;
+    }
+    if (eastOuter < westOuter) {
+        eastOuter += CesiumMath.TWO_PI;
+    }
+    return [-CesiumMath.TWO_PI, 0.0, CesiumMath.TWO_PI].some(offset =>
+        westInner >= westOuter + offset - angleTolerance && eastInner <= eastOuter + offset + angleTolerance);
+}
+
+const scratchRectangle = new Rectangle();
+const scratchOrientedBoundingBox = new OrientedBoundingBox();
+
+function regionToBox(region) {
+    // Returns the oriented bounding box of the region on the WGS84 ellipsoid in ECEF coordinates,
+    // or undefined if the region is too large to be enclosed by an oriented bounding box.
+    const rectangle = Rectangle.unpack(region, 0, scratchRectangle);
+    let orientedBoundingBox;
+    try {
+        orientedBoundingBox = OrientedBoundingBox.fromRectangle(rectangle, region[4], region[5], Ellipsoid.WGS84, scratchOrientedBoundingBox);
+    } catch (error) {
+        return undefined;
+    }
+    const box = Cartesian3.pack(orientedBoundingBox.center, []);
+    return Matrix3.pack(orientedBoundingBox.halfAxes, box, 3);
 }
 
 const scratchInnerCenter = new Cartesian3();
 const scratchOuterCenter = new Cartesian3();
 
-function sphereInsideSphere(sphereInner, sphereOuter) {
+function sphereInsideSphere(sphereInner, sphereOuter, tolerance) {
     const radiusInner = sphereInner[3];
-    const radiusOuter = sphereOuter[3];
+    const radiusOuter = sphereOuter[3] + defaultValue(tolerance, 0.0);
     const centerInner = Cartesian3.unpack(sphereInner, 0, scratchInnerCenter);
     const centerOuter = Cartesian3.unpack(sphereOuter, 0, scratchOuterCenter);
     const distance = Cartesian3.distance(centerInner, centerOuter);
@@ -90,7 +168,8 @@ function sphereInsideSphere(sphereInner, sphereOuter) {
 const scratchInnerHalfAxes = new Matrix3();
 const scratchOuterHalfAxes = new Matrix3();
 
-function boxInsideBox(boxInner, boxOuter) {
+function boxInsideBox(boxInner, boxOuter, tolerance) {
+    boxOuter = expandBox(boxOuter, tolerance);
     const centerInner = Cartesian3.fromElements(boxInner[0], boxInner[1], boxInner[2], scratchInnerCenter);
     const halfAxesInner = Matrix3.fromArray(boxInner, 3, scratchInnerHalfAxes);
     const transformInner = Matrix4.fromRotationTranslation(halfAxesInner, centerInner);
@@ -118,12 +197,12 @@ const scratchBoxCenter = new Cartesian3();
 const scratchSphereCenter = new Cartesian3();
 const scratchBoxHalfAxes = new Matrix3();
 
-function boxInsideSphere(box, sphere) {
+function boxInsideSphere(box, sphere, tolerance) {
     const centerBox = Cartesian3.fromElements(box[0], box[1], box[2], scratchBoxCenter);
     const halfAxesBox = Matrix3.fromArray(box, 3, scratchBoxHalfAxes);
     const transformBox = Matrix4.fromRotationTranslation(halfAxesBox, centerBox);
 
-    const radiusSphere = sphere[3];
+    const radiusSphere = sphere[3] + defaultValue(tolerance, 0.0);
     const centerSphere = Cartesian3.unpack(sphere, 0, scratchSphereCenter);
 
     const cube = createUnitCube();
@@ -138,7 +217,8 @@ function boxInsideSphere(box, sphere) {
     return true;
 }
 
-function sphereInsideBox(sphere, box) {
+function sphereInsideBox(sphere, box, tolerance) {
+    box = expandBox(box, tolerance);
     const centerBox = Cartesian3.fromElements(box[0], box[1], box[2], scratchBoxCenter);
     const halfAxesBox = Matrix3.fromArray(box, 3, scratchBoxHalfAxes);
     const transformBox = Matrix4.fromRotationTranslation(halfAxesBox, centerBox);
@@ -170,6 +250,186 @@ function sphereInsideBox(sphere, box) {
     return true;
 }
 
+// Regions are bounded by curved surfaces on the WGS84 ellipsoid, so the containment checks between regions and
+// boxes or spheres compare the oriented bounding box of the region first and fall back to testing points sampled
+// on the surface of the inner volume.
+
+const sampleCount = 8;
+
+function regionInsideBox(region, box, tolerance) {
+    const regionBox = regionToBox(region);
+    if (defined(regionBox) && boxInsideBox(regionBox, box, tolerance)) {
+        return true;
+    }
+    return getRegionSamplePoints(region).every(point => pointInsideBox(point, box, tolerance));
+}
+
+function regionInsideSphere(region, sphere, tolerance) {
+    const regionBox = regionToBox(region);
+    if (defined(regionBox) && boxInsideSphere(regionBox, sphere, tolerance)) {
+        return true;
+    }
+    return getRegionSamplePoints(region).every(point => pointInsideSphere(point, sphere, tolerance));
+}
+
+function boxInsideRegion(box, region, tolerance) {
+    const regionBox = regionToBox(region);
+    if (defined(regionBox) && !boxInsideBox(box, regionBox, tolerance)) {
+        return false;
+    }
+    return getBoxSamplePoints(box).every(point => pointInsideRegion(point, region, tolerance));
+}
+
+function sphereInsideRegion(sphere, region, tolerance) {
+    const regionBox = regionToBox(region);
+    if (defined(regionBox) && !sphereInsideBox(sphere, regionBox, tolerance)) {
+        return false;
+    }
+    return getSphereSamplePoints(sphere).every(point => pointInsideRegion(point, region, tolerance));
+}
+
+function getRegionSamplePoints(region) {
+    // Samples the top and bottom surfaces and the side walls of the region
+    const west = region[0];
+    const south = region[1];
+    const north = region[3];
+    const width = Rectangle.computeWidth(Rectangle.unpack(region, 0, scratchRectangle));
+    const points = [];
+    for (let i = 0; i <= sampleCount; i++) {
+        const longitude = west + width * i / sampleCount;
+        for (let j = 0; j <= sampleCount; j++) {
+            const latitude = south + (north - south) * j / sampleCount;
+            const onSide = (i === 0 || i === sampleCount || j === 0 || j === sampleCount);
+            for (let k = 0; k <= sampleCount; k++) {
+                if (k === 0 || k === sampleCount || onSide) {
+                    const height = region[4] + (region[5] - region[4]) * k / sampleCount;
+                    points.push(Cartesian3.fromRadians(longitude, latitude, height, Ellipsoid.WGS84));
+                }
+            }
+        }
+    }
+    return points;
+}
+
+function getBoxSamplePoints(box) {
+    // Samples the faces of the box
+    const transform = Matrix4.fromRotationTranslation(Matrix3.fromArray(box, 3), Cartesian3.unpack(box, 0));
+    const points = [];
+    for (let i = 0; i <= sampleCount; i++) {
+        for (let j = 0; j <= sampleCount; j++) {
+            for (let k = 0; k <= sampleCount; k++) {
+                if (i === 0 || i === sampleCount || j === 0 || j === sampleCount || k === 0 || k === sampleCount) {
+                    const point = new Cartesian3(2 * i / sampleCount - 1, 2 * j / sampleCount - 1, 2 * k / sampleCount - 1);
+                    points.push(Matrix4.multiplyByPoint(transform, point, point));
+                }
+            }
+        }
+    }
+    return points;
+}
+
+function getSphereSamplePoints(sphere) {
+    const center = Cartesian3.unpack(sphere, 0);
+    const radius = sphere[3];
+    const points = [];
+    const latitudeCount = sampleCount * 2;
+    const longitudeCount = sampleCount * 4;
+    for (let i = 0; i <= latitudeCount; i++) {
+        const latitude = CesiumMath.PI * i / latitudeCount - CesiumMath.PI_OVER_TWO;
+        for (let j = 0; j < longitudeCount; j++) {
+            const longitude = CesiumMath.TWO_PI * j / longitudeCount;
+            const direction = new Cartesian3(Math.cos(latitude) * Math.cos(longitude), Math.cos(latitude) * Math.sin(longitude), Math.sin(latitude));
+            points.push(Cartesian3.add(center, Cartesian3.multiplyByScalar(direction, radius, direction), direction));
+        }
+    }
+    return points;
+}
+
+const scratchPointTransform = new Matrix4();
+const scratchLocalPoint = new Cartesian3();
+
+function pointInsideBox(point, box, tolerance) {
+    box = expandBox(box, tolerance);
+    const transform = Matrix4.fromRotationTranslation(Matrix3.fromArray(box, 3), Cartesian3.unpack(box, 0), scratchPointTransform);
+    const inverse = Matrix4.inverse(transform, transform);
+    const localPoint = Matrix4.multiplyByPoint(inverse, point, scratchLocalPoint);
+    const maximum = Math.max(Math.abs(localPoint.x), Math.abs(localPoint.y), Math.abs(localPoint.z));
+    return maximum <= 1.0 + CesiumMath.EPSILON8;
+}
+
+function pointInsideSphere(point, sphere, tolerance) {
+    const center = Cartesian3.unpack(sphere, 0, scratchSphereCenter);
+    return Cartesian3.distance(point, center) <= sphere[3] + defaultValue(tolerance, 0.0);
+}
+
+const scratchCartographic = new Cartographic();
+
+function pointInsideRegion(point, region, tolerance) {
+    const cartographic = Ellipsoid.WGS84.cartesianToCartographic(point, scratchCartographic);
+    if (!defined(cartographic)) {
+        // The point is at the center of the ellipsoid
+        return false;
+    }
+    tolerance = defaultValue(tolerance, 0.0);
+    const angleTolerance = tolerance / Ellipsoid.WGS84.minimumRadius + CesiumMath.EPSILON10;
+    const rectangle = Rectangle.unpack(region, 0, scratchRectangle);
+    const longitude = cartographic.longitude;
+    let insideLongitude;
+    if (rectangle.west <= rectangle.east) {
+        insideLongitude = longitude >= rectangle.west - angleTolerance && longitude <= rectangle.east + angleTolerance;
+    } else {
+        // The region crosses the antimeridian
+        insideLongitude = longitude >= rectangle.west - angleTolerance || longitude <= rectangle.east + angleTolerance;
+    }
+    return insideLongitude &&
+        cartographic.latitude >= rectangle.south - angleTolerance &&
+        cartographic.latitude <= rectangle.north + angleTolerance &&
+        cartographic.height >= region[4] - tolerance - CesiumMath.EPSILON7 &&
+        cartographic.height <= region[5] + tolerance + CesiumMath.EPSILON7;
+}
+
+function expandBox(box, tolerance) {
+    // Grows each half-axis by the tolerance. Half-axes of length 0 (flat boxes) are replaced by a short axis
+    // perpendicular to the others, so that the box remains invertible.
+    tolerance = defaultValue(tolerance, 0.0);
+    const lengths = [];
+    const directions = [];
+    const knownDirections = [];
+    for (let i = 0; i < 3; i++) {
+        const axis = Cartesian3.fromArray(box, 3 + i * 3);
+        lengths[i] = Cartesian3.magnitude(axis);
+        if (lengths[i] > 0.0) {
+            directions[i] = Cartesian3.divideByScalar(axis, lengths[i], axis);
+            knownDirections.push(directions[i]);
+        }
+    }
+    const maximumLength = Math.max(lengths[0], lengths[1], lengths[2]);
+    const minimumLength = Math.max(tolerance, maximumLength * CesiumMath.EPSILON7, CesiumMath.EPSILON10);
+
+    for (let i = 0; i < 3; i++) {
+        if (!defined(directions[i])) {
+            let direction;
+            if (knownDirections.length >= 2) {
+                direction = Cartesian3.cross(knownDirections[0], knownDirections[1], new Cartesian3());
+            } else if (knownDirections.length === 1) {
+                const orthogonal = Cartesian3.mostOrthogonalAxis(knownDirections[0], new Cartesian3());
+                direction = Cartesian3.cross(knownDirections[0], orthogonal, new Cartesian3());
+            } else {
+                direction = Cartesian3.fromArray([1, 0, 0, 0, 1, 0, 0, 0, 1], i * 3);
+            }
+            directions[i] = Cartesian3.normalize(direction, direction);
+            knownDirections.push(directions[i]);
+        }
+    }
+
+    const expanded = box.slice(0, 3);
+    for (let i = 0; i < 3; i++) {
+        const axis = Cartesian3.multiplyByScalar(directions[i], Math.max(lengths[i] + tolerance, minimumLength), new Cartesian3());
+        expanded.push(axis.x, axis.y, axis.z);
+    }
+    return expanded;
+}
+
 function planeFromPoints(point1, point2, point3) {
     const a = new Cartesian3();
     const b = new Cartesian3();
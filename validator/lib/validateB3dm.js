@@ -2,13 +2,19 @@
 const Cesium = require('cesium');
 
 const bufferToJson = require('./bufferToJson');
+const createValidationIssue = require('./createValidationIssue');
 const isDataUri = require('./isDataUri');
+const utility = require('./utility');
 const validateBatchTable = require('./validateBatchTable');
 const validateFeatureTable = require('./validateFeatureTable');
 const validateGlb = require('./validateGlb');
 
+const Cesium3DTileFeatureTable = Cesium.Cesium3DTileFeatureTable;
+const ComponentDatatype = Cesium.ComponentDatatype;
 const defined = Cesium.defined;
 
+const locateIssues = utility.locateIssues;
+
 module.exports = validateB3dm;
 
 const featureTableSemantics = {
@@ -25,7 +31,8 @@ const featureTableSemantics = {
 };
 
 /**
- * Checks if the provided buffer has valid b3dm tile content
+ * Checks if the provided buffer has valid b3dm tile content. The batch IDs of the glb must be less than the
+ * <code>BATCH_LENGTH</code> of the feature table, see {@link validateGltfBatchIds}.
  *
  * @param {Object} options An object with the following properties:
  * @param {Buffer} options.content A buffer containing the contents of a b3dm tile.
@@ -33,14 +40,17 @@ const featureTableSemantics = {
  * @param {String} options.directory The tile's directory.
  * @param {Object} options.reader The resource reader.
  * @param {Boolean} [options.writeReports=false] Write glTF error report next to the glTF file in question.
- * @returns {Promise} A promise that resolves when the validation completes. If the validation fails, the promise will resolve to an error message.
+ * @param {Object} [options.extensionRegistry] The registry that the extensions used by the feature table and batch table are recorded in, see {@link createExtensionRegistry}.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the tile is valid.
  */
 async function validateB3dm(options) {
     const content = options.content;
+    const filePath = options.filePath;
+    const issues = [];
 
     const headerByteLength = 28;
     if (content.length < headerByteLength) {
-        return 'Header must be 28 bytes.';
+        return [createError(filePath, 'HEADER_LENGTH_INVALID', 'Header must be 28 bytes.', 0)];
     }
 
     const magic = content.toString('utf8', 0, 4);
@@ -52,15 +62,16 @@ async function validateB3dm(options) {
     const batchTableBinaryByteLength = content.readUInt32LE(24);
 
     if (magic !== 'b3dm') {
-        return `Invalid magic: ${magic}`;
+        return [createError(filePath, 'MAGIC_INVALID', `Invalid magic: ${magic}`, 0)];
     }
 
     if (version !== 1) {
-        return `Invalid version: ${version}. Version must be 1.`;
+        issues.push(createError(filePath, 'VERSION_INVALID', `Invalid version: ${version}. Version must be 1.`, 4));
     }
 
     if (byteLength !== content.length) {
-        return `byteLength of ${byteLength} does not equal the tile\'s actual byte length of ${content.length}.`;
+        issues.push(createError(filePath, 'BYTE_LENGTH_MISMATCH', `byteLength of ${byteLength} does not equal the tile\'s actual byte length of ${content.length}.`, 8));
+        return issues;
     }
 
     // Legacy header #1: [batchLength] [batchTableByteLength]
@@ -70,9 +81,11 @@ async function validateB3dm(options) {
     // Accordingly its first byte will be either 0x22 or 0x67, and so the minimum uint32 expected is 0x22000000 = 570425344 = 570MB. It is unlikely that the batch table JSON will exceed this length.
     // The check for the second legacy format is similar, except it checks 'batchTableBinaryByteLength' instead
     if (batchTableJsonByteLength >= 570425344) {
-        return 'Header is using the legacy format [batchLength] [batchTableByteLength]. The new format is [featureTableJsonByteLength] [featureTableBinaryByteLength] [batchTableJsonByteLength] [batchTableBinaryByteLength].';
+        issues.push(createError(filePath, 'HEADER_LEGACY_FORMAT', 'Header is using the legacy format [batchLength] [batchTableByteLength]. The new format is [featureTableJsonByteLength] [featureTableBinaryByteLength] [batchTableJsonByteLength] [batchTableBinaryByteLength].', 20));
+        return issues;
     } else if (batchTableBinaryByteLength >= 570425344) {
-        return 'Header is using the legacy format [batchTableJsonByteLength] [batchTableBinaryByteLength] [batchLength]. The new format is [featureTableJsonByteLength] [featureTableBinaryByteLength] [batchTableJsonByteLength] [batchTableBinaryByteLength].';
+        issues.push(createError(filePath, 'HEADER_LEGACY_FORMAT', 'Header is using the legacy format [batchTableJsonByteLength] [batchTableBinaryByteLength] [batchLength]. The new format is [featureTableJsonByteLength] [featureTableBinaryByteLength] [batchTableJsonByteLength] [batchTableBinaryByteLength].', 24));
+        return issues;
     }
 
     const featureTableJsonByteOffset = headerByteLength;
@@ -83,19 +96,20 @@ async function validateB3dm(options) {
     let glbByteLength = Math.max(byteLength - glbByteOffset, 0);
 
     if (featureTableBinaryByteOffset % 8 > 0) {
-        return 'Feature table binary must be aligned to an 8-byte boundary.';
+        issues.push(createError(filePath, 'FEATURE_TABLE_BINARY_UNALIGNED', 'Feature table binary must be aligned to an 8-byte boundary.', featureTableBinaryByteOffset));
     }
 
     if (batchTableBinaryByteOffset % 8 > 0) {
-        return 'Batch table binary must be aligned to an 8-byte boundary.';
+        issues.push(createError(filePath, 'BATCH_TABLE_BINARY_UNALIGNED', 'Batch table binary must be aligned to an 8-byte boundary.', batchTableBinaryByteOffset));
     }
 
     if (glbByteOffset % 8 > 0) {
-        return 'Glb must be aligned to an 8-byte boundary.';
+        issues.push(createError(filePath, 'GLB_UNALIGNED', 'Glb must be aligned to an 8-byte boundary.', glbByteOffset));
     }
 
     if (headerByteLength + featureTableJsonByteLength + featureTableBinaryByteLength + batchTableJsonByteLength + batchTableBinaryByteLength + glbByteLength > byteLength) {
-        return 'Feature table, batch table, and glb byte lengths exceed the tile\'s byte length.';
+        issues.push(createError(filePath, 'BYTE_LENGTHS_EXCEED_TILE', 'Feature table, batch table, and glb byte lengths exceed the tile\'s byte length.', 12));
+        return issues;
     }
 
     const featureTableJsonBuffer = content.slice(featureTableJsonByteOffset, featureTableBinaryByteOffset);
@@ -112,39 +126,69 @@ async function validateB3dm(options) {
     try {
         featureTableJson = bufferToJson(featureTableJsonBuffer);
     } catch (error) {
-        return `Feature table JSON could not be parsed: ${error.message}`;
+        issues.push(createError(filePath, 'FEATURE_TABLE_JSON_INVALID', `Feature table JSON could not be parsed: ${error.message}`, featureTableJsonByteOffset));
     }
 
     try {
         batchTableJson = bufferToJson(batchTableJsonBuffer);
     } catch (error) {
-        return `Batch table JSON could not be parsed: ${error.message}`;
+        issues.push(createError(filePath, 'BATCH_TABLE_JSON_INVALID', `Batch table JSON could not be parsed: ${error.message}`, batchTableJsonByteOffset));
     }
 
-    const featuresLength = featureTableJson.BATCH_LENGTH;
-    if (!defined(featuresLength)) {
-        return 'Feature table must contain a BATCH_LENGTH property.';
+    if (defined(options.extensionRegistry)) {
+        options.extensionRegistry.addExtensions(featureTableJson, filePath, '', featureTableJsonByteOffset);
+        options.extensionRegistry.addExtensions(batchTableJson, filePath, '', batchTableJsonByteOffset);
     }
 
-    const featureTableMessage = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-    if (defined(featureTableMessage)) {
-        return featureTableMessage;
-    }
+    let batchLength;
+    if (defined(featureTableJson)) {
+        const featuresLength = featureTableJson.BATCH_LENGTH;
+        if (!defined(featuresLength)) {
+            issues.push(createMissingPropertyError(filePath, 'Feature table must contain a BATCH_LENGTH property.', '/BATCH_LENGTH', featureTableJsonByteOffset));
+        } else {
+            const featureTableIssues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+            issues.push.apply(issues, locateIssues(featureTableIssues, filePath, featureTableBinaryByteOffset));
 
-    const batchTableMessage = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-    if (defined(batchTableMessage)) {
-        return batchTableMessage;
+            // BATCH_LENGTH may be stored in the feature table binary, so it can only be read once the feature table is valid
+            if (featureTableIssues.length === 0) {
+                const featureTable = new Cesium3DTileFeatureTable(featureTableJson, featureTableBinary);
+                batchLength = featureTable.getGlobalProperty('BATCH_LENGTH', ComponentDatatype.UNSIGNED_INT);
+            }
+
+            if (defined(batchTableJson)) {
+                const batchTableIssues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+                issues.push.apply(issues, locateIssues(batchTableIssues, filePath, batchTableBinaryByteOffset));
+            }
+        }
     }
 
-    const filePath = isDataUri(options.filePath) ? options.filePath : `${options.filePath}.glb`;
-    const glbMessage = await validateGlb({
+    const glbIssues = await validateGlb({
         content: glb,
         reader: options.reader,
-        filePath: filePath,
+        filePath: isDataUri(filePath) ? filePath : `${filePath}.glb`,
         directory: options.directory,
-        writeReports: options.writeReports
+        writeReports: options.writeReports,
+        batchLength: batchLength
+    });
+    issues.push.apply(issues, locateIssues(glbIssues, filePath, glbByteOffset));
+    return issues;
+}
+
+function createError(filePath, code, message, byteOffset) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        byteOffset: byteOffset
+    });
+}
+
+function createMissingPropertyError(filePath, message, pointer, byteOffset) {
+    return createValidationIssue({
+        code: 'FEATURE_TABLE_PROPERTY_MISSING',
+        message: message,
+        filePath: filePath,
+        pointer: pointer,
+        byteOffset: byteOffset
     });
-    if (defined(glbMessage)) {
-        return glbMessage;
-    }
 }
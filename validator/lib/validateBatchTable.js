@@ -1,8 +1,12 @@
 'use strict';
 const Cesium = require('cesium');
 
+const createValidationIssue = require('./createValidationIssue');
 const utility = require('./utility');
+const validateBatchTableHierarchy = require('./validateBatchTableHierarchy');
+const ValidationSeverity = require('./ValidationSeverity');
 
+const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
 
 const componentTypeToByteLength = utility.componentTypeToByteLength;
@@ -11,14 +15,16 @@ const typeToComponentsLength = utility.typeToComponentsLength;
 module.exports = validateBatchTable;
 
 /**
- * Checks if the batch table JSON and batch table binary are valid
+ * Checks if the batch table JSON and batch table binary are valid, including the <code>3DTILES_batch_table_hierarchy</code>
+ * extension, see {@link validateBatchTableHierarchy}.
  *
  * @param {Object} batchTableJson Batch table JSON.
  * @param {Buffer} batchTableBinary Batch table binary.
  * @param {Number} featuresLength The number of features.
- * @returns {String} An error message if validation fails, otherwise undefined.
+ * @returns {ValidationIssue[]} The issues found. Pointers are relative to the batch table JSON and byte offsets are relative to the batch table binary.
  */
 function validateBatchTable(batchTableJson, batchTableBinary, featuresLength) {
+    const issues = [];
     for (const name in batchTableJson) {
         if (batchTableJson.hasOwnProperty(name)) {
             if (name === 'extensions' || name === 'extras') {
@@ -30,49 +36,97 @@ function validateBatchTable(batchTableJson, batchTableBinary, featuresLength) {
 
             const property = batchTableJson[name];
             const byteOffset = property.byteOffset;
+            const pointer = `/${name}`;
+
+            if (featuresLength === 0) {
+                issues.push(createValidationIssue({
+                    severity: ValidationSeverity.WARNING,
+                    code: 'BATCH_TABLE_PROPERTY_WITHOUT_FEATURES',
+                    message: `Batch table property "${name}" is defined although the content has no features.`,
+                    pointer: pointer
+                }));
+            }
 
             if (defined(byteOffset)) {
                 if (typeof byteOffset !== 'number') {
-                    return `Batch table binary property "${name}" byteOffset must be a number.`;
+                    issues.push(createError('BATCH_TABLE_BYTE_OFFSET_INVALID', `Batch table binary property "${name}" byteOffset must be a number.`, `${pointer}/byteOffset`));
+                    continue;
                 }
 
                 const componentType = property.componentType;
                 const type = property.type;
 
                 if (!defined(type)) {
-                    return `Batch table binary property "${name}" must have a type.`;
+                    issues.push(createError('BATCH_TABLE_TYPE_MISSING', `Batch table binary property "${name}" must have a type.`, `${pointer}/type`));
+                    continue;
                 }
 
                 if (!defined(componentType)) {
-                    return `Batch table binary property "${name}" must have a componentType.`;
+                    issues.push(createError('BATCH_TABLE_COMPONENT_TYPE_MISSING', `Batch table binary property "${name}" must have a componentType.`, `${pointer}/componentType`));
+                    continue;
                 }
 
                 const componentsLength = typeToComponentsLength(type);
                 const componentByteLength = componentTypeToByteLength(componentType);
 
                 if (!defined(componentsLength)) {
-                    return `Batch table binary property "${name}" has invalid type "${type}".`;
+                    issues.push(createError('BATCH_TABLE_TYPE_INVALID', `Batch table binary property "${name}" has invalid type "${type}".`, `${pointer}/type`));
+                    continue;
                 }
                 if (!defined(componentByteLength)) {
-                    return `Batch table binary property "${name}" has invalid componentType "${componentType}".`;
+                    issues.push(createError('BATCH_TABLE_COMPONENT_TYPE_INVALID', `Batch table binary property "${name}" has invalid componentType "${componentType}".`, `${pointer}/componentType`));
+                    continue;
                 }
                 if (byteOffset % componentByteLength > 0) {
-                    return `Batch table binary property "${name}" must be aligned to a ${componentByteLength}-byte boundary.`;
+                    issues.push(createError('BATCH_TABLE_PROPERTY_UNALIGNED', `Batch table binary property "${name}" must be aligned to a ${componentByteLength}-byte boundary.`, `${pointer}/byteOffset`, byteOffset));
+                    continue;
                 }
                 const propertyByteLength = componentsLength * componentByteLength * featuresLength;
                 if (byteOffset + propertyByteLength > batchTableBinary.length) {
-                    return `Batch table binary property "${name}" exceeds batch table binary byte length.`;
+                    issues.push(createError('BATCH_TABLE_PROPERTY_OUT_OF_BOUNDS', `Batch table binary property "${name}" exceeds batch table binary byte length.`, `${pointer}/byteOffset`, byteOffset));
                 }
             } else {
                 if (!Array.isArray(property)) {
-                    return `Batch table property "${name}" must be an array.`;
+                    issues.push(createError('BATCH_TABLE_PROPERTY_TYPE_INVALID', `Batch table property "${name}" must be an array.`, pointer));
+                    continue;
                 }
                 if (property.length !== featuresLength) {
-                    return `Batch table property "${name}" array length must equal features length ${featuresLength}.`;
+                    issues.push(createError('BATCH_TABLE_PROPERTY_LENGTH_INVALID', `Batch table property "${name}" array length must equal features length ${featuresLength}.`, pointer));
                 }
             }
         }
     }
+
+    const hierarchy = defined(batchTableJson.extensions) ? batchTableJson.extensions['3DTILES_batch_table_hierarchy'] : undefined;
+    if (defined(hierarchy)) {
+        issues.push.apply(issues, validateBatchTableHierarchy(hierarchy, batchTableBinary, featuresLength));
+
+        // The instance properties of each class are laid out like batch table properties, with one value per instance of the class
+        // Classes that are not objects with a valid length are reported by validateBatchTableHierarchy
+        const classes = Array.isArray(hierarchy.classes) ? hierarchy.classes : [];
+        for (let i = 0; i < classes.length; i++) {
+            const classDefinition = classes[i];
+            if (!defined(classDefinition) || typeof classDefinition !== 'object' || !Number.isInteger(classDefinition.length)) {
+                continue;
+            }
+            const classIssues = validateBatchTable(defaultValue(classDefinition.instances, {}), batchTableBinary, classDefinition.length);
+            const classPointer = `/extensions/3DTILES_batch_table_hierarchy/classes/${i}/instances`;
+            classIssues.forEach(issue => {
+                issue.pointer = classPointer + issue.pointer;
+            });
+            issues.push.apply(issues, classIssues);
+        }
+    }
+    return issues;
+}
+
+function createError(code, message, pointer, byteOffset) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        pointer: pointer,
+        byteOffset: byteOffset
+    });
 }
 
 function hasDracoProperty(batchTableJson, propertyName) {
@@ -80,7 +134,7 @@ function hasDracoProperty(batchTableJson, propertyName) {
     if (defined(extensions)) {
         const dracoExtension = extensions['3DTILES_draco_point_compression'];
         if (defined(dracoExtension)) {
-            return defined(dracoExtension.properties[propertyName]);
+            return defined(defaultValue(dracoExtension.properties, defaultValue.EMPTY_OBJECT)[propertyName]);
         }
     }
     return false;
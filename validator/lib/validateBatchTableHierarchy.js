@@ -0,0 +1,224 @@
+'use strict';
+const Cesium = require('cesium');
+
+const createValidationIssue = require('./createValidationIssue');
+const utility = require('./utility');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+const componentTypeToByteLength = utility.componentTypeToByteLength;
+
+module.exports = validateBatchTableHierarchy;
+
+const readFunctions = {
+    UNSIGNED_BYTE: 'getUint8',
+    UNSIGNED_SHORT: 'getUint16',
+    UNSIGNED_INT: 'getUint32'
+};
+
+/**
+ * Checks the <code>3DTILES_batch_table_hierarchy</code> extension of a batch table: the lengths of the classes must add
+ * up to <code>instancesLength</code>, which covers all features, <code>classIds</code>, <code>parentCounts</code> and
+ * <code>parentIds</code> must have one value per instance or parent and refer to existing classes and instances, and
+ * no instance may be its own ancestor. The instance properties of the classes are not checked here, since they have
+ * the layout of batch table properties, see {@link validateBatchTable}.
+ *
+ * @param {Object} hierarchy The JSON of the extension.
+ * @param {Buffer} batchTableBinary Batch table binary.
+ * @param {Number} featuresLength The number of features.
+ * @returns {ValidationIssue[]} The issues found. Pointers are relative to the batch table JSON and byte offsets are relative to the batch table binary.
+ */
+function validateBatchTableHierarchy(hierarchy, batchTableBinary, featuresLength) {
+    const pointer = '/extensions/3DTILES_batch_table_hierarchy';
+    const issues = [];
+    const classes = defaultValue(hierarchy.classes, []);
+    const instancesLength = hierarchy.instancesLength;
+
+    if (!Number.isInteger(instancesLength) || instancesLength < 0) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_INSTANCES_LENGTH_INVALID', 'instancesLength must be a non-negative integer.', `${pointer}/instancesLength`));
+        return issues;
+    }
+
+    if (!Array.isArray(classes)) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_CLASSES_INVALID', 'classes must be an array.', `${pointer}/classes`));
+        return issues;
+    }
+    const invalidClassIndex = classes.findIndex(classDefinition => !isValidClass(classDefinition));
+    if (invalidClassIndex > -1) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_CLASS_INVALID', 'Each class must be an object whose length is a non-negative integer.', `${pointer}/classes/${invalidClassIndex}`));
+        return issues;
+    }
+
+    const classesLength = classes.reduce((sum, classDefinition) => sum + classDefinition.length, 0);
+    if (classesLength !== instancesLength) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_INSTANCES_LENGTH_INVALID', `instancesLength ${instancesLength} must equal the sum of the lengths of the classes, which is ${classesLength}.`, `${pointer}/instancesLength`));
+        return issues;
+    }
+    if (instancesLength < featuresLength) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_INSTANCES_LENGTH_INVALID', `instancesLength ${instancesLength} must be greater than or equal to the features length ${featuresLength}.`, `${pointer}/instancesLength`));
+        return issues;
+    }
+
+    const classIds = readArray(hierarchy, 'classIds', instancesLength, batchTableBinary, pointer, issues);
+    if (defined(classIds)) {
+        const classCounts = classes.map(() => 0);
+        const index = classIds.findIndex(classId => !Number.isInteger(classId) || classId < 0 || classId >= classes.length);
+        if (index > -1) {
+            issues.push(createError('BATCH_TABLE_HIERARCHY_CLASS_ID_OUT_OF_RANGE', `Class ID ${classIds[index]} of instance ${index} must be less than the number of classes ${classes.length}.`, `${pointer}/classIds`));
+        } else {
+            classIds.forEach(classId => classCounts[classId]++);
+            classCounts.forEach((count, classId) => {
+                if (count !== classes[classId].length) {
+                    issues.push(createError('BATCH_TABLE_HIERARCHY_CLASS_LENGTH_MISMATCH', `Class ${classes[classId].name} has length ${classes[classId].length}, but ${count} instances have its class ID.`, `${pointer}/classes/${classId}/length`));
+                }
+            });
+        }
+    }
+
+    if (!defined(hierarchy.parentIds)) {
+        if (defined(hierarchy.parentCounts)) {
+            issues.push(createError('BATCH_TABLE_HIERARCHY_PARENT_IDS_MISSING', 'parentIds are required when parentCounts are present.', `${pointer}/parentCounts`));
+        }
+        return issues;
+    }
+
+    // Without parentCounts every instance has one parent, and instances that are their own parent have none
+    let parentCounts;
+    let parentIdsLength = instancesLength;
+    if (defined(hierarchy.parentCounts)) {
+        parentCounts = readArray(hierarchy, 'parentCounts', instancesLength, batchTableBinary, pointer, issues);
+        if (!defined(parentCounts)) {
+            return issues;
+        }
+        const index = parentCounts.findIndex(parentCount => !Number.isInteger(parentCount) || parentCount < 0);
+        if (index > -1) {
+            issues.push(createError('BATCH_TABLE_HIERARCHY_PARENT_COUNT_INVALID', `Parent count ${parentCounts[index]} of instance ${index} must be a non-negative integer.`, `${pointer}/parentCounts`));
+            return issues;
+        }
+        parentIdsLength = parentCounts.reduce((sum, parentCount) => sum + parentCount, 0);
+    }
+    const parentIds = readArray(hierarchy, 'parentIds', parentIdsLength, batchTableBinary, pointer, issues);
+    if (!defined(parentIds)) {
+        return issues;
+    }
+    const index = parentIds.findIndex(parentId => !Number.isInteger(parentId) || parentId < 0 || parentId >= instancesLength);
+    if (index > -1) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_PARENT_ID_OUT_OF_RANGE', `Parent ID ${parentIds[index]} must be less than instancesLength ${instancesLength}.`, `${pointer}/parentIds`));
+        return issues;
+    }
+
+    const cycleInstance = findCycle(getParents(parentIds, parentCounts, instancesLength));
+    if (defined(cycleInstance)) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_CYCLE', `The hierarchy contains a cycle: instance ${cycleInstance} is its own ancestor.`, `${pointer}/parentIds`));
+    }
+    return issues;
+}
+
+function isValidClass(classDefinition) {
+    return typeof classDefinition === 'object' && classDefinition !== null && !Array.isArray(classDefinition) &&
+        Number.isInteger(classDefinition.length) && classDefinition.length >= 0;
+}
+
+function readArray(hierarchy, name, length, batchTableBinary, pointer, issues) {
+    // Resolves to the values of a JSON array or binary property, or to undefined if it is invalid
+    const property = hierarchy[name];
+    const propertyPointer = `${pointer}/${name}`;
+    if (!defined(property)) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_PROPERTY_MISSING', `${name} is required.`, pointer));
+        return undefined;
+    }
+    if (Array.isArray(property)) {
+        if (property.length !== length) {
+            issues.push(createError('BATCH_TABLE_HIERARCHY_PROPERTY_LENGTH_INVALID', `${name} must have ${length} elements, but has ${property.length}.`, propertyPointer));
+            return undefined;
+        }
+        return property;
+    }
+
+    const byteOffset = property.byteOffset;
+    const componentType = defaultValue(property.componentType, 'UNSIGNED_SHORT');
+    if (!Number.isInteger(byteOffset)) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_PROPERTY_TYPE_INVALID', `${name} must be an array or reference the batch table binary with a byteOffset.`, propertyPointer));
+        return undefined;
+    }
+    if (!defined(readFunctions[componentType])) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_COMPONENT_TYPE_INVALID', `${name} has invalid componentType "${componentType}". It must be UNSIGNED_BYTE, UNSIGNED_SHORT or UNSIGNED_INT.`, `${propertyPointer}/componentType`));
+        return undefined;
+    }
+    const componentByteLength = componentTypeToByteLength(componentType);
+    if (byteOffset % componentByteLength > 0) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_PROPERTY_UNALIGNED', `${name} must be aligned to a ${componentByteLength}-byte boundary.`, `${propertyPointer}/byteOffset`, byteOffset));
+        return undefined;
+    }
+    if (byteOffset + length * componentByteLength > batchTableBinary.length) {
+        issues.push(createError('BATCH_TABLE_HIERARCHY_PROPERTY_OUT_OF_BOUNDS', `${name} exceeds batch table binary byte length.`, `${propertyPointer}/byteOffset`, byteOffset));
+        return undefined;
+    }
+
+    const dataView = new DataView(batchTableBinary.buffer, batchTableBinary.byteOffset, batchTableBinary.byteLength);
+    const values = new Array(length);
+    for (let i = 0; i < length; i++) {
+        values[i] = dataView[readFunctions[componentType]](byteOffset + i * componentByteLength, true);
+    }
+    return values;
+}
+
+function getParents(parentIds, parentCounts, instancesLength) {
+    const parents = new Array(instancesLength);
+    let offset = 0;
+    for (let i = 0; i < instancesLength; i++) {
+        const parentCount = defined(parentCounts) ? parentCounts[i] : 1;
+        parents[i] = parentIds.slice(offset, offset + parentCount).filter(parentId => parentId !== i);
+        offset += parentCount;
+    }
+    return parents;
+}
+
+function findCycle(parents) {
+    // Depth-first search along the parents. An instance that is reached again while its ancestors are still being
+    // visited is its own ancestor.
+    const visiting = 1;
+    const visited = 2;
+    const states = new Uint8Array(parents.length);
+    for (let i = 0; i < parents.length; i++) {
+        if (states[i] === visited) {
+            continue;
+        }
+        const stack = [{
+            instance: i,
+            next: 0
+        }];
+        states[i] = visiting;
+        while (stack.length > 0) {
+            const entry = stack[stack.length - 1];
+            const instanceParents = parents[entry.instance];
+            if (entry.next === instanceParents.length) {
+                states[entry.instance] = visited;
+                stack.pop();
+                continue;
+            }
+            const parent = instanceParents[entry.next++];
+            if (states[parent] === visiting) {
+                return parent;
+            }
+            if (states[parent] !== visited) {
+                states[parent] = visiting;
+                stack.push({
+                    instance: parent,
+                    next: 0
+                });
+            }
+        }
+    }
+    return undefined;
+}
+
+function createError(code, message, pointer, byteOffset) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        pointer: pointer,
+        byteOffset: byteOffset
+    });
+}
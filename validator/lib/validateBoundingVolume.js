@@ -0,0 +1,135 @@
+'use strict';
+const Cesium = require('cesium');
+
+const createValidationIssue = require('./createValidationIssue');
+const ValidationSeverity = require('./ValidationSeverity');
+
+const Cartesian3 = Cesium.Cartesian3;
+const CesiumMath = Cesium.Math;
+const defined = Cesium.defined;
+
+module.exports = validateBoundingVolume;
+
+const boundingVolumeLengths = {
+    box: 12,
+    region: 6,
+    sphere: 4
+};
+
+/**
+ * Checks that a bounding volume is well-formed: it must define exactly one of <code>box</code>, <code>region</code> or
+ * <code>sphere</code> with the correct number of values, and the values must describe a valid volume.
+ *
+ * @param {Object} boundingVolume The bounding volume JSON.
+ * @param {String} filePath The path of the tileset JSON that contains the bounding volume.
+ * @param {String} pointer The JSON pointer to the bounding volume.
+ * @returns {ValidationIssue[]} The issues found. The array is empty if the bounding volume is well-formed.
+ */
+function validateBoundingVolume(boundingVolume, filePath, pointer) {
+    const types = Object.keys(boundingVolumeLengths).filter(type => defined(boundingVolume[type]));
+    if (types.length !== 1) {
+        return [createError(filePath, 'BOUNDING_VOLUME_TYPE_INVALID', `Bounding volume must have exactly one of box, region or sphere, but has ${types.length}.`, pointer)];
+    }
+
+    const type = types[0];
+    const values = boundingVolume[type];
+    const length = boundingVolumeLengths[type];
+    if (!Array.isArray(values) || values.length !== length || !values.every(Number.isFinite)) {
+        return [createError(filePath, 'BOUNDING_VOLUME_LENGTH_INVALID', `Bounding volume ${type} must be an array of ${length} numbers.`, `${pointer}/${type}`)];
+    }
+
+    if (type === 'box') {
+        return validateBox(values, filePath, `${pointer}/box`);
+    } else if (type === 'region') {
+        return validateRegion(values, filePath, `${pointer}/region`);
+    }
+    return validateSphere(values, filePath, `${pointer}/sphere`);
+}
+
+const scratchAxes = [new Cartesian3(), new Cartesian3(), new Cartesian3()];
+const scratchCross = new Cartesian3();
+
+function validateBox(box, filePath, pointer) {
+    // A box may be flat, i.e. have half-axes of length 0, but the remaining half-axes must span a plane or a volume
+    const axes = [];
+    for (let i = 0; i < 3; i++) {
+        const axis = Cartesian3.fromArray(box, 3 + i * 3, scratchAxes[i]);
+        if (!Cartesian3.equals(axis, Cartesian3.ZERO)) {
+            axes.push(axis);
+        }
+    }
+
+    let degenerate = false;
+    if (axes.length === 0) {
+        degenerate = true;
+    } else if (axes.length === 2) {
+        const cross = Cartesian3.cross(axes[0], axes[1], scratchCross);
+        const scale = Cartesian3.magnitude(axes[0]) * Cartesian3.magnitude(axes[1]);
+        degenerate = Cartesian3.magnitude(cross) <= CesiumMath.EPSILON10 * scale;
+    } else if (axes.length === 3) {
+        const cross = Cartesian3.cross(axes[1], axes[2], scratchCross);
+        const scale = Cartesian3.magnitude(axes[0]) * Cartesian3.magnitude(axes[1]) * Cartesian3.magnitude(axes[2]);
+        degenerate = Math.abs(Cartesian3.dot(axes[0], cross)) <= CesiumMath.EPSILON10 * scale;
+    }
+
+    if (degenerate) {
+        return [createError(filePath, 'BOUNDING_BOX_DEGENERATE', `Bounding volume box [${box}] is degenerate. Its half-axes must not all be zero and the non-zero half-axes must be linearly independent.`, pointer)];
+    }
+    return [];
+}
+
+function validateRegion(region, filePath, pointer) {
+    const issues = [];
+    const west = region[0];
+    const south = region[1];
+    const east = region[2];
+    const north = region[3];
+    const minimumHeight = region[4];
+    const maximumHeight = region[5];
+
+    if (west < -CesiumMath.PI || west > CesiumMath.PI) {
+        issues.push(createError(filePath, 'BOUNDING_REGION_LONGITUDE_OUT_OF_RANGE', `Bounding volume region west longitude ${west} must be in the range [-PI, PI].`, `${pointer}/0`));
+    }
+    if (east < -CesiumMath.PI || east > CesiumMath.PI) {
+        issues.push(createError(filePath, 'BOUNDING_REGION_LONGITUDE_OUT_OF_RANGE', `Bounding volume region east longitude ${east} must be in the range [-PI, PI].`, `${pointer}/2`));
+    }
+    if (south < -CesiumMath.PI_OVER_TWO || south > CesiumMath.PI_OVER_TWO) {
+        issues.push(createError(filePath, 'BOUNDING_REGION_LATITUDE_OUT_OF_RANGE', `Bounding volume region south latitude ${south} must be in the range [-PI/2, PI/2].`, `${pointer}/1`));
+    }
+    if (north < -CesiumMath.PI_OVER_TWO || north > CesiumMath.PI_OVER_TWO) {
+        issues.push(createError(filePath, 'BOUNDING_REGION_LATITUDE_OUT_OF_RANGE', `Bounding volume region north latitude ${north} must be in the range [-PI/2, PI/2].`, `${pointer}/3`));
+    }
+    if (south > north) {
+        issues.push(createError(filePath, 'BOUNDING_REGION_LATITUDE_ORDER_INVALID', `Bounding volume region south latitude ${south} must be less than or equal to north latitude ${north}.`, `${pointer}/1`));
+    }
+    if (west > east) {
+        // This is valid for regions that cross the antimeridian, but more often the values are swapped by mistake
+        issues.push(createValidationIssue({
+            severity: ValidationSeverity.WARNING,
+            code: 'BOUNDING_REGION_LONGITUDE_ORDER',
+            message: `Bounding volume region west longitude ${west} is greater than east longitude ${east}. The region crosses the antimeridian.`,
+            filePath: filePath,
+            pointer: `${pointer}/0`
+        }));
+    }
+    if (minimumHeight > maximumHeight) {
+        issues.push(createError(filePath, 'BOUNDING_REGION_HEIGHT_ORDER_INVALID', `Bounding volume region minimum height ${minimumHeight} must be less than or equal to maximum height ${maximumHeight}.`, `${pointer}/4`));
+    }
+    return issues;
+}
+
+function validateSphere(sphere, filePath, pointer) {
+    if (sphere[3] < 0.0) {
+        return [createError(filePath, 'BOUNDING_SPHERE_RADIUS_NEGATIVE', `Bounding volume sphere radius ${sphere[3]} must be greater than or equal to 0.`, `${pointer}/3`)];
+    }
+    return [];
+}
+
+function createError(filePath, code, message, pointer) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer
+    });
+}
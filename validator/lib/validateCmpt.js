@@ -1,6 +1,9 @@
 'use strict';
 const Cesium = require('cesium');
 
+const createExtensionRegistry = require('./createExtensionRegistry');
+const createValidationIssue = require('./createValidationIssue');
+const utility = require('./utility');
 const validateB3dm = require('./validateB3dm');
 const validateI3dm = require('./validateI3dm');
 const validatePnts = require('./validatePnts');
@@ -8,6 +11,8 @@ const validatePnts = require('./validatePnts');
 const clone = Cesium.clone;
 const defined = Cesium.defined;
 
+const locateIssues = utility.locateIssues;
+
 module.exports = validateCmpt;
 
 /**
@@ -18,15 +23,19 @@ module.exports = validateCmpt;
  * @param {String} options.filePath The tile's file path.
  * @param {String} options.directory The tile's directory.
  * @param {Boolean} [options.writeReports=false] Write glTF error report next to the glTF file in question.
- * @returns {Promise} A promise that resolves when the validation completes. If the validation fails, the promise will resolve to an error message.
+ * @param {Object} [options.extensionRegistry] The registry that the extensions used by the inner tiles are recorded in, see {@link createExtensionRegistry}.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the tile is valid.
  */
 async function validateCmpt(options) {
     options = clone(options, false);
     const content = options.content;
+    const filePath = options.filePath;
+    const extensionRegistry = options.extensionRegistry;
+    const issues = [];
 
     const headerByteLength = 16;
     if (content.length < headerByteLength) {
-        return 'Header must be 16 bytes.';
+        return [createError(filePath, 'HEADER_LENGTH_INVALID', 'Header must be 16 bytes.', 0)];
     }
 
     const magic = content.toString('utf8', 0, 4);
@@ -35,24 +44,27 @@ async function validateCmpt(options) {
     const tilesLength = content.readUInt32LE(12);
 
     if (magic !== 'cmpt') {
-        return `Invalid magic: ${magic}`;
+        return [createError(filePath, 'MAGIC_INVALID', `Invalid magic: ${magic}`, 0)];
     }
 
     if (version !== 1) {
-        return `Invalid version: ${version}. Version must be 1.`;
+        issues.push(createError(filePath, 'VERSION_INVALID', `Invalid version: ${version}. Version must be 1.`, 4));
     }
 
     if (byteLength !== content.length) {
-        return `byteLength of ${byteLength} does not equal the tile\'s actual byte length of ${content.length}.`;
+        issues.push(createError(filePath, 'BYTE_LENGTH_MISMATCH', `byteLength of ${byteLength} does not equal the tile\'s actual byte length of ${content.length}.`, 8));
+        return issues;
     }
 
     let byteOffset = headerByteLength;
     for (let i = 0; i < tilesLength; i++) {
         if (byteOffset + 12 > byteLength) {
-            return 'Cannot read byte length from inner tile, exceeds cmpt tile\'s byte length.';
+            issues.push(createError(filePath, 'INNER_TILE_LENGTH_INVALID', 'Cannot read byte length from inner tile, exceeds cmpt tile\'s byte length.', byteOffset));
+            return issues;
         }
         if (byteOffset % 8 > 0) {
-            return 'Inner tile must be aligned to an 8-byte boundary';
+            issues.push(createError(filePath, 'INNER_TILE_UNALIGNED', 'Inner tile must be aligned to an 8-byte boundary', byteOffset));
+            return issues;
         }
 
         const innerTileMagic = content.toString('utf8', byteOffset, byteOffset + 4);
@@ -60,24 +72,44 @@ async function validateCmpt(options) {
         const innerTile = content.slice(byteOffset, byteOffset + innerTileByteLength);
 
         options.content = innerTile;
+        // The byte offsets of the extensions used by the inner tile are relative to the inner tile
+        const innerTileExtensionRegistry = defined(extensionRegistry) ? createExtensionRegistry() : undefined;
+        options.extensionRegistry = innerTileExtensionRegistry;
 
-        let message;
+        let innerTileIssues = [];
         if (innerTileMagic === 'b3dm') {
-            message = await validateB3dm(options);
+            innerTileIssues = await validateB3dm(options);
         } else if (innerTileMagic === 'i3dm') {
-            message = await validateI3dm(options);
+            innerTileIssues = await validateI3dm(options);
         } else if (innerTileMagic === 'pnts') {
-            message = await validatePnts(options);
+            innerTileIssues = await validatePnts(options);
         } else if (innerTileMagic === 'cmpt') {
-            message = await validateCmpt(options);
+            innerTileIssues = await validateCmpt(options);
         } else {
-            return `Invalid inner tile magic: ${innerTileMagic}`;
+            issues.push(createError(filePath, 'INNER_TILE_MAGIC_INVALID', `Invalid inner tile magic: ${innerTileMagic}`, byteOffset));
         }
 
-        if (defined(message)) {
-            return `Error in inner ${innerTileMagic} tile: ${message}`;
+        const length = innerTileIssues.length;
+        for (let j = 0; j < length; j++) {
+            innerTileIssues[j].message = `Error in inner ${innerTileMagic} tile: ${innerTileIssues[j].message}`;
+        }
+        // Issues of the external glTF of an inner i3dm keep their own file path and byte offsets
+        locateIssues(innerTileIssues.filter(issue => !defined(issue.filePath) || issue.filePath === filePath), filePath, byteOffset);
+        issues.push.apply(issues, innerTileIssues);
+        if (defined(extensionRegistry)) {
+            extensionRegistry.addRegistry(innerTileExtensionRegistry, byteOffset);
         }
 
         byteOffset += innerTileByteLength;
     }
+    return issues;
+}
+
+function createError(filePath, code, message, byteOffset) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        byteOffset: byteOffset
+    });
 }
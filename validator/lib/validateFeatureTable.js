@@ -1,6 +1,7 @@
 'use strict';
 const Cesium = require('cesium');
 
+const createValidationIssue = require('./createValidationIssue');
 const utility = require('./utility');
 
 const defaultValue = Cesium.defaultValue;
@@ -18,9 +19,10 @@ module.exports = validateFeatureTable;
  * @param {Buffer} featureTableBinary Feature table binary.
  * @param {Number} featuresLength The number of features.
  * @param {Object} featureTableSemantics An object containing semantic information for each feature table property, specific to the tile format.
- * @returns {String} An error message if validation fails, otherwise undefined.
+ * @returns {ValidationIssue[]} The issues found. Pointers are relative to the feature table JSON and byte offsets are relative to the feature table binary.
  */
 function validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics) {
+    const issues = [];
     for (const name in featureTableJson) {
         if (featureTableJson.hasOwnProperty(name)) {
             if (name === 'extensions' || name === 'extras') {
@@ -28,8 +30,10 @@ function validateFeatureTable(featureTableJson, featureTableBinary, featuresLeng
             }
             const property = featureTableJson[name];
             const definition = featureTableSemantics[name];
+            const pointer = `/${name}`;
             if (!defined(definition)) {
-                return `Invalid feature table property "${name}".`;
+                issues.push(createError('FEATURE_TABLE_PROPERTY_UNKNOWN', `Invalid feature table property "${name}".`, pointer));
+                continue;
             }
             if (hasDracoProperty(featureTableJson, name)) {
                 continue;
@@ -46,44 +50,59 @@ function validateFeatureTable(featureTableJson, featureTableBinary, featuresLeng
 
             if (defined(byteOffset)) {
                 if (typeof byteOffset !== 'number') {
-                    return `Feature table binary property "${name}" byteOffset must be a number.`;
+                    issues.push(createError('FEATURE_TABLE_BYTE_OFFSET_INVALID', `Feature table binary property "${name}" byteOffset must be a number.`, `${pointer}/byteOffset`));
                 }
-                if (defined(componentTypeOptions) && defined(componentTypeOptions) && componentTypeOptions.indexOf(componentType) === -1) {
-                    return `Feature table binary property "${name}" has invalid componentType "${componentType}".`;
+                if (defined(componentTypeOptions) && componentTypeOptions.indexOf(componentType) === -1) {
+                    issues.push(createError('FEATURE_TABLE_COMPONENT_TYPE_INVALID', `Feature table binary property "${name}" has invalid componentType "${componentType}".`, `${pointer}/componentType`));
+                    continue;
                 }
                 if (byteOffset % componentByteLength > 0) {
-                    return `Feature table binary property "${name}" must be aligned to a ${componentByteLength}-byte boundary.`;
+                    issues.push(createError('FEATURE_TABLE_PROPERTY_UNALIGNED', `Feature table binary property "${name}" must be aligned to a ${componentByteLength}-byte boundary.`, `${pointer}/byteOffset`, byteOffset));
+                    continue;
                 }
                 const propertyByteLength = componentsLength * componentByteLength * itemsLength;
                 if (byteOffset + propertyByteLength > featureTableBinary.length) {
-                    return `Feature table binary property "${name}" exceeds feature table binary byte length.`;
+                    issues.push(createError('FEATURE_TABLE_PROPERTY_OUT_OF_BOUNDS', `Feature table binary property "${name}" exceeds feature table binary byte length.`, `${pointer}/byteOffset`, byteOffset));
                 }
             } else if (type === 'boolean') {
                 if (typeof property !== 'boolean') {
-                    return `Feature table property "${name}" must be a boolean.`;
+                    issues.push(createError('FEATURE_TABLE_PROPERTY_TYPE_INVALID', `Feature table property "${name}" must be a boolean.`, pointer));
                 }
             } else {
                 const arrayLength = componentsLength * itemsLength;
                 if (definition.global && arrayLength === 1) {
                     if (typeof property !== 'number') {
-                        return `Feature table property "${name}" must be a number.`;
+                        issues.push(createError('FEATURE_TABLE_PROPERTY_TYPE_INVALID', `Feature table property "${name}" must be a number.`, pointer));
                     }
                 } else {
                     if (!Array.isArray(property)) {
-                        return `Feature table property "${name}" must be an array.`;
+                        issues.push(createError('FEATURE_TABLE_PROPERTY_TYPE_INVALID', `Feature table property "${name}" must be an array.`, pointer));
+                        continue;
                     }
                     if (property.length !== arrayLength) {
-                        return `Feature table property "${name}" must be an array of length ${arrayLength}.`;
+                        issues.push(createError('FEATURE_TABLE_PROPERTY_LENGTH_INVALID', `Feature table property "${name}" must be an array of length ${arrayLength}.`, pointer));
+                        continue;
                     }
                     for (let i = 0; i < arrayLength; i++) {
                         if (typeof property[i] !== 'number') {
-                            return `Feature table property "${name}" array must contain numbers only.`;
+                            issues.push(createError('FEATURE_TABLE_PROPERTY_TYPE_INVALID', `Feature table property "${name}" array must contain numbers only.`, `${pointer}/${i}`));
+                            break;
                         }
                     }
                 }
             }
         }
     }
+    return issues;
+}
+
+function createError(code, message, pointer, byteOffset) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        pointer: pointer,
+        byteOffset: byteOffset
+    });
 }
 
 function hasDracoProperty(featureTableJson, propertyName) {
@@ -91,7 +110,7 @@ function hasDracoProperty(featureTableJson, propertyName) {
     if (defined(extensions)) {
         const dracoExtension = extensions['3DTILES_draco_point_compression'];
         if (defined(dracoExtension)) {
-            return defined(dracoExtension.properties[propertyName]);
+            return defined(defaultValue(dracoExtension.properties, defaultValue.EMPTY_OBJECT)[propertyName]);
         }
     }
     return false;
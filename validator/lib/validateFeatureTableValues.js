@@ -0,0 +1,136 @@
+'use strict';
+const Cesium = require('cesium');
+
+const createValidationIssue = require('./createValidationIssue');
+const utility = require('./utility');
+
+const AttributeCompression = Cesium.AttributeCompression;
+const Cartesian3 = Cesium.Cartesian3;
+const Cesium3DTileFeatureTable = Cesium.Cesium3DTileFeatureTable;
+const CesiumMath = Cesium.Math;
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+const componentTypeToByteLength = utility.componentTypeToByteLength;
+const typeToComponentsLength = utility.typeToComponentsLength;
+
+module.exports = validateFeatureTableValues;
+
+const positiveProperties = ['QUANTIZED_VOLUME_SCALE', 'SCALE', 'SCALE_NON_UNIFORM'];
+const normalProperties = ['NORMAL', 'NORMAL_UP', 'NORMAL_RIGHT'];
+
+/**
+ * Checks the values of the feature table properties of pnts and i3dm: floating point values must be finite,
+ * QUANTIZED_VOLUME_SCALE, SCALE and SCALE_NON_UNIFORM must be greater than 0, normals must have unit length and the
+ * up and right normals of instances must be orthogonal. The layout of the feature table must have been validated by
+ * {@link validateFeatureTable}. Properties compressed with <code>3DTILES_draco_point_compression</code> are skipped.
+ *
+ * @param {Object} featureTableJson Feature table JSON.
+ * @param {Buffer} featureTableBinary Feature table binary.
+ * @param {Number} featuresLength The number of features.
+ * @param {Object} featureTableSemantics An object containing semantic information for each feature table property, specific to the tile format.
+ * @returns {ValidationIssue[]} The issues found. Pointers are relative to the feature table JSON and byte offsets are relative to the feature table binary.
+ */
+function validateFeatureTableValues(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics) {
+    const featureTable = new Cesium3DTileFeatureTable(featureTableJson, featureTableBinary);
+    featureTable.featuresLength = featuresLength;
+    const dracoExtension = defined(featureTableJson.extensions) ? featureTableJson.extensions['3DTILES_draco_point_compression'] : undefined;
+    const dracoProperties = defined(dracoExtension) ? defaultValue(dracoExtension.properties, {}) : {};
+
+    const issues = [];
+    const values = {};
+    for (const name in featureTableJson) {
+        if (featureTableJson.hasOwnProperty(name)) {
+            const definition = featureTableSemantics[name];
+            if (!defined(definition) || definition.type === 'boolean' || defined(dracoProperties[name])) {
+                continue;
+            }
+            const property = featureTableJson[name];
+            const componentType = defaultValue(property.componentType, definition.componentType);
+            const componentsLength = typeToComponentsLength(definition.type);
+            const componentDatatype = ComponentDatatype.fromName(componentType);
+            const propertyValues = definition.global ? featureTable.getGlobalProperty(name, componentDatatype, componentsLength) : featureTable.getPropertyArray(name, componentDatatype, componentsLength);
+            const pointer = `/${name}`;
+            // Issues of properties in the feature table binary point to the offending element
+            const elementByteLength = componentsLength * componentTypeToByteLength(componentType);
+            const getByteOffset = index => defined(property.byteOffset) ? property.byteOffset + index * elementByteLength : undefined;
+            values[name] = definition.global && componentsLength === 1 ? [propertyValues] : propertyValues;
+
+            if (componentType === 'FLOAT' || componentType === 'DOUBLE') {
+                const index = findIndex(values[name], componentsLength, element => element.every(Number.isFinite));
+                if (index > -1) {
+                    issues.push(createError('FEATURE_TABLE_VALUE_NOT_FINITE', `Feature table property "${name}" must contain finite numbers only, but element ${index} is [${getElement(values[name], componentsLength, index)}].`, pointer, getByteOffset(index)));
+                    continue;
+                }
+            }
+            if (positiveProperties.indexOf(name) > -1) {
+                const index = findIndex(values[name], componentsLength, element => element.every(value => value > 0.0));
+                if (index > -1) {
+                    issues.push(createError('FEATURE_TABLE_VALUE_OUT_OF_RANGE', `Feature table property "${name}" must contain values greater than 0, but element ${index} is [${getElement(values[name], componentsLength, index)}].`, pointer, getByteOffset(index)));
+                }
+            } else if (normalProperties.indexOf(name) > -1) {
+                const index = findIndex(values[name], componentsLength, element => CesiumMath.equalsEpsilon(Cartesian3.magnitude(Cartesian3.unpack(element)), 1.0, CesiumMath.EPSILON3));
+                if (index > -1) {
+                    issues.push(createError('FEATURE_TABLE_NORMAL_NOT_UNIT_LENGTH', `Feature table property "${name}" must contain unit length vectors, but element ${index} is [${getElement(values[name], componentsLength, index)}].`, pointer, getByteOffset(index)));
+                }
+            }
+        }
+    }
+
+    const orthogonalIssue = getOrthogonalNormalsIssue(values, 'NORMAL_UP', 'NORMAL_RIGHT', false) || getOrthogonalNormalsIssue(values, 'NORMAL_UP_OCT32P', 'NORMAL_RIGHT_OCT32P', true);
+    if (defined(orthogonalIssue)) {
+        issues.push(orthogonalIssue);
+    }
+    return issues;
+}
+
+function getElement(values, componentsLength, index) {
+    return Array.prototype.slice.call(values, index * componentsLength, (index + 1) * componentsLength);
+}
+
+function findIndex(values, componentsLength, isValid) {
+    const length = values.length / componentsLength;
+    for (let i = 0; i < length; i++) {
+        if (!isValid(getElement(values, componentsLength, i))) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function getOrthogonalNormalsIssue(values, upName, rightName, octEncoded) {
+    const up = values[upName];
+    const right = values[rightName];
+    if (!defined(up) || !defined(right)) {
+        return undefined;
+    }
+    const componentsLength = octEncoded ? 2 : 3;
+    const getNormal = (normals, index) => {
+        if (octEncoded) {
+            return AttributeCompression.octDecodeInRange(normals[index * 2], normals[index * 2 + 1], 65535, new Cartesian3());
+        }
+        return Cartesian3.unpack(normals, index * 3);
+    };
+    const length = Math.min(up.length, right.length) / componentsLength;
+    for (let i = 0; i < length; i++) {
+        const dot = Cartesian3.dot(getNormal(up, i), getNormal(right, i));
+        if (Math.abs(dot) > CesiumMath.EPSILON3) {
+            return createValidationIssue({
+                code: 'FEATURE_TABLE_NORMALS_NOT_ORTHOGONAL',
+                message: `Feature table properties ${upName} and ${rightName} must be orthogonal, but they are not for instance ${i}.`,
+                pointer: `/${rightName}`
+            });
+        }
+    }
+    return undefined;
+}
+
+function createError(code, message, pointer, byteOffset) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        pointer: pointer,
+        byteOffset: byteOffset
+    });
+}
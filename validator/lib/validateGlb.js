@@ -4,12 +4,21 @@ const fsExtra = require('fs-extra');
 const path = require('path');
 const validator = require('gltf-validator');
 
+const bufferToJson = require('./bufferToJson');
+const createValidationIssue = require('./createValidationIssue');
+const getGltfValidatorIssues = require('./getGltfValidatorIssues');
+const validateGltfBatchIds = require('./validateGltfBatchIds');
+const validateGltfExtensions = require('./validateGltfExtensions');
+
 const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
 
 module.exports = validateGlb;
 
 /**
  * Check if the glb is valid binary glTF.
+ * The payloads of the 3D Tiles metadata and instancing extensions are checked as well, see {@link validateGltfExtensions}.
+ * The batch IDs of the glb of a b3dm are checked if its <code>BATCH_LENGTH</code> is given, see {@link validateGltfBatchIds}.
  *
  * @param {Object} options An object with the following properties:
  * @param {Buffer} options.content The glb buffer.
@@ -17,7 +26,8 @@ module.exports = validateGlb;
  * @param {String} options.directory The tile's directory.
  * @param {Object} options.reader The file reader.
  * @param {Boolean} [options.writeReports=false] Write glTF error report next to the glTF file in question.
- * @returns {Promise} A promise that resolves when the validation completes. If the validation fails, the promise will resolve to an error message.
+ * @param {Number} [options.batchLength] The <code>BATCH_LENGTH</code> of the b3dm that contains the glb.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the glb is valid.
  */
 async function validateGlb(options) {
     const glb = options.content;
@@ -28,7 +38,12 @@ async function validateGlb(options) {
     const version = glb.readUInt32LE(4);
 
     if (version !== 2) {
-        return `Invalid Glb version: ${version}. Version must be 2.`;
+        return [createValidationIssue({
+            code: 'GLB_VERSION_INVALID',
+            message: `Invalid Glb version: ${version}. Version must be 2.`,
+            filePath: filePath,
+            byteOffset: 4
+        })];
     }
 
     try {
@@ -36,21 +51,43 @@ async function validateGlb(options) {
             uri: filePath,
             externalResourceFunction: (uri) =>
                 new Promise((resolve, reject) => {
-                    uri = path.resolve(directory, decodeURIComponent(uri));
+                    uri = path.join(directory, decodeURIComponent(uri));
                     reader.readBinary(uri)
                         .then(data => resolve(data))
                         .catch(error => reject(error.toString()));
                 })
         });
 
+        // Warnings and infos of glTF-Validator are reported along with the issues of the extensions
+        const gltfValidatorIssues = getGltfValidatorIssues(result, filePath);
         if (result.issues.numErrors > 0) {
-            const validationText = JSON.stringify(result, null, '  ');
             if (writeReports) {
-                await fsExtra.writeFile(`${filePath}_report.json`, validationText);
+                await fsExtra.writeFile(`${filePath}_report.json`, JSON.stringify(result, null, '  '));
             }
-            return validationText;
+            return gltfValidatorIssues;
+        }
+
+        // The JSON chunk is always first and may be followed by the binary chunk
+        const jsonChunkLength = glb.readUInt32LE(12);
+        const binaryChunkByteOffset = 20 + jsonChunkLength;
+        const gltfOptions = {
+            gltf: bufferToJson(glb.slice(20, binaryChunkByteOffset)),
+            binaryChunk: binaryChunkByteOffset + 8 <= glb.length ? glb.slice(binaryChunkByteOffset + 8, binaryChunkByteOffset + 8 + glb.readUInt32LE(binaryChunkByteOffset)) : undefined,
+            batchLength: options.batchLength,
+            filePath: filePath,
+            directory: directory,
+            reader: reader
+        };
+        const issues = gltfValidatorIssues.concat(await validateGltfExtensions(gltfOptions));
+        if (defined(options.batchLength)) {
+            issues.push.apply(issues, await validateGltfBatchIds(gltfOptions));
         }
+        return issues;
     } catch (error) {
-        return `glTF validation could not be performed: ${error.message}`;
+        return [createValidationIssue({
+            code: 'GLTF_VALIDATION_FAILED',
+            message: `glTF validation could not be performed: ${error.message}`,
+            filePath: filePath
+        })];
     }
 }
@@ -3,7 +3,11 @@ const Cesium = require('cesium');
 const path = require('path');
 const fsExtra = require('fs-extra');
 const validator = require('gltf-validator');
+
 const bufferToJson = require('./bufferToJson');
+const createValidationIssue = require('./createValidationIssue');
+const getGltfValidatorIssues = require('./getGltfValidatorIssues');
+const validateGltfExtensions = require('./validateGltfExtensions');
 
 const defaultValue = Cesium.defaultValue;
 
@@ -11,6 +15,7 @@ module.exports = validateGltf;
 
 /**
  * Check if the gltf is valid.
+ * The payloads of the 3D Tiles metadata and instancing extensions are checked as well, see {@link validateGltfExtensions}.
  *
  * @param {Object} options An object with the following properties:
  * @param {Buffer} options.content The gltf buffer.
@@ -18,7 +23,7 @@ module.exports = validateGltf;
  * @param {String} options.directory The tile's directory.
  * @param {Object} options.reader The file reader.
  * @param {Boolean} [options.writeReports=false] Write glTF error report next to the glTF file in question.
- * @returns {Promise} A promise that resolves when the validation completes. If the validation fails, the promise will resolve to an error message.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the glTF is valid.
  */
 async function validateGltf(options) {
     const buffer = options.content;
@@ -26,12 +31,17 @@ async function validateGltf(options) {
     const directory = options.directory;
     const reader = options.reader;
     const writeReports = defaultValue(options.writeReports, false);
-    
-    let gltf = bufferToJson(buffer);
-    var version = gltf.asset.version;
 
-    if (version !== "2.0") {
-        return 'Invalid Gltf version: ' + version + '. Version must be 2.0';
+    const gltf = bufferToJson(buffer);
+    const version = gltf.asset.version;
+
+    if (version !== '2.0') {
+        return [createValidationIssue({
+            code: 'GLTF_VERSION_INVALID',
+            message: `Invalid Gltf version: ${version}. Version must be 2.0`,
+            filePath: filePath,
+            pointer: '/asset/version'
+        })];
     }
 
     try {
@@ -39,21 +49,33 @@ async function validateGltf(options) {
             uri: filePath,
             externalResourceFunction: (uri) =>
                 new Promise((resolve, reject) => {
-                    uri = path.resolve(directory, decodeURIComponent(uri));
+                    uri = path.join(directory, decodeURIComponent(uri));
                     reader.readBinary(uri)
                         .then(data => resolve(data))
                         .catch(error => reject(error.toString()));
                 })
         });
 
+        // Warnings and infos of glTF-Validator are reported along with the issues of the extensions
+        const gltfValidatorIssues = getGltfValidatorIssues(result, filePath);
         if (result.issues.numErrors > 0) {
-            const validationText = JSON.stringify(result, null, '  ');
             if (writeReports) {
-                await fsExtra.writeFile(`${filePath}_report.json`, validationText);
+                await fsExtra.writeFile(`${filePath}_report.json`, JSON.stringify(result, null, '  '));
             }
-            return validationText;
+            return gltfValidatorIssues;
         }
+
+        return gltfValidatorIssues.concat(await validateGltfExtensions({
+            gltf: gltf,
+            filePath: filePath,
+            directory: directory,
+            reader: reader
+        }));
     } catch (error) {
-        return `glTF validation could not be performed: ${error.message}`;
+        return [createValidationIssue({
+            code: 'GLTF_VALIDATION_FAILED',
+            message: `glTF validation could not be performed: ${error.message}`,
+            filePath: filePath
+        })];
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,115 @@
+'use strict';
+const Cesium = require('cesium');
+
+const createValidationIssue = require('./createValidationIssue');
+const decodeDraco = require('./decodeDraco');
+const readGltfAccessor = require('./readGltfAccessor');
+const readGltfBuffers = require('./readGltfBuffers');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = validateGltfBatchIds;
+
+// UNSIGNED_BYTE, UNSIGNED_SHORT, UNSIGNED_INT and FLOAT
+const batchIdComponentTypes = [5121, 5123, 5125, 5126];
+
+/**
+ * Checks the <code>_BATCHID</code> attributes of the glTF of a b3dm against the <code>BATCH_LENGTH</code> of its feature table:
+ * every mesh primitive must have the attribute when <code>BATCH_LENGTH</code> is greater than 0, the attribute must have
+ * a legal component type and all batch IDs must be less than <code>BATCH_LENGTH</code>. Attributes that are compressed
+ * with <code>KHR_draco_mesh_compression</code> are decoded.
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {Object} options.gltf The glTF JSON.
+ * @param {Buffer} [options.binaryChunk] The binary chunk of a glb.
+ * @param {Number} options.batchLength The <code>BATCH_LENGTH</code> of the feature table.
+ * @param {String} options.filePath The path of the file containing the glTF.
+ * @param {String} options.directory The directory that external resources are relative to.
+ * @param {Object} options.reader The resource reader.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the batch IDs are valid.
+ */
+async function validateGltfBatchIds(options) {
+    const gltf = options.gltf;
+    const batchLength = options.batchLength;
+    const filePath = options.filePath;
+    const accessors = defaultValue(gltf.accessors, []);
+    const meshes = defaultValue(gltf.meshes, []);
+    const issues = [];
+    let buffers;
+
+    for (let i = 0; i < meshes.length; i++) {
+        const primitives = defaultValue(meshes[i].primitives, []);
+        for (let j = 0; j < primitives.length; j++) {
+            const primitive = primitives[j];
+            const pointer = `/meshes/${i}/primitives/${j}`;
+            const accessorIndex = defaultValue(primitive.attributes, defaultValue.EMPTY_OBJECT)._BATCHID;
+            if (!defined(accessorIndex)) {
+                if (batchLength > 0) {
+                    issues.push(createError(filePath, 'BATCH_ID_MISSING', 'Mesh primitives must have a _BATCHID attribute when feature table property BATCH_LENGTH is greater than 0.', `${pointer}/attributes`));
+                }
+                continue;
+            }
+
+            // Accessors that do not exist are reported by glTF-Validator
+            const accessor = accessors[accessorIndex];
+            const attributePointer = `${pointer}/attributes/_BATCHID`;
+            if (!defined(accessor)) {
+                continue;
+            }
+            if (accessor.type !== 'SCALAR' || batchIdComponentTypes.indexOf(accessor.componentType) === -1) {
+                issues.push(createError(filePath, 'BATCH_ID_COMPONENT_TYPE_INVALID', 'The _BATCHID attribute must be a SCALAR with componentType UNSIGNED_BYTE, UNSIGNED_SHORT, UNSIGNED_INT or FLOAT.', attributePointer));
+                continue;
+            }
+
+            if (!defined(buffers)) {
+                buffers = await readGltfBuffers(options);
+            }
+            const draco = defined(primitive.extensions) ? primitive.extensions.KHR_draco_mesh_compression : undefined;
+            let batchIds;
+            if (defined(draco) && defined(draco.attributes) && defined(draco.attributes._BATCHID)) {
+                const dracoPointer = `${pointer}/extensions/KHR_draco_mesh_compression`;
+                const data = getBufferViewData(gltf, buffers, draco.bufferView);
+                if (!defined(data)) {
+                    continue;
+                }
+                try {
+                    batchIds = (await decodeDraco(data, { _BATCHID: draco.attributes._BATCHID })).attributes._BATCHID;
+                } catch (error) {
+                    issues.push(createError(filePath, 'DRACO_DECODE_FAILED', `Draco compressed data could not be decoded: ${error.message}`, dracoPointer));
+                    continue;
+                }
+                if (!defined(batchIds)) {
+                    issues.push(createError(filePath, 'DRACO_ATTRIBUTE_NOT_FOUND', `Draco compressed data does not contain attribute ${draco.attributes._BATCHID} of _BATCHID.`, `${dracoPointer}/attributes/_BATCHID`));
+                    continue;
+                }
+            } else {
+                batchIds = readGltfAccessor(gltf, buffers, accessorIndex);
+            }
+
+            if (defined(batchIds) && batchIds.some(batchId => batchId >= batchLength)) {
+                issues.push(createError(filePath, 'BATCH_ID_OUT_OF_RANGE', 'All the _BATCHIDs must have values less than feature table property BATCH_LENGTH.', attributePointer));
+            }
+        }
+    }
+    return issues;
+}
+
+function getBufferViewData(gltf, buffers, bufferViewIndex) {
+    // Buffer views and buffers that are not available are reported by glTF-Validator
+    const bufferView = defaultValue(gltf.bufferViews, [])[bufferViewIndex];
+    if (!defined(bufferView) || !defined(buffers[bufferView.buffer])) {
+        return undefined;
+    }
+    const byteOffset = defaultValue(bufferView.byteOffset, 0);
+    return buffers[bufferView.buffer].slice(byteOffset, byteOffset + bufferView.byteLength);
+}
+
+function createError(filePath, code, message, pointer) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer
+    });
+}
@@ -0,0 +1,433 @@
+'use strict';
+const Cesium = require('cesium');
+const path = require('path');
+
+const createValidationIssue = require('./createValidationIssue');
+const readGltfAccessor = require('./readGltfAccessor');
+const readGltfBuffers = require('./readGltfBuffers');
+const validateMetadataSchema = require('./validateMetadataSchema');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = validateGltfExtensions;
+
+const extensionNames = ['EXT_structural_metadata', 'EXT_mesh_features', 'EXT_instance_features', 'EXT_mesh_gpu_instancing'];
+
+const componentByteLengths = {
+    INT8: 1,
+    UINT8: 1,
+    INT16: 2,
+    UINT16: 2,
+    INT32: 4,
+    UINT32: 4,
+    INT64: 8,
+    UINT64: 8,
+    FLOAT32: 4,
+    FLOAT64: 8
+};
+
+const componentsLengths = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16,
+    BOOLEAN: 1,
+    ENUM: 1
+};
+
+/**
+ * Checks the payloads of the glTF extensions used by 3D Tiles 1.1 content that glTF-Validator does not validate semantically:
+ * <code>EXT_structural_metadata</code> property tables must match their schema classes, the feature IDs of <code>EXT_mesh_features</code>
+ * and <code>EXT_instance_features</code> must be in range, and the attributes of <code>EXT_mesh_gpu_instancing</code> must have matching counts.
+ * Feature ID textures are checked for valid references only, since their images are not decoded.
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {Object} options.gltf The glTF JSON.
+ * @param {Buffer} [options.binaryChunk] The binary chunk of a glb.
+ * @param {String} options.filePath The path of the file containing the glTF.
+ * @param {String} options.directory The directory that external resources are relative to.
+ * @param {Object} options.reader The resource reader.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the extensions are valid.
+ */
+async function validateGltfExtensions(options) {
+    const gltf = options.gltf;
+    const extensionsUsed = defaultValue(gltf.extensionsUsed, []);
+    if (!extensionNames.some(extensionName => extensionsUsed.indexOf(extensionName) > -1)) {
+        return [];
+    }
+
+    const context = {
+        gltf: gltf,
+        buffers: await readGltfBuffers(options),
+        filePath: options.filePath,
+        issues: [],
+        propertyTables: []
+    };
+    await validateStructuralMetadata(context, options);
+    validateMeshFeatures(context);
+    validateNodes(context);
+    return context.issues;
+}
+
+function getBufferView(context, bufferViewIndex) {
+    const bufferView = defaultValue(context.gltf.bufferViews, [])[bufferViewIndex];
+    if (!defined(bufferView) || !defined(context.buffers[bufferView.buffer])) {
+        return undefined;
+    }
+    const byteOffset = defaultValue(bufferView.byteOffset, 0);
+    return context.buffers[bufferView.buffer].slice(byteOffset, byteOffset + bufferView.byteLength);
+}
+
+async function validateStructuralMetadata(context, options) {
+    const extension = defined(context.gltf.extensions) ? context.gltf.extensions.EXT_structural_metadata : undefined;
+    if (!defined(extension)) {
+        return;
+    }
+    const pointer = '/extensions/EXT_structural_metadata';
+
+    let schema = extension.schema;
+    let schemaIssues;
+    if (defined(extension.schemaUri)) {
+        const schemaPath = path.join(options.directory, decodeURIComponent(extension.schemaUri));
+        try {
+            schema = await options.reader.readJson(schemaPath);
+        } catch (error) {
+            addError(context, 'EXT_STRUCTURAL_METADATA_SCHEMA_UNREADABLE', `Metadata schema ${extension.schemaUri} could not be read: ${error.message}`, `${pointer}/schemaUri`);
+            return;
+        }
+        schemaIssues = validateMetadataSchema(schema, schemaPath, '');
+    } else if (defined(schema)) {
+        schemaIssues = validateMetadataSchema(schema, context.filePath, `${pointer}/schema`);
+    } else {
+        addError(context, 'EXT_STRUCTURAL_METADATA_SCHEMA_MISSING', 'EXT_structural_metadata must define a schema or schemaUri.', pointer);
+        return;
+    }
+    // Property tables can only be checked against a well-formed schema
+    if (schemaIssues.length > 0) {
+        context.issues.push.apply(context.issues, schemaIssues);
+        return;
+    }
+
+    const classes = defaultValue(schema.classes, {});
+    const enums = defaultValue(schema.enums, {});
+    const propertyTables = defaultValue(extension.propertyTables, []);
+    const length = propertyTables.length;
+    for (let i = 0; i < length; i++) {
+        if (validatePropertyTable(context, propertyTables[i], classes, enums, `${pointer}/propertyTables/${i}`)) {
+            context.propertyTables[i] = propertyTables[i];
+        }
+    }
+
+    // Property textures and attributes are only checked for their class, since their values are not read
+    ['propertyTextures', 'propertyAttributes'].forEach(name => {
+        const elements = defaultValue(extension[name], []);
+        for (let i = 0; i < elements.length; i++) {
+            if (!defined(classes[elements[i].class])) {
+                addError(context, 'EXT_STRUCTURAL_METADATA_CLASS_NOT_FOUND', `Class ${elements[i].class} is not defined in the metadata schema.`, `${pointer}/${name}/${i}/class`);
+            }
+        }
+    });
+}
+
+function validatePropertyTable(context, propertyTable, classes, enums, pointer) {
+    const classDefinition = classes[propertyTable.class];
+    if (!defined(classDefinition)) {
+        addError(context, 'EXT_STRUCTURAL_METADATA_CLASS_NOT_FOUND', `Class ${propertyTable.class} is not defined in the metadata schema.`, `${pointer}/class`);
+        return false;
+    }
+    const count = propertyTable.count;
+    if (!Number.isInteger(count) || count < 1) {
+        addError(context, 'EXT_STRUCTURAL_METADATA_PROPERTY_TABLE_COUNT_INVALID', `Property table count must be an integer greater than 0, but is ${count}.`, `${pointer}/count`);
+        return false;
+    }
+
+    const classProperties = defaultValue(classDefinition.properties, {});
+    const properties = defaultValue(propertyTable.properties, {});
+    for (const name in properties) {
+        if (properties.hasOwnProperty(name)) {
+            const propertyPointer = `${pointer}/properties/${name}`;
+            if (!defined(classProperties[name])) {
+                addError(context, 'EXT_STRUCTURAL_METADATA_PROPERTY_NOT_FOUND', `Property ${name} is not defined in class ${propertyTable.class}.`, propertyPointer);
+            } else {
+                validatePropertyTableProperty(context, properties[name], classProperties[name], count, enums, propertyPointer);
+            }
+        }
+    }
+    for (const name in classProperties) {
+        if (classProperties.hasOwnProperty(name) && classProperties[name].required && !defined(properties[name])) {
+            addError(context, 'EXT_STRUCTURAL_METADATA_PROPERTY_MISSING', `Required property ${name} of class ${propertyTable.class} is missing.`, `${pointer}/properties`);
+        }
+    }
+    return true;
+}
+
+function validatePropertyTableProperty(context, property, definition, count, enums, pointer) {
+    const values = getBufferView(context, property.values);
+    if (!defined(values)) {
+        addError(context, 'EXT_STRUCTURAL_METADATA_BUFFER_VIEW_INVALID', `Property values refer to buffer view ${property.values}, which does not exist or could not be read.`, `${pointer}/values`);
+        return;
+    }
+
+    const type = definition.type;
+    // The number of elements, i.e. of strings for STRING properties, in the values
+    let elementsLength = count * defaultValue(definition.count, 1);
+    if (definition.array && !defined(definition.count)) {
+        const arrayOffsets = readOffsets(context, property.arrayOffsets, property.arrayOffsetType, count, `${pointer}/arrayOffsets`);
+        if (!defined(arrayOffsets)) {
+            return;
+        }
+        elementsLength = arrayOffsets[count];
+    }
+
+    if (type === 'STRING') {
+        const stringOffsets = readOffsets(context, property.stringOffsets, property.stringOffsetType, elementsLength, `${pointer}/stringOffsets`);
+        if (defined(stringOffsets) && stringOffsets[elementsLength] > values.length) {
+            addError(context, 'EXT_STRUCTURAL_METADATA_OFFSETS_INVALID', `The last string offset ${stringOffsets[elementsLength]} is beyond the ${values.length} bytes of the values.`, `${pointer}/stringOffsets`);
+        }
+        return;
+    }
+
+    let componentType = definition.componentType;
+    if (type === 'ENUM') {
+        const enumDefinition = enums[definition.enumType];
+        if (!defined(enumDefinition)) {
+            addError(context, 'EXT_STRUCTURAL_METADATA_ENUM_NOT_FOUND', `Enum ${definition.enumType} is not defined in the metadata schema.`, pointer);
+            return;
+        }
+        componentType = defaultValue(enumDefinition.valueType, 'UINT16');
+    }
+
+    let byteLength;
+    if (type === 'BOOLEAN') {
+        byteLength = Math.ceil(elementsLength / 8);
+    } else {
+        byteLength = elementsLength * componentsLengths[type] * componentByteLengths[componentType];
+    }
+    if (values.length < byteLength) {
+        addError(context, 'EXT_STRUCTURAL_METADATA_VALUES_LENGTH_INVALID', `Property values must have at least ${byteLength} bytes for ${elementsLength} elements of type ${type}${defined(componentType) ? ` and component type ${componentType}` : ''}, but have ${values.length}.`, `${pointer}/values`);
+    }
+}
+
+function readOffsets(context, bufferViewIndex, offsetType, length, pointer) {
+    // Offsets have one more entry than there are elements, the last one marks the end of the last element
+    if (!defined(bufferViewIndex)) {
+        addError(context, 'EXT_STRUCTURAL_METADATA_OFFSETS_MISSING', 'Variable-length arrays and strings must define their offsets.', pointer);
+        return;
+    }
+    const buffer = getBufferView(context, bufferViewIndex);
+    if (!defined(buffer)) {
+        addError(context, 'EXT_STRUCTURAL_METADATA_BUFFER_VIEW_INVALID', `Offsets refer to buffer view ${bufferViewIndex}, which does not exist or could not be read.`, pointer);
+        return;
+    }
+    offsetType = defaultValue(offsetType, 'UINT32');
+    const byteLength = componentByteLengths[offsetType];
+    if (buffer.length < (length + 1) * byteLength) {
+        addError(context, 'EXT_STRUCTURAL_METADATA_OFFSETS_INVALID', `Offsets must have at least ${(length + 1) * byteLength} bytes for ${length + 1} offsets of type ${offsetType}, but have ${buffer.length}.`, pointer);
+        return;
+    }
+
+    const offsets = new Array(length + 1);
+    for (let i = 0; i <= length; i++) {
+        offsets[i] = readOffset(buffer, i * byteLength, offsetType);
+        if (i > 0 && offsets[i] < offsets[i - 1]) {
+            addError(context, 'EXT_STRUCTURAL_METADATA_OFFSETS_INVALID', `Offsets must not decrease, but offset ${i} is ${offsets[i]} and offset ${i - 1} is ${offsets[i - 1]}.`, pointer);
+            return;
+        }
+    }
+    return offsets;
+}
+
+function readOffset(buffer, byteOffset, offsetType) {
+    if (offsetType === 'UINT8') {
+        return buffer.readUInt8(byteOffset);
+    } else if (offsetType === 'UINT16') {
+        return buffer.readUInt16LE(byteOffset);
+    } else if (offsetType === 'UINT64') {
+        return buffer.readUInt32LE(byteOffset) + buffer.readUInt32LE(byteOffset + 4) * 4294967296;
+    }
+    return buffer.readUInt32LE(byteOffset);
+}
+
+function validateMeshFeatures(context) {
+    const meshes = defaultValue(context.gltf.meshes, []);
+    for (let i = 0; i < meshes.length; i++) {
+        const primitives = defaultValue(meshes[i].primitives, []);
+        for (let j = 0; j < primitives.length; j++) {
+            const primitive = primitives[j];
+            const extension = defined(primitive.extensions) ? primitive.extensions.EXT_mesh_features : undefined;
+            if (!defined(extension)) {
+                continue;
+            }
+            const positions = defaultValue(context.gltf.accessors, [])[primitive.attributes.POSITION];
+            validateFeatureIds(context, extension, {
+                attributes: primitive.attributes,
+                attributesPointer: `/meshes/${i}/primitives/${j}/attributes`,
+                implicitLength: defined(positions) ? positions.count : undefined,
+                allowTextures: true,
+                codePrefix: 'EXT_MESH_FEATURES',
+                pointer: `/meshes/${i}/primitives/${j}/extensions/EXT_mesh_features`
+            });
+        }
+    }
+}
+
+function validateNodes(context) {
+    const accessors = defaultValue(context.gltf.accessors, []);
+    const nodes = defaultValue(context.gltf.nodes, []);
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        const extensions = defaultValue(node.extensions, {});
+        const instancing = extensions.EXT_mesh_gpu_instancing;
+        const pointer = `/nodes/${i}/extensions`;
+        let instancesLength;
+        if (defined(instancing)) {
+            if (!defined(node.mesh)) {
+                addError(context, 'EXT_MESH_GPU_INSTANCING_MESH_MISSING', 'A node with EXT_mesh_gpu_instancing must have a mesh.', `/nodes/${i}`);
+            }
+            instancesLength = validateInstancingAttributes(context, defaultValue(instancing.attributes, {}), accessors, `${pointer}/EXT_mesh_gpu_instancing/attributes`);
+        }
+
+        const instanceFeatures = extensions.EXT_instance_features;
+        if (!defined(instanceFeatures)) {
+            continue;
+        }
+        if (!defined(instancing)) {
+            addError(context, 'EXT_INSTANCE_FEATURES_INSTANCING_MISSING', 'A node with EXT_instance_features must also have EXT_mesh_gpu_instancing.', `${pointer}/EXT_instance_features`);
+            continue;
+        }
+        validateFeatureIds(context, instanceFeatures, {
+            attributes: defaultValue(instancing.attributes, {}),
+            attributesPointer: `${pointer}/EXT_mesh_gpu_instancing/attributes`,
+            implicitLength: instancesLength,
+            allowTextures: false,
+            codePrefix: 'EXT_INSTANCE_FEATURES',
+            pointer: `${pointer}/EXT_instance_features`
+        });
+    }
+}
+
+const instancingAttributeTypes = {
+    TRANSLATION: 'VEC3',
+    ROTATION: 'VEC4',
+    SCALE: 'VEC3'
+};
+
+function validateInstancingAttributes(context, attributes, accessors, pointer) {
+    // Returns the number of instances, which all attributes must agree on
+    let instancesLength;
+    let firstName;
+    for (const name in attributes) {
+        if (!attributes.hasOwnProperty(name)) {
+            continue;
+        }
+        const accessor = accessors[attributes[name]];
+        if (!defined(accessor)) {
+            addError(context, 'EXT_MESH_GPU_INSTANCING_ACCESSOR_INVALID', `Instancing attribute ${name} refers to accessor ${attributes[name]}, which does not exist.`, `${pointer}/${name}`);
+            continue;
+        }
+        const type = instancingAttributeTypes[name];
+        if (defined(type) && accessor.type !== type) {
+            addError(context, 'EXT_MESH_GPU_INSTANCING_TYPE_INVALID', `Instancing attribute ${name} must be of type ${type}, but is ${accessor.type}.`, `${pointer}/${name}`);
+        }
+        if (!defined(instancesLength)) {
+            instancesLength = accessor.count;
+            firstName = name;
+        } else if (accessor.count !== instancesLength) {
+            addError(context, 'EXT_MESH_GPU_INSTANCING_COUNT_MISMATCH', `Instancing attribute ${name} has ${accessor.count} elements, but ${firstName} has ${instancesLength}. All instancing attributes must have the same count.`, `${pointer}/${name}`);
+        }
+    }
+    return instancesLength;
+}
+
+function validateFeatureIds(context, extension, options) {
+    const featureIds = defaultValue(extension.featureIds, []);
+    const codePrefix = options.codePrefix;
+    for (let i = 0; i < featureIds.length; i++) {
+        const featureId = featureIds[i];
+        const pointer = `${options.pointer}/featureIds/${i}`;
+        const featureCount = featureId.featureCount;
+        if (!Number.isInteger(featureCount) || featureCount < 1) {
+            addError(context, `${codePrefix}_FEATURE_COUNT_INVALID`, `Feature ID featureCount must be an integer greater than 0, but is ${featureCount}.`, `${pointer}/featureCount`);
+            continue;
+        }
+
+        let propertyTableCount;
+        if (defined(featureId.propertyTable)) {
+            const propertyTable = context.propertyTables[featureId.propertyTable];
+            if (!defined(propertyTable)) {
+                addError(context, `${codePrefix}_PROPERTY_TABLE_INVALID`, `Feature ID refers to property table ${featureId.propertyTable}, which is not a valid property table of EXT_structural_metadata.`, `${pointer}/propertyTable`);
+                continue;
+            }
+            propertyTableCount = propertyTable.count;
+        }
+
+        if (defined(featureId.attribute)) {
+            validateFeatureIdAttribute(context, featureId, propertyTableCount, options, pointer);
+        } else if (defined(featureId.texture)) {
+            if (options.allowTextures) {
+                validateFeatureIdTexture(context, featureId.texture, options.attributes, codePrefix, `${pointer}/texture`);
+            } else {
+                addError(context, `${codePrefix}_TEXTURE_INVALID`, 'Instance feature IDs cannot be stored in textures.', `${pointer}/texture`);
+            }
+        } else if (defined(options.implicitLength) && options.implicitLength > featureCount) {
+            // Without an attribute or texture the feature ID is the index of the vertex or instance
+            addError(context, `${codePrefix}_FEATURE_ID_OUT_OF_RANGE`, `Implicit feature IDs go up to ${options.implicitLength - 1}, but featureCount is ${featureCount}.`, `${pointer}/featureCount`);
+        }
+    }
+}
+
+function validateFeatureIdAttribute(context, featureId, propertyTableCount, options, pointer) {
+    const codePrefix = options.codePrefix;
+    const name = `_FEATURE_ID_${featureId.attribute}`;
+    const accessorIndex = options.attributes[name];
+    if (!defined(accessorIndex)) {
+        addError(context, `${codePrefix}_ATTRIBUTE_NOT_FOUND`, `Feature ID attribute ${name} is not defined in ${options.attributesPointer}.`, `${pointer}/attribute`);
+        return;
+    }
+    const values = readGltfAccessor(context.gltf, context.buffers, accessorIndex);
+    if (!defined(values)) {
+        return;
+    }
+
+    const featureCount = featureId.featureCount;
+    const maximum = defined(propertyTableCount) ? Math.min(featureCount, propertyTableCount) : featureCount;
+    const length = values.length;
+    for (let i = 0; i < length; i++) {
+        const value = values[i];
+        if (value === featureId.nullFeatureId) {
+            continue;
+        }
+        if (!Number.isInteger(value) || value < 0 || value >= maximum) {
+            const limit = maximum === featureCount ? `featureCount ${featureCount}` : `the ${propertyTableCount} rows of property table ${featureId.propertyTable}`;
+            addError(context, `${codePrefix}_FEATURE_ID_OUT_OF_RANGE`, `Feature ID ${value} of element ${i} of attribute ${name} is not less than ${limit}.`, `${pointer}/attribute`);
+            return;
+        }
+    }
+}
+
+function validateFeatureIdTexture(context, texture, attributes, codePrefix, pointer) {
+    if (!defined(defaultValue(context.gltf.textures, [])[texture.index])) {
+        addError(context, `${codePrefix}_TEXTURE_INVALID`, `Feature ID texture refers to texture ${texture.index}, which does not exist.`, `${pointer}/index`);
+    }
+    const texCoord = `TEXCOORD_${defaultValue(texture.texCoord, 0)}`;
+    if (!defined(attributes[texCoord])) {
+        addError(context, `${codePrefix}_TEXCOORD_NOT_FOUND`, `Feature ID texture uses ${texCoord}, which is not an attribute of the primitive.`, `${pointer}/texCoord`);
+    }
+    const channels = defaultValue(texture.channels, [0]);
+    if (!channels.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 3)) {
+        addError(context, `${codePrefix}_TEXTURE_INVALID`, `Feature ID texture channels [${channels}] must be between 0 and 3.`, `${pointer}/channels`);
+    }
+}
+
+function addError(context, code, message, pointer) {
+    context.issues.push(createValidationIssue({
+        code: code,
+        message: message,
+        filePath: context.filePath,
+        pointer: pointer
+    }));
+}
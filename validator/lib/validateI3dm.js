@@ -1,16 +1,26 @@
 'use strict';
 const Cesium = require('cesium');
+const path = require('path');
 
 const bufferToJson = require('./bufferToJson');
+const createValidationIssue = require('./createValidationIssue');
 const isDataUri = require('./isDataUri');
 const utility = require('./utility');
 const validateBatchTable = require('./validateBatchTable');
 const validateFeatureTable = require('./validateFeatureTable');
+const validateFeatureTableValues = require('./validateFeatureTableValues');
 const validateGlb = require('./validateGlb');
+const validateGltf = require('./validateGltf');
+const ValidationSeverity = require('./ValidationSeverity');
 
+const Cesium3DTileFeatureTable = Cesium.Cesium3DTileFeatureTable;
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
 
+const componentTypeToByteLength = utility.componentTypeToByteLength;
 const isBufferValidUtf8 = utility.isBufferValidUtf8;
+const locateIssues = utility.locateIssues;
 
 module.exports = validateI3dm;
 
@@ -88,21 +98,27 @@ const featureTableSemantics = {
 };
 
 /**
- * Checks if the provided buffer has valid i3dm tile content.
+ * Checks if the provided buffer has valid i3dm tile content. Besides the layout of the feature table, its values are
+ * checked, see {@link validateFeatureTableValues}, and the batch IDs must be less than <code>INSTANCES_LENGTH</code>.
+ * The model is either an embedded glb or, with <code>gltfFormat</code> 0, an external glTF or glb that is read and validated.
  *
  * @param {Object} options An object with the following properties:
  * @param {Buffer} options.content A buffer containing the contents of an i3dm tile.
  * @param {String} options.filePath The tile's file path.
- * @param {String} options.directory The tile's directory.
+ * @param {String} options.directory The tile's directory, which the uri of an external glTF is relative to.
  * @param {Object} options.reader The resource reader.
  * @param {Boolean} [options.writeReports=false] Write glTF error report next to the glTF file in question.
- * @returns {Promise} A promise that resolves when the validation completes. If the validation fails, the promise will resolve to an error message.
+ * @param {Object} [options.extensionRegistry] The registry that the extensions used by the feature table and batch table are recorded in, see {@link createExtensionRegistry}.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the tile is valid.
  */
 async function validateI3dm(options) {
     const content = options.content;
+    const filePath = options.filePath;
+    const issues = [];
+
     const headerByteLength = 32;
     if (content.length < headerByteLength) {
-        return 'Header must be 32 bytes.';
+        return [createError(filePath, 'HEADER_LENGTH_INVALID', 'Header must be 32 bytes.', 0)];
     }
 
     const magic = content.toString('utf8', 0, 4);
@@ -115,19 +131,20 @@ async function validateI3dm(options) {
     const gltfFormat = content.readUInt32LE(28);
 
     if (magic !== 'i3dm') {
-        return `Invalid magic: ${magic}`;
+        return [createError(filePath, 'MAGIC_INVALID', `Invalid magic: ${magic}`, 0)];
     }
 
     if (version !== 1) {
-        return `Invalid version: ${version}. Version must be 1.`;
+        issues.push(createError(filePath, 'VERSION_INVALID', `Invalid version: ${version}. Version must be 1.`, 4));
     }
 
     if (byteLength !== content.length) {
-        return `byteLength of ${byteLength} does not equal the tile\'s actual byte length of ${content.length}.`;
+        issues.push(createError(filePath, 'BYTE_LENGTH_MISMATCH', `byteLength of ${byteLength} does not equal the tile\'s actual byte length of ${content.length}.`, 8));
+        return issues;
     }
 
     if (gltfFormat > 1) {
-        return `invalid gltfFormat "${gltfFormat}". Must be 0 or 1.`;
+        issues.push(createError(filePath, 'GLTF_FORMAT_INVALID', `invalid gltfFormat "${gltfFormat}". Must be 0 or 1.`, 28));
     }
 
     const featureTableJsonByteOffset = headerByteLength;
@@ -138,20 +155,21 @@ async function validateI3dm(options) {
     let glbByteLength = Math.max(byteLength - glbByteOffset, 0);
 
     if (featureTableBinaryByteOffset % 8 > 0) {
-        return 'Feature table binary must be aligned to an 8-byte boundary.';
+        issues.push(createError(filePath, 'FEATURE_TABLE_BINARY_UNALIGNED', 'Feature table binary must be aligned to an 8-byte boundary.', featureTableBinaryByteOffset));
     }
 
     if (batchTableBinaryByteOffset % 8 > 0) {
-        return 'Batch table binary must be aligned to an 8-byte boundary.';
+        issues.push(createError(filePath, 'BATCH_TABLE_BINARY_UNALIGNED', 'Batch table binary must be aligned to an 8-byte boundary.', batchTableBinaryByteOffset));
     }
 
     const embeddedGlb = (gltfFormat === 1);
     if (embeddedGlb && glbByteOffset % 8 > 0) {
-        return 'Glb must be aligned to an 8-byte boundary.';
+        issues.push(createError(filePath, 'GLB_UNALIGNED', 'Glb must be aligned to an 8-byte boundary.', glbByteOffset));
     }
 
     if (headerByteLength + featureTableJsonByteLength + featureTableBinaryByteLength + batchTableJsonByteLength + batchTableBinaryByteLength + glbByteLength > byteLength) {
-        return 'Feature table, batch table, and glb byte lengths exceed the tile\'s byte length.';
+        issues.push(createError(filePath, 'BYTE_LENGTHS_EXCEED_TILE', 'Feature table, batch table, and glb byte lengths exceed the tile\'s byte length.', 12));
+        return issues;
     }
 
     const featureTableJsonBuffer = content.slice(featureTableJsonByteOffset, featureTableBinaryByteOffset);
@@ -168,67 +186,186 @@ async function validateI3dm(options) {
     try {
         featureTableJson = bufferToJson(featureTableJsonBuffer);
     } catch (error) {
-        return `Feature table JSON could not be parsed: ${error.message}`;
+        issues.push(createError(filePath, 'FEATURE_TABLE_JSON_INVALID', `Feature table JSON could not be parsed: ${error.message}`, featureTableJsonByteOffset));
     }
 
     try {
         batchTableJson = bufferToJson(batchTableJsonBuffer);
     } catch (error) {
-        return `Batch table JSON could not be parsed: ${error.message}`;
+        issues.push(createError(filePath, 'BATCH_TABLE_JSON_INVALID', `Batch table JSON could not be parsed: ${error.message}`, batchTableJsonByteOffset));
     }
 
-    const featuresLength = featureTableJson.INSTANCES_LENGTH;
-    if (!defined(featuresLength)) {
-        return 'Feature table must contain an INSTANCES_LENGTH property.';
+    if (defined(options.extensionRegistry)) {
+        options.extensionRegistry.addExtensions(featureTableJson, filePath, '', featureTableJsonByteOffset);
+        options.extensionRegistry.addExtensions(batchTableJson, filePath, '', batchTableJsonByteOffset);
     }
 
-    if (!defined(featureTableJson.POSITION) && !defined(featureTableJson.POSITION_QUANTIZED)) {
-        return 'Feature table must contain either the POSITION or POSITION_QUANTIZED property.';
-    }
+    if (defined(featureTableJson)) {
+        const featuresLength = featureTableJson.INSTANCES_LENGTH;
+        if (!defined(featuresLength)) {
+            issues.push(createMissingPropertyError(filePath, 'Feature table must contain an INSTANCES_LENGTH property.', '/INSTANCES_LENGTH', featureTableJsonByteOffset));
+        }
 
-    if (defined(featureTableJson.NORMAL_UP) && !defined(featureTableJson.NORMAL_RIGHT)) {
-        return 'Feature table property NORMAL_RIGHT is required when NORMAL_UP is present.';
-    }
+        if (!defined(featureTableJson.POSITION) && !defined(featureTableJson.POSITION_QUANTIZED)) {
+            issues.push(createMissingPropertyError(filePath, 'Feature table must contain either the POSITION or POSITION_QUANTIZED property.', '/POSITION', featureTableJsonByteOffset));
+        }
 
-    if (!defined(featureTableJson.NORMAL_UP) && defined(featureTableJson.NORMAL_RIGHT)) {
-        return 'Feature table property NORMAL_UP is required when NORMAL_RIGHT is present.';
-    }
+        if (defined(featureTableJson.NORMAL_UP) && !defined(featureTableJson.NORMAL_RIGHT)) {
+            issues.push(createMissingPropertyError(filePath, 'Feature table property NORMAL_RIGHT is required when NORMAL_UP is present.', '/NORMAL_RIGHT', featureTableJsonByteOffset));
+        }
 
-    if (defined(featureTableJson.NORMAL_UP_OCT32P) && !defined(featureTableJson.NORMAL_RIGHT_OCT32P)) {
-        return 'Feature table property NORMAL_RIGHT_OCT32P is required when NORMAL_UP_OCT32P is present.';
-    }
+        if (!defined(featureTableJson.NORMAL_UP) && defined(featureTableJson.NORMAL_RIGHT)) {
+            issues.push(createMissingPropertyError(filePath, 'Feature table property NORMAL_UP is required when NORMAL_RIGHT is present.', '/NORMAL_UP', featureTableJsonByteOffset));
+        }
 
-    if (!defined(featureTableJson.NORMAL_UP_OCT32P) && defined(featureTableJson.NORMAL_RIGHT_OCT32P)) {
-        return 'Feature table property NORMAL_UP_OCT32P is required when NORMAL_RIGHT_OCT32P is present.';
-    }
+        if (defined(featureTableJson.NORMAL_UP_OCT32P) && !defined(featureTableJson.NORMAL_RIGHT_OCT32P)) {
+            issues.push(createMissingPropertyError(filePath, 'Feature table property NORMAL_RIGHT_OCT32P is required when NORMAL_UP_OCT32P is present.', '/NORMAL_RIGHT_OCT32P', featureTableJsonByteOffset));
+        }
 
-    if (defined(featureTableJson.POSITION_QUANTIZED) && (!defined(featureTableJson.QUANTIZED_VOLUME_OFFSET) || !defined(featureTableJson.QUANTIZED_VOLUME_SCALE))) {
-        return 'Feature table properties QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE are required when POSITION_QUANTIZED is present.';
-    }
+        if (!defined(featureTableJson.NORMAL_UP_OCT32P) && defined(featureTableJson.NORMAL_RIGHT_OCT32P)) {
+            issues.push(createMissingPropertyError(filePath, 'Feature table property NORMAL_UP_OCT32P is required when NORMAL_RIGHT_OCT32P is present.', '/NORMAL_UP_OCT32P', featureTableJsonByteOffset));
+        }
 
-    const featureTableMessage = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-    if (defined(featureTableMessage)) {
-        return featureTableMessage;
-    }
+        if (defined(featureTableJson.POSITION_QUANTIZED) && (!defined(featureTableJson.QUANTIZED_VOLUME_OFFSET) || !defined(featureTableJson.QUANTIZED_VOLUME_SCALE))) {
+            issues.push(createMissingPropertyError(filePath, 'Feature table properties QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE are required when POSITION_QUANTIZED is present.', '/QUANTIZED_VOLUME_OFFSET', featureTableJsonByteOffset));
+        }
+
+        if (defined(featuresLength)) {
+            const featureTableIssues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+            issues.push.apply(issues, locateIssues(featureTableIssues, filePath, featureTableBinaryByteOffset));
+
+            // The values can only be read once the feature table layout is known to be valid
+            if (featureTableIssues.length === 0) {
+                const valueIssues = validateFeatureTableValues(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+                issues.push.apply(issues, locateIssues(valueIssues, filePath, featureTableBinaryByteOffset));
+            }
+
+            // Like in CesiumJS, the batch table holds one entry per instance, or max BATCH_ID + 1 entries if there are BATCH_IDs
+            let batchLength = featuresLength;
+            if (featureTableIssues.length === 0 && defined(featureTableJson.BATCH_ID)) {
+                const featureTable = new Cesium3DTileFeatureTable(featureTableJson, featureTableBinary);
+                featureTable.featuresLength = featuresLength;
+                const componentType = defaultValue(featureTableJson.BATCH_ID.componentType, 'UNSIGNED_SHORT');
+                const batchIds = featureTable.getPropertyArray('BATCH_ID', ComponentDatatype.fromName(componentType), 1);
+                batchLength = batchIds.reduce((maximum, batchId) => Math.max(maximum, batchId + 1), 0);
+
+                const batchTableLength = getBatchTableLength(batchTableJson);
+                if (defined(batchTableLength)) {
+                    const index = batchIds.findIndex(batchId => batchId >= batchTableLength);
+                    if (index > -1) {
+                        const byteOffset = featureTableJson.BATCH_ID.byteOffset;
+                        issues.push.apply(issues, locateIssues([createValidationIssue({
+                            code: 'BATCH_ID_OUT_OF_RANGE',
+                            message: `BATCH_ID ${batchIds[index]} of instance ${index} must be less than the batch table length ${batchTableLength}.`,
+                            pointer: '/BATCH_ID',
+                            byteOffset: defined(byteOffset) ? byteOffset + index * componentTypeToByteLength(componentType) : undefined
+                        })], filePath, featureTableBinaryByteOffset));
+                    }
+                    batchLength = batchTableLength;
+                }
+            }
 
-    const batchTableMessage = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-    if (defined(batchTableMessage)) {
-        return batchTableMessage;
+            if (defined(batchTableJson)) {
+                const batchTableIssues = validateBatchTable(batchTableJson, batchTableBinary, batchLength);
+                issues.push.apply(issues, locateIssues(batchTableIssues, filePath, batchTableBinaryByteOffset));
+            }
+        }
     }
 
     if (embeddedGlb) {
-        const filePath = isDataUri(options.filePath) ? options.filePath : `${options.filePath}.glb`;
-        const glbMessage = await validateGlb({
+        const glbIssues = await validateGlb({
             content: glb,
             reader: options.reader,
-            filePath: filePath,
+            filePath: isDataUri(filePath) ? filePath : `${filePath}.glb`,
             directory: options.directory,
             writeReports: options.writeReports
         });
-        if (defined(glbMessage)) {
-            return glbMessage;
+        issues.push.apply(issues, locateIssues(glbIssues, filePath, glbByteOffset));
+    } else if (gltfFormat === 0 && !isBufferValidUtf8(glb)) {
+        issues.push(createError(filePath, 'GLTF_URI_INVALID', 'glTF uri is not a valid utf-8 string', glbByteOffset));
+    } else if (gltfFormat === 0) {
+        // Like in CesiumJS, the uri may be padded with spaces or null characters
+        const uri = glb.toString().replace(/[\s\0]+$/, '');
+        const gltfIssues = await validateExternalGltf(uri, glbByteOffset, options);
+        issues.push.apply(issues, gltfIssues);
+    }
+    return issues;
+}
+
+function getBatchTableLength(batchTableJson) {
+    // The length of the JSON array properties. Binary properties do not store their length, so they are only checked to
+    // fit max BATCH_ID + 1 values into the batch table binary.
+    if (!defined(batchTableJson)) {
+        return undefined;
+    }
+    const name = Object.keys(batchTableJson).find(name => name !== 'extensions' && name !== 'extras' && Array.isArray(batchTableJson[name]));
+    return defined(name) ? batchTableJson[name].length : undefined;
+}
+
+async function validateExternalGltf(uri, byteOffset, options) {
+    const filePath = options.filePath;
+    if (uri.length === 0) {
+        return [createError(filePath, 'GLTF_URI_INVALID', 'glTF uri must not be empty.', byteOffset)];
+    }
+
+    const issues = [];
+    let gltfPath;
+    let content;
+    if (isDataUri(uri)) {
+        gltfPath = filePath;
+        content = Buffer.from(uri.split(',')[1], 'base64');
+    } else {
+        if (path.win32.isAbsolute(uri)) {
+            issues.push(createValidationIssue({
+                severity: ValidationSeverity.WARNING,
+                code: 'GLTF_URI_ABSOLUTE_PATH',
+                message: `glTF uri ${uri} is an absolute path. It should be relative to the tile so that the tileset can be moved.`,
+                filePath: filePath,
+                byteOffset: byteOffset
+            }));
         }
-    } else if (!isBufferValidUtf8(glb)) {
-        return 'glTF uri is not a valid utf-8 string';
+        try {
+            gltfPath = path.join(options.directory, decodeURIComponent(uri));
+            content = await options.reader.readBinary(gltfPath);
+        } catch (error) {
+            issues.push(createError(filePath, 'GLTF_URI_UNREADABLE', `glTF ${uri} could not be read (${error.message}).`, byteOffset));
+            return issues;
+        }
+    }
+
+    // The issues of the glTF refer to the glTF itself, which is relative to its own directory
+    const gltfOptions = {
+        content: content,
+        filePath: gltfPath,
+        directory: isDataUri(uri) ? options.directory : path.dirname(gltfPath),
+        reader: options.reader,
+        writeReports: options.writeReports
+    };
+    try {
+        const isGlb = content.length >= 4 && content.toString('utf8', 0, 4) === 'glTF';
+        const gltfIssues = isGlb ? await validateGlb(gltfOptions) : await validateGltf(gltfOptions);
+        issues.push.apply(issues, gltfIssues);
+    } catch (error) {
+        issues.push(createError(gltfPath, 'GLTF_VALIDATION_FAILED', `glTF validation could not be performed: ${error.message}`));
     }
+    return issues;
+}
+
+function createError(filePath, code, message, byteOffset) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        byteOffset: byteOffset
+    });
+}
+
+function createMissingPropertyError(filePath, message, pointer, byteOffset) {
+    return createValidationIssue({
+        code: 'FEATURE_TABLE_PROPERTY_MISSING',
+        message: message,
+        filePath: filePath,
+        pointer: pointer,
+        byteOffset: byteOffset
+    });
 }
@@ -0,0 +1,339 @@
+'use strict';
+const Cesium = require('cesium');
+const path = require('path');
+
+const createValidationIssue = require('./createValidationIssue');
+const getTileContents = require('./getTileContents');
+const isAbsoluteUri = require('./isAbsoluteUri');
+const utility = require('./utility');
+const validateSubtree = require('./validateSubtree');
+
+const Cartesian3 = Cesium.Cartesian3;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const Matrix3 = Cesium.Matrix3;
+
+const hasErrors = utility.hasErrors;
+
+module.exports = validateImplicitTiling;
+
+/**
+ * Checks the implicit tiling of a tile and the subtrees it references, and finds the contents of the available implicit tiles.
+ * Both the <code>implicitTiling</code> property of 3D Tiles 1.1 and the <code>3DTILES_implicit_tiling</code> extension are supported.
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {Object} options.tile The tile JSON with the implicit tiling.
+ * @param {String} options.pointer The JSON pointer to the tile.
+ * @param {Matrix4} options.transform The world transform of the tile, which all implicit tiles share.
+ * @param {Boolean} options.boundingVolumeValid Whether the bounding volume of the tile is well-formed, so that the bounding volumes of the implicit tiles can be derived from it.
+ * @param {String} options.filePath The tileset JSON file path.
+ * @param {String} options.directory The directory containing the tileset JSON that the template URIs are relative to.
+ * @param {Object} options.reader The resource reader.
+ * @param {Boolean} [options.onlyValidateTilesets=false] Only return contents that are external tilesets.
+ * @param {Boolean} [options.collectAll=false] Keep reading subtrees after a subtree with errors is found.
+ * @returns {Promise} A promise that resolves to an object with the <code>issues</code> found and the <code>contents</code> of the available implicit tiles.
+ * Each content has a <code>path</code>, the world <code>transform</code> and, if it can be derived, the <code>boundingVolume</code> of its implicit tile together with the <code>pointer</code> to the bounding volume it was derived from.
+ */
+async function validateImplicitTiling(options) {
+    const tile = options.tile;
+    const filePath = options.filePath;
+    const tilePointer = options.pointer;
+
+    let implicitTiling = tile.implicitTiling;
+    let pointer = `${tilePointer}/implicitTiling`;
+    let availableLevels;
+    let availableLevelsPointer;
+    if (defined(implicitTiling)) {
+        availableLevels = implicitTiling.availableLevels;
+        availableLevelsPointer = `${pointer}/availableLevels`;
+    } else {
+        implicitTiling = tile.extensions['3DTILES_implicit_tiling'];
+        pointer = `${tilePointer}/extensions/3DTILES_implicit_tiling`;
+        availableLevels = implicitTiling.maximumLevel + 1;
+        availableLevelsPointer = `${pointer}/maximumLevel`;
+    }
+
+    const issues = [];
+    const subdivisionScheme = implicitTiling.subdivisionScheme;
+    const subtreeLevels = implicitTiling.subtreeLevels;
+    if (subdivisionScheme !== 'QUADTREE' && subdivisionScheme !== 'OCTREE') {
+        issues.push(createError(filePath, 'IMPLICIT_TILING_SUBDIVISION_SCHEME_INVALID', `Implicit tiling subdivisionScheme must be QUADTREE or OCTREE, but is ${subdivisionScheme}.`, `${pointer}/subdivisionScheme`));
+    }
+    if (!Number.isInteger(subtreeLevels) || subtreeLevels < 1) {
+        issues.push(createError(filePath, 'IMPLICIT_TILING_SUBTREE_LEVELS_INVALID', `Implicit tiling subtreeLevels must be an integer greater than 0, but is ${subtreeLevels}.`, `${pointer}/subtreeLevels`));
+    }
+    if (!Number.isInteger(availableLevels) || availableLevels < 1) {
+        issues.push(createError(filePath, 'IMPLICIT_TILING_AVAILABLE_LEVELS_INVALID', 'Implicit tiling must have at least one available level.', availableLevelsPointer));
+    }
+    if (!defined(implicitTiling.subtrees) || typeof implicitTiling.subtrees.uri !== 'string') {
+        issues.push(createError(filePath, 'IMPLICIT_TILING_SUBTREES_URI_MISSING', 'Implicit tiling must define the template URI of its subtrees.', `${pointer}/subtrees/uri`));
+    }
+    if (defined(tile.boundingVolume) && defined(tile.boundingVolume.sphere)) {
+        issues.push(createError(filePath, 'IMPLICIT_TILING_BOUNDING_VOLUME_INVALID', 'The bounding volume of a tile with implicit tiling must be a box or a region.', `${tilePointer}/boundingVolume/sphere`));
+    }
+    if (defined(tile.children)) {
+        issues.push(createError(filePath, 'IMPLICIT_TILING_CHILDREN_INVALID', 'A tile with implicit tiling must not have children.', `${tilePointer}/children`));
+    }
+    if (hasErrors(issues)) {
+        return {
+            issues: issues,
+            contents: []
+        };
+    }
+
+    // Each content template has its own content availability in the subtrees
+    const templates = getTileContents(tile, tilePointer).map(tileContent => ({
+        uri: tileContent.content.uri,
+        pointer: `${tileContent.pointer}/uri`
+    }));
+    const variables = subdivisionScheme === 'OCTREE' ? ['level', 'x', 'y', 'z'] : ['level', 'x', 'y'];
+    validateTemplateUri(implicitTiling.subtrees.uri, variables, filePath, `${pointer}/subtrees/uri`, issues);
+    const length = templates.length;
+    for (let i = 0; i < length; i++) {
+        validateTemplateUri(templates[i].uri, variables, filePath, templates[i].pointer, issues);
+    }
+    if (hasErrors(issues)) {
+        return {
+            issues: issues,
+            contents: []
+        };
+    }
+
+    const contents = await getImplicitContents({
+        options: options,
+        issues: issues,
+        subdivisionScheme: subdivisionScheme,
+        subtreeLevels: subtreeLevels,
+        availableLevels: availableLevels,
+        subtreesUri: implicitTiling.subtrees.uri,
+        subtreesPointer: `${pointer}/subtrees/uri`,
+        templates: templates
+    });
+    return {
+        issues: issues,
+        contents: contents
+    };
+}
+
+function validateTemplateUri(uri, variables, filePath, pointer, issues) {
+    if (typeof uri !== 'string') {
+        return;
+    }
+    const matches = uri.match(/{[^}]*}/g);
+    if (!defined(matches)) {
+        return;
+    }
+    const length = matches.length;
+    for (let i = 0; i < length; i++) {
+        const variable = matches[i].slice(1, -1);
+        if (variables.indexOf(variable) === -1) {
+            issues.push(createError(filePath, 'IMPLICIT_TILING_TEMPLATE_VARIABLE_INVALID', `Template URI ${uri} uses the variable {${variable}}. The variables must be ${variables.map(name => `{${name}}`).join(', ')}.`, pointer));
+        }
+    }
+}
+
+function substituteTemplateUri(uri, coordinates) {
+    return uri.replace(/{(level|x|y|z)}/g, (match, variable) => coordinates[variable]);
+}
+
+async function getImplicitContents(walk) {
+    const options = walk.options;
+    const issues = walk.issues;
+    const filePath = options.filePath;
+    const directory = options.directory;
+    const collectAll = defaultValue(options.collectAll, false);
+    const subtreeLevels = walk.subtreeLevels;
+    const availableLevels = walk.availableLevels;
+    const templates = walk.templates;
+    const dimensions = walk.subdivisionScheme === 'OCTREE' ? 3 : 2;
+    const branchingFactor = Math.pow(2, dimensions);
+    const contents = [];
+
+    const queue = [{
+        level: 0,
+        x: 0,
+        y: 0,
+        z: 0
+    }];
+    while (queue.length > 0) {
+        const subtreeCoordinates = queue.shift();
+        const subtreePath = utility.normalizePath(path.join(directory, substituteTemplateUri(walk.subtreesUri, subtreeCoordinates)));
+        let subtree;
+        try {
+            subtree = await options.reader.readBinary(subtreePath);
+        } catch (error) {
+            issues.push(createError(filePath, 'IMPLICIT_TILING_SUBTREE_UNREADABLE', `Subtree ${subtreePath} could not be read: ${error.message}`, walk.subtreesPointer));
+            if (!collectAll) {
+                break;
+            }
+            continue;
+        }
+
+        const result = await validateSubtree({
+            content: subtree,
+            filePath: subtreePath,
+            directory: path.dirname(subtreePath),
+            reader: options.reader,
+            subdivisionScheme: walk.subdivisionScheme,
+            subtreeLevels: subtreeLevels,
+            contentsLength: templates.length
+        });
+        issues.push.apply(issues, result.issues);
+        const availability = result.availability;
+        if (!defined(availability)) {
+            if (!collectAll) {
+                break;
+            }
+            continue;
+        }
+
+        // Tiles are stored level by level in Morton order
+        let levelOffset = 0;
+        let levelLength = 1;
+        for (let localLevel = 0; localLevel < subtreeLevels && subtreeCoordinates.level + localLevel < availableLevels; localLevel++) {
+            for (let i = 0; i < levelLength; i++) {
+                const index = levelOffset + i;
+                if (!availability.tileAvailability.isAvailable(index)) {
+                    continue;
+                }
+                const coordinates = getGlobalCoordinates(subtreeCoordinates, localLevel, i, dimensions);
+                for (let j = 0; j < templates.length; j++) {
+                    if (typeof templates[j].uri !== 'string' || !availability.contentAvailability[j].isAvailable(index)) {
+                        continue;
+                    }
+                    const uri = substituteTemplateUri(templates[j].uri, coordinates);
+                    if (!options.onlyValidateTilesets || uri.endsWith('.json')) {
+                        contents.push({
+                            uri: uri,
+                            path: isAbsoluteUri(uri) ? uri : path.join(directory, uri),
+                            pointer: templates[j].pointer,
+                            boundingVolume: getImplicitBoundingVolume(options, coordinates, dimensions),
+                            transform: options.transform
+                        });
+                    }
+                }
+            }
+            levelOffset += levelLength;
+            levelLength *= branchingFactor;
+        }
+
+        const childLevel = subtreeCoordinates.level + subtreeLevels;
+        const childSubtreesLength = Math.pow(branchingFactor, subtreeLevels);
+        for (let i = 0; i < childSubtreesLength; i++) {
+            if (!availability.childSubtreeAvailability.isAvailable(i)) {
+                continue;
+            }
+            if (childLevel >= availableLevels) {
+                issues.push(createError(subtreePath, 'SUBTREE_CHILD_SUBTREE_AVAILABILITY_INVALID', `Child subtree ${i} is available, but its level ${childLevel} is beyond the ${availableLevels} available levels.`, '/childSubtreeAvailability'));
+                break;
+            }
+            queue.push(getGlobalCoordinates(subtreeCoordinates, subtreeLevels, i, dimensions));
+        }
+        if (hasErrors(issues) && !collectAll) {
+            break;
+        }
+    }
+    return contents;
+}
+
+function getGlobalCoordinates(subtreeCoordinates, localLevel, mortonIndex, dimensions) {
+    // The Morton index interleaves the bits of x, y and, for octrees, z, starting with x
+    const local = [0, 0, 0];
+    let bit = 1;
+    while (mortonIndex > 0) {
+        for (let i = 0; i < dimensions; i++) {
+            local[i] += (mortonIndex % 2) * bit;
+            mortonIndex = Math.floor(mortonIndex / 2);
+        }
+        bit *= 2;
+    }
+    const scale = Math.pow(2, localLevel);
+    return {
+        level: subtreeCoordinates.level + localLevel,
+        x: subtreeCoordinates.x * scale + local[0],
+        y: subtreeCoordinates.y * scale + local[1],
+        z: subtreeCoordinates.z * scale + local[2]
+    };
+}
+
+function getImplicitBoundingVolume(options, coordinates, dimensions) {
+    const boundingVolume = options.tile.boundingVolume;
+    if (!options.boundingVolumeValid) {
+        return undefined;
+    }
+    const pointer = `${options.pointer}/boundingVolume`;
+    const size = 1.0 / Math.pow(2, coordinates.level);
+    if (defined(boundingVolume.box)) {
+        return {
+            boundingVolume: {
+                box: subdivideBox(boundingVolume.box, coordinates, size, dimensions)
+            },
+            pointer: pointer
+        };
+    } else if (defined(boundingVolume.region)) {
+        return {
+            boundingVolume: {
+                region: subdivideRegion(boundingVolume.region, coordinates, size, dimensions)
+            },
+            pointer: pointer
+        };
+    }
+    return undefined;
+}
+
+const scratchHalfAxes = new Matrix3();
+const scratchCenter = new Cartesian3();
+const scratchAxis = new Cartesian3();
+
+function subdivideBox(box, coordinates, size, dimensions) {
+    const halfAxes = Matrix3.fromArray(box, 3, scratchHalfAxes);
+    const center = Cartesian3.unpack(box, 0, scratchCenter);
+    const axisCoordinates = [coordinates.x, coordinates.y, coordinates.z];
+    for (let i = 0; i < 3; i++) {
+        const axis = Matrix3.getColumn(halfAxes, i, scratchAxis);
+        if (i < dimensions) {
+            // The center moves from the corner of the root box to the center of the implicit tile along the subdivided axes
+            Cartesian3.add(center, Cartesian3.multiplyByScalar(axis, (2 * axisCoordinates[i] + 1) * size - 1.0, new Cartesian3()), center);
+            Matrix3.setColumn(halfAxes, i, Cartesian3.multiplyByScalar(axis, size, axis), halfAxes);
+        }
+    }
+    return Matrix3.pack(halfAxes, Cartesian3.pack(center, []), 3);
+}
+
+function subdivideRegion(region, coordinates, size, dimensions) {
+    const west = region[0];
+    const south = region[1];
+    let east = region[2];
+    const north = region[3];
+    if (east < west) {
+        // The region crosses the antimeridian
+        east += 2.0 * Math.PI;
+    }
+    const width = (east - west) * size;
+    const height = (north - south) * size;
+    let childWest = west + coordinates.x * width;
+    if (childWest > Math.PI) {
+        childWest -= 2.0 * Math.PI;
+    }
+    let childEast = childWest + width;
+    if (childEast > Math.PI) {
+        childEast -= 2.0 * Math.PI;
+    }
+    let minimumHeight = region[4];
+    let maximumHeight = region[5];
+    if (dimensions === 3) {
+        const depth = (maximumHeight - minimumHeight) * size;
+        minimumHeight += coordinates.z * depth;
+        maximumHeight = minimumHeight + depth;
+    }
+    return [childWest, south + coordinates.y * height, childEast, south + (coordinates.y + 1) * height, minimumHeight, maximumHeight];
+}
+
+function createError(filePath, code, message, pointer) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer
+    });
+}
@@ -0,0 +1,63 @@
+'use strict';
+const Cesium = require('cesium');
+
+const checkMetadataValue = require('./checkMetadataValue');
+const createValidationIssue = require('./createValidationIssue');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = validateMetadataEntity;
+
+/**
+ * Checks that a metadata entity, e.g. the <code>metadata</code> of a tileset, tile or content or a group, conforms to
+ * its class: the class must exist in the schema, every property must be defined by the class, required properties must
+ * be present and all values must have the type of their property.
+ *
+ * @param {Object} entity The metadata entity JSON.
+ * @param {Object} schema The metadata schema JSON.
+ * @param {String} filePath The path of the tileset JSON that contains the entity.
+ * @param {String} pointer The JSON pointer to the entity.
+ * @returns {ValidationIssue[]} The issues found. The array is empty if the entity conforms to its class.
+ */
+function validateMetadataEntity(entity, schema, filePath, pointer) {
+    const classDefinition = defaultValue(schema.classes, {})[entity.class];
+    if (!defined(classDefinition)) {
+        return [createError(filePath, 'METADATA_CLASS_NOT_FOUND', `Class ${entity.class} is not defined in the metadata schema.`, `${pointer}/class`)];
+    }
+
+    const issues = [];
+    const classProperties = defaultValue(classDefinition.properties, {});
+    const properties = defaultValue(entity.properties, {});
+    for (const name in properties) {
+        if (properties.hasOwnProperty(name)) {
+            const propertyPointer = `${pointer}/properties/${name}`;
+            const property = classProperties[name];
+            if (!defined(property)) {
+                issues.push(createError(filePath, 'METADATA_PROPERTY_NOT_FOUND', `Property ${name} is not defined in class ${entity.class}.`, propertyPointer));
+                continue;
+            }
+            // Values of normalized properties or properties with an offset or scale are not limited to the component type
+            const isTransformed = property.normalized || defined(property.offset) || defined(property.scale);
+            const message = checkMetadataValue(properties[name], property, schema.enums, !isTransformed);
+            if (defined(message)) {
+                issues.push(createError(filePath, 'METADATA_VALUE_INVALID', `Value of property ${name} ${message}, but is ${JSON.stringify(properties[name])}.`, propertyPointer));
+            }
+        }
+    }
+    for (const name in classProperties) {
+        if (classProperties.hasOwnProperty(name) && classProperties[name].required && !defined(properties[name])) {
+            issues.push(createError(filePath, 'METADATA_PROPERTY_MISSING', `Required property ${name} of class ${entity.class} is missing.`, `${pointer}/properties`));
+        }
+    }
+    return issues;
+}
+
+function createError(filePath, code, message, pointer) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer
+    });
+}
@@ -0,0 +1,206 @@
+'use strict';
+const Cesium = require('cesium');
+
+const checkMetadataValue = require('./checkMetadataValue');
+const createValidationIssue = require('./createValidationIssue');
+const utility = require('./utility');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+const isLessThanOrEqual = utility.isLessThanOrEqual;
+
+module.exports = validateMetadataSchema;
+
+const identifierRegExp = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const types = ['SCALAR', 'VEC2', 'VEC3', 'VEC4', 'MAT2', 'MAT3', 'MAT4', 'STRING', 'BOOLEAN', 'ENUM'];
+const integerComponentTypes = ['INT8', 'UINT8', 'INT16', 'UINT16', 'INT32', 'UINT32', 'INT64', 'UINT64'];
+const floatComponentTypes = ['FLOAT32', 'FLOAT64'];
+
+/**
+ * Checks that a 3D Tiles metadata schema is well-formed: identifiers must be valid, enums must have unique names and
+ * values that fit into their value type, and class properties must have a consistent type, component type, enum type,
+ * array count, normalization, offset, scale, minimum, maximum, no data value and default value.
+ *
+ * @param {Object} schema The metadata schema JSON.
+ * @param {String} filePath The path of the file that contains the schema.
+ * @param {String} pointer The JSON pointer to the schema, or an empty string if the file only contains the schema.
+ * @returns {ValidationIssue[]} The issues found. The array is empty if the schema is well-formed.
+ */
+function validateMetadataSchema(schema, filePath, pointer) {
+    const issues = [];
+    if (!isIdentifier(schema.id)) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_ID_INVALID', `Schema id ${schema.id} must be an identifier matching ${identifierRegExp}.`, `${pointer}/id`));
+    }
+
+    const enums = defaultValue(schema.enums, {});
+    for (const enumId in enums) {
+        if (enums.hasOwnProperty(enumId)) {
+            validateEnum(enumId, enums[enumId], filePath, `${pointer}/enums/${enumId}`, issues);
+        }
+    }
+
+    const classes = defaultValue(schema.classes, {});
+    for (const classId in classes) {
+        if (classes.hasOwnProperty(classId)) {
+            const classPointer = `${pointer}/classes/${classId}`;
+            if (!isIdentifier(classId)) {
+                issues.push(createError(filePath, 'METADATA_SCHEMA_ID_INVALID', `Class id ${classId} must be an identifier matching ${identifierRegExp}.`, classPointer));
+            }
+            const properties = defaultValue(classes[classId].properties, {});
+            for (const propertyId in properties) {
+                if (properties.hasOwnProperty(propertyId)) {
+                    validateProperty(propertyId, properties[propertyId], enums, filePath, `${classPointer}/properties/${propertyId}`, issues);
+                }
+            }
+        }
+    }
+    return issues;
+}
+
+function isIdentifier(id) {
+    return typeof id === 'string' && identifierRegExp.test(id);
+}
+
+function validateEnum(enumId, enumDefinition, filePath, pointer, issues) {
+    if (!isIdentifier(enumId)) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_ID_INVALID', `Enum id ${enumId} must be an identifier matching ${identifierRegExp}.`, pointer));
+    }
+    const valueType = defaultValue(enumDefinition.valueType, 'UINT16');
+    if (integerComponentTypes.indexOf(valueType) === -1) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_ENUM_VALUE_TYPE_INVALID', `Enum valueType must be one of ${integerComponentTypes.join(', ')}, but is ${valueType}.`, `${pointer}/valueType`));
+        return;
+    }
+    const values = enumDefinition.values;
+    if (!Array.isArray(values) || values.length === 0) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_ENUM_VALUES_INVALID', `Enum ${enumId} must define at least one value.`, `${pointer}/values`));
+        return;
+    }
+
+    // Enum values are checked like the components of a scalar property with the value type as component type
+    const valueProperty = {
+        type: 'SCALAR',
+        componentType: valueType
+    };
+    const names = {};
+    const numbers = {};
+    const length = values.length;
+    for (let i = 0; i < length; i++) {
+        const name = values[i].name;
+        const value = values[i].value;
+        const valuePointer = `${pointer}/values/${i}`;
+        if (names[name]) {
+            issues.push(createError(filePath, 'METADATA_SCHEMA_ENUM_VALUES_INVALID', `Enum value name ${name} is used more than once in enum ${enumId}.`, `${valuePointer}/name`));
+        }
+        const message = checkMetadataValue(value, valueProperty);
+        if (defined(message)) {
+            issues.push(createError(filePath, 'METADATA_SCHEMA_ENUM_VALUES_INVALID', `Enum value ${value} ${message}.`, `${valuePointer}/value`));
+        } else if (numbers[value]) {
+            issues.push(createError(filePath, 'METADATA_SCHEMA_ENUM_VALUES_INVALID', `Enum value ${value} is used more than once in enum ${enumId}.`, `${valuePointer}/value`));
+        }
+        names[name] = true;
+        numbers[value] = true;
+    }
+}
+
+function validateProperty(propertyId, property, enums, filePath, pointer, issues) {
+    if (!isIdentifier(propertyId)) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_ID_INVALID', `Property id ${propertyId} must be an identifier matching ${identifierRegExp}.`, pointer));
+    }
+    const type = property.type;
+    if (types.indexOf(type) === -1) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_PROPERTY_TYPE_INVALID', `Property type must be one of ${types.join(', ')}, but is ${type}.`, `${pointer}/type`));
+        return;
+    }
+
+    const componentType = property.componentType;
+    const isNumeric = type !== 'STRING' && type !== 'BOOLEAN' && type !== 'ENUM';
+    const isInteger = integerComponentTypes.indexOf(componentType) > -1;
+    const isFloat = floatComponentTypes.indexOf(componentType) > -1;
+    if (isNumeric && !isInteger && !isFloat) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_COMPONENT_TYPE_INVALID', `Property of type ${type} must have a componentType of ${integerComponentTypes.concat(floatComponentTypes).join(', ')}, but has ${componentType}.`, `${pointer}/componentType`));
+        return;
+    } else if (!isNumeric && defined(componentType)) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_COMPONENT_TYPE_INVALID', `Property of type ${type} must not have a componentType.`, `${pointer}/componentType`));
+    }
+
+    if (type === 'ENUM' && !defined(enums[property.enumType])) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_ENUM_TYPE_NOT_FOUND', `Enum ${property.enumType} is not defined in the schema.`, `${pointer}/enumType`));
+        return;
+    } else if (type !== 'ENUM' && defined(property.enumType)) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_ENUM_TYPE_NOT_FOUND', `Property of type ${type} must not have an enumType.`, `${pointer}/enumType`));
+    }
+
+    if (defined(property.count) && (!property.array || !Number.isInteger(property.count) || property.count < 2)) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_COUNT_INVALID', 'Property count must be an integer greater than 1 and requires array to be true.', `${pointer}/count`));
+        return;
+    }
+
+    if (property.normalized && !isInteger) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_NORMALIZED_INVALID', `Only properties with an integer componentType can be normalized, but componentType is ${componentType}.`, `${pointer}/normalized`));
+    }
+
+    ['offset', 'scale'].forEach(name => {
+        if (!defined(property[name])) {
+            return;
+        }
+        if ((!isFloat && !property.normalized) || (property.array && !defined(property.count))) {
+            issues.push(createError(filePath, 'METADATA_SCHEMA_OFFSET_SCALE_INVALID', `Property ${name} is only allowed for fixed-length floating point or normalized properties.`, `${pointer}/${name}`));
+        } else {
+            validatePropertyValue(property[name], property, enums, false, filePath, `${pointer}/${name}`, issues);
+        }
+    });
+
+    ['min', 'max'].forEach(name => {
+        if (!defined(property[name])) {
+            return;
+        }
+        if (!isNumeric) {
+            issues.push(createError(filePath, 'METADATA_SCHEMA_MIN_MAX_INVALID', `Property ${name} is only allowed for numeric properties, but type is ${type}.`, `${pointer}/${name}`));
+        } else {
+            validatePropertyValue(property[name], property, enums, false, filePath, `${pointer}/${name}`, issues);
+        }
+    });
+    if (isNumeric && defined(property.min) && defined(property.max) && !hasIssuesBelow(issues, pointer) && !isLessThanOrEqual(property.min, property.max)) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_MIN_MAX_INVALID', `Property min ${JSON.stringify(property.min)} must not be greater than max ${JSON.stringify(property.max)}.`, `${pointer}/min`));
+    }
+
+    if (defined(property.noData)) {
+        if (type === 'BOOLEAN' || property.required) {
+            issues.push(createError(filePath, 'METADATA_SCHEMA_NO_DATA_INVALID', 'Property noData is not allowed for BOOLEAN or required properties.', `${pointer}/noData`));
+        } else {
+            validatePropertyValue(property.noData, property, enums, true, filePath, `${pointer}/noData`, issues);
+        }
+    }
+
+    if (defined(property.default)) {
+        // Like min and max, the default value is given after normalization and the offset and scale are applied
+        const isTransformed = property.normalized || defined(property.offset) || defined(property.scale);
+        if (property.required) {
+            issues.push(createError(filePath, 'METADATA_SCHEMA_DEFAULT_INVALID', 'Property default is not allowed for required properties.', `${pointer}/default`));
+        } else {
+            validatePropertyValue(property.default, property, enums, !isTransformed, filePath, `${pointer}/default`, issues);
+        }
+    }
+}
+
+function validatePropertyValue(value, property, enums, checkComponentRange, filePath, pointer, issues) {
+    const message = checkMetadataValue(value, property, enums, checkComponentRange);
+    if (defined(message)) {
+        issues.push(createError(filePath, 'METADATA_SCHEMA_VALUE_INVALID', `Value ${JSON.stringify(value)} ${message}.`, pointer));
+    }
+}
+
+function hasIssuesBelow(issues, pointer) {
+    return issues.some(issue => issue.pointer.startsWith(`${pointer}/`));
+}
+
+function createError(filePath, code, message, pointer) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer
+    });
+}
@@ -2,14 +2,20 @@
 const Cesium = require('cesium');
 
 const bufferToJson = require('./bufferToJson');
+const createValidationIssue = require('./createValidationIssue');
+const decodeDraco = require('./decodeDraco');
+const utility = require('./utility');
 const validateBatchTable = require('./validateBatchTable');
 const validateFeatureTable = require('./validateFeatureTable');
+const validateFeatureTableValues = require('./validateFeatureTableValues');
 
 const Cesium3DTileFeatureTable = Cesium.Cesium3DTileFeatureTable;
 const ComponentDatatype = Cesium.ComponentDatatype;
 const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
 
+const locateIssues = utility.locateIssues;
+
 module.exports = validatePnts;
 
 const featureTableSemantics = {
@@ -87,18 +93,23 @@ const featureTableSemantics = {
 };
 
 /**
- * Checks if provided buffer has valid pnts tile content
+ * Checks if provided buffer has valid pnts tile content. Draco compressed properties of the
+ * <code>3DTILES_draco_point_compression</code> extension are decoded and checked against the feature table and batch table.
  *
  * @param {Object} options An object with the following properties:
  * @param {Buffer} options.content A buffer containing the contents of a pnts tile.
- * @returns {Promise} A promise that resolves when the validation completes. If the validation fails, the promise will resolve to an error message.
+ * @param {String} options.filePath The tile's file path.
+ * @param {Object} [options.extensionRegistry] The registry that the extensions used by the feature table and batch table are recorded in, see {@link createExtensionRegistry}.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the tile is valid.
  */
 async function validatePnts(options) {
     const content = options.content;
+    const filePath = options.filePath;
+    const issues = [];
 
     const headerByteLength = 28;
     if (content.length < headerByteLength) {
-        return 'Header must be 28 bytes.';
+        return [createError(filePath, 'HEADER_LENGTH_INVALID', 'Header must be 28 bytes.', 0)];
     }
 
     const magic = content.toString('utf8', 0, 4);
@@ -110,15 +121,16 @@ async function validatePnts(options) {
     const batchTableBinaryByteLength = content.readUInt32LE(24);
 
     if (magic !== 'pnts') {
-        return `Invalid magic: ${magic}`;
+        return [createError(filePath, 'MAGIC_INVALID', `Invalid magic: ${magic}`, 0)];
     }
 
     if (version !== 1) {
-        return `Invalid version: ${version}. Version must be 1.`;
+        issues.push(createError(filePath, 'VERSION_INVALID', `Invalid version: ${version}. Version must be 1.`, 4));
     }
 
     if (byteLength !== content.length) {
-        return `byteLength of ${byteLength} does not equal the tile\'s actual byte length of ${content.length}.`;
+        issues.push(createError(filePath, 'BYTE_LENGTH_MISMATCH', `byteLength of ${byteLength} does not equal the tile\'s actual byte length of ${content.length}.`, 8));
+        return issues;
     }
 
     const featureTableJsonByteOffset = headerByteLength;
@@ -127,15 +139,16 @@ async function validatePnts(options) {
     const batchTableBinaryByteOffset = batchTableJsonByteOffset + batchTableJsonByteLength;
 
     if (featureTableBinaryByteOffset % 8 > 0) {
-        return 'Feature table binary must be aligned to an 8-byte boundary.';
+        issues.push(createError(filePath, 'FEATURE_TABLE_BINARY_UNALIGNED', 'Feature table binary must be aligned to an 8-byte boundary.', featureTableBinaryByteOffset));
     }
 
     if (batchTableBinaryByteOffset % 8 > 0) {
-        return 'Batch table binary must be aligned to an 8-byte boundary.';
+        issues.push(createError(filePath, 'BATCH_TABLE_BINARY_UNALIGNED', 'Batch table binary must be aligned to an 8-byte boundary.', batchTableBinaryByteOffset));
     }
 
     if (headerByteLength + featureTableJsonByteLength + featureTableBinaryByteLength + batchTableJsonByteLength + batchTableBinaryByteLength > byteLength) {
-        return 'Feature table and batch table exceed the tile\'s byte length.';
+        issues.push(createError(filePath, 'BYTE_LENGTHS_EXCEED_TILE', 'Feature table and batch table exceed the tile\'s byte length.', 12));
+        return issues;
     }
 
     const featureTableJsonBuffer = content.slice(featureTableJsonByteOffset, featureTableBinaryByteOffset);
@@ -149,42 +162,70 @@ async function validatePnts(options) {
     try {
         featureTableJson = bufferToJson(featureTableJsonBuffer);
     } catch (error) {
-        return `Feature table JSON could not be parsed: ${error.message}`;
+        issues.push(createError(filePath, 'FEATURE_TABLE_JSON_INVALID', `Feature table JSON could not be parsed: ${error.message}`, featureTableJsonByteOffset));
     }
 
     try {
         batchTableJson = bufferToJson(batchTableJsonBuffer);
     } catch (error) {
-        return `Batch table JSON could not be parsed: ${error.message}`;
+        issues.push(createError(filePath, 'BATCH_TABLE_JSON_INVALID', `Batch table JSON could not be parsed: ${error.message}`, batchTableJsonByteOffset));
+    }
+
+    if (defined(options.extensionRegistry)) {
+        options.extensionRegistry.addExtensions(featureTableJson, filePath, '', featureTableJsonByteOffset);
+        options.extensionRegistry.addExtensions(batchTableJson, filePath, '', batchTableJsonByteOffset);
+    }
+
+    if (!defined(featureTableJson)) {
+        return issues;
     }
 
     const batchLength = defaultValue(featureTableJson.BATCH_LENGTH, 0);
     const pointsLength = featureTableJson.POINTS_LENGTH;
     if (!defined(pointsLength)) {
-        return 'Feature table must contain a POINTS_LENGTH property.';
+        issues.push(createMissingPropertyError(filePath, 'Feature table must contain a POINTS_LENGTH property.', '/POINTS_LENGTH', featureTableJsonByteOffset));
     }
 
     if (!defined(featureTableJson.POSITION) && !defined(featureTableJson.POSITION_QUANTIZED)) {
-        return 'Feature table must contain either the POSITION or POSITION_QUANTIZED property.';
+        issues.push(createMissingPropertyError(filePath, 'Feature table must contain either the POSITION or POSITION_QUANTIZED property.', '/POSITION', featureTableJsonByteOffset));
     }
 
     if (defined(featureTableJson.POSITION_QUANTIZED) && (!defined(featureTableJson.QUANTIZED_VOLUME_OFFSET) || !defined(featureTableJson.QUANTIZED_VOLUME_SCALE))) {
-        return 'Feature table properties QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE are required when POSITION_QUANTIZED is present.';
+        issues.push(createMissingPropertyError(filePath, 'Feature table properties QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE are required when POSITION_QUANTIZED is present.', '/QUANTIZED_VOLUME_OFFSET', featureTableJsonByteOffset));
     }
 
     if (defined(featureTableJson.BATCH_ID) && !defined(featureTableJson.BATCH_LENGTH)) {
-        return 'Feature table property BATCH_LENGTH is required when BATCH_ID is present.';
+        issues.push(createMissingPropertyError(filePath, 'Feature table property BATCH_LENGTH is required when BATCH_ID is present.', '/BATCH_LENGTH', featureTableJsonByteOffset));
     }
 
     if (!defined(featureTableJson.BATCH_ID) && defined(featureTableJson.BATCH_LENGTH)) {
-        return 'Feature table property BATCH_ID is required when BATCH_LENGTH is present.';
+        issues.push(createMissingPropertyError(filePath, 'Feature table property BATCH_ID is required when BATCH_LENGTH is present.', '/BATCH_ID', featureTableJsonByteOffset));
     }
 
     if (batchLength > pointsLength) {
-        return 'Feature table property BATCH_LENGTH must be less than or equal to POINTS_LENGTH.';
+        issues.push(createValidationIssue({
+            code: 'FEATURE_TABLE_BATCH_LENGTH_INVALID',
+            message: 'Feature table property BATCH_LENGTH must be less than or equal to POINTS_LENGTH.',
+            filePath: filePath,
+            pointer: '/BATCH_LENGTH',
+            byteOffset: featureTableJsonByteOffset
+        }));
+    }
+
+    if (!defined(pointsLength)) {
+        return issues;
     }
 
-    if (defined(featureTableJson.BATCH_ID) && !hasDracoBatchIds(featureTableJson)) {
+    const featureTableIssues = validateFeatureTable(featureTableJson, featureTableBinary, pointsLength, featureTableSemantics);
+    issues.push.apply(issues, locateIssues(featureTableIssues, filePath, featureTableBinaryByteOffset));
+
+    if (featureTableIssues.length === 0) {
+        const valueIssues = validateFeatureTableValues(featureTableJson, featureTableBinary, pointsLength, featureTableSemantics);
+        issues.push.apply(issues, locateIssues(valueIssues, filePath, featureTableBinaryByteOffset));
+    }
+
+    // The batch ids can only be read once the feature table layout is known to be valid
+    if (featureTableIssues.length === 0 && defined(featureTableJson.BATCH_ID) && !hasDracoBatchIds(featureTableJson)) {
         const featureTable = new Cesium3DTileFeatureTable(featureTableJson, featureTableBinary);
         featureTable.featuresLength = pointsLength;
         const componentDatatype = ComponentDatatype.fromName(defaultValue(featureTableJson.BATCH_ID.componentType, 'UNSIGNED_SHORT'));
@@ -192,29 +233,125 @@ async function validatePnts(options) {
         const length = batchIds.length;
         for (let i = 0; i < length; i++) {
             if (batchIds[i] >= featureTableJson.BATCH_LENGTH) {
-                return 'All the BATCH_IDs must have values less than feature table property BATCH_LENGTH.';
+                issues.push(createValidationIssue({
+                    code: 'BATCH_ID_OUT_OF_RANGE',
+                    message: 'All the BATCH_IDs must have values less than feature table property BATCH_LENGTH.',
+                    filePath: filePath,
+                    pointer: '/BATCH_ID'
+                }));
+                break;
             }
         }
     }
 
-    const featureTableMessage = validateFeatureTable(featureTableJson, featureTableBinary, pointsLength, featureTableSemantics);
-    if (defined(featureTableMessage)) {
-        return featureTableMessage;
+    if (featureTableIssues.length === 0 && defined(getDracoExtension(featureTableJson))) {
+        const dracoIssues = await validateDracoPointCompression({
+            featureTableJson: featureTableJson,
+            featureTableBinary: featureTableBinary,
+            batchTableJson: batchTableJson,
+            filePath: filePath,
+            featureTableJsonByteOffset: featureTableJsonByteOffset,
+            featureTableBinaryByteOffset: featureTableBinaryByteOffset,
+            batchTableJsonByteOffset: batchTableJsonByteOffset
+        });
+        issues.push.apply(issues, dracoIssues);
     }
 
-    const batchTableMessage = validateBatchTable(batchTableJson, batchTableBinary, batchLength);
-    if (defined(batchTableMessage)) {
-        return batchTableMessage;
+    if (defined(batchTableJson)) {
+        // Without BATCH_ID the batch table holds one entry per point
+        const featuresLength = defined(featureTableJson.BATCH_ID) ? batchLength : pointsLength;
+        const batchTableIssues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        issues.push.apply(issues, locateIssues(batchTableIssues, filePath, batchTableBinaryByteOffset));
     }
+    return issues;
+}
+
+function createError(filePath, code, message, byteOffset, pointer) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer,
+        byteOffset: byteOffset
+    });
+}
+
+function createMissingPropertyError(filePath, message, pointer, byteOffset) {
+    return createValidationIssue({
+        code: 'FEATURE_TABLE_PROPERTY_MISSING',
+        message: message,
+        filePath: filePath,
+        pointer: pointer,
+        byteOffset: byteOffset
+    });
+}
+
+function getDracoExtension(tableJson) {
+    return defined(tableJson) && defined(tableJson.extensions) ? tableJson.extensions['3DTILES_draco_point_compression'] : undefined;
 }
 
 function hasDracoBatchIds(featureTableJson) {
-    const extensions = featureTableJson.extensions;
-    if (defined(extensions)) {
-        const dracoExtension = extensions['3DTILES_draco_point_compression'];
-        if (defined(dracoExtension)) {
-            return defined(dracoExtension.properties.BATCH_ID);
+    const dracoExtension = getDracoExtension(featureTableJson);
+    return defined(dracoExtension) && defined(defaultValue(dracoExtension.properties, defaultValue.EMPTY_OBJECT).BATCH_ID);
+}
+
+async function validateDracoPointCompression(pnts) {
+    // The Draco compressed data in the feature table binary holds the properties of both the feature table and the batch table
+    const featureTableJson = pnts.featureTableJson;
+    const filePath = pnts.filePath;
+    const dracoExtension = getDracoExtension(featureTableJson);
+    const pointer = '/extensions/3DTILES_draco_point_compression';
+    const byteOffset = dracoExtension.byteOffset;
+    const byteLength = dracoExtension.byteLength;
+    if (!Number.isInteger(byteOffset) || !Number.isInteger(byteLength) || byteOffset < 0 || byteOffset + byteLength > pnts.featureTableBinary.length) {
+        return [createError(filePath, 'DRACO_BYTE_RANGE_INVALID', `The Draco compressed data at byteOffset ${byteOffset} with byteLength ${byteLength} must be within the feature table binary of ${pnts.featureTableBinary.length} bytes.`, pnts.featureTableJsonByteOffset, pointer)];
+    }
+
+    const featureTableAttributes = getDracoAttributes(featureTableJson, pnts.featureTableJsonByteOffset);
+    const attributes = featureTableAttributes.concat(getDracoAttributes(pnts.batchTableJson, pnts.batchTableJsonByteOffset));
+    const attributeIds = {};
+    attributes.forEach((attribute, i) => {
+        attributeIds[i] = attribute.id;
+    });
+    let result;
+    try {
+        result = await decodeDraco(pnts.featureTableBinary.slice(byteOffset, byteOffset + byteLength), attributeIds);
+    } catch (error) {
+        return [createError(filePath, 'DRACO_DECODE_FAILED', `Draco compressed data could not be decoded: ${error.message}`, pnts.featureTableBinaryByteOffset + byteOffset, pointer)];
+    }
+
+    const issues = [];
+    if (result.pointsLength !== featureTableJson.POINTS_LENGTH) {
+        issues.push(createError(filePath, 'DRACO_POINTS_LENGTH_MISMATCH', `Draco compressed data contains ${result.pointsLength} points, but feature table property POINTS_LENGTH is ${featureTableJson.POINTS_LENGTH}.`, pnts.featureTableJsonByteOffset, '/POINTS_LENGTH'));
+    }
+    attributes.forEach((attribute, i) => {
+        if (!defined(result.attributes[i])) {
+            issues.push(createError(filePath, 'DRACO_ATTRIBUTE_NOT_FOUND', `Draco compressed data does not contain attribute ${attribute.id} of property ${attribute.name}.`, attribute.byteOffset, attribute.pointer));
         }
+    });
+
+    const batchIds = result.attributes[featureTableAttributes.findIndex(attribute => attribute.name === 'BATCH_ID')];
+    if (defined(batchIds) && batchIds.some(batchId => batchId >= featureTableJson.BATCH_LENGTH)) {
+        issues.push(createValidationIssue({
+            code: 'BATCH_ID_OUT_OF_RANGE',
+            message: 'All the BATCH_IDs must have values less than feature table property BATCH_LENGTH.',
+            filePath: filePath,
+            pointer: '/BATCH_ID'
+        }));
+    }
+    return issues;
+}
+
+function getDracoAttributes(tableJson, byteOffset) {
+    const dracoExtension = getDracoExtension(tableJson);
+    if (!defined(dracoExtension)) {
+        return [];
     }
-    return false;
+    const properties = defaultValue(dracoExtension.properties, defaultValue.EMPTY_OBJECT);
+    return Object.keys(properties).map(name => ({
+        name: name,
+        id: properties[name],
+        pointer: `/extensions/3DTILES_draco_point_compression/properties/${name}`,
+        byteOffset: byteOffset
+    }));
 }
@@ -0,0 +1,336 @@
+'use strict';
+const Cesium = require('cesium');
+const path = require('path');
+
+const bufferToJson = require('./bufferToJson');
+const createValidationIssue = require('./createValidationIssue');
+const isDataUri = require('./isDataUri');
+const utility = require('./utility');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+const hasErrors = utility.hasErrors;
+
+module.exports = validateSubtree;
+
+const headerByteLength = 24;
+
+/**
+ * Checks if a subtree of an implicit tileset is valid. Subtrees may be binary <code>.subtree</code> files or subtree JSON.
+ * The header, the buffers and buffer views, and the tile, content and child subtree availability are checked.
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {Buffer} options.content A buffer containing the subtree file.
+ * @param {String} options.filePath The subtree's file path.
+ * @param {String} options.directory The subtree's directory, which external buffers are relative to.
+ * @param {Object} options.reader The resource reader.
+ * @param {String} options.subdivisionScheme The subdivision scheme of the implicit tiling, <code>QUADTREE</code> or <code>OCTREE</code>.
+ * @param {Number} options.subtreeLevels The number of levels in each subtree.
+ * @param {Number} [options.contentsLength=0] The number of contents of each implicit tile.
+ * @returns {Promise} A promise that resolves to an object with the <code>issues</code> found and, if the subtree has no errors, its <code>availability</code>.
+ * The availability object has the <code>tileAvailability</code>, <code>contentAvailability</code> and <code>childSubtreeAvailability</code> properties, each with an <code>isAvailable(index)</code> function,
+ * where <code>contentAvailability</code> is an array with one entry per content.
+ */
+async function validateSubtree(options) {
+    const content = options.content;
+    const filePath = options.filePath;
+
+    let json;
+    let binary;
+    if (content.toString('utf8', 0, 4) === 'subt') {
+        const issues = [];
+        const chunks = validateHeader(content, filePath, issues);
+        if (hasErrors(issues)) {
+            return {
+                issues: issues
+            };
+        }
+        json = chunks.json;
+        binary = chunks.binary;
+    } else {
+        try {
+            json = bufferToJson(content);
+        } catch (error) {
+            return {
+                issues: [createError(filePath, 'SUBTREE_JSON_INVALID', `Subtree JSON could not be parsed: ${error.message}`, undefined, 0)]
+            };
+        }
+    }
+
+    const buffersResult = await validateBuffers(json, binary, options);
+    if (hasErrors(buffersResult.issues)) {
+        return {
+            issues: buffersResult.issues
+        };
+    }
+    const issues = buffersResult.issues;
+    const bufferViews = validateBufferViews(json, buffersResult.buffers, filePath, issues);
+    if (hasErrors(issues)) {
+        return {
+            issues: issues
+        };
+    }
+
+    const branchingFactor = options.subdivisionScheme === 'OCTREE' ? 8 : 4;
+    const subtreeLevels = options.subtreeLevels;
+    const childSubtreesLength = Math.pow(branchingFactor, subtreeLevels);
+    const tilesLength = (childSubtreesLength - 1) / (branchingFactor - 1);
+    const contentsLength = defaultValue(options.contentsLength, 0);
+
+    // 3DTILES_implicit_tiling subtrees have a single content availability object
+    let contentAvailabilityJson = json.contentAvailability;
+    let contentAvailabilityPointer = '/contentAvailability';
+    if (defined(contentAvailabilityJson) && !Array.isArray(contentAvailabilityJson)) {
+        contentAvailabilityJson = [contentAvailabilityJson];
+        contentAvailabilityPointer = undefined;
+    }
+
+    const tileAvailability = validateAvailability(json.tileAvailability, tilesLength, bufferViews, filePath, '/tileAvailability', issues);
+    const childSubtreeAvailability = validateAvailability(json.childSubtreeAvailability, childSubtreesLength, bufferViews, filePath, '/childSubtreeAvailability', issues);
+    const contentAvailability = [];
+    if (defined(contentAvailabilityJson)) {
+        if (contentAvailabilityJson.length !== contentsLength) {
+            issues.push(createError(filePath, 'SUBTREE_CONTENT_AVAILABILITY_LENGTH_INVALID', `Subtree has ${contentAvailabilityJson.length} content availability objects, but the implicit tiles have ${contentsLength} contents.`, '/contentAvailability'));
+        }
+        const length = contentAvailabilityJson.length;
+        for (let i = 0; i < length; i++) {
+            const pointer = defined(contentAvailabilityPointer) ? `${contentAvailabilityPointer}/${i}` : '/contentAvailability';
+            contentAvailability.push(validateAvailability(contentAvailabilityJson[i], tilesLength, bufferViews, filePath, pointer, issues));
+        }
+    } else if (contentsLength > 0) {
+        issues.push(createError(filePath, 'SUBTREE_AVAILABILITY_MISSING', 'Subtree must define contentAvailability, since the implicit tiles have content.', '/contentAvailability'));
+    }
+    if (hasErrors(issues)) {
+        return {
+            issues: issues
+        };
+    }
+
+    validateAvailabilityConsistency(tileAvailability, contentAvailability, childSubtreeAvailability, branchingFactor, subtreeLevels, filePath, issues);
+    return {
+        issues: issues,
+        availability: hasErrors(issues) ? undefined : {
+            tileAvailability: tileAvailability,
+            contentAvailability: contentAvailability,
+            childSubtreeAvailability: childSubtreeAvailability
+        }
+    };
+}
+
+function validateHeader(content, filePath, issues) {
+    if (content.length < headerByteLength) {
+        issues.push(createError(filePath, 'HEADER_LENGTH_INVALID', `Header must be ${headerByteLength} bytes.`, undefined, 0));
+        return;
+    }
+
+    const version = content.readUInt32LE(4);
+    const jsonByteLength = readUInt64LE(content, 8);
+    const binaryByteLength = readUInt64LE(content, 16);
+
+    if (version !== 1) {
+        issues.push(createError(filePath, 'VERSION_INVALID', `Invalid version: ${version}. Version must be 1.`, undefined, 4));
+    }
+
+    if (headerByteLength + jsonByteLength + binaryByteLength > content.length) {
+        issues.push(createError(filePath, 'SUBTREE_BYTE_LENGTH_INVALID', `Subtree header declares ${headerByteLength + jsonByteLength + binaryByteLength} bytes, but the subtree is ${content.length} bytes.`, undefined, 8));
+        return;
+    }
+
+    if (binaryByteLength > 0 && (headerByteLength + jsonByteLength) % 8 > 0) {
+        issues.push(createError(filePath, 'SUBTREE_BINARY_NOT_ALIGNED', 'Subtree binary chunk must be aligned to an 8-byte boundary.', undefined, headerByteLength + jsonByteLength));
+    }
+
+    let json;
+    try {
+        json = bufferToJson(content.slice(headerByteLength, headerByteLength + jsonByteLength));
+    } catch (error) {
+        issues.push(createError(filePath, 'SUBTREE_JSON_INVALID', `Subtree JSON could not be parsed: ${error.message}`, undefined, headerByteLength));
+        return;
+    }
+
+    const binaryByteOffset = headerByteLength + jsonByteLength;
+    return {
+        json: json,
+        binary: binaryByteLength > 0 ? content.slice(binaryByteOffset, binaryByteOffset + binaryByteLength) : undefined
+    };
+}
+
+function readUInt64LE(buffer, byteOffset) {
+    // Lengths above 2^53 cannot occur in practice, so the high word is folded into a Number
+    return buffer.readUInt32LE(byteOffset) + buffer.readUInt32LE(byteOffset + 4) * 4294967296;
+}
+
+async function validateBuffers(json, binary, options) {
+    const filePath = options.filePath;
+    const issues = [];
+    const buffers = [];
+    const buffersJson = defaultValue(json.buffers, []);
+    const length = buffersJson.length;
+    for (let i = 0; i < length; i++) {
+        const buffer = buffersJson[i];
+        const pointer = `/buffers/${i}`;
+        if (!Number.isInteger(buffer.byteLength) || buffer.byteLength < 1) {
+            issues.push(createError(filePath, 'SUBTREE_BUFFER_BYTE_LENGTH_INVALID', `Buffer byteLength must be an integer greater than 0, but is ${buffer.byteLength}.`, `${pointer}/byteLength`));
+            continue;
+        }
+
+        let data;
+        if (!defined(buffer.uri)) {
+            // Only the first buffer may refer to the binary chunk
+            if (i > 0) {
+                issues.push(createError(filePath, 'SUBTREE_BUFFER_URI_MISSING', 'Only the first buffer may omit its uri to refer to the binary chunk of the subtree.', `${pointer}/uri`));
+                continue;
+            }
+            if (!defined(binary)) {
+                issues.push(createError(filePath, 'SUBTREE_BUFFER_URI_MISSING', 'Buffer does not define a uri, but the subtree has no binary chunk.', `${pointer}/uri`));
+                continue;
+            }
+            data = binary;
+        } else if (isDataUri(buffer.uri)) {
+            data = Buffer.from(buffer.uri.split(',')[1], 'base64');
+        } else {
+            try {
+                data = await options.reader.readBinary(path.join(options.directory, buffer.uri));
+            } catch (error) {
+                issues.push(createError(filePath, 'SUBTREE_BUFFER_UNREADABLE', `Buffer ${buffer.uri} could not be read: ${error.message}`, `${pointer}/uri`));
+                continue;
+            }
+        }
+
+        if (data.length < buffer.byteLength) {
+            issues.push(createError(filePath, 'SUBTREE_BUFFER_BYTE_LENGTH_INVALID', `Buffer byteLength is ${buffer.byteLength}, but the buffer data is ${data.length} bytes.`, `${pointer}/byteLength`));
+            continue;
+        }
+        buffers[i] = data.slice(0, buffer.byteLength);
+    }
+    return {
+        issues: issues,
+        buffers: buffers
+    };
+}
+
+function validateBufferViews(json, buffers, filePath, issues) {
+    const bufferViews = [];
+    const bufferViewsJson = defaultValue(json.bufferViews, []);
+    const length = bufferViewsJson.length;
+    for (let i = 0; i < length; i++) {
+        const bufferView = bufferViewsJson[i];
+        const pointer = `/bufferViews/${i}`;
+        const buffer = buffers[bufferView.buffer];
+        if (!defined(buffer)) {
+            issues.push(createError(filePath, 'SUBTREE_BUFFER_VIEW_INVALID', `Buffer view refers to buffer ${bufferView.buffer}, which does not exist.`, `${pointer}/buffer`));
+            continue;
+        }
+        const byteOffset = bufferView.byteOffset;
+        const byteLength = bufferView.byteLength;
+        if (!Number.isInteger(byteOffset) || !Number.isInteger(byteLength) || byteOffset < 0 || byteLength < 1 || byteOffset + byteLength > buffer.length) {
+            issues.push(createError(filePath, 'SUBTREE_BUFFER_VIEW_INVALID', `Buffer view with byteOffset ${byteOffset} and byteLength ${byteLength} does not fit into buffer ${bufferView.buffer} of ${buffer.length} bytes.`, pointer));
+            continue;
+        }
+        if (byteOffset % 8 > 0) {
+            issues.push(createError(filePath, 'SUBTREE_BUFFER_VIEW_NOT_ALIGNED', `Buffer view byteOffset ${byteOffset} must be aligned to an 8-byte boundary.`, `${pointer}/byteOffset`));
+        }
+        bufferViews[i] = buffer.slice(byteOffset, byteOffset + byteLength);
+    }
+    return bufferViews;
+}
+
+function validateAvailability(availability, bitsLength, bufferViews, filePath, pointer, issues) {
+    if (!defined(availability)) {
+        issues.push(createError(filePath, 'SUBTREE_AVAILABILITY_MISSING', `Subtree must define ${pointer.split('/')[1]}.`, pointer));
+        return;
+    }
+
+    // 3DTILES_implicit_tiling names the bitstream bufferView
+    const bitstreamName = defined(availability.bufferView) ? 'bufferView' : 'bitstream';
+    const bitstreamIndex = availability[bitstreamName];
+    const constant = availability.constant;
+    if (defined(bitstreamIndex) === defined(constant)) {
+        issues.push(createError(filePath, 'SUBTREE_AVAILABILITY_INVALID', 'Availability must define exactly one of bitstream or constant.', pointer));
+        return;
+    }
+
+    if (defined(constant)) {
+        if (constant !== 0 && constant !== 1) {
+            issues.push(createError(filePath, 'SUBTREE_AVAILABILITY_INVALID', `Availability constant must be 0 or 1, but is ${constant}.`, `${pointer}/constant`));
+            return;
+        }
+        return createAvailability(constant, undefined);
+    }
+
+    const bitstream = bufferViews[bitstreamIndex];
+    if (!defined(bitstream)) {
+        issues.push(createError(filePath, 'SUBTREE_AVAILABILITY_INVALID', `Availability refers to buffer view ${bitstreamIndex}, which does not exist.`, `${pointer}/${bitstreamName}`));
+        return;
+    }
+    const byteLength = Math.ceil(bitsLength / 8);
+    if (bitstream.length < byteLength) {
+        issues.push(createError(filePath, 'SUBTREE_AVAILABILITY_BITSTREAM_LENGTH_INVALID', `Availability bitstream must have at least ${byteLength} bytes for ${bitsLength} bits, but has ${bitstream.length}.`, `${pointer}/${bitstreamName}`));
+        return;
+    }
+
+    const result = createAvailability(undefined, bitstream);
+    if (defined(availability.availableCount)) {
+        let availableCount = 0;
+        for (let i = 0; i < bitsLength; i++) {
+            if (result.isAvailable(i)) {
+                availableCount++;
+            }
+        }
+        if (availableCount !== availability.availableCount) {
+            issues.push(createError(filePath, 'SUBTREE_AVAILABLE_COUNT_MISMATCH', `Availability availableCount is ${availability.availableCount}, but ${availableCount} bits are set in the bitstream.`, `${pointer}/availableCount`));
+        }
+    }
+    return result;
+}
+
+function createAvailability(constant, bitstream) {
+    return {
+        isAvailable: index => defined(bitstream) ? ((bitstream[index >> 3] >> (index & 7)) & 1) === 1 : constant === 1
+    };
+}
+
+function validateAvailabilityConsistency(tileAvailability, contentAvailability, childSubtreeAvailability, branchingFactor, subtreeLevels, filePath, issues) {
+    // Tiles are stored level by level in Morton order, so the parent of tile i within its level is tile i / branchingFactor of the previous level
+    let levelOffset = 0;
+    let parentLevelOffset = 0;
+    let levelLength = 1;
+    for (let level = 0; level < subtreeLevels; level++) {
+        for (let i = 0; i < levelLength; i++) {
+            const index = levelOffset + i;
+            const available = tileAvailability.isAvailable(index);
+            if (available && level > 0 && !tileAvailability.isAvailable(parentLevelOffset + Math.floor(i / branchingFactor))) {
+                issues.push(createError(filePath, 'SUBTREE_TILE_AVAILABILITY_INVALID', `Tile ${index} of the subtree is available, but its parent tile is not.`, '/tileAvailability'));
+                return;
+            }
+            for (let j = 0; j < contentAvailability.length; j++) {
+                if (!available && contentAvailability[j].isAvailable(index)) {
+                    issues.push(createError(filePath, 'SUBTREE_CONTENT_AVAILABILITY_INVALID', `Content of tile ${index} of the subtree is available, but the tile is not.`, '/contentAvailability'));
+                    return;
+                }
+            }
+        }
+        parentLevelOffset = levelOffset;
+        levelOffset += levelLength;
+        levelLength *= branchingFactor;
+    }
+
+    // The roots of the child subtrees are the children of the tiles in the last level
+    for (let i = 0; i < levelLength; i++) {
+        if (childSubtreeAvailability.isAvailable(i) && !tileAvailability.isAvailable(parentLevelOffset + Math.floor(i / branchingFactor))) {
+            issues.push(createError(filePath, 'SUBTREE_CHILD_SUBTREE_AVAILABILITY_INVALID', `Child subtree ${i} is available, but its parent tile in the last level of the subtree is not.`, '/childSubtreeAvailability'));
+            return;
+        }
+    }
+}
+
+function createError(filePath, code, message, pointer, byteOffset) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer,
+        byteOffset: byteOffset
+    });
+}
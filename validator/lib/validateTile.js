@@ -1,11 +1,13 @@
 'use strict';
 const path = require('path');
+
+const createValidationIssue = require('./createValidationIssue');
 const validateB3dm = require('./validateB3dm');
 const validateCmpt = require('./validateCmpt');
 const validateI3dm = require('./validateI3dm');
 const validatePnts = require('./validatePnts');
-const validateGlb = require('../lib/validateGlb');
-const validateGltf = require('../lib/validateGltf');
+const validateGlb = require('./validateGlb');
+const validateGltf = require('./validateGltf');
 
 module.exports = validateTile;
 
@@ -16,9 +18,10 @@ module.exports = validateTile;
  * @param {Buffer} options.content A buffer containing the contents of the tile.
  * @param {String} options.filePath The tile's file path.
  * @param {String} options.directory The tile's directory.
- * @param {Object} options.reader The resource reader. 
+ * @param {Object} options.reader The resource reader.
  * @param {Boolean} [options.writeReports=false] Write glTF error report next to the glTF file in question.
- * @returns {Promise} A promise that resolves when the validation completes. If the validation fails, the promise will resolve to an error message.
+ * @param {Object} [options.extensionRegistry] The registry that the extensions used by the feature table and batch table of b3dm, i3dm, pnts and cmpt tiles are recorded in, see {@link createExtensionRegistry}.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes. The array is empty if the tile is valid.
  */
 async function validateTile(options) {
     if (path.extname(options.filePath) === '.gltf') {
@@ -26,7 +29,12 @@ async function validateTile(options) {
     }
     const content = options.content;
     if (content.length < 4) {
-        return `Cannot determine tile format from tile header, tile content is ${content.length} bytes.`;
+        return [createValidationIssue({
+            code: 'TILE_FORMAT_UNKNOWN',
+            message: `Cannot determine tile format from tile header, tile content is ${content.length} bytes.`,
+            filePath: options.filePath,
+            byteOffset: 0
+        })];
     }
     const magic = content.toString('utf8', 0, 4);
     if (magic === 'b3dm') {
@@ -40,5 +48,10 @@ async function validateTile(options) {
     } else if (magic === 'glTF') {
         return await validateGlb(options);
     }
-    return `Invalid magic: ${magic}`;
+    return [createValidationIssue({
+        code: 'MAGIC_INVALID',
+        message: `Invalid magic: ${magic}`,
+        filePath: options.filePath,
+        byteOffset: 0
+    })];
 }
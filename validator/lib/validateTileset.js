@@ -3,241 +3,813 @@ const Cesium = require('cesium');
 const path = require('path');
 const Promise = require('bluebird');
 
+const createExtensionRegistry = require('./createExtensionRegistry');
+const createValidationIssue = require('./createValidationIssue');
+const getContentPositions = require('./getContentPositions');
+const getTileContents = require('./getTileContents');
+const isAbsoluteUri = require('./isAbsoluteUri');
 const isDataUri = require('./isDataUri');
 const isTile = require('./isTile');
-const readTile = require('./readTile');
-const readTileset = require('./readTileset');
 const utility = require('./utility');
+const validateBoundingVolume = require('./validateBoundingVolume');
+const validateImplicitTiling = require('./validateImplicitTiling');
+const validateMetadataEntity = require('./validateMetadataEntity');
 const validateTile = require('./validateTile');
+const validateTilesetMetadata = require('./validateTilesetMetadata');
+const validateTilesetSchema = require('./validateTilesetSchema');
+const ValidationSeverity = require('./ValidationSeverity');
 
 const Cartesian3 = Cesium.Cartesian3;
 const clone = Cesium.clone;
+const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
 const Matrix3 = Cesium.Matrix3;
 const Matrix4 = Cesium.Matrix4;
 
 const boxInsideBox = utility.boxInsideBox;
+const boxInsideRegion = utility.boxInsideRegion;
 const boxInsideSphere = utility.boxInsideSphere;
+const hasErrors = utility.hasErrors;
+const pointInsideBox = utility.pointInsideBox;
+const pointInsideRegion = utility.pointInsideRegion;
+const pointInsideSphere = utility.pointInsideSphere;
+const regionInsideBox = utility.regionInsideBox;
 const regionInsideRegion = utility.regionInsideRegion;
+const regionInsideSphere = utility.regionInsideSphere;
 const sphereInsideBox = utility.sphereInsideBox;
+const sphereInsideRegion = utility.sphereInsideRegion;
 const sphereInsideSphere = utility.sphereInsideSphere;
 
 module.exports = validateTileset;
 
 /**
  * Check if a tileset is valid, including the tileset JSON and all tiles referenced within.
+ * The tileset JSON and all external tileset JSON files are also checked against the JSON schemas of their 3D Tiles version.
+ * The geometry of each valid tile content must lie within the content bounding volume, or the tile bounding volume if the content does not declare one.
+ * Tiles with implicit tiling are expanded using the availability of their subtrees, which are validated as well.
+ * Metadata of the tileset, its groups, tiles and contents must conform to the metadata schema of the tileset, see {@link validateTilesetMetadata}.
+ * Each external tileset is validated once, however often it is referenced. References that form a cycle of external tilesets are errors.
+ * Content that cannot be read is an error. Content URIs that are absolute paths, that lead out of the directory of the root tileset JSON or that only
+ * resolve because the file system ignores case are warnings.
  *
  * @param {Object} options An object with the following properties:
+ * @param {Object} options.reader The reader of the tileset files, see {@link createReader}. Case mismatches are only found if the reader has a <code>getActualPath</code> function.
  * @param {Buffer} options.tileset The tileset JSON.
  * @param {String} options.filePath The tileset JSON file path.
  * @param {Boolean} options.onlyValidateTilesets Only check tilesets, skip any other tile type.
  * @param {String} options.directory The directory containing the tileset JSON that all paths in the tileset JSON are relative to.
- * @returns {Promise} A promise that resolves when the validation completes. If the validation fails, the promise will resolve to an error message.
+ * @param {Function} [options.logProgress] A function that is called with a progress message while the tile contents are validated.
+ * @param {Number} [options.containmentTolerance=0.0] The distance in meters by which a bounding volume may extend beyond the bounding volume that should contain it.
+ * @param {Boolean} [options.collectAll=false] Keep walking the tile hierarchy after a tile with errors is found and report the issues of every tile and content. By default validation stops at the first tile with errors. Warnings and info messages never stop validation.
+ * @returns {Promise} A promise that resolves to an array of {@link ValidationIssue} objects when the validation completes, including the issues found in all tiles and external tilesets referenced within. The array is empty if the tileset is valid.
  */
 async function validateTileset(options) {
+    options = clone(options, false);
+    options.rootDirectory = options.directory;
+    const externalTilesets = {
+        // The normalized paths of the tilesets that were validated already
+        visited: new Set([path.normalize(options.filePath)]),
+        // The references of each tileset to external tilesets, in the order of its contents
+        references: new Map()
+    };
+    const issues = await validateTilesetFile(options, externalTilesets);
+    return issues.concat(getExternalTilesetIssues(path.normalize(options.filePath), externalTilesets));
+}
+
+async function validateTilesetFile(options, externalTilesets) {
     const tileset = options.tileset;
-    const message = validateTopLevel(tileset);
-    if (defined(message)) {
-        return message;
+    const collectAll = defaultValue(options.collectAll, false);
+    const extensionRegistry = createExtensionRegistry();
+    extensionRegistry.addExtensions(tileset, options.filePath, '');
+    // The checks below skip values of the wrong type, which the schema validation reports
+    const schemaIssues = validateTilesetSchema(tileset, options.filePath);
+    let issues = validateTopLevel(tileset, options.filePath, options.parentRefine);
+    issues = issues.concat(getDeclaredExtensionIssues(tileset, options.filePath, extensionRegistry));
+    if (hasErrors(issues) && !collectAll) {
+        return issues.concat(getSchemaIssues(schemaIssues, issues));
+    }
+    const metadata = await validateTilesetMetadata({
+        tileset: tileset,
+        filePath: options.filePath,
+        directory: options.directory,
+        reader: options.reader
+    });
+    issues = issues.concat(metadata.issues);
+    if ((hasErrors(issues) && !collectAll) || !defined(tileset.root)) {
+        return issues.concat(getSchemaIssues(schemaIssues, issues));
+    }
+    options.version = defined(tileset.asset) ? tileset.asset.version : undefined;
+    options.gltfUpAxis = defined(tileset.asset) ? tileset.asset.gltfUpAxis : undefined;
+    const hierarchy = await validateTileHierarchy(tileset.root, options, {
+        schema: metadata.schema,
+        schemaDefined: defined(tileset.schema) || defined(tileset.schemaUri),
+        groupsLength: defined(tileset.groups) ? tileset.groups.length : 0
+    });
+    issues = issues.concat(hierarchy.issues);
+    issues = issues.concat(getSchemaIssues(schemaIssues, issues));
+    if (hasErrors(issues) && !collectAll) {
+        return issues;
+    }
+
+    // The extensions of the contents must be declared by the tileset JSON that references them
+    options.extensionRegistry = createExtensionRegistry();
+    const contentIssues = await validateContents(hierarchy.contents, options, externalTilesets);
+    return issues.concat(
+        contentIssues,
+        getUndeclaredExtensionIssues(tileset, options.filePath, options.extensionRegistry),
+        getUnusedExtensionIssues(tileset, options.filePath, [extensionRegistry, options.extensionRegistry], !options.onlyValidateTilesets)
+    );
+}
+
+function getDeclaredExtensionIssues(tileset, filePath, extensionRegistry) {
+    const issues = [];
+    const extensionsUsed = getExtensionsUsed(tileset);
+    extensionsUsed.forEach((name, i) => {
+        if (!extensionRegistry.isKnown(name)) {
+            issues.push(createValidationIssue({
+                severity: ValidationSeverity.INFO,
+                code: 'EXTENSION_UNKNOWN',
+                message: `Extension "${name}" is not known to the validator, so its usage is not validated.`,
+                filePath: filePath,
+                pointer: `/extensionsUsed/${i}`
+            }));
+        }
+    });
+    const extensionsRequired = Array.isArray(tileset.extensionsRequired) ? tileset.extensionsRequired : [];
+    extensionsRequired.forEach((name, i) => {
+        if (!extensionsUsed.includes(name)) {
+            issues.push(createError(filePath, 'EXTENSION_REQUIRED_NOT_USED', `Extension "${name}" is declared in extensionsRequired but not in extensionsUsed.`, `/extensionsRequired/${i}`));
+        }
+    });
+    return issues.concat(getUndeclaredExtensionIssues(tileset, filePath, extensionRegistry));
+}
+
+function getUndeclaredExtensionIssues(tileset, filePath, extensionRegistry) {
+    const issues = [];
+    const extensionsUsed = getExtensionsUsed(tileset);
+    extensionRegistry.getExtensionNames().forEach(name => {
+        if (extensionsUsed.includes(name)) {
+            return;
+        }
+        extensionRegistry.getUsages(name).forEach(usage => {
+            issues.push(createValidationIssue({
+                code: 'EXTENSION_UNDECLARED',
+                message: `Extension "${name}" is used but is not declared in extensionsUsed of ${filePath}.`,
+                filePath: usage.filePath,
+                pointer: usage.pointer,
+                byteOffset: usage.byteOffset
+            }));
+        });
+    });
+    return issues;
+}
+
+function getUnusedExtensionIssues(tileset, filePath, extensionRegistries, contentsValidated) {
+    // Without the contents, only extensions that are used in the tileset JSON can be found to be unused
+    const issues = [];
+    getExtensionsUsed(tileset).forEach((name, i) => {
+        const used = extensionRegistries.some(extensionRegistry => extensionRegistry.getUsages(name).length > 0);
+        const registry = extensionRegistries[0];
+        if (!used && (contentsValidated || (registry.isKnown(name) && !registry.isContentExtension(name)))) {
+            issues.push(createWarning(filePath, 'EXTENSION_UNUSED', `Extension "${name}" is declared in extensionsUsed but is not used by the tileset JSON or its contents.`, `/extensionsUsed/${i}`));
+        }
+    });
+    return issues;
+}
+
+function getExtensionsUsed(tileset) {
+    return Array.isArray(tileset.extensionsUsed) ? tileset.extensionsUsed : [];
+}
+
+function getExternalTilesetIssues(rootPath, externalTilesets) {
+    // Walks the references depth first from the root tileset. A reference to a tileset that is still being walked closes
+    // a cycle, a reference to a tileset that was walked already is a duplicate whose issues were reported before.
+    const issues = [];
+    const walked = new Set();
+    const ancestors = [];
+    const walk = tilesetPath => {
+        ancestors.push(tilesetPath);
+        const references = defaultValue(externalTilesets.references.get(tilesetPath), []);
+        references.forEach(reference => {
+            const index = ancestors.indexOf(reference.path);
+            if (index >= 0) {
+                const cycle = ancestors.slice(index).concat(reference.path).join(' -> ');
+                issues.push(createError(reference.filePath, 'EXTERNAL_TILESET_CYCLE', `External tileset ${reference.path} is referenced by one of its own descendants: ${cycle}.`, reference.pointer));
+            } else if (walked.has(reference.path)) {
+                issues.push(createValidationIssue({
+                    severity: ValidationSeverity.INFO,
+                    code: 'EXTERNAL_TILESET_DUPLICATE',
+                    message: `External tileset ${reference.path} is referenced more than once and was validated once.`,
+                    filePath: reference.filePath,
+                    pointer: reference.pointer
+                }));
+            } else {
+                walked.add(reference.path);
+                walk(reference.path);
+            }
+        });
+        ancestors.pop();
+    };
+    walked.add(rootPath);
+    walk(rootPath);
+    return issues;
+}
+
+function getSchemaIssues(schemaIssues, issues) {
+    // The checks in this file give more specific messages, so skip schema violations of values that already have an issue
+    const pointers = {};
+    const length = issues.length;
+    for (let i = 0; i < length; i++) {
+        pointers[issues[i].pointer] = true;
     }
-    options.version = tileset.asset.version;
-    return validateTileHierarchy(tileset.root, options);
+    return schemaIssues.filter(issue => !pointers[issue.pointer]);
 }
 
-function validateTopLevel(tileset) {
+function validateTopLevel(tileset, filePath, parentRefine) {
+    const issues = [];
     if (!defined(tileset.geometricError)) {
-        return 'Tileset must declare its geometricError as a top-level property.';
+        issues.push(createError(filePath, 'TILESET_GEOMETRIC_ERROR_MISSING', 'Tileset must declare its geometricError as a top-level property.', '/geometricError'));
     }
 
-    if (!defined(tileset.root.refine)) {
-        return 'Tileset must define refine property in root tile';
+    const root = tileset.root;
+    if (!defined(root)) {
+        issues.push(createError(filePath, 'TILESET_ROOT_MISSING', 'Tileset must declare its root tile as a top-level property.', '/root'));
+    } else if (!defined(root.refine)) {
+        issues.push(createError(filePath, 'TILESET_ROOT_REFINE_MISSING', 'Tileset must define refine property in root tile', '/root/refine'));
+    } else if (defined(parentRefine) && root.refine !== parentRefine) {
+        // The root of an external tileset takes the place of the content of the tile that references it
+        issues.push(createWarning(filePath, 'EXTERNAL_TILESET_REFINE_MISMATCH', `Root tile of the external tileset refines with ${root.refine}, but the tile that references it refines with ${parentRefine}.`, '/root/refine'));
     }
 
-    if (!defined(tileset.asset)) {
-        return 'Tileset must declare its asset as a top-level property.';
+    if (typeof tileset.geometricError === 'number' && defined(root) && typeof root.geometricError === 'number' && root.geometricError > tileset.geometricError) {
+        issues.push(createError(filePath, 'TILE_GEOMETRIC_ERROR_GREATER_THAN_TILESET', `Root tile has geometricError ${root.geometricError} greater than the geometricError ${tileset.geometricError} of the tileset.`, '/root/geometricError'));
     }
 
-    if (!defined(tileset.asset.version)) {
-        return 'Tileset must declare a version in its asset property';
+    if (!defined(tileset.asset)) {
+        issues.push(createError(filePath, 'TILESET_ASSET_MISSING', 'Tileset must declare its asset as a top-level property.', '/asset'));
+    } else if (!defined(tileset.asset.version)) {
+        issues.push(createError(filePath, 'TILESET_ASSET_VERSION_MISSING', 'Tileset must declare a version in its asset property', '/asset/version'));
+    } else if (tileset.asset.version !== '1.0' && tileset.asset.version !== '1.1' && tileset.asset.version !== '2.0.0-alpha.0') {
+        issues.push(createError(filePath, 'TILESET_ASSET_VERSION_INVALID', `Tileset version must be 1.0, 1.1 or 2.0.0-alpha.0. Tileset version provided: ${tileset.asset.version}`, '/asset/version'));
     }
 
-    if (tileset.asset.version !== "1.0" && tileset.asset.version !== "2.0.0-alpha.0") {
-        return `Tileset version must be 1.0 or 2.0.0-alpha.0. Tileset version provided: ${tileset.asset.version}`;
+    if (defined(tileset.asset) && !defined(tileset.asset.generator)) {
+        issues.push(createValidationIssue({
+            severity: ValidationSeverity.INFO,
+            code: 'TILESET_ASSET_GENERATOR_MISSING',
+            message: 'Tileset asset does not declare the generator that created it.',
+            filePath: filePath,
+            pointer: '/asset/generator'
+        }));
     }
+    return issues;
 }
 
-async function validateTileHierarchy(root, options) {
+async function validateTileHierarchy(root, options, metadata) {
     const filePath = options.filePath;
     const directory = options.directory;
-    const contentPaths = [];
+    const collectAll = defaultValue(options.collectAll, false);
+    const tolerance = defaultValue(options.containmentTolerance, 0.0);
+    const contents = [];
+    const issues = [];
 
     const stack = [];
     stack.push({
         tile: root,
-        parent: undefined
+        parent: undefined,
+        // The root of an external tileset inherits the transform of the tile that references it
+        parentTransform: defaultValue(options.transform, Matrix4.IDENTITY),
+        parentBoundingVolumeValid: false,
+        parentRefine: undefined,
+        requestVolume: undefined,
+        pointer: '/root'
     });
 
     while (stack.length > 0) {
         const node = stack.pop();
         const tile = node.tile;
         const parent = node.parent;
-        const content = tile.content;
+        const parentTransform = node.parentTransform;
+        const pointer = node.pointer;
+        if (typeof tile !== 'object' || tile === null || Array.isArray(tile)) {
+            // The schema validation reports tiles that are not objects
+            continue;
+        }
+        const tileContents = getTileContents(tile, pointer);
+        const transform = getTransform(tile, parentTransform);
+        const refine = defaultValue(tile.refine, node.parentRefine);
 
         if (!defined(tile.geometricError)) {
-            return getTileErrorMessage('Each tile must define geometricError', tile);
+            issues.push(createError(filePath, 'TILE_GEOMETRIC_ERROR_MISSING', 'Each tile must define geometricError', `${pointer}/geometricError`));
+        } else if (tile.geometricError < 0.0) {
+            issues.push(createError(filePath, 'TILE_GEOMETRIC_ERROR_NEGATIVE', 'geometricError must be greater than or equal to 0.0', `${pointer}/geometricError`));
+        } else if (defined(parent) && (tile.geometricError > parent.geometricError)) {
+            issues.push(createError(filePath, 'TILE_GEOMETRIC_ERROR_GREATER_THAN_PARENT', 'Child has geometricError greater than parent', `${pointer}/geometricError`));
         }
 
-        if (tile.geometricError < 0.0) {
-            return getTileErrorMessage('geometricError must be greater than or equal to 0.0', tile);
+        const hasChildren = defined(tile.children) && tile.children.length > 0;
+        if (tile.geometricError === 0 && hasChildren) {
+            issues.push(createWarning(filePath, 'TILE_GEOMETRIC_ERROR_ZERO_WITH_CHILDREN', 'Tile with children has a geometricError of 0, so its children will never be refined to.', `${pointer}/geometricError`));
         }
 
-        if (defined(parent) && (tile.geometricError > parent.geometricError)) {
-            return getTileErrorMessage('Child has geometricError greater than parent', tile);
+        if (refine === 'REPLACE' && defined(parent) && getTileContents(parent, '').length > 0 && tileContents.length === 0 && !hasChildren && !isImplicitTile(tile)) {
+            issues.push(createWarning(filePath, 'TILE_EMPTY_LEAF_REPLACES_CONTENT', 'Tile has neither content nor children, but replaces the content of its parent, which leaves a hole when the parent is refined.', pointer));
         }
 
-        if (defined(content) && defined(content.uri)) {
-            if (isDataUri(content.uri)) {
-                contentPaths.push(content.uri);
-            } else {
-                if (!options.onlyValidateTilesets || content.uri.endsWith(".json")) {
-                    contentPaths.push(path.join(directory, content.uri));
+        const tileBoundingVolumeIssues = getBoundingVolumeIssues(tile.boundingVolume, filePath, `${pointer}/boundingVolume`);
+        issues.push.apply(issues, tileBoundingVolumeIssues);
+        const contentBoundingVolumeIssues = tileContents.map(tileContent => {
+            const boundingVolumeIssues = getBoundingVolumeIssues(tileContent.content.boundingVolume, filePath, `${tileContent.pointer}/boundingVolume`);
+            issues.push.apply(issues, boundingVolumeIssues);
+            return boundingVolumeIssues;
+        });
+        const requestVolumeIssues = getBoundingVolumeIssues(tile.viewerRequestVolume, filePath, `${pointer}/viewerRequestVolume`);
+        issues.push.apply(issues, requestVolumeIssues);
+        const boundingVolumeValid = defined(tile.boundingVolume) && !hasErrors(tileBoundingVolumeIssues);
+
+        // A tile is only traversed while the viewer is inside the viewer request volumes of its ancestors
+        let requestVolume = node.requestVolume;
+        if (defined(tile.viewerRequestVolume) && !hasErrors(requestVolumeIssues)) {
+            if (defined(requestVolume)) {
+                const message = checkBoundingVolume(tile.viewerRequestVolume, requestVolume.boundingVolume, transform, requestVolume.transform, tolerance);
+                if (defined(message)) {
+                    issues.push(createWarning(filePath, 'TILE_VIEWER_REQUEST_VOLUME_NOT_CONTAINED', `viewerRequestVolume is not within the viewerRequestVolume of an ancestor tile, so the viewer never reaches the part outside of it: ${message}`, `${pointer}/viewerRequestVolume`));
                 }
             }
+            requestVolume = {
+                boundingVolume: tile.viewerRequestVolume,
+                transform: transform
+            };
         }
 
-        if (defined(content) && defined(content.boundingVolume)) {
-            let outerTransform = Matrix4.IDENTITY;
-            if (defined(tile.transform)) {
-                outerTransform = Matrix4.fromArray(tile.transform);
-            }
-            const innerTransform = Matrix4.IDENTITY;
-            const message = checkBoundingVolume(content.boundingVolume, tile.boundingVolume, innerTransform, outerTransform);
+        if (boundingVolumeValid && node.parentBoundingVolumeValid) {
+            const message = checkBoundingVolume(tile.boundingVolume, parent.boundingVolume, transform, parentTransform, tolerance);
             if (defined(message)) {
-                return getTileErrorMessage(`content bounding volume is not within tile bounding volume: ${message}`, tile);
+                issues.push(createError(filePath, 'TILE_BOUNDING_VOLUME_NOT_CONTAINED', `child tile bounding volume is not within parent tile bounding volume: ${message}`, `${pointer}/boundingVolume`));
             }
         }
 
+        issues.push.apply(issues, getExpireIssues(tile.expire, filePath, `${pointer}/expire`));
+
+        if (defined(tile.content) && tileContents.length > 1) {
+            issues.push(createError(filePath, 'TILE_CONTENTS_INVALID', 'Tile must not define both content and contents.', pointer));
+        }
+
+        tileContents.forEach((tileContent, i) => {
+            // Containment can only be checked for well-formed bounding volumes
+            const content = tileContent.content;
+            if (defined(content.boundingVolume) && boundingVolumeValid && !hasErrors(contentBoundingVolumeIssues[i])) {
+                // The content bounding volume is in the same coordinate system as the tile bounding volume
+                const message = checkBoundingVolume(content.boundingVolume, tile.boundingVolume, transform, transform, tolerance);
+                if (defined(message)) {
+                    issues.push(createError(filePath, 'CONTENT_BOUNDING_VOLUME_NOT_CONTAINED', `content bounding volume is not within tile bounding volume: ${message}`, `${tileContent.pointer}/boundingVolume`));
+                }
+            }
+        });
+
+        issues.push.apply(issues, getTileMetadataIssues(tile, pointer, tileContents, metadata, filePath));
+
+        if (isImplicitTile(tile)) {
+            // The content URIs of implicit tiles are templates that are expanded with the availability of the subtrees
+            const implicitTiling = await validateImplicitTiling({
+                tile: tile,
+                pointer: pointer,
+                transform: transform,
+                boundingVolumeValid: boundingVolumeValid,
+                filePath: filePath,
+                directory: directory,
+                reader: options.reader,
+                onlyValidateTilesets: options.onlyValidateTilesets,
+                collectAll: collectAll
+            });
+            issues.push.apply(issues, implicitTiling.issues);
+            contents.push.apply(contents, implicitTiling.contents);
+        } else {
+            tileContents.forEach((tileContent, i) => {
+                const uri = tileContent.content.uri;
+                if (typeof uri === 'string' && (isDataUri(uri) || !options.onlyValidateTilesets || uri.endsWith('.json'))) {
+                    contents.push({
+                        uri: uri,
+                        path: isAbsoluteUri(uri) ? uri : path.join(directory, uri),
+                        pointer: `${tileContent.pointer}/uri`,
+                        boundingVolume: getContentBoundingVolume(tile, pointer, tileContent, tileBoundingVolumeIssues, contentBoundingVolumeIssues[i]),
+                        transform: transform,
+                        refine: refine
+                    });
+                }
+            });
+        }
+
         if (defined(tile.refine)) {
             if (tile.refine !== 'ADD' && tile.refine !== 'REPLACE') {
-                return getTileErrorMessage('Refine property in tile must have either "ADD" or "REPLACE" as its value.', tile);
+                issues.push(createError(filePath, 'TILE_REFINE_INVALID', 'Refine property in tile must have either "ADD" or "REPLACE" as its value.', `${pointer}/refine`));
             }
         }
 
+        if (hasErrors(issues) && !collectAll) {
+            break;
+        }
+
         const children = tile.children;
-        if (defined(children)) {
+        if (Array.isArray(children)) {
             const length = children.length;
             for (let i = 0; i < length; i++) {
                 stack.push({
                     tile: children[i],
-                    parent: tile
+                    parent: tile,
+                    parentTransform: transform,
+                    parentBoundingVolumeValid: boundingVolumeValid,
+                    parentRefine: refine,
+                    requestVolume: requestVolume,
+                    pointer: `${pointer}/children/${i}`
                 });
             }
         }
     }
 
-    let completed = 0;
-    const contentPathsLength = contentPaths.length;
-    console.log(`Validating ${filePath} - ${contentPathsLength} sub tiles`);
+    return {
+        issues: issues,
+        contents: contents
+    };
+}
 
-    const messages = await Promise.map(contentPaths, async contentPath => {
-        const message = await validateContent(contentPath, directory, options);
-        completed++;
-        if (completed % 32 === 0) {
-            console.log(`[${filePath}] ${100 * completed / contentPathsLength}% done`);
+function getTileMetadataIssues(tile, pointer, tileContents, metadata, filePath) {
+    const issues = [];
+    const entities = [{
+        entity: tile.metadata,
+        pointer: `${pointer}/metadata`
+    }];
+    tileContents.forEach(tileContent => {
+        const content = tileContent.content;
+        entities.push({
+            entity: content.metadata,
+            pointer: `${tileContent.pointer}/metadata`
+        });
+        if (defined(content.group) && (!Number.isInteger(content.group) || content.group < 0 || content.group >= metadata.groupsLength)) {
+            issues.push(createError(filePath, 'CONTENT_GROUP_INVALID', `Content group ${content.group} must be the index of one of the ${metadata.groupsLength} groups of the tileset.`, `${tileContent.pointer}/group`));
+        }
+    });
+
+    entities.forEach(entity => {
+        if (!defined(entity.entity)) {
+            return;
+        }
+        if (defined(metadata.schema)) {
+            issues.push.apply(issues, validateMetadataEntity(entity.entity, metadata.schema, filePath, entity.pointer));
+        } else if (!metadata.schemaDefined) {
+            // Invalid schemas are reported once at the top level
+            issues.push(createError(filePath, 'TILESET_SCHEMA_MISSING', 'Tileset must define a schema or schemaUri to use metadata.', entity.pointer));
         }
-        return message;
     });
-    let message = '';
-    for (let i = 0; i < messages.length; i++) {
-        if (defined(messages[i])) {
-            message += `Error in ${contentPaths[i]}: ${messages[i]}\n`;
+    return issues;
+}
+
+function isImplicitTile(tile) {
+    return defined(tile.implicitTiling) || (defined(tile.extensions) && defined(tile.extensions['3DTILES_implicit_tiling']));
+}
+
+function getContentBoundingVolume(tile, pointer, tileContent, tileBoundingVolumeIssues, contentBoundingVolumeIssues) {
+    // The bounding volume that the content geometry must lie within, if it is well-formed
+    const content = tileContent.content;
+    if (defined(content.boundingVolume)) {
+        if (hasErrors(contentBoundingVolumeIssues)) {
+            return undefined;
         }
+        return {
+            boundingVolume: content.boundingVolume,
+            pointer: `${tileContent.pointer}/boundingVolume`
+        };
     }
-    if (message === '') {
+    if (!defined(tile.boundingVolume) || hasErrors(tileBoundingVolumeIssues)) {
         return undefined;
     }
-    return message;
+    return {
+        boundingVolume: tile.boundingVolume,
+        pointer: `${pointer}/boundingVolume`
+    };
+}
+
+async function validateContents(contents, options, externalTilesets) {
+    const filePath = options.filePath;
+    const logProgress = defaultValue(options.logProgress, function() {});
+    let completed = 0;
+    const contentsLength = contents.length;
+    logProgress(`Validating ${filePath} - ${contentsLength} sub tiles`);
+
+    const contentIssues = await Promise.map(contents, async content => {
+        const issues = await validateContent(content, options, externalTilesets);
+        completed++;
+        if (completed % 32 === 0) {
+            logProgress(`[${filePath}] ${100 * completed / contentsLength}% done`);
+        }
+        return issues;
+    });
+    return [].concat.apply([], contentIssues);
 }
 
-async function validateContent(contentPath, directory, options) {
+async function validateContent(tileContent, options, externalTilesets) {
     const reader = options.reader;
-    try {
-        if (isDataUri(contentPath)) {
-            if (options.onlyValidateTilesets) {
-                return;
-            }
-            const content = Buffer.from(contentPath.split(',')[1], 'base64');
-            return await validateTile({
-                content: content,
-                filePath: contentPath,
-                directory: directory,
-                writeReports: options.writeReports
-            });
-        } else if (isTile(contentPath, options.version)) {
-            if (options.onlyValidateTilesets) {
-                return;
-            }
-            contentPath = utility.normalizePath(contentPath);
-            return await validateTile({
-                reader: reader,
-                content: await reader.readBinary(contentPath),
-                filePath: contentPath,
-                directory: path.dirname(contentPath),
-                writeReports: options.writeReports
-            });
+    let contentPath = tileContent.path;
+    if (isDataUri(contentPath)) {
+        if (options.onlyValidateTilesets) {
+            return [];
         }
-        contentPath = utility.normalizePath(contentPath);
-        return await validateTileset({
+        const content = Buffer.from(contentPath.split(',')[1], 'base64');
+        const issues = await validateTile({
             reader: reader,
-            tileset: await reader.readJson(contentPath),
+            content: content,
+            filePath: contentPath,
+            directory: options.directory,
+            extensionRegistry: options.extensionRegistry,
+            writeReports: options.writeReports
+        });
+        return issues.concat(getContentGeometryIssues(content, tileContent, issues, options));
+    }
+    if (isAbsoluteUri(contentPath)) {
+        // Only content relative to the tileset is read, content on other servers is not fetched
+        return [createWarning(options.filePath, 'CONTENT_URI_NOT_VALIDATED', `Content ${contentPath} is not validated, because only relative URIs and data URIs are read.`, tileContent.pointer)];
+    }
+
+    contentPath = utility.normalizePath(contentPath);
+    // glTF content of 3D Tiles 1.0 tilesets requires the 3DTILES_content_gltf extension
+    const isGltf = ['.glb', '.gltf'].includes(path.extname(contentPath).toLowerCase());
+    if (isGltf && options.version === '1.0') {
+        options.extensionRegistry.addExtension('3DTILES_content_gltf', options.filePath, tileContent.pointer);
+    }
+    if (isTile(contentPath, options.version) || isGltf) {
+        if (options.onlyValidateTilesets) {
+            return [];
+        }
+        const read = await readContent(reader.readBinary, contentPath, tileContent, options);
+        if (!defined(read.content)) {
+            return read.issues;
+        }
+        const issues = await validateTile({
+            reader: reader,
+            content: read.content,
             filePath: contentPath,
             directory: path.dirname(contentPath),
-            writeReports: options.writeReports,
-            onlyValidateTilesets: options.onlyValidateTilesets
+            extensionRegistry: options.extensionRegistry,
+            writeReports: options.writeReports
         });
+        return read.issues.concat(issues, getContentGeometryIssues(read.content, tileContent, issues, options));
+    }
+
+    const tilesetPath = path.normalize(contentPath);
+    const parentPath = path.normalize(options.filePath);
+    const references = externalTilesets.references;
+    if (!references.has(parentPath)) {
+        references.set(parentPath, []);
+    }
+    references.get(parentPath).push({
+        path: tilesetPath,
+        filePath: options.filePath,
+        pointer: tileContent.pointer
+    });
+    if (externalTilesets.visited.has(tilesetPath)) {
+        // A tileset that is referenced more than once is only validated with the transform of its first reference,
+        // so the bounding volumes of its other instances are not checked
+        return getContentUriIssues(tileContent, options);
+    }
+    externalTilesets.visited.add(tilesetPath);
+    const read = await readContent(reader.readJson, contentPath, tileContent, options);
+    if (!defined(read.content)) {
+        return read.issues;
+    }
+    const issues = await validateTilesetFile({
+        reader: reader,
+        tileset: read.content,
+        filePath: contentPath,
+        directory: path.dirname(contentPath),
+        rootDirectory: options.rootDirectory,
+        parentRefine: tileContent.refine,
+        transform: tileContent.transform,
+        writeReports: options.writeReports,
+        onlyValidateTilesets: options.onlyValidateTilesets,
+        containmentTolerance: options.containmentTolerance,
+        collectAll: options.collectAll,
+        logProgress: options.logProgress
+    }, externalTilesets);
+    return read.issues.concat(issues);
+}
+
+async function readContent(read, contentPath, tileContent, options) {
+    // Resolves to the content, or to undefined if it could not be read, and the issues of its URI
+    const issues = getContentUriIssues(tileContent, options);
+    let content;
+    let readError;
+    try {
+        content = await read(contentPath);
     } catch (error) {
-        console.log(`Could not read file: ${error.message}`);
+        readError = error;
     }
+
+    // Readers that can list their files find files whose name only differs in case
+    const reader = options.reader;
+    const actualPath = defined(reader.getActualPath) ? await reader.getActualPath(contentPath) : undefined;
+    const caseMismatch = defined(actualPath) && path.normalize(actualPath) !== path.normalize(contentPath);
+    if (defined(readError)) {
+        const hint = caseMismatch ? ` ${actualPath} exists, but URIs are case-sensitive.` : '';
+        issues.push(createError(options.filePath, 'CONTENT_UNREADABLE', `Content ${contentPath} could not be read (${readError.message}).${hint}`, tileContent.pointer));
+        return {
+            issues: issues
+        };
+    }
+    if (caseMismatch) {
+        issues.push(createWarning(options.filePath, 'CONTENT_URI_CASE_MISMATCH', `Content ${contentPath} only resolves to ${actualPath} because the file system ignores case. It cannot be read from case-sensitive file systems and web servers.`, tileContent.pointer));
+    }
+    return {
+        content: content,
+        issues: issues
+    };
 }
 
-function checkBoundingVolume(innerBoundingVolume, outerBoundingVolume, innerTransform, outerTransform) {
-    if (defined(innerBoundingVolume.box) && defined(outerBoundingVolume.box)) {
-        // Box in Box check
-        const transformedInnerTile = getTransformedBox(innerBoundingVolume.box, innerTransform);
-        const transformedOuterTile = getTransformedBox(outerBoundingVolume.box, outerTransform);
-        if (!boxInsideBox(transformedInnerTile, transformedOuterTile)) {
-            return `box [${innerBoundingVolume.box}] is not within box [${outerBoundingVolume.box}]`;
-        }
-    } else if (defined(innerBoundingVolume.sphere) && defined(outerBoundingVolume.sphere)) {
-        // Sphere in Sphere
-        const transformedInnerTile = getTransformedSphere(innerBoundingVolume.sphere, innerTransform);
-        const transformedOuterTile = getTransformedSphere(outerBoundingVolume.sphere, outerTransform);
-        if (!sphereInsideSphere(transformedInnerTile, transformedOuterTile)) {
-            return `sphere [${innerBoundingVolume.sphere}] is not within sphere [${outerBoundingVolume.sphere}]`;
-        }
-    } else if (defined(innerBoundingVolume.region)&& defined(outerBoundingVolume.region)) {
-        // Region in Region
-        // Region does not update with transform
-        const transformedInnerTile = innerBoundingVolume.region;
-        const transformedOuterTile = outerBoundingVolume.region;
-        if (!regionInsideRegion(transformedInnerTile, transformedOuterTile)) {
-            return `region [${innerBoundingVolume.region}] is not within region [${outerBoundingVolume.region}]`;
+function getContentUriIssues(tileContent, options) {
+    const uri = tileContent.uri;
+    if (path.win32.isAbsolute(uri)) {
+        return [createWarning(options.filePath, 'CONTENT_URI_ABSOLUTE_PATH', `Content URI ${uri} is an absolute path. Content URIs should be relative to the tileset JSON so that the tileset can be moved.`, tileContent.pointer)];
+    }
+    const relativePath = path.relative(options.rootDirectory, tileContent.path);
+    if (relativePath.split(path.sep)[0] === '..') {
+        return [createWarning(options.filePath, 'CONTENT_URI_OUTSIDE_TILESET', `Content URI ${uri} resolves to ${tileContent.path}, which is outside of the directory ${options.rootDirectory} of the root tileset JSON.`, tileContent.pointer)];
+    }
+    return [];
+}
+
+function getContentGeometryIssues(content, tileContent, contentIssues, options) {
+    // Only the geometry of valid content is checked, and only against a well-formed bounding volume
+    const contentBoundingVolume = tileContent.boundingVolume;
+    if (!defined(contentBoundingVolume) || hasErrors(contentIssues)) {
+        return [];
+    }
+    const positions = getContentPositions(content, {
+        gltfUpAxis: options.gltfUpAxis
+    });
+    if (!defined(positions) || positions.length === 0) {
+        return [];
+    }
+
+    const boundingVolume = contentBoundingVolume.boundingVolume;
+    const type = getBoundingVolumeType(boundingVolume);
+    const tolerance = defaultValue(options.containmentTolerance, 0.0);
+    const transform = tileContent.transform;
+    let pointInside;
+    if (type === 'region') {
+        pointInside = point => pointInsideRegion(point, boundingVolume.region, tolerance);
+    } else {
+        const world = getWorldBoundingVolume(boundingVolume, type, transform);
+        pointInside = defined(world.box) ? point => pointInsideBox(point, world.box, tolerance) : point => pointInsideSphere(point, world.sphere, tolerance);
+
+        // Boxes and spheres are convex, so the geometry is inside if the corners of its bounds are
+        if (getBoxCorners(positions, transform).every(pointInside)) {
+            return [];
         }
-    } else if (defined(innerBoundingVolume.box) && defined(outerBoundingVolume.sphere)) {
-        // Box in Sphere
-        const transformedInnerTile = getTransformedBox(innerBoundingVolume.box, innerTransform);
-        const transformedOuterTile = getTransformedSphere(outerBoundingVolume.sphere, outerTransform);
-        if (!boxInsideSphere(transformedInnerTile, transformedOuterTile)) {
-            return `box [${innerBoundingVolume.box}] is not within sphere [${outerBoundingVolume.sphere}]`;
+    }
+
+    const point = new Cartesian3();
+    const length = positions.length;
+    for (let i = 0; i < length; i += 3) {
+        Cartesian3.unpack(positions, i, point);
+        Matrix4.multiplyByPoint(transform, point, point);
+        if (!pointInside(point)) {
+            const contentName = isDataUri(tileContent.path) ? 'data URI content' : tileContent.path;
+            return [createError(options.filePath, 'CONTENT_GEOMETRY_NOT_CONTAINED', `Geometry of ${contentName} is not within ${type} [${boundingVolume[type]}]: position (${point.x}, ${point.y}, ${point.z}) is outside.`, contentBoundingVolume.pointer)];
         }
-    } else if (defined(innerBoundingVolume.sphere) && defined(outerBoundingVolume.box)) {
-        // Sphere in Box
-        const transformedInnerTile = getTransformedSphere(innerBoundingVolume.sphere, innerTransform);
-        const transformedOuterTile = getTransformedBox(outerBoundingVolume.box, outerTransform);
-        if (!sphereInsideBox(transformedInnerTile, transformedOuterTile)) {
-            return `sphere [${innerBoundingVolume.sphere}] is not within box [${outerBoundingVolume.box}]`;
+    }
+    return [];
+}
+
+function getBoxCorners(positions, transform) {
+    // Returns the corners of the axis-aligned bounds of the positions, transformed to world coordinates
+    const minimum = new Cartesian3(Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY);
+    const maximum = new Cartesian3(Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY);
+    const position = new Cartesian3();
+    const length = positions.length;
+    for (let i = 0; i < length; i += 3) {
+        Cartesian3.unpack(positions, i, position);
+        Cartesian3.minimumByComponent(minimum, position, minimum);
+        Cartesian3.maximumByComponent(maximum, position, maximum);
+    }
+    const corners = [];
+    for (let i = 0; i < 8; i++) {
+        const corner = new Cartesian3((i & 1) ? maximum.x : minimum.x, (i & 2) ? maximum.y : minimum.y, (i & 4) ? maximum.z : minimum.z);
+        corners.push(Matrix4.multiplyByPoint(transform, corner, corner));
+    }
+    return corners;
+}
+
+function getTransform(tile, parentTransform) {
+    // Transforms accumulate from the root tile down. Malformed transforms are reported by the schema validation.
+    const transform = tile.transform;
+    if (!Array.isArray(transform) || transform.length !== 16 || !transform.every(Number.isFinite)) {
+        return parentTransform;
+    }
+    return Matrix4.multiply(parentTransform, Matrix4.fromArray(transform), new Matrix4());
+}
+
+function getBoundingVolumeIssues(boundingVolume, filePath, pointer) {
+    if (!defined(boundingVolume)) {
+        return [];
+    }
+    return validateBoundingVolume(boundingVolume, filePath, pointer);
+}
+
+function getExpireIssues(expire, filePath, pointer) {
+    // expire is a tile property that CesiumJS reads to reload the content of a tile after it expired. It is not an
+    // extension, so there is no entry in extensionsUsed to check.
+    if (!defined(expire)) {
+        return [];
+    }
+    if (typeof expire !== 'object' || Array.isArray(expire) || expire === null) {
+        return [createError(filePath, 'TILE_EXPIRE_INVALID', 'expire must be an object with a duration or date.', pointer)];
+    }
+    const issues = [];
+    if (!defined(expire.duration) && !defined(expire.date)) {
+        issues.push(createError(filePath, 'TILE_EXPIRE_INVALID', 'expire must define a duration or date.', pointer));
+    }
+    if (defined(expire.duration) && !(typeof expire.duration === 'number' && expire.duration > 0.0 && Number.isFinite(expire.duration))) {
+        issues.push(createError(filePath, 'TILE_EXPIRE_DURATION_INVALID', `expire.duration must be a positive number of seconds, but is ${JSON.stringify(expire.duration)}.`, `${pointer}/duration`));
+    }
+    if (defined(expire.date) && !isIso8601Date(expire.date)) {
+        issues.push(createError(filePath, 'TILE_EXPIRE_DATE_INVALID', `expire.date must be an ISO 8601 date, but is ${JSON.stringify(expire.date)}.`, `${pointer}/date`));
+    }
+    return issues;
+}
+
+// Calendar dates in the extended format with an optional time of day and time zone, e.g. 2017-08-01T12:30:00.5+02:00
+const iso8601DateRegex = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?(?:Z|[+-](\d{2})(?::?(\d{2}))?)?)?$/;
+const daysInMonths = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function isIso8601Date(date) {
+    const match = typeof date === 'string' ? iso8601DateRegex.exec(date) : null;
+    if (match === null) {
+        return false;
+    }
+    const values = match.slice(1).map(value => defined(value) ? parseInt(value, 10) : 0);
+    const year = values[0];
+    const month = values[1];
+    const day = values[2];
+    const hour = values[3];
+    const minute = values[4];
+    const second = values[5];
+    const offsetHours = values[6];
+    const offsetMinutes = values[7];
+    const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    const daysInMonth = (month === 2 && isLeapYear) ? 29 : daysInMonths[month - 1];
+    // 24:00 is the end of the day, and a second of 60 is a leap second
+    return month >= 1 && month <= 12 &&
+        day >= 1 && day <= daysInMonth &&
+        (hour < 24 || (hour === 24 && minute === 0 && second === 0)) &&
+        minute < 60 && second <= 60 &&
+        offsetHours < 24 && offsetMinutes < 60;
+}
+
+function checkBoundingVolume(innerBoundingVolume, outerBoundingVolume, innerTransform, outerTransform, tolerance) {
+    const innerType = getBoundingVolumeType(innerBoundingVolume);
+    const outerType = getBoundingVolumeType(outerBoundingVolume);
+    let contained;
+    if (innerType === 'region' && outerType === 'region') {
+        // Regions are in EPSG:4979 and are not affected by transforms
+        contained = regionInsideRegion(innerBoundingVolume.region, outerBoundingVolume.region, tolerance);
+    } else if (innerType === 'region') {
+        const outer = getWorldBoundingVolume(outerBoundingVolume, outerType, outerTransform);
+        contained = defined(outer.box) ? regionInsideBox(innerBoundingVolume.region, outer.box, tolerance) : regionInsideSphere(innerBoundingVolume.region, outer.sphere, tolerance);
+    } else if (outerType === 'region') {
+        const inner = getWorldBoundingVolume(innerBoundingVolume, innerType, innerTransform);
+        contained = defined(inner.box) ? boxInsideRegion(inner.box, outerBoundingVolume.region, tolerance) : sphereInsideRegion(inner.sphere, outerBoundingVolume.region, tolerance);
+    } else {
+        // Boxes and spheres are compared in world coordinates
+        const inner = getWorldBoundingVolume(innerBoundingVolume, innerType, innerTransform);
+        const outer = getWorldBoundingVolume(outerBoundingVolume, outerType, outerTransform);
+        if (defined(inner.box)) {
+            contained = defined(outer.box) ? boxInsideBox(inner.box, outer.box, tolerance) : boxInsideSphere(inner.box, outer.sphere, tolerance);
+        } else {
+            contained = defined(outer.box) ? sphereInsideBox(inner.sphere, outer.box, tolerance) : sphereInsideSphere(inner.sphere, outer.sphere, tolerance);
         }
     }
+    if (!contained) {
+        return `${innerType} [${innerBoundingVolume[innerType]}] is not within ${outerType} [${outerBoundingVolume[outerType]}]`;
+    }
+}
+
+function getBoundingVolumeType(boundingVolume) {
+    if (defined(boundingVolume.box)) {
+        return 'box';
+    } else if (defined(boundingVolume.region)) {
+        return 'region';
+    }
+    return 'sphere';
+}
+
+function getWorldBoundingVolume(boundingVolume, type, transform) {
+    if (type === 'box') {
+        return {
+            box: getTransformedBox(boundingVolume.box, transform)
+        };
+    }
+    return {
+        sphere: getTransformedSphere(boundingVolume.sphere, transform)
+    };
 }
 
 const scratchMatrix = new Matrix3();
@@ -254,9 +826,9 @@ function getTransformedBox(box, transform) {
     const rotationScale = Matrix4.getMatrix3(transform, scratchMatrix);
     halfAxes = Matrix3.multiply(rotationScale, halfAxes, halfAxes);
 
-    // Return a Box array
-    const returnBox = [center.x, center.y, center.z, halfAxes[0], halfAxes[3], halfAxes[6], halfAxes[1], halfAxes[4], halfAxes[7], halfAxes[2], halfAxes[5], halfAxes[8]];
-    return returnBox;
+    // Return a Box array. The half-axes are the columns of the matrix.
+    const returnBox = Cartesian3.pack(center, []);
+    return Matrix3.pack(halfAxes, returnBox, 3);
 }
 
 function getTransformedSphere(sphere, transform) {
@@ -274,10 +846,21 @@ function getTransformedSphere(sphere, transform) {
     return returnSphere;
 }
 
-function getTileErrorMessage(originalMessage, tile) {
-    tile = clone(tile, false);
-    delete tile.children;
-    const stringJson = JSON.stringify(tile, undefined, 4);
-    const newMessage = `${originalMessage}\n${stringJson}`;
-    return newMessage;
+function createError(filePath, code, message, pointer) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer
+    });
+}
+
+function createWarning(filePath, code, message, pointer) {
+    return createValidationIssue({
+        severity: ValidationSeverity.WARNING,
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer
+    });
 }
@@ -0,0 +1,178 @@
+'use strict';
+const Cesium = require('cesium');
+const path = require('path');
+
+const checkMetadataValue = require('./checkMetadataValue');
+const createValidationIssue = require('./createValidationIssue');
+const utility = require('./utility');
+const validateMetadataEntity = require('./validateMetadataEntity');
+const validateMetadataSchema = require('./validateMetadataSchema');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+const hasErrors = utility.hasErrors;
+const isLessThanOrEqual = utility.isLessThanOrEqual;
+
+module.exports = validateTilesetMetadata;
+
+const numericStatistics = ['min', 'max', 'mean', 'median', 'standardDeviation', 'variance', 'sum'];
+
+/**
+ * Checks the tileset-level metadata of a 3D Tiles 1.1 tileset: the <code>schema</code> or the schema that <code>schemaUri</code>
+ * refers to must be well-formed, the tileset <code>metadata</code> and the <code>groups</code> must conform to their classes,
+ * and the <code>statistics</code> must refer to classes and properties of the schema and have consistent values.
+ *
+ * @param {Object} options An object with the following properties:
+ * @param {Object} options.tileset The tileset JSON.
+ * @param {String} options.filePath The tileset JSON file path.
+ * @param {String} options.directory The directory that <code>schemaUri</code> is relative to.
+ * @param {Object} options.reader The resource reader.
+ * @returns {Promise} A promise that resolves to an object with the <code>issues</code> found and the <code>schema</code>, which is undefined if the tileset has no schema or the schema has errors.
+ */
+async function validateTilesetMetadata(options) {
+    const tileset = options.tileset;
+    const filePath = options.filePath;
+    const issues = [];
+
+    let schema = tileset.schema;
+    if (defined(tileset.schemaUri)) {
+        let schemaPath;
+        try {
+            // Like content URIs, schemaUri may be percent-encoded
+            schemaPath = path.join(options.directory, decodeURIComponent(tileset.schemaUri));
+            schema = await options.reader.readJson(schemaPath);
+        } catch (error) {
+            issues.push(createError(filePath, 'TILESET_SCHEMA_UNREADABLE', `Metadata schema ${tileset.schemaUri} could not be read: ${error.message}`, '/schemaUri'));
+            return {
+                issues: issues
+            };
+        }
+        if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+            issues.push(createError(filePath, 'TILESET_SCHEMA_INVALID', `Metadata schema ${tileset.schemaUri} must be a JSON object.`, '/schemaUri'));
+            return {
+                issues: issues
+            };
+        }
+        issues.push.apply(issues, validateMetadataSchema(schema, utility.normalizePath(schemaPath), ''));
+    } else if (defined(schema)) {
+        issues.push.apply(issues, validateMetadataSchema(schema, filePath, '/schema'));
+    }
+    if (hasErrors(issues)) {
+        return {
+            issues: issues
+        };
+    }
+
+    if (!defined(schema)) {
+        ['metadata', 'groups', 'statistics'].forEach(name => {
+            if (defined(tileset[name])) {
+                issues.push(createError(filePath, 'TILESET_SCHEMA_MISSING', `Tileset must define a schema or schemaUri to use ${name}.`, `/${name}`));
+            }
+        });
+        return {
+            issues: issues
+        };
+    }
+
+    if (defined(tileset.metadata)) {
+        issues.push.apply(issues, validateMetadataEntity(tileset.metadata, schema, filePath, '/metadata'));
+    }
+    const groups = defaultValue(tileset.groups, []);
+    const length = groups.length;
+    for (let i = 0; i < length; i++) {
+        issues.push.apply(issues, validateMetadataEntity(groups[i], schema, filePath, `/groups/${i}`));
+    }
+    if (defined(tileset.statistics)) {
+        validateStatistics(tileset.statistics, schema, filePath, issues);
+    }
+    return {
+        issues: issues,
+        schema: schema
+    };
+}
+
+function validateStatistics(statistics, schema, filePath, issues) {
+    const classes = defaultValue(schema.classes, {});
+    const statisticsClasses = defaultValue(statistics.classes, {});
+    for (const className in statisticsClasses) {
+        if (statisticsClasses.hasOwnProperty(className)) {
+            const pointer = `/statistics/classes/${className}`;
+            const classDefinition = classes[className];
+            if (!defined(classDefinition)) {
+                issues.push(createError(filePath, 'STATISTICS_CLASS_NOT_FOUND', `Class ${className} is not defined in the metadata schema.`, pointer));
+                continue;
+            }
+            const classProperties = defaultValue(classDefinition.properties, {});
+            const properties = defaultValue(statisticsClasses[className].properties, {});
+            for (const name in properties) {
+                if (properties.hasOwnProperty(name)) {
+                    const property = classProperties[name];
+                    if (!defined(property)) {
+                        issues.push(createError(filePath, 'STATISTICS_PROPERTY_NOT_FOUND', `Property ${name} is not defined in class ${className}.`, `${pointer}/properties/${name}`));
+                    } else {
+                        validatePropertyStatistics(properties[name], property, name, filePath, `${pointer}/properties/${name}`, issues);
+                    }
+                }
+            }
+        }
+    }
+}
+
+function validatePropertyStatistics(statistics, property, name, filePath, pointer, issues) {
+    const isNumeric = property.type !== 'STRING' && property.type !== 'BOOLEAN' && property.type !== 'ENUM';
+    let valid = true;
+    numericStatistics.forEach(statistic => {
+        const value = statistics[statistic];
+        if (!defined(value)) {
+            return;
+        }
+        // Statistics are computed from the values after the offset and scale are applied, so components may be any number
+        const message = isNumeric ? checkMetadataValue(value, property, undefined, false) : `is only allowed for numeric properties, but property ${name} has type ${property.type}`;
+        if (defined(message)) {
+            issues.push(createError(filePath, 'STATISTICS_VALUE_INVALID', `Statistic ${statistic} of property ${name} ${message}.`, `${pointer}/${statistic}`));
+            valid = false;
+        } else if ((statistic === 'standardDeviation' || statistic === 'variance') && !isLessThanOrEqual(zeroLike(value), value)) {
+            issues.push(createError(filePath, 'STATISTICS_VALUE_INVALID', `Statistic ${statistic} of property ${name} must not be negative, but is ${JSON.stringify(value)}.`, `${pointer}/${statistic}`));
+            valid = false;
+        }
+    });
+    if (!valid) {
+        return;
+    }
+
+    const min = statistics.min;
+    const max = statistics.max;
+    if (defined(min) && defined(max) && !isLessThanOrEqual(min, max)) {
+        issues.push(createError(filePath, 'STATISTICS_MIN_GREATER_THAN_MAX', `Statistic min ${JSON.stringify(min)} of property ${name} must not be greater than max ${JSON.stringify(max)}.`, `${pointer}/min`));
+        return;
+    }
+    ['mean', 'median'].forEach(statistic => {
+        const value = statistics[statistic];
+        if (defined(value) && ((defined(min) && !isLessThanOrEqual(min, value)) || (defined(max) && !isLessThanOrEqual(value, max)))) {
+            issues.push(createError(filePath, 'STATISTICS_OUT_OF_RANGE', `Statistic ${statistic} ${JSON.stringify(value)} of property ${name} must be between min and max.`, `${pointer}/${statistic}`));
+        }
+    });
+    if (defined(min) && defined(property.min) && !isLessThanOrEqual(property.min, min)) {
+        issues.push(createError(filePath, 'STATISTICS_OUT_OF_RANGE', `Statistic min ${JSON.stringify(min)} of property ${name} is less than the min ${JSON.stringify(property.min)} of the property.`, `${pointer}/min`));
+    }
+    if (defined(max) && defined(property.max) && !isLessThanOrEqual(max, property.max)) {
+        issues.push(createError(filePath, 'STATISTICS_OUT_OF_RANGE', `Statistic max ${JSON.stringify(max)} of property ${name} is greater than the max ${JSON.stringify(property.max)} of the property.`, `${pointer}/max`));
+    }
+}
+
+function zeroLike(value) {
+    if (Array.isArray(value)) {
+        return value.map(zeroLike);
+    }
+    return 0;
+}
+
+function createError(filePath, code, message, pointer) {
+    return createValidationIssue({
+        code: code,
+        message: message,
+        filePath: filePath,
+        pointer: pointer
+    });
+}
@@ -0,0 +1,100 @@
+'use strict';
+const Ajv = require('ajv');
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const path = require('path');
+
+const createValidationIssue = require('./createValidationIssue');
+
+const defined = Cesium.defined;
+
+module.exports = validateTilesetSchema;
+
+const schemaDirectory = path.join(__dirname, '../schemas');
+
+// The 2.0.0-alpha.0 draft evolved into 3D Tiles 1.1, so it is checked against the 1.1 schemas
+const schemaVersions = {
+    '1.0': '1.0',
+    '1.1': '1.1',
+    '2.0.0-alpha.0': '1.1'
+};
+
+const validators = {};
+const schemaFileNames = new Map();
+
+/**
+ * Checks a tileset JSON against the bundled JSON schemas of its 3D Tiles version.
+ * Tilesets with a missing or unknown <code>asset.version</code> are checked against the 1.0 schemas.
+ *
+ * @param {Object} tileset The tileset JSON.
+ * @param {String} filePath The tileset JSON file path.
+ * @returns {ValidationIssue[]} The schema violations. Each message includes the path of the violated keyword in the schema.
+ */
+function validateTilesetSchema(tileset, filePath) {
+    const version = (defined(tileset.asset) && defined(schemaVersions[tileset.asset.version])) ? tileset.asset.version : '1.0';
+    const validate = getValidator(schemaVersions[version]);
+    if (validate(tileset)) {
+        return [];
+    }
+
+    const issues = [];
+    const errors = validate.errors;
+    // The other keywords of a value with the wrong type fail as a consequence, for example not on null
+    const wrongTypePaths = new Set(errors.filter(error => error.keyword === 'type').map(error => error.dataPath));
+    const length = errors.length;
+    for (let i = 0; i < length; i++) {
+        const error = errors[i];
+        // The alternatives of anyOf, oneOf and not are summarized by the error for the keyword itself
+        if (/\/(anyOf|oneOf|not)\//.test(error.schemaPath)) {
+            continue;
+        }
+        if (error.keyword !== 'type' && wrongTypePaths.has(error.dataPath)) {
+            continue;
+        }
+        let pointer = error.dataPath;
+        if (error.keyword === 'required') {
+            pointer += `/${error.params.missingProperty}`;
+        }
+        issues.push(createValidationIssue({
+            code: 'TILESET_SCHEMA_VIOLATION',
+            message: `"${error.dataPath === '' ? '/' : error.dataPath}" ${error.message} (schema path: ${schemaFileNames.get(error.parentSchema)}${error.schemaPath})`,
+            filePath: filePath,
+            pointer: pointer
+        }));
+    }
+    return issues;
+}
+
+function getValidator(schemaVersion) {
+    let validate = validators[schemaVersion];
+    if (!defined(validate)) {
+        const ajv = new Ajv({
+            allErrors: true,
+            jsonPointers: true,
+            verbose: true
+        });
+        const directory = path.join(schemaDirectory, schemaVersion);
+        const fileNames = fsExtra.readdirSync(directory);
+        const length = fileNames.length;
+        for (let i = 0; i < length; i++) {
+            const schema = fsExtra.readJsonSync(path.join(directory, fileNames[i]));
+            addSchemaFileName(schema, fileNames[i]);
+            ajv.addSchema(schema);
+        }
+        validate = ajv.getSchema('tileset.schema.json');
+        validators[schemaVersion] = validate;
+    }
+    return validate;
+}
+
+function addSchemaFileName(schema, fileName) {
+    // Remember which file each subschema comes from, since the schema paths of errors are relative to their file
+    if (typeof schema === 'object' && schema !== null) {
+        schemaFileNames.set(schema, fileName);
+        for (const name in schema) {
+            if (schema.hasOwnProperty(name)) {
+                addSchemaFileName(schema[name], fileName);
+            }
+        }
+    }
+}
@@ -0,0 +1,52 @@
+'use strict';
+const createDatabaseReader = require('../../lib/createDatabaseReader');
+const validateTileset = require('../../lib/validateTileset');
+
+// The gzipped files of specs/data/Tileset, as written by tilesetToDatabase
+const databasePath = './specs/data/Tileset.3dtiles';
+
+describe('createDatabaseReader', () => {
+    let reader;
+
+    beforeEach(async () => {
+        reader = await createDatabaseReader(databasePath);
+    });
+
+    afterEach(async () => {
+        await reader.close();
+    });
+
+    it('reads and decompresses files', async () => {
+        const tileset = await reader.readJson('tileset.json');
+        expect(tileset.asset.version).toBe('1.0');
+        const content = await reader.readBinary('./parent.b3dm');
+        expect(content.toString('utf8', 0, 4)).toBe('b3dm');
+    });
+
+    it('rejects when a file does not exist', async () => {
+        await expectAsync(reader.readBinary('missing.b3dm')).toBeRejectedWithError(/missing\.b3dm does not exist/);
+    });
+
+    it('gets the actual path of a file whose path differs in case', async () => {
+        expect(await reader.getActualPath('PARENT.b3dm')).toBe('parent.b3dm');
+        expect(await reader.getActualPath('parent.b3dm')).toBe('parent.b3dm');
+        expect(await reader.getActualPath('missing.b3dm')).toBeUndefined();
+    });
+
+    it('validates a tileset in a database', async () => {
+        spyOn(reader, 'readBinary').and.callThrough();
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: await reader.readJson('tileset.json'),
+            filePath: 'tileset.json',
+            directory: '.'
+        });
+        expect(issues.map(issue => issue.code)).toEqual(['TILESET_ASSET_GENERATOR_MISSING']);
+        expect(reader.readBinary).toHaveBeenCalledTimes(5);
+        expect(reader.readBinary).toHaveBeenCalledWith('ul.b3dm');
+    });
+
+    it('rejects when the database cannot be opened', async () => {
+        await expectAsync(createDatabaseReader('./specs/data/missing.3dtiles')).toBeRejected();
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+const createExtensionRegistry = require('../../lib/createExtensionRegistry');
+
+describe('createExtensionRegistry', () => {
+    it('records the extensions found anywhere in JSON', () => {
+        const registry = createExtensionRegistry();
+        registry.addExtensions({
+            extensions: {
+                '3DTILES_metadata': {}
+            },
+            root: {
+                children: [{
+                    extensions: {
+                        '3DTILES_implicit_tiling': {},
+                        '3DTILES_metadata': {}
+                    }
+                }]
+            }
+        }, 'tileset.json', '');
+        expect(registry.getExtensionNames()).toEqual(['3DTILES_metadata', '3DTILES_implicit_tiling']);
+        // Only the first usage in each file is recorded
+        expect(registry.getUsages('3DTILES_metadata')).toEqual([{
+            filePath: 'tileset.json',
+            pointer: '/extensions/3DTILES_metadata',
+            byteOffset: undefined
+        }]);
+        expect(registry.getUsages('3DTILES_implicit_tiling')[0].pointer).toBe('/root/children/0/extensions/3DTILES_implicit_tiling');
+        expect(registry.getUsages('3DTILES_multiple_contents')).toEqual([]);
+    });
+
+    it('adds the usages of another registry with shifted byte offsets', () => {
+        const innerTileRegistry = createExtensionRegistry();
+        innerTileRegistry.addExtensions({
+            extensions: {
+                '3DTILES_draco_point_compression': {}
+            }
+        }, 'tile.cmpt', '', 28);
+        const registry = createExtensionRegistry();
+        registry.addRegistry(innerTileRegistry, 16);
+        expect(registry.getUsages('3DTILES_draco_point_compression')).toEqual([{
+            filePath: 'tile.cmpt',
+            pointer: '/extensions/3DTILES_draco_point_compression',
+            byteOffset: 44
+        }]);
+    });
+
+    it('knows the 3D Tiles extensions', () => {
+        const registry = createExtensionRegistry();
+        expect(registry.isKnown('3DTILES_multiple_contents')).toBe(true);
+        expect(registry.isContentExtension('3DTILES_multiple_contents')).toBe(false);
+        expect(registry.isKnown('3DTILES_batch_table_hierarchy')).toBe(true);
+        expect(registry.isContentExtension('3DTILES_batch_table_hierarchy')).toBe(true);
+        expect(registry.isKnown('VENDOR_extension')).toBe(false);
+    });
+});
@@ -0,0 +1,43 @@
+'use strict';
+const path = require('path');
+
+const createFileReader = require('../../lib/createFileReader');
+const validateTileset = require('../../lib/validateTileset');
+const ValidationSeverity = require('../../lib/ValidationSeverity');
+
+describe('createFileReader', () => {
+    it('reads tiles and tileset JSON files', async () => {
+        const reader = createFileReader();
+        const tileset = await reader.readJson('./specs/data/Tileset/tileset.json');
+        expect(tileset.asset.version).toBe('1.0');
+        const content = await reader.readBinary('./specs/data/Tileset/parent.b3dm');
+        expect(content.toString('utf8', 0, 4)).toBe('b3dm');
+        await reader.close();
+    });
+
+    it('gets the actual path of a file whose path differs in case', async () => {
+        const reader = createFileReader();
+        expect(await reader.getActualPath('./specs/data/tileset/PARENT.b3dm')).toBe(path.join('specs', 'data', 'Tileset', 'parent.b3dm'));
+        expect(await reader.getActualPath('specs/data/Tileset/../Tileset/parent.b3dm')).toBe(path.join('specs', 'data', 'Tileset', 'parent.b3dm'));
+        expect(await reader.getActualPath('specs/data/Tileset/missing.b3dm')).toBeUndefined();
+    });
+
+    it('does not read content URIs that are absolute URLs', async () => {
+        const reader = createFileReader();
+        const tileset = await reader.readJson('./specs/data/Tileset/tileset.json');
+        tileset.root.children[0].content.uri = 'https://example.invalid/tiles/ll.b3dm';
+        spyOn(reader, 'readBinary').and.callThrough();
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: tileset,
+            filePath: 'specs/data/Tileset/tileset.json',
+            directory: 'specs/data/Tileset'
+        });
+        const issue = issues.find(issue => issue.code === 'CONTENT_URI_NOT_VALIDATED');
+        expect(issue.severity).toBe(ValidationSeverity.WARNING);
+        expect(issue.pointer).toBe('/root/children/0/content/uri');
+        expect(issues.filter(issue => issue.severity === ValidationSeverity.ERROR)).toEqual([]);
+        expect(reader.readBinary).toHaveBeenCalledTimes(4);
+        expect(reader.readBinary).not.toHaveBeenCalledWith(jasmine.stringMatching(/example\.invalid/));
+    });
+});
@@ -0,0 +1,116 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+
+const createHttpReader = require('../../lib/createHttpReader');
+const validateTileset = require('../../lib/validateTileset');
+
+const tilesetDirectory = './specs/data/Tileset';
+
+// Serves the files of specs/data/Tileset below /tilesets/, gzipped below /gzipped/, and redirects /redirect/ to /tilesets/.
+// Requests below /stalled/ are never answered.
+function handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    if (url.pathname.startsWith('/stalled/')) {
+        return;
+    }
+    const match = /^\/(tilesets|gzipped|redirect)\/(.*)$/.exec(url.pathname);
+    const filePath = match ? path.join(tilesetDirectory, decodeURIComponent(match[2])) : undefined;
+    if (!match || !fsExtra.existsSync(filePath)) {
+        response.writeHead(404);
+        response.end();
+    } else if (match[1] === 'redirect') {
+        response.writeHead(302, {
+            Location: `/tilesets/${match[2]}`
+        });
+        response.end();
+    } else if (match[1] === 'gzipped') {
+        response.writeHead(200);
+        response.end(zlib.gzipSync(fsExtra.readFileSync(filePath)));
+    } else {
+        response.writeHead(200);
+        response.end(fsExtra.readFileSync(filePath));
+    }
+}
+
+describe('createHttpReader', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+        server = http.createServer(handleRequest);
+        server.listen(0, 'localhost', () => {
+            baseUrl = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    it('reads files relative to the base URL', async () => {
+        const reader = createHttpReader(`${baseUrl}/tilesets/`);
+        const tileset = await reader.readJson('tileset.json');
+        expect(tileset.asset.version).toBe('1.0');
+        const content = await reader.readBinary('./parent.b3dm');
+        expect(content.toString('utf8', 0, 4)).toBe('b3dm');
+        await reader.close();
+    });
+
+    it('reads gzipped files', async () => {
+        const reader = createHttpReader(`${baseUrl}/gzipped/`);
+        const content = await reader.readBinary('parent.b3dm');
+        expect(content.toString('utf8', 0, 4)).toBe('b3dm');
+    });
+
+    it('follows redirects', async () => {
+        const reader = createHttpReader(`${baseUrl}/redirect/`);
+        const content = await reader.readBinary('parent.b3dm');
+        expect(content.toString('utf8', 0, 4)).toBe('b3dm');
+    });
+
+    it('rejects when the server does not respond with the file', async () => {
+        const reader = createHttpReader(`${baseUrl}/tilesets/`);
+        await expectAsync(reader.readBinary('missing.b3dm')).toBeRejectedWithError(/responded with status 404/);
+    });
+
+    it('rejects when the server does not respond in time', async () => {
+        const reader = createHttpReader(`${baseUrl}/stalled/`, 100);
+        await expectAsync(reader.readBinary('parent.b3dm')).toBeRejectedWithError(/did not respond within 100 ms/);
+    });
+
+    it('validates a tileset on a server', async () => {
+        const reader = createHttpReader(`${baseUrl}/tilesets/`);
+        spyOn(reader, 'readBinary').and.callThrough();
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: await reader.readJson('tileset.json'),
+            filePath: 'tileset.json',
+            directory: '.'
+        });
+        expect(issues.map(issue => issue.code)).toEqual(['TILESET_ASSET_GENERATOR_MISSING']);
+
+        expect(reader.readBinary).toHaveBeenCalledTimes(5);
+        expect(reader.readBinary).toHaveBeenCalledWith('ul.b3dm');
+    });
+
+    it('does not read content URIs that are absolute URLs', async () => {
+        const reader = createHttpReader(`${baseUrl}/tilesets/`);
+        const tileset = await reader.readJson('tileset.json');
+        tileset.root.children[0].content.uri = `${baseUrl}/tilesets/ll.b3dm`;
+        spyOn(reader, 'readBinary').and.callThrough();
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: tileset,
+            filePath: 'tileset.json',
+            directory: '.'
+        });
+        expect(issues.map(issue => issue.code)).toEqual(['TILESET_ASSET_GENERATOR_MISSING', 'CONTENT_URI_NOT_VALIDATED']);
+        expect(issues[1].pointer).toBe('/root/children/0/content/uri');
+        expect(reader.readBinary).toHaveBeenCalledTimes(4);
+        expect(reader.readBinary).not.toHaveBeenCalledWith(jasmine.stringMatching(/ll\.b3dm/));
+    });
+});
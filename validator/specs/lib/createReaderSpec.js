@@ -0,0 +1,48 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const createReader = require('../../lib/createReader');
+const specUtility = require('./specUtility');
+
+describe('createReader', () => {
+    it('reads a tileset JSON or tile from the file system', async () => {
+        const result = await createReader('./specs/data/Tileset/parent.b3dm', 'tileset.json');
+        expect(result.filePath).toBe('./specs/data/Tileset/parent.b3dm');
+        const content = await result.reader.readBinary(result.filePath);
+        expect(content.toString('utf8', 0, 4)).toBe('b3dm');
+        await result.reader.close();
+    });
+
+    it('reads the inner path of a directory', async () => {
+        const result = await createReader('./specs/data/Tileset', 'tileset.json');
+        expect(result.filePath).toBe(path.join('specs', 'data', 'Tileset', 'tileset.json'));
+        const tileset = await result.reader.readJson(result.filePath);
+        expect(tileset.asset.version).toBe('1.0');
+    });
+
+    it('reads the inner path of a zip archive', async () => {
+        const zipPath = path.join(os.tmpdir(), 'tilesets.zip');
+        fsExtra.outputFileSync(zipPath, specUtility.createZip({
+            'city/tileset.json': '{"asset":{"version":"1.1"}}'
+        }));
+        const result = await createReader(zipPath, 'city/tileset.json');
+        expect(result.filePath).toBe('city/tileset.json');
+        const tileset = await result.reader.readJson(result.filePath);
+        expect(tileset.asset.version).toBe('1.1');
+        await result.reader.close();
+        fsExtra.removeSync(zipPath);
+    });
+
+    it('uses the file name of a URL or the inner path of a base URL', async () => {
+        let result = await createReader('https://example.com/tilesets/city/tileset%201.json', 'tileset.json');
+        expect(result.filePath).toBe('tileset 1.json');
+        result = await createReader('https://example.com/tilesets/city', 'root.json');
+        expect(result.filePath).toBe('root.json');
+    });
+
+    it('rejects when the input does not exist', async () => {
+        await expectAsync(createReader('./specs/data/missing.json')).toBeRejected();
+    });
+});
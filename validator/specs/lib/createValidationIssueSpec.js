@@ -0,0 +1,37 @@
+'use strict';
+const createValidationIssue = require('../../lib/createValidationIssue');
+const ValidationSeverity = require('../../lib/ValidationSeverity');
+
+describe('createValidationIssue', () => {
+    it('defaults the severity to error', () => {
+        const issue = createValidationIssue({
+            code: 'CODE',
+            message: 'message'
+        });
+        expect(issue.severity).toBe(ValidationSeverity.ERROR);
+        expect(issue.code).toBe('CODE');
+        expect(issue.message).toBe('message');
+        expect(issue.filePath).toBeUndefined();
+        expect(issue.pointer).toBeUndefined();
+        expect(issue.byteOffset).toBeUndefined();
+    });
+
+    it('creates an issue with location information', () => {
+        const issue = createValidationIssue({
+            severity: ValidationSeverity.WARNING,
+            code: 'CODE',
+            message: 'message',
+            filePath: 'tileset.json',
+            pointer: '/root/children/0',
+            byteOffset: 28
+        });
+        expect(issue).toEqual({
+            severity: ValidationSeverity.WARNING,
+            code: 'CODE',
+            message: 'message',
+            filePath: 'tileset.json',
+            pointer: '/root/children/0',
+            byteOffset: 28
+        });
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const createZipReader = require('../../lib/createZipReader');
+const specUtility = require('./specUtility');
+const validateTileset = require('../../lib/validateTileset');
+
+const tilesetDirectory = './specs/data/Tileset';
+
+function writeZip(entries, options) {
+    const zipPath = path.join(os.tmpdir(), 'tileset.3tz');
+    fsExtra.outputFileSync(zipPath, specUtility.createZip(entries, options));
+    return zipPath;
+}
+
+function getTilesetEntries() {
+    const entries = {};
+    fsExtra.readdirSync(tilesetDirectory).forEach(fileName => {
+        entries[fileName] = fsExtra.readFileSync(path.join(tilesetDirectory, fileName));
+    });
+    return entries;
+}
+
+describe('createZipReader', () => {
+    let zipPath;
+
+    afterEach(() => {
+        if (zipPath) {
+            fsExtra.removeSync(zipPath);
+            zipPath = undefined;
+        }
+    });
+
+    it('reads deflated and stored entries', async () => {
+        const entries = {
+            'tileset.json': '{"asset":{"version":"1.0"}}',
+            'tiles/tile.b3dm': 'b3dm'
+        };
+        for (const store of [false, true]) {
+            zipPath = writeZip(entries, {
+                store: store
+            });
+            const reader = await createZipReader(zipPath);
+            expect(await reader.readJson('tileset.json')).toEqual({
+                asset: {
+                    version: '1.0'
+                }
+            });
+            expect((await reader.readBinary('tiles/./tile.b3dm')).toString()).toBe('b3dm');
+            await reader.close();
+        }
+    });
+
+    it('reads gzipped entries', async () => {
+        zipPath = writeZip({
+            'tile.b3dm': zlib.gzipSync(Buffer.from('b3dm'))
+        });
+        const reader = await createZipReader(zipPath);
+        expect((await reader.readBinary('tile.b3dm')).toString()).toBe('b3dm');
+        await reader.close();
+    });
+
+    it('rejects when an entry does not exist', async () => {
+        zipPath = writeZip({
+            'tileset.json': '{}'
+        });
+        const reader = await createZipReader(zipPath);
+        await expectAsync(reader.readBinary('tile.b3dm')).toBeRejectedWithError(/tile\.b3dm does not exist/);
+        await reader.close();
+    });
+
+    it('gets the actual path of an entry whose path differs in case', async () => {
+        zipPath = writeZip({
+            'Tiles/tile.b3dm': 'b3dm'
+        });
+        const reader = await createZipReader(zipPath);
+        expect(await reader.getActualPath('tiles/Tile.b3dm')).toBe('Tiles/tile.b3dm');
+        expect(await reader.getActualPath('Tiles/tile.b3dm')).toBe('Tiles/tile.b3dm');
+        expect(await reader.getActualPath('tile.b3dm')).toBeUndefined();
+        await reader.close();
+    });
+
+    it('rejects when the file is not a zip archive', async () => {
+        await expectAsync(createZipReader(path.join(tilesetDirectory, 'tileset.json'))).toBeRejectedWithError(/is not a zip archive/);
+    });
+
+    it('validates a tileset in a zip archive', async () => {
+        zipPath = writeZip(getTilesetEntries());
+        const reader = await createZipReader(zipPath);
+        spyOn(reader, 'readBinary').and.callThrough();
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: await reader.readJson('tileset.json'),
+            filePath: 'tileset.json',
+            directory: '.'
+        });
+        await reader.close();
+        expect(issues.map(issue => issue.code)).toEqual(['TILESET_ASSET_GENERATOR_MISSING']);
+        expect(reader.readBinary).toHaveBeenCalledTimes(5);
+        expect(reader.readBinary).toHaveBeenCalledWith('ul.b3dm');
+    });
+});
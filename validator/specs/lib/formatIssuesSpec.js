@@ -0,0 +1,108 @@
+'use strict';
+const createValidationIssue = require('../../lib/createValidationIssue');
+const formatIssues = require('../../lib/formatIssues');
+const ValidationSeverity = require('../../lib/ValidationSeverity');
+
+const issues = [
+    createValidationIssue({
+        code: 'TILE_GEOMETRIC_ERROR_MISSING',
+        message: 'Each tile must define geometricError',
+        filePath: 'tileset.json',
+        pointer: '/root/children/0'
+    }),
+    createValidationIssue({
+        code: 'FEATURE_TABLE_BINARY_UNALIGNED',
+        message: 'Feature table binary must be aligned to an 8-byte boundary.',
+        filePath: 'tile.b3dm',
+        byteOffset: 30
+    }),
+    createValidationIssue({
+        severity: ValidationSeverity.WARNING,
+        code: 'WARNING_CODE',
+        message: 'Value "a" < "b" & more',
+        filePath: 'tile.b3dm'
+    })
+];
+
+describe('formatIssues', () => {
+    it('formats issues as text', () => {
+        const report = formatIssues(issues, {
+            filePath: 'tileset.json'
+        });
+        expect(report.split('\n')).toEqual([
+            'ERROR TILE_GEOMETRIC_ERROR_MISSING tileset.json#/root/children/0: Each tile must define geometricError',
+            'ERROR FEATURE_TABLE_BINARY_UNALIGNED tile.b3dm (byte 30): Feature table binary must be aligned to an 8-byte boundary.',
+            'WARNING WARNING_CODE tile.b3dm: Value "a" < "b" & more',
+            'tileset.json is invalid: 2 error(s), 1 warning(s), 0 info(s) found'
+        ]);
+    });
+
+    it('formats a valid result as text', () => {
+        expect(formatIssues([], {
+            filePath: 'tileset.json',
+            format: 'text'
+        })).toBe('tileset.json is valid');
+    });
+
+    it('formats a result with only warnings as valid text', () => {
+        const report = formatIssues([issues[2]], {
+            filePath: 'tileset.json'
+        });
+        expect(report.split('\n')[1]).toBe('tileset.json is valid: 0 error(s), 1 warning(s), 0 info(s) found');
+    });
+
+    it('formats issues as json', () => {
+        const report = JSON.parse(formatIssues(issues, {
+            filePath: 'tileset.json',
+            format: 'json'
+        }));
+        expect(report.filePath).toBe('tileset.json');
+        expect(report.valid).toBe(false);
+        expect(report.errors).toBe(2);
+        expect(report.warnings).toBe(1);
+        expect(report.infos).toBe(0);
+        expect(report.issues).toEqual(JSON.parse(JSON.stringify(issues)));
+    });
+
+    it('formats issues as junit', () => {
+        const report = formatIssues(issues, {
+            filePath: 'tileset.json',
+            format: 'junit'
+        });
+        expect(report.indexOf('<?xml version="1.0" encoding="UTF-8"?>')).toBe(0);
+        expect(report).toContain('<testsuite name="tileset.json" tests="2" failures="2">');
+        expect(report).toContain('<testcase name="tileset.json" classname="3d-tiles-validator">');
+        expect(report).toContain('<testcase name="tile.b3dm" classname="3d-tiles-validator">');
+        expect(report).toContain('<failure type="TILE_GEOMETRIC_ERROR_MISSING" message="Each tile must define geometricError">ERROR TILE_GEOMETRIC_ERROR_MISSING tileset.json#/root/children/0: Each tile must define geometricError</failure>');
+        expect(report).toContain('<system-out>WARNING WARNING_CODE tile.b3dm: Value &quot;a&quot; &lt; &quot;b&quot; &amp; more</system-out>');
+    });
+
+    it('formats the errors of a file as a single junit failure', () => {
+        const fileIssues = [issues[0], issues[0], issues[2]].map(issue => Object.assign({}, issue, {
+            filePath: 'tile.b3dm'
+        }));
+        const report = formatIssues(fileIssues, {
+            filePath: 'tileset.json',
+            format: 'junit'
+        });
+        expect(report).toContain('<testsuites tests="1" failures="1">');
+        expect(report.match(/<failure /g).length).toBe(1);
+        expect(report).toContain('<failure type="ERRORS" message="2 errors found">ERROR TILE_GEOMETRIC_ERROR_MISSING tile.b3dm#/root/children/0: Each tile must define geometricError\nERROR TILE_GEOMETRIC_ERROR_MISSING tile.b3dm#/root/children/0: Each tile must define geometricError</failure>');
+    });
+
+    it('formats a valid result as junit with a single passing test case', () => {
+        const report = formatIssues([], {
+            filePath: 'tileset.json',
+            format: 'junit'
+        });
+        expect(report).toContain('<testsuite name="tileset.json" tests="1" failures="0">');
+        expect(report).not.toContain('<failure');
+    });
+
+    it('throws for an unsupported format', () => {
+        expect(() => formatIssues([], {
+            filePath: 'tileset.json',
+            format: 'xml'
+        })).toThrowError(/Unsupported report format/);
+    });
+});
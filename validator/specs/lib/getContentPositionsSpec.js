@@ -0,0 +1,200 @@
+'use strict';
+const getContentPositions = require('../../lib/getContentPositions');
+const specUtility = require('./specUtility.js');
+
+const createB3dm = specUtility.createB3dm;
+const createCmpt = specUtility.createCmpt;
+const createGlb = specUtility.createGlb;
+const createI3dm = specUtility.createI3dm;
+const createPnts = specUtility.createPnts;
+
+describe('getContentPositions', () => {
+    // The triangle of createGlb has the vertices (0, 0, 0), (1, 0, 0) and (0, 1, 0) with y up
+    const trianglePositions = [0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+    it('reads the positions of glb content and converts them to z up', () => {
+        expectPositions(getContentPositions(createGlb()), trianglePositions);
+    });
+
+    it('does not convert glTF positions if the up axis is z', () => {
+        const positions = getContentPositions(createGlb(), {
+            gltfUpAxis: 'Z'
+        });
+        expectPositions(positions, [0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    });
+
+    it('repeats the positions of meshes instanced with EXT_mesh_gpu_instancing', () => {
+        const gltf = createInstancedGltf({
+            TRANSLATION: 1,
+            SCALE: 2
+        });
+        const positions = getContentPositions(Buffer.from(JSON.stringify(gltf)), {
+            gltfUpAxis: 'Z'
+        });
+        expectPositions(positions, [100, 0, 0, 101, 0, 0, 100, 1, 0, 0, 0, 10, 2, 0, 10, 0, 2, 10]);
+    });
+
+    it('returns undefined if the instancing attributes cannot be read', () => {
+        const gltf = createInstancedGltf({
+            TRANSLATION: 3
+        });
+        expect(getContentPositions(Buffer.from(JSON.stringify(gltf)))).toBeUndefined();
+    });
+
+    it('applies the RTC_CENTER of b3dm', () => {
+        const b3dm = createB3dm({
+            featureTableJson: {
+                BATCH_LENGTH: 0,
+                RTC_CENTER: [10, 20, 30]
+            }
+        });
+        expectPositions(getContentPositions(b3dm), [10, 20, 30, 11, 20, 30, 10, 20, 31]);
+    });
+
+    it('reads the positions of pnts', () => {
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 2,
+                POSITION: [1, 2, 3, 4, 5, 6],
+                RTC_CENTER: [100, 0, 0]
+            }
+        });
+        expect(Array.from(getContentPositions(pnts))).toEqual([101, 2, 3, 104, 5, 6]);
+    });
+
+    it('reads the quantized positions of pnts', () => {
+        const featureTableBinary = Buffer.alloc(12);
+        featureTableBinary.writeUInt16LE(0, 0);
+        featureTableBinary.writeUInt16LE(0, 2);
+        featureTableBinary.writeUInt16LE(0, 4);
+        featureTableBinary.writeUInt16LE(65535, 6);
+        featureTableBinary.writeUInt16LE(65535, 8);
+        featureTableBinary.writeUInt16LE(65535, 10);
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 2,
+                POSITION_QUANTIZED: {
+                    byteOffset: 0
+                },
+                QUANTIZED_VOLUME_OFFSET: [-1, -2, -3],
+                QUANTIZED_VOLUME_SCALE: [2, 4, 6]
+            },
+            featureTableBinary: featureTableBinary
+        });
+        expect(Array.from(getContentPositions(pnts))).toEqual([-1, -2, -3, 1, 2, 3]);
+    });
+
+    it('returns undefined for Draco compressed pnts', () => {
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 1,
+                extensions: {
+                    '3DTILES_draco_point_compression': {
+                        properties: {
+                            POSITION: 0
+                        },
+                        byteOffset: 0,
+                        byteLength: 0
+                    }
+                }
+            }
+        });
+        expect(getContentPositions(pnts)).toBeUndefined();
+    });
+
+    it('reads the instance positions of i3dm', () => {
+        const i3dm = createI3dm({
+            featureTableJson: {
+                INSTANCES_LENGTH: 2,
+                POSITION: [1, 2, 3, -1, -2, -3]
+            }
+        });
+        expect(Array.from(getContentPositions(i3dm))).toEqual([1, 2, 3, -1, -2, -3]);
+    });
+
+    it('reads the positions of the inner tiles of cmpt', () => {
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 1,
+                POSITION: [5, 5, 5]
+            }
+        });
+        const cmpt = createCmpt([createB3dm(), pnts]);
+        expectPositions(getContentPositions(cmpt), trianglePositions.concat([5, 5, 5]));
+    });
+
+    it('returns undefined for malformed content', () => {
+        expect(getContentPositions(Buffer.from('b3dm'))).toBeUndefined();
+    });
+});
+
+// A triangle with two instances, translated by (100, 0, 0) and (0, 0, 10), the second of which is scaled by 2
+function createInstancedGltf(instancingAttributes) {
+    const values = [
+        0, 0, 0, 1, 0, 0, 0, 1, 0,
+        100, 0, 0, 0, 0, 10,
+        1, 1, 1, 2, 2, 2
+    ];
+    const buffer = Buffer.from(Float32Array.from(values).buffer);
+    return {
+        asset: {
+            version: '2.0'
+        },
+        extensionsUsed: ['EXT_mesh_gpu_instancing'],
+        buffers: [{
+            uri: `data:application/octet-stream;base64,${buffer.toString('base64')}`,
+            byteLength: buffer.length
+        }],
+        bufferViews: [{
+            buffer: 0,
+            byteOffset: 0,
+            byteLength: 36
+        }, {
+            buffer: 0,
+            byteOffset: 36,
+            byteLength: 24
+        }, {
+            buffer: 0,
+            byteOffset: 60,
+            byteLength: 24
+        }],
+        accessors: [{
+            bufferView: 0,
+            componentType: 5126,
+            count: 3,
+            type: 'VEC3'
+        }, {
+            bufferView: 1,
+            componentType: 5126,
+            count: 2,
+            type: 'VEC3'
+        }, {
+            bufferView: 2,
+            componentType: 5126,
+            count: 2,
+            type: 'VEC3'
+        }],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0
+                }
+            }]
+        }],
+        nodes: [{
+            mesh: 0,
+            extensions: {
+                EXT_mesh_gpu_instancing: {
+                    attributes: instancingAttributes
+                }
+            }
+        }]
+    };
+}
+
+function expectPositions(positions, expected) {
+    expect(positions.length).toBe(expected.length);
+    for (let i = 0; i < expected.length; i++) {
+        expect(positions[i]).toBeCloseTo(expected[i], 10);
+    }
+}
@@ -0,0 +1,22 @@
+'use strict';
+
+const isAbsoluteUri = require('../../lib/isAbsoluteUri');
+
+describe('isAbsoluteUri', function() {
+    it('is an absolute uri', function() {
+        expect(isAbsoluteUri('https://example.com/tiles/a.b3dm')).toBe(true);
+        expect(isAbsoluteUri('HTTP://example.com/tileset.json')).toBe(true);
+        expect(isAbsoluteUri('data:application/octet-stream;base64,AAAA')).toBe(true);
+    });
+
+    it('is not an absolute uri', function() {
+        expect(isAbsoluteUri('tiles/a.b3dm')).toBe(false);
+        expect(isAbsoluteUri('/tiles/a.b3dm')).toBe(false);
+        expect(isAbsoluteUri('C:\\tiles\\a.b3dm')).toBe(false);
+        expect(isAbsoluteUri('tiles/a:b.b3dm')).toBe(false);
+    });
+
+    it('is undefined', function() {
+        expect(isAbsoluteUri()).toBe(false);
+    });
+});
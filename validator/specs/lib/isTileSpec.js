@@ -12,4 +12,15 @@ describe('isTile', () => {
         expect(isTile('tile.xxxx')).toBe(false);
         expect(isTile('tileset.json')).toBe(false);
     });
+
+    it('detects the tile formats of the tileset version', () => {
+        expect(isTile('tile.b3dm', '1.0')).toBe(true);
+        expect(isTile('tile.glb', '1.0')).toBe(false);
+        expect(isTile('tile.b3dm', '1.1')).toBe(true);
+        expect(isTile('tile.glb', '1.1')).toBe(true);
+        expect(isTile('tile.gltf', '1.1')).toBe(true);
+        expect(isTile('tileset.json', '1.1')).toBe(false);
+        expect(isTile('tile.b3dm', '2.0.0-alpha.0')).toBe(false);
+        expect(isTile('tile.glb', '2.0.0-alpha.0')).toBe(true);
+    });
 });
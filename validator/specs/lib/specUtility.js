@@ -1,5 +1,6 @@
 'use strict';
 const Cesium = require('cesium');
+const zlib = require('zlib');
 
 const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
@@ -11,7 +12,9 @@ module.exports = {
     createCmpt: createCmpt,
     createGlb: createGlb,
     createI3dm: createI3dm,
-    createPnts: createPnts
+    createPnts: createPnts,
+    createSubtree: createSubtree,
+    createZip: createZip
 };
 
 function createB3dm(options) {
@@ -97,13 +100,15 @@ function createI3dm(options) {
     const featureTableBinary = getBufferPadded(options.featureTableBinary);
     let batchTableJsonBuffer = getJsonBufferPadded(options.batchTableJson);
     let batchTableBinary = getBufferPadded(options.batchTableBinary);
-    let glb = getBufferPadded(defaultValue(options.glb, createGlb()));
+    let glb = defaultValue(options.glb, createGlb());
 
+    // A string is the uri of an external glTF
     let gltfFormat = 1;
     if (typeof glb === 'string') {
         gltfFormat = 0;
         glb = Buffer.from(glb);
     }
+    glb = getBufferPadded(glb);
 
     if (options.unalignedFeatureTableBinary) {
         featureTableJsonBuffer = Buffer.concat([featureTableJsonBuffer, Buffer.from(' ')]);
@@ -197,6 +202,23 @@ function createCmpt(tiles) {
     return Buffer.concat([header, innerTiles]);
 }
 
+function createSubtree(options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    const headerByteLength = 24;
+    const jsonBuffer = getJsonBufferPadded(options.json, headerByteLength);
+    const binary = getBufferPadded(options.binary);
+
+    const header = Buffer.alloc(headerByteLength);
+    header.write('subt', 0);                          // magic
+    header.writeUInt32LE(1, 4);                       // version
+    header.writeUInt32LE(jsonBuffer.length, 8);       // jsonByteLength, low word
+    header.writeUInt32LE(0, 12);                      // jsonByteLength, high word
+    header.writeUInt32LE(binary.length, 16);          // binaryByteLength, low word
+    header.writeUInt32LE(0, 20);                      // binaryByteLength, high word
+
+    return Buffer.concat([header, jsonBuffer, binary]);
+}
+
 function getBufferPadded(buffer, byteOffset) {
     if (!defined(buffer)) {
         return Buffer.alloc(0);
@@ -212,6 +234,52 @@ function getBufferPadded(buffer, byteOffset) {
     return Buffer.concat([buffer, emptyBuffer]);
 }
 
+// Writes a zip archive with an entry for each property of entries. Entries are deflated unless options.store is true.
+function createZip(entries, options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    const localFiles = [];
+    const centralDirectoryHeaders = [];
+    let offset = 0;
+    for (const name in entries) {
+        if (entries.hasOwnProperty(name)) {
+            const nameBuffer = Buffer.from(name);
+            const data = Buffer.from(entries[name]);
+            const compressed = options.store ? data : zlib.deflateRawSync(data);
+            const method = options.store ? 0 : 8;
+
+            const localHeader = Buffer.alloc(30);
+            localHeader.writeUInt32LE(0x04034b50, 0);
+            localHeader.writeUInt16LE(20, 4); // version needed to extract
+            localHeader.writeUInt16LE(method, 8);
+            localHeader.writeUInt32LE(compressed.length, 18);
+            localHeader.writeUInt32LE(data.length, 22);
+            localHeader.writeUInt16LE(nameBuffer.length, 26);
+            localFiles.push(localHeader, nameBuffer, compressed);
+
+            const centralHeader = Buffer.alloc(46);
+            centralHeader.writeUInt32LE(0x02014b50, 0);
+            centralHeader.writeUInt16LE(20, 4); // version made by
+            centralHeader.writeUInt16LE(20, 6); // version needed to extract
+            centralHeader.writeUInt16LE(method, 10);
+            centralHeader.writeUInt32LE(compressed.length, 20);
+            centralHeader.writeUInt32LE(data.length, 24);
+            centralHeader.writeUInt16LE(nameBuffer.length, 28);
+            centralHeader.writeUInt32LE(offset, 42);
+            centralDirectoryHeaders.push(centralHeader, nameBuffer);
+
+            offset += localHeader.length + nameBuffer.length + compressed.length;
+        }
+    }
+    const centralDirectory = Buffer.concat(centralDirectoryHeaders);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centralDirectoryHeaders.length / 2, 8);
+    end.writeUInt16LE(centralDirectoryHeaders.length / 2, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat(localFiles.concat(centralDirectory, end));
+}
+
 function getJsonBufferPadded(json, byteOffset) {
     if (!defined(json) || Object.keys(json).length === 0) {
         return Buffer.alloc(0);
@@ -239,6 +307,60 @@ const uriHeader = 'data:model/gltf-binary;base64,';
 const base64 = glbDataUri.substring(uriHeader.length);
 const glb = Buffer.from(base64, 'base64');
 
-function createGlb() {
-    return Buffer.from(glb);
+// Writes the triangle glb. When options.batchIds is defined, they are added as the _BATCHID attribute of the triangle
+// with the component type options.batchIdComponentType, which defaults to FLOAT.
+function createGlb(options) {
+    options = defaultValue(options, defaultValue.EMPTY_OBJECT);
+    if (!defined(options.batchIds)) {
+        return Buffer.from(glb);
+    }
+
+    const jsonChunkLength = glb.readUInt32LE(12);
+    const gltf = JSON.parse(glb.toString('utf8', 20, 20 + jsonChunkLength));
+    const binaryChunk = glb.slice(28 + jsonChunkLength);
+
+    // Vertex attributes are aligned to 4 bytes
+    const componentType = defaultValue(options.batchIdComponentType, 5126);
+    const batchIds = Buffer.alloc(options.batchIds.length * 4);
+    options.batchIds.forEach((batchId, i) => {
+        if (componentType === 5126) {
+            batchIds.writeFloatLE(batchId, i * 4);
+        } else if (componentType === 5121 || componentType === 5120) {
+            batchIds.writeUInt8(batchId, i * 4);
+        } else if (componentType === 5123 || componentType === 5122) {
+            batchIds.writeUInt16LE(batchId, i * 4);
+        } else {
+            batchIds.writeUInt32LE(batchId, i * 4);
+        }
+    });
+    gltf.buffers[0].byteLength = binaryChunk.length + batchIds.length;
+    gltf.bufferViews.push({
+        buffer: 0,
+        byteOffset: binaryChunk.length,
+        byteLength: batchIds.length,
+        byteStride: 4,
+        target: 34962
+    });
+    gltf.accessors.push({
+        bufferView: gltf.bufferViews.length - 1,
+        componentType: componentType,
+        count: options.batchIds.length,
+        type: 'SCALAR'
+    });
+    gltf.meshes[0].primitives[0].attributes._BATCHID = gltf.accessors.length - 1;
+
+    let jsonChunk = Buffer.from(JSON.stringify(gltf));
+    jsonChunk = Buffer.concat([jsonChunk, Buffer.alloc((4 - jsonChunk.length % 4) % 4, ' ')]);
+    const newBinaryChunk = Buffer.concat([binaryChunk, batchIds]);
+    const header = Buffer.alloc(12);
+    header.write('glTF', 0);
+    header.writeUInt32LE(2, 4);
+    header.writeUInt32LE(12 + 8 + jsonChunk.length + 8 + newBinaryChunk.length, 8);
+    const jsonChunkHeader = Buffer.alloc(8);
+    jsonChunkHeader.writeUInt32LE(jsonChunk.length, 0);
+    jsonChunkHeader.write('JSON', 4);
+    const binaryChunkHeader = Buffer.alloc(8);
+    binaryChunkHeader.writeUInt32LE(newBinaryChunk.length, 0);
+    binaryChunkHeader.write('BIN\0', 4);
+    return Buffer.concat([header, jsonChunkHeader, jsonChunk, binaryChunkHeader, newBinaryChunk]);
 }
@@ -5,127 +5,128 @@ const specUtility = require('./specUtility.js');
 const createB3dm = specUtility.createB3dm;
 const createB3dmLegacy1 = specUtility.createB3dmLegacy1;
 const createB3dmLegacy2 = specUtility.createB3dmLegacy2;
+const createGlb = specUtility.createGlb;
 
 describe('validate b3dm', () => {
     it ('returns error message if the b3dm buffer\'s byte length is less than its header length', async () => {
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: Buffer.alloc(0),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Header must be 28 bytes.');
+        expect(issues[0].message).toBe('Header must be 28 bytes.');
     });
 
     it('returns error message if the b3dm has invalid magic', async () => {
         const b3dm = createB3dm();
         b3dm.write('xxxx', 0);
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid magic: xxxx');
+        expect(issues[0].message).toBe('Invalid magic: xxxx');
     });
 
     it('returns error message if the b3dm has an invalid version', async () => {
         const b3dm = createB3dm();
         b3dm.writeUInt32LE(10, 4);
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid version: 10. Version must be 1.');
+        expect(issues[0].message).toBe('Invalid version: 10. Version must be 1.');
     });
 
     it('returns error message if the b3dm has wrong byteLength', async () => {
         const b3dm = createB3dm();
         b3dm.writeUInt32LE(0, 8);
 
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeDefined();
-        expect(message.indexOf('byteLength of 0 does not equal the tile\'s actual byte length of') === 0).toBe(true);
+        expect(issues.length).toBe(1);
+        expect(issues[0].message.indexOf('byteLength of 0 does not equal the tile\'s actual byte length of') === 0).toBe(true);
     });
 
     it('returns error message if the b3dm header is a legacy version (1)', async () => {
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: createB3dmLegacy1(),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Header is using the legacy format [batchLength] [batchTableByteLength]. The new format is [featureTableJsonByteLength] [featureTableBinaryByteLength] [batchTableJsonByteLength] [batchTableBinaryByteLength].');
+        expect(issues[0].message).toBe('Header is using the legacy format [batchLength] [batchTableByteLength]. The new format is [featureTableJsonByteLength] [featureTableBinaryByteLength] [batchTableJsonByteLength] [batchTableBinaryByteLength].');
     });
 
     it('returns error message if the b3dm header is a legacy version (2)', async () => {
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: createB3dmLegacy2(),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Header is using the legacy format [batchTableJsonByteLength] [batchTableBinaryByteLength] [batchLength]. The new format is [featureTableJsonByteLength] [featureTableBinaryByteLength] [batchTableJsonByteLength] [batchTableBinaryByteLength].');
+        expect(issues[0].message).toBe('Header is using the legacy format [batchTableJsonByteLength] [batchTableBinaryByteLength] [batchLength]. The new format is [featureTableJsonByteLength] [featureTableBinaryByteLength] [batchTableJsonByteLength] [batchTableBinaryByteLength].');
     });
 
     it('returns error message if the feature table binary is not aligned to an 8-byte boundary', async () => {
         const b3dm = createB3dm({
             unalignedFeatureTableBinary: true
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Feature table binary must be aligned to an 8-byte boundary.');
     });
 
     it('returns error message if the batch table binary is not aligned to an 8-byte boundary', async () => {
         const b3dm = createB3dm({
             unalignedBatchTableBinary: true
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Batch table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Batch table binary must be aligned to an 8-byte boundary.');
     });
 
     it('returns error message if the glb is not aligned to an 8-byte boundary', async () => {
         const b3dm = createB3dm({
             unalignedGlb: true
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Glb must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Glb must be aligned to an 8-byte boundary.');
     });
 
     it('returns error message if the byte lengths in the header exceed the tile\'s byte length', async () => {
         const b3dm = createB3dm();
         b3dm.writeUInt32LE(6004, 12);
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table, batch table, and glb byte lengths exceed the tile\'s byte length.');
+        expect(issues[0].message).toBe('Feature table, batch table, and glb byte lengths exceed the tile\'s byte length.');
     });
 
     it('returns error message if feature table JSON could not be parsed: ', async () => {
         const b3dm = createB3dm();
         const charCode = '!'.charCodeAt(0);
         b3dm.writeUInt8(charCode, 28); // Replace '{' with '!'
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table JSON could not be parsed: Unexpected token ! in JSON at position 0');
+        expect(issues[0].message).toBe('Feature table JSON could not be parsed: Unexpected token ! in JSON at position 0');
     });
 
     it('returns error message if batch table JSON could not be parsed: ', async () => {
@@ -142,12 +143,12 @@ describe('validate b3dm', () => {
         const batchTableJsonByteOffset = 28 + featureTableJsonByteLength + featureTableBinaryByteLength;
         const charCode = '!'.charCodeAt(0);
         b3dm.writeUInt8(charCode, batchTableJsonByteOffset); // Replace '{' with '!'
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Batch table JSON could not be parsed: Unexpected token ! in JSON at position 0');
+        expect(issues[0].message).toBe('Batch table JSON could not be parsed: Unexpected token ! in JSON at position 0');
     });
 
     it('returns error message if feature table does not contain a BATCH_LENGTH property: ', async () => {
@@ -156,12 +157,12 @@ describe('validate b3dm', () => {
                 PROPERTY: 0
             }
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table must contain a BATCH_LENGTH property.');
+        expect(issues[0].message).toBe('Feature table must contain a BATCH_LENGTH property.');
     });
 
     it('returns error message if feature table is invalid', async () => {
@@ -171,12 +172,35 @@ describe('validate b3dm', () => {
                 INVALID: 0
             }
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid feature table property "INVALID".');
+        expect(issues[0].message).toBe('Invalid feature table property "INVALID".');
+    });
+
+    it('reports feature table binary issues at their byte offset within the tile', async () => {
+        const b3dm = createB3dm({
+            featureTableJson: {
+                BATCH_LENGTH: 0,
+                RTC_CENTER: {
+                    byteOffset: 2
+                }
+            },
+            featureTableBinary: Buffer.alloc(16)
+        });
+        const issues = await validateB3dm({
+            content: b3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('FEATURE_TABLE_PROPERTY_UNALIGNED');
+        expect(issues[0].message).toBe('Feature table binary property "RTC_CENTER" must be aligned to a 4-byte boundary.');
+        expect(issues[0].filePath).toBe('filepath');
+        expect(issues[0].pointer).toBe('/RTC_CENTER/byteOffset');
+        expect(issues[0].byteOffset).toBe(28 + b3dm.readUInt32LE(12) + 2);
     });
 
     it('returns error message if batch table is invalid', async () => {
@@ -192,12 +216,32 @@ describe('validate b3dm', () => {
                 }
             }
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
+            content: b3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues[0].message).toBe('Batch table binary property "height" exceeds batch table binary byte length.');
+    });
+
+    it('reports every independent issue in the tile', async () => {
+        const b3dm = createB3dm({
+            featureTableJson: {
+                BATCH_LENGTH: 1,
+                INVALID: 0
+            },
+            batchTableJson: {
+                height: [0.0, 1.0]
+            }
+        });
+        b3dm.writeUInt32LE(10, 4); // version
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Batch table binary property "height" exceeds batch table binary byte length.');
+        const codes = issues.map(issue => issue.code);
+        expect(codes).toEqual(['VERSION_INVALID', 'FEATURE_TABLE_PROPERTY_UNKNOWN', 'BATCH_TABLE_PROPERTY_LENGTH_INVALID']);
     });
 
     it('succeeds for valid b3dm with BATCH_LENGTH 0 and no batch table', async () => {
@@ -206,12 +250,12 @@ describe('validate b3dm', () => {
                 BATCH_LENGTH: 0
             }
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('succeeds for valid b3dm with a feature table binary', async () => {
@@ -223,12 +267,12 @@ describe('validate b3dm', () => {
             },
             featureTableBinary: Buffer.alloc(4)
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('succeeds for valid b3dm with a batch table', async () => {
@@ -243,13 +287,104 @@ describe('validate b3dm', () => {
                     componentType: 'FLOAT'
                 }
             },
-            batchTableBinary: Buffer.alloc(4)
+            batchTableBinary: Buffer.alloc(4),
+            glb: createGlb({
+                batchIds: [0, 0, 0]
+            })
+        });
+        const issues = await validateB3dm({
+            content: b3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('returns error message if the glb has no _BATCHID attribute although BATCH_LENGTH is greater than 0', async () => {
+        const b3dm = createB3dm({
+            batchLength: 1
+        });
+        const issues = await validateB3dm({
+            content: b3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_ID_MISSING');
+        expect(issues[0].filePath).toBe('filepath');
+        expect(issues[0].pointer).toBe('/meshes/0/primitives/0/attributes');
+    });
+
+    it('returns error message if the _BATCHID attribute has an illegal component type', async () => {
+        const b3dm = createB3dm({
+            batchLength: 1,
+            glb: createGlb({
+                batchIds: [0, 0, 0],
+                batchIdComponentType: 5122
+            })
+        });
+        const issues = await validateB3dm({
+            content: b3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_ID_COMPONENT_TYPE_INVALID');
+        expect(issues[0].pointer).toBe('/meshes/0/primitives/0/attributes/_BATCHID');
+    });
+
+    it('returns error message if a _BATCHID is not less than BATCH_LENGTH', async () => {
+        let b3dm = createB3dm({
+            batchLength: 2,
+            glb: createGlb({
+                batchIds: [0, 1, 2],
+                batchIdComponentType: 5123
+            })
+        });
+        let issues = await validateB3dm({
+            content: b3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_ID_OUT_OF_RANGE');
+        expect(issues[0].pointer).toBe('/meshes/0/primitives/0/attributes/_BATCHID');
+
+        // BATCH_LENGTH is read from the feature table binary
+        const featureTableBinary = Buffer.alloc(4);
+        featureTableBinary.writeUInt32LE(2);
+        b3dm = createB3dm({
+            featureTableJson: {
+                BATCH_LENGTH: {
+                    byteOffset: 0
+                }
+            },
+            featureTableBinary: featureTableBinary,
+            glb: createGlb({
+                batchIds: [0, 1, 2]
+            })
+        });
+        issues = await validateB3dm({
+            content: b3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.map(issue => issue.code)).toEqual(['BATCH_ID_OUT_OF_RANGE']);
+    });
+
+    it('succeeds for valid b3dm with _BATCHIDs less than BATCH_LENGTH', async () => {
+        const b3dm = createB3dm({
+            batchLength: 3,
+            glb: createGlb({
+                batchIds: [0, 1, 2],
+                batchIdComponentType: 5121
+            })
         });
-        const message = await validateB3dm({
+        const issues = await validateB3dm({
             content: b3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 });
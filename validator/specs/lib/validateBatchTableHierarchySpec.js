@@ -0,0 +1,155 @@
+'use strict';
+const Cesium = require('cesium');
+const validateBatchTableHierarchy = require('../../lib/validateBatchTableHierarchy');
+
+const clone = Cesium.clone;
+
+// Two doors whose parent is a building, which belongs to a block
+const sampleHierarchy = {
+    classes: [{
+        name: 'Door',
+        length: 2,
+        instances: {
+            color: ['red', 'blue']
+        }
+    }, {
+        name: 'Building',
+        length: 1,
+        instances: {}
+    }, {
+        name: 'Block',
+        length: 1,
+        instances: {}
+    }],
+    instancesLength: 4,
+    classIds: [0, 0, 1, 2],
+    parentCounts: [1, 1, 1, 0],
+    parentIds: [2, 2, 3]
+};
+
+describe('validate batch table hierarchy', () => {
+    it('succeeds for a valid hierarchy', () => {
+        expect(validateBatchTableHierarchy(sampleHierarchy, Buffer.alloc(0), 2)).toEqual([]);
+
+        // Without parentCounts every instance has one parent, and roots are their own parent
+        const hierarchy = clone(sampleHierarchy, true);
+        delete hierarchy.parentCounts;
+        hierarchy.parentIds = [2, 2, 3, 3];
+        expect(validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2)).toEqual([]);
+    });
+
+    it('reads classIds, parentCounts and parentIds from the batch table binary', () => {
+        const hierarchy = clone(sampleHierarchy, true);
+        hierarchy.classIds = {
+            byteOffset: 0,
+            componentType: 'UNSIGNED_BYTE'
+        };
+        hierarchy.parentCounts = {
+            byteOffset: 4
+        };
+        hierarchy.parentIds = {
+            byteOffset: 12,
+            componentType: 'UNSIGNED_INT'
+        };
+        const batchTableBinary = Buffer.alloc(24);
+        Buffer.from([0, 0, 1, 2]).copy(batchTableBinary, 0);
+        [1, 1, 1, 0].forEach((parentCount, i) => batchTableBinary.writeUInt16LE(parentCount, 4 + i * 2));
+        [2, 2, 3].forEach((parentId, i) => batchTableBinary.writeUInt32LE(parentId, 12 + i * 4));
+        expect(validateBatchTableHierarchy(hierarchy, batchTableBinary, 2)).toEqual([]);
+
+        hierarchy.parentIds.byteOffset = 14;
+        let issues = validateBatchTableHierarchy(hierarchy, batchTableBinary, 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_PROPERTY_UNALIGNED');
+
+        hierarchy.parentIds.byteOffset = 16;
+        issues = validateBatchTableHierarchy(hierarchy, batchTableBinary, 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_PROPERTY_OUT_OF_BOUNDS');
+        expect(issues[0].pointer).toBe('/extensions/3DTILES_batch_table_hierarchy/parentIds/byteOffset');
+        expect(issues[0].byteOffset).toBe(16);
+    });
+
+    it('returns error message if instancesLength does not match the classes or features', () => {
+        const hierarchy = clone(sampleHierarchy, true);
+        hierarchy.instancesLength = 5;
+        let issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_INSTANCES_LENGTH_INVALID');
+
+        issues = validateBatchTableHierarchy(sampleHierarchy, Buffer.alloc(0), 5);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_INSTANCES_LENGTH_INVALID');
+    });
+
+    it('returns error message if classes is not an array of objects with valid lengths', () => {
+        const hierarchy = clone(sampleHierarchy, true);
+        hierarchy.classes = {};
+        let issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_CLASSES_INVALID');
+
+        hierarchy.classes = [null];
+        issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_CLASS_INVALID');
+        expect(issues[0].pointer).toBe('/extensions/3DTILES_batch_table_hierarchy/classes/0');
+
+        hierarchy.classes = clone(sampleHierarchy.classes, true);
+        hierarchy.classes[1].length = -1;
+        issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_CLASS_INVALID');
+        expect(issues[0].pointer).toBe('/extensions/3DTILES_batch_table_hierarchy/classes/1');
+    });
+
+    it('returns error message if classIds have the wrong length or are out of range', () => {
+        const hierarchy = clone(sampleHierarchy, true);
+        hierarchy.classIds = [0, 0, 1];
+        let issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_PROPERTY_LENGTH_INVALID');
+        expect(issues[0].pointer).toBe('/extensions/3DTILES_batch_table_hierarchy/classIds');
+
+        hierarchy.classIds = [0, 0, 1, 3];
+        issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_CLASS_ID_OUT_OF_RANGE');
+
+        hierarchy.classIds = [0, 1, 1, 2];
+        issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.map(issue => issue.pointer)).toEqual([
+            '/extensions/3DTILES_batch_table_hierarchy/classes/0/length',
+            '/extensions/3DTILES_batch_table_hierarchy/classes/1/length'
+        ]);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_CLASS_LENGTH_MISMATCH');
+    });
+
+    it('returns error message if parentIds have the wrong length or are out of range', () => {
+        const hierarchy = clone(sampleHierarchy, true);
+        hierarchy.parentIds = [2, 2];
+        let issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_PROPERTY_LENGTH_INVALID');
+
+        hierarchy.parentIds = [2, 2, 4];
+        issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_PARENT_ID_OUT_OF_RANGE');
+
+        delete hierarchy.parentIds;
+        issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_PARENT_IDS_MISSING');
+    });
+
+    it('returns error message if the hierarchy contains a cycle', () => {
+        const hierarchy = clone(sampleHierarchy, true);
+        hierarchy.parentCounts = [1, 1, 1, 1];
+        hierarchy.parentIds = [2, 2, 3, 2];
+        const issues = validateBatchTableHierarchy(hierarchy, Buffer.alloc(0), 2);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_TABLE_HIERARCHY_CYCLE');
+        expect(issues[0].pointer).toBe('/extensions/3DTILES_batch_table_hierarchy/parentIds');
+    });
+});
@@ -1,5 +1,6 @@
 'use strict';
 const validateBatchTable = require('../../lib/validateBatchTable');
+const ValidationSeverity = require('../../lib/ValidationSeverity');
 
 describe('validate batch table', () => {
     it('returns error message if byteOffset is not a number', () => {
@@ -12,8 +13,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(4);
         const featuresLength = 1;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table binary property "height" byteOffset must be a number.');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table binary property "height" byteOffset must be a number.');
     });
 
     it('returns error message if type is undefined', () => {
@@ -25,8 +26,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(4);
         const featuresLength = 1;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table binary property "height" must have a type.');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table binary property "height" must have a type.');
     });
 
     it('returns error message if type is invalid', () => {
@@ -39,8 +40,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(4);
         const featuresLength = 1;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table binary property "height" has invalid type "INVALID".');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table binary property "height" has invalid type "INVALID".');
     });
 
     it('returns error message if componentType is undefined', () => {
@@ -52,8 +53,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(4);
         const featuresLength = 1;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table binary property "height" must have a componentType.');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table binary property "height" must have a componentType.');
     });
 
     it('returns error message if componentType is invalid', () => {
@@ -66,8 +67,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(4);
         const featuresLength = 1;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table binary property "height" has invalid componentType "INVALID".');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table binary property "height" has invalid componentType "INVALID".');
     });
 
     it('returns error message if binary property is not aligned', () => {
@@ -80,8 +81,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(6);
         const featuresLength = 1;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table binary property "height" must be aligned to a 4-byte boundary.');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table binary property "height" must be aligned to a 4-byte boundary.');
     });
 
     it('returns error message if binary property exceeds batch table binary byte length', () => {
@@ -94,8 +95,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(11);
         const featuresLength = 2;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table binary property "height" exceeds batch table binary byte length.');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table binary property "height" exceeds batch table binary byte length.');
     });
 
     it('returns error message if JSON property is not an array ', () => {
@@ -104,8 +105,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(0);
         const featuresLength = 1;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table property "height" must be an array.');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table property "height" must be an array.');
     });
 
     it('returns error message if the property\'s array length does not equal features length', () => {
@@ -114,8 +115,19 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(0);
         const featuresLength = 3;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBe('Batch table property "height" array length must equal features length 3.');
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues[0].message).toBe('Batch table property "height" array length must equal features length 3.');
+    });
+
+    it('returns a warning if there are properties but no features', () => {
+        const batchTableJson = {
+            height: []
+        };
+        const issues = validateBatchTable(batchTableJson, Buffer.alloc(0), 0);
+        expect(issues.length).toBe(1);
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
+        expect(issues[0].code).toBe('BATCH_TABLE_PROPERTY_WITHOUT_FEATURES');
+        expect(issues[0].pointer).toBe('/height');
     });
 
     it('validates batch table', () => {
@@ -126,8 +138,8 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(0);
         const featuresLength = 4;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBeUndefined();
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues).toEqual([]);
     });
 
     it('validates batch table binary', () => {
@@ -150,7 +162,46 @@ describe('validate batch table', () => {
         };
         const batchTableBinary = Buffer.alloc(22);
         const featuresLength = 3;
-        const message = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
-        expect(message).toBeUndefined();
+        const issues = validateBatchTable(batchTableJson, batchTableBinary, featuresLength);
+        expect(issues).toEqual([]);
+    });
+
+    it('validates the 3DTILES_batch_table_hierarchy extension and the instance properties of its classes', () => {
+        const batchTableJson = {
+            extensions: {
+                '3DTILES_batch_table_hierarchy': {
+                    classes: [{
+                        name: 'Door',
+                        length: 2,
+                        instances: {
+                            color: ['red']
+                        }
+                    }],
+                    instancesLength: 2,
+                    classIds: [0, 1]
+                }
+            }
+        };
+        const issues = validateBatchTable(batchTableJson, Buffer.alloc(0), 2);
+        expect(issues.map(issue => issue.code)).toEqual(['BATCH_TABLE_HIERARCHY_CLASS_ID_OUT_OF_RANGE', 'BATCH_TABLE_PROPERTY_LENGTH_INVALID']);
+        expect(issues[1].pointer).toBe('/extensions/3DTILES_batch_table_hierarchy/classes/0/instances/color');
+    });
+
+    it('does not throw for invalid classes of the batch table hierarchy', () => {
+        const batchTableJson = {
+            extensions: {
+                '3DTILES_batch_table_hierarchy': {
+                    classes: {},
+                    instancesLength: 2,
+                    classIds: [0, 0]
+                }
+            }
+        };
+        let issues = validateBatchTable(batchTableJson, Buffer.alloc(0), 2);
+        expect(issues.map(issue => issue.code)).toEqual(['BATCH_TABLE_HIERARCHY_CLASSES_INVALID']);
+
+        batchTableJson.extensions['3DTILES_batch_table_hierarchy'].classes = [null];
+        issues = validateBatchTable(batchTableJson, Buffer.alloc(0), 2);
+        expect(issues.map(issue => issue.code)).toEqual(['BATCH_TABLE_HIERARCHY_CLASS_INVALID']);
     });
 });
@@ -0,0 +1,98 @@
+'use strict';
+const Cesium = require('cesium');
+const validateBoundingVolume = require('../../lib/validateBoundingVolume');
+const ValidationSeverity = require('../../lib/ValidationSeverity');
+
+const CesiumMath = Cesium.Math;
+
+function getCodes(boundingVolume) {
+    return validateBoundingVolume(boundingVolume, 'tileset.json', '/root/boundingVolume').map(issue => issue.code);
+}
+
+describe('validateBoundingVolume', () => {
+    it('succeeds for well-formed bounding volumes', () => {
+        expect(getCodes({
+            box: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1]
+        })).toEqual([]);
+        expect(getCodes({
+            region: [-1.32, 0.69, -1.31, 0.70, 0, 88]
+        })).toEqual([]);
+        expect(getCodes({
+            sphere: [0, 0, 0, 0]
+        })).toEqual([]);
+    });
+
+    it('succeeds for a flat box', () => {
+        expect(getCodes({
+            box: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 0]
+        })).toEqual([]);
+    });
+
+    it('returns an issue if the bounding volume does not have exactly one of box, region or sphere', () => {
+        expect(getCodes({})).toEqual(['BOUNDING_VOLUME_TYPE_INVALID']);
+        expect(getCodes({
+            box: [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1],
+            sphere: [0, 0, 0, 1]
+        })).toEqual(['BOUNDING_VOLUME_TYPE_INVALID']);
+    });
+
+    it('returns an issue if the array length is wrong', () => {
+        const issues = validateBoundingVolume({
+            box: [0, 0, 0, 1, 0, 0, 0, 1, 0]
+        }, 'tileset.json', '/root/boundingVolume');
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BOUNDING_VOLUME_LENGTH_INVALID');
+        expect(issues[0].pointer).toBe('/root/boundingVolume/box');
+        expect(getCodes({
+            region: [0, 0, 0, 0]
+        })).toEqual(['BOUNDING_VOLUME_LENGTH_INVALID']);
+        expect(getCodes({
+            sphere: [0, 0, 0, '1']
+        })).toEqual(['BOUNDING_VOLUME_LENGTH_INVALID']);
+    });
+
+    it('returns an issue for a negative sphere radius', () => {
+        const issues = validateBoundingVolume({
+            sphere: [0, 0, 0, -1]
+        }, 'tileset.json', '/root/boundingVolume');
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BOUNDING_SPHERE_RADIUS_NEGATIVE');
+        expect(issues[0].pointer).toBe('/root/boundingVolume/sphere/3');
+    });
+
+    it('returns an issue for degenerate boxes', () => {
+        expect(getCodes({
+            box: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+        })).toEqual(['BOUNDING_BOX_DEGENERATE']);
+        expect(getCodes({
+            box: [0, 0, 0, 1, 1, 0, 2, 2, 0, 0, 0, 0]
+        })).toEqual(['BOUNDING_BOX_DEGENERATE']);
+        expect(getCodes({
+            box: [0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0]
+        })).toEqual(['BOUNDING_BOX_DEGENERATE']);
+    });
+
+    it('returns issues for regions with out of range or misordered values', () => {
+        expect(getCodes({
+            region: [-4, 0, 4, 0, 0, 0]
+        })).toEqual(['BOUNDING_REGION_LONGITUDE_OUT_OF_RANGE', 'BOUNDING_REGION_LONGITUDE_OUT_OF_RANGE']);
+        expect(getCodes({
+            region: [0, -CesiumMath.PI, 0, CesiumMath.PI, 0, 0]
+        })).toEqual(['BOUNDING_REGION_LATITUDE_OUT_OF_RANGE', 'BOUNDING_REGION_LATITUDE_OUT_OF_RANGE']);
+        expect(getCodes({
+            region: [0, 0.5, 0, 0.4, 0, 0]
+        })).toEqual(['BOUNDING_REGION_LATITUDE_ORDER_INVALID']);
+        expect(getCodes({
+            region: [0, 0, 0, 0, 10, 5]
+        })).toEqual(['BOUNDING_REGION_HEIGHT_ORDER_INVALID']);
+    });
+
+    it('returns a warning for regions that cross the antimeridian', () => {
+        const issues = validateBoundingVolume({
+            region: [3, 0, -3, 0.1, 0, 0]
+        }, 'tileset.json', '/root/boundingVolume');
+        expect(issues.length).toBe(1);
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
+        expect(issues[0].code).toBe('BOUNDING_REGION_LONGITUDE_ORDER');
+    });
+});
@@ -1,4 +1,5 @@
 'use strict';
+const path = require('path');
 const validateCmpt = require('../../lib/validateCmpt');
 const specUtility = require('./specUtility.js');
 
@@ -6,61 +7,62 @@ const createB3dm = specUtility.createB3dm;
 const createI3dm = specUtility.createI3dm;
 const createPnts = specUtility.createPnts;
 const createCmpt = specUtility.createCmpt;
+const createGlb = specUtility.createGlb;
 
 describe('validate cmpt', () => {
     it ('returns error message if the cmpt buffer\'s byte length is less than its header length', async () => {
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: Buffer.alloc(0),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Header must be 16 bytes.');
+        expect(issues[0].message).toBe('Header must be 16 bytes.');
     });
 
     it('returns error message if the cmpt has invalid magic', async () => {
         const cmpt = createCmpt();
         cmpt.write('xxxx', 0);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: cmpt,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid magic: xxxx');
+        expect(issues[0].message).toBe('Invalid magic: xxxx');
     });
 
     it('returns error message if the cmpt has an invalid version', async () => {
         const cmpt = createCmpt();
         cmpt.writeUInt32LE(10, 4);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: cmpt,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid version: 10. Version must be 1.');
+        expect(issues[0].message).toBe('Invalid version: 10. Version must be 1.');
     });
 
     it('returns error message if the cmpt has wrong byteLength', async () => {
         const cmpt = createCmpt();
         cmpt.writeUInt32LE(0, 8);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: cmpt,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeDefined();
-        expect(message.indexOf('byteLength of 0 does not equal the tile\'s actual byte length of') === 0).toBe(true);
+        expect(issues.length).toBe(1);
+        expect(issues[0].message.indexOf('byteLength of 0 does not equal the tile\'s actual byte length of') === 0).toBe(true);
     });
 
     it('returns error message if an inner tile\'s byteLength cannot be read', async () => {
         const i3dm = createI3dm();
         const b3dmStub = Buffer.from('b3dm');
         const cmpt = createCmpt([i3dm, b3dmStub]);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: cmpt,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Cannot read byte length from inner tile, exceeds cmpt tile\'s byte length.');
+        expect(issues[0].message).toBe('Cannot read byte length from inner tile, exceeds cmpt tile\'s byte length.');
     });
 
     it('returns error message if inner tile is not aligned to an 8-byte boundary', async () => {
@@ -69,12 +71,12 @@ describe('validate cmpt', () => {
         });
         const b3dm = createB3dm();
         const cmpt = createCmpt([pnts, b3dm]);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: cmpt,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Inner tile must be aligned to an 8-byte boundary');
+        expect(issues[0].message).toBe('Inner tile must be aligned to an 8-byte boundary');
     });
 
     it('returns error message if inner tile fails validation (1)', async () => {
@@ -83,12 +85,14 @@ describe('validate cmpt', () => {
             unalignedFeatureTableBinary: true
         });
         const cmpt = createCmpt([i3dm, b3dm]);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: cmpt,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Error in inner b3dm tile: Feature table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Error in inner b3dm tile: Feature table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].filePath).toBe('filepath');
+        expect(issues[0].byteOffset).toBe(16 + i3dm.length + 28 + b3dm.readUInt32LE(12));
     });
 
     it('returns error message if inner tile fails validation (2)', async () => {
@@ -99,12 +103,34 @@ describe('validate cmpt', () => {
         });
         const cmptInner = createCmpt([b3dm, i3dm]);
         const cmpt = createCmpt([pnts, cmptInner]);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: cmpt,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Error in inner cmpt tile: Error in inner b3dm tile: Feature table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Error in inner cmpt tile: Error in inner b3dm tile: Feature table binary must be aligned to an 8-byte boundary.');
+    });
+
+    it('keeps the file path and byte offsets of the issues of the external glTF of an inner i3dm', async () => {
+        const b3dm = createB3dm();
+        const i3dm = createI3dm({
+            instancesLength: 1,
+            glb: 'model.glb'
+        });
+        const glb = createGlb();
+        glb.writeUInt32LE(1, 4);
+        const issues = await validateCmpt({
+            content: createCmpt([b3dm, i3dm]),
+            filePath: path.join('directory', 'tile.cmpt'),
+            directory: 'directory',
+            reader: {
+                readBinary: () => Promise.resolve(glb)
+            }
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('GLB_VERSION_INVALID');
+        expect(issues[0].filePath).toBe(path.join('directory', 'model.glb'));
+        expect(issues[0].byteOffset).toBe(4);
     });
 
     it('returns error message if inner tile magic is invalid', async () => {
@@ -112,33 +138,33 @@ describe('validate cmpt', () => {
         const b3dm = createB3dm();
         b3dm.write('xxxx', 0);
         const cmpt = createCmpt([b3dm, i3dm]);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: cmpt,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid inner tile magic: xxxx');
+        expect(issues[0].message).toBe('Invalid inner tile magic: xxxx');
     });
 
     it('validates cmpt with no inner tiles', async () => {
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: createCmpt(),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('validates cmpt with inner tiles', async () => {
         const pnts = createPnts();
         const i3dm = createI3dm();
         const b3dm = createB3dm();
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: createCmpt([pnts, i3dm, b3dm]),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('validates cmpt with inner composite tiles', async () => {
@@ -146,11 +172,11 @@ describe('validate cmpt', () => {
         const i3dm = createI3dm();
         const b3dm = createB3dm();
         const cmpt = createCmpt([b3dm, i3dm]);
-        const message = await validateCmpt({
+        const issues = await validateCmpt({
             content: createCmpt([pnts, cmpt]),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 });
@@ -46,8 +46,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(4);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Invalid feature table property "INVALID".');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Invalid feature table property "INVALID".');
     });
 
     it('returns error message if byteOffset is not a number', () => {
@@ -58,8 +58,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(4);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table binary property "POSITION" byteOffset must be a number.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table binary property "POSITION" byteOffset must be a number.');
     });
 
     it('returns error message if componentType is not one of possible options', () => {
@@ -71,8 +71,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(2);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table binary property "BATCH_ID" has invalid componentType "INVALID".');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table binary property "BATCH_ID" has invalid componentType "INVALID".');
     });
 
     it('returns error message if binary property is not aligned', () => {
@@ -83,8 +83,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(4);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table binary property "POSITION" must be aligned to a 4-byte boundary.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table binary property "POSITION" must be aligned to a 4-byte boundary.');
     });
 
     it('returns error message if binary property exceeds feature table binary byte length', () => {
@@ -95,8 +95,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(15);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table binary property "POSITION" exceeds feature table binary byte length.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table binary property "POSITION" exceeds feature table binary byte length.');
     });
 
     it('returns error message if boolean property is not a boolean', () => {
@@ -105,8 +105,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(0);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table property "EAST_NORTH_UP" must be a boolean.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table property "EAST_NORTH_UP" must be a boolean.');
     });
 
     it('returns error message if scalar global property is not a number', () => {
@@ -115,8 +115,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(0);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table property "BATCH_LENGTH" must be a number.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table property "BATCH_LENGTH" must be a number.');
     });
 
     it('returns error message if property is not an array', () => {
@@ -125,8 +125,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(0);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table property "RTC_CENTER" must be an array.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table property "RTC_CENTER" must be an array.');
     });
 
     it('returns error message if property array length is incorrect (1)', () => {
@@ -135,8 +135,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(0);
         const featuresLength = 1;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table property "RTC_CENTER" must be an array of length 3.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table property "RTC_CENTER" must be an array of length 3.');
     });
 
     it('returns error message if property array length is incorrect (2)', () => {
@@ -145,8 +145,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(0);
         const featuresLength = 2;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table property "POSITION" must be an array of length 6.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table property "POSITION" must be an array of length 6.');
     });
 
     it('returns error message if property array does not contain numbers', () => {
@@ -155,8 +155,20 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(0);
         const featuresLength = 2;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBe('Feature table property "POSITION" array must contain numbers only.');
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues[0].message).toBe('Feature table property "POSITION" array must contain numbers only.');
+    });
+
+    it('reports an issue for every invalid property', () => {
+        const featureTableJson = {
+            INVALID: 0,
+            RTC_CENTER: [0.0, 0.0],
+            EAST_NORTH_UP: 1
+        };
+        const featureTableBinary = Buffer.alloc(0);
+        const featuresLength = 1;
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues.map(issue => issue.pointer)).toEqual(['/INVALID', '/RTC_CENTER', '/EAST_NORTH_UP']);
     });
 
     it('validates feature table', () => {
@@ -171,8 +183,8 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(0);
         const featuresLength = 2;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBeUndefined();
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues).toEqual([]);
     });
 
     it('validates feature table binary', () => {
@@ -195,7 +207,7 @@ describe('validate feature table', () => {
         };
         const featureTableBinary = Buffer.alloc(44);
         const featuresLength = 2;
-        const message = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
-        expect(message).toBeUndefined();
+        const issues = validateFeatureTable(featureTableJson, featureTableBinary, featuresLength, featureTableSemantics);
+        expect(issues).toEqual([]);
     });
 });
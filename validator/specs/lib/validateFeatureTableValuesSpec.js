@@ -0,0 +1,150 @@
+'use strict';
+const validateFeatureTableValues = require('../../lib/validateFeatureTableValues');
+
+const featureTableSemantics = {
+    POSITION: {
+        global: false,
+        type: 'VEC3',
+        componentType: 'FLOAT'
+    },
+    NORMAL: {
+        global: false,
+        type: 'VEC3',
+        componentType: 'FLOAT'
+    },
+    NORMAL_UP: {
+        global: false,
+        type: 'VEC3',
+        componentType: 'FLOAT'
+    },
+    NORMAL_RIGHT: {
+        global: false,
+        type: 'VEC3',
+        componentType: 'FLOAT'
+    },
+    NORMAL_UP_OCT32P: {
+        global: false,
+        type: 'VEC2',
+        componentType: 'UNSIGNED_SHORT'
+    },
+    NORMAL_RIGHT_OCT32P: {
+        global: false,
+        type: 'VEC2',
+        componentType: 'UNSIGNED_SHORT'
+    },
+    SCALE: {
+        global: false,
+        type: 'SCALAR',
+        componentType: 'FLOAT'
+    },
+    SCALE_NON_UNIFORM: {
+        global: false,
+        type: 'VEC3',
+        componentType: 'FLOAT'
+    },
+    QUANTIZED_VOLUME_SCALE: {
+        global: true,
+        type: 'VEC3',
+        componentType: 'FLOAT'
+    },
+    INSTANCES_LENGTH: {
+        global: true,
+        type: 'SCALAR',
+        componentType: 'UNSIGNED_INT'
+    },
+    EAST_NORTH_UP: {
+        global: true,
+        type: 'boolean'
+    }
+};
+
+describe('validate feature table values', () => {
+    it('succeeds for valid feature table values', () => {
+        const featureTableJson = {
+            INSTANCES_LENGTH: 2,
+            POSITION: [0.0, 0.0, 0.0, 1.0, 2.0, 3.0],
+            NORMAL_UP: [0.0, 0.0, 1.0, 0.0, 1.0, 0.0],
+            NORMAL_RIGHT: [1.0, 0.0, 0.0, 0.0, 0.0, -1.0],
+            SCALE: [1.0, 0.5],
+            QUANTIZED_VOLUME_SCALE: [1.0, 2.0, 3.0],
+            EAST_NORTH_UP: true
+        };
+        expect(validateFeatureTableValues(featureTableJson, Buffer.alloc(0), 2, featureTableSemantics)).toEqual([]);
+    });
+
+    it('returns error message if floating point values in the feature table binary are not finite', () => {
+        const featureTableJson = {
+            POSITION: {
+                byteOffset: 0
+            }
+        };
+        const featureTableBinary = Buffer.alloc(24);
+        featureTableBinary.writeFloatLE(NaN, 16);
+        const issues = validateFeatureTableValues(featureTableJson, featureTableBinary, 2, featureTableSemantics);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('FEATURE_TABLE_VALUE_NOT_FINITE');
+        expect(issues[0].pointer).toBe('/POSITION');
+        expect(issues[0].byteOffset).toBe(12);
+    });
+
+    it('returns error message if scales are not greater than 0', () => {
+        const featureTableJson = {
+            SCALE: [1.0, 0.0],
+            SCALE_NON_UNIFORM: [1.0, -1.0, 1.0, 1.0, 1.0, 1.0],
+            QUANTIZED_VOLUME_SCALE: [1.0, 0.0, 1.0]
+        };
+        const issues = validateFeatureTableValues(featureTableJson, Buffer.alloc(0), 2, featureTableSemantics);
+        expect(issues.map(issue => issue.code)).toEqual(['FEATURE_TABLE_VALUE_OUT_OF_RANGE', 'FEATURE_TABLE_VALUE_OUT_OF_RANGE', 'FEATURE_TABLE_VALUE_OUT_OF_RANGE']);
+        expect(issues.map(issue => issue.pointer)).toEqual(['/SCALE', '/SCALE_NON_UNIFORM', '/QUANTIZED_VOLUME_SCALE']);
+        expect(issues[0].message).toBe('Feature table property "SCALE" must contain values greater than 0, but element 1 is [0].');
+    });
+
+    it('returns error message if normals do not have unit length', () => {
+        const featureTableJson = {
+            NORMAL: [0.0, 0.0, 1.0, 0.0, 0.0, 2.0]
+        };
+        const issues = validateFeatureTableValues(featureTableJson, Buffer.alloc(0), 2, featureTableSemantics);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('FEATURE_TABLE_NORMAL_NOT_UNIT_LENGTH');
+        expect(issues[0].pointer).toBe('/NORMAL');
+    });
+
+    it('returns error message if up and right normals are not orthogonal', () => {
+        let featureTableJson = {
+            NORMAL_UP: [0.0, 0.0, 1.0],
+            NORMAL_RIGHT: [0.0, 0.6, 0.8]
+        };
+        let issues = validateFeatureTableValues(featureTableJson, Buffer.alloc(0), 1, featureTableSemantics);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('FEATURE_TABLE_NORMALS_NOT_ORTHOGONAL');
+        expect(issues[0].pointer).toBe('/NORMAL_RIGHT');
+
+        // Oct-encoded +Z and +X are orthogonal, while +Z and +Z are not
+        featureTableJson = {
+            NORMAL_UP_OCT32P: [32767, 32767, 32767, 32767],
+            NORMAL_RIGHT_OCT32P: [65535, 32767, 32767, 32767]
+        };
+        issues = validateFeatureTableValues(featureTableJson, Buffer.alloc(0), 2, featureTableSemantics);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('FEATURE_TABLE_NORMALS_NOT_ORTHOGONAL');
+        expect(issues[0].message).toContain('instance 1');
+    });
+
+    it('skips properties that are compressed with 3DTILES_draco_point_compression', () => {
+        const featureTableJson = {
+            NORMAL: {
+                byteOffset: 0
+            },
+            extensions: {
+                '3DTILES_draco_point_compression': {
+                    properties: {
+                        NORMAL: 0
+                    },
+                    byteOffset: 0,
+                    byteLength: 4
+                }
+            }
+        };
+        expect(validateFeatureTableValues(featureTableJson, Buffer.alloc(4), 1, featureTableSemantics)).toEqual([]);
+    });
+});
@@ -1,15 +1,49 @@
 'use strict';
 const validateGlb = require('../../lib/validateGlb');
+const ValidationSeverity = require('../../lib/ValidationSeverity');
 const specUtility = require('./specUtility.js');
 
 describe('validate Glb', () => {
     it('returns error message when Glb version is incorrect', async () => {
         const glb = specUtility.createGlb();
         glb.writeUInt32LE(1, 4);  // version
-        const message = await validateGlb({
-            glb: glb,
+        const issues = await validateGlb({
+            content: glb,
             filePath: 'filepath'
         });
-        expect(message).toBe('Invalid Glb version: 1. Version must be 2.');
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('GLB_VERSION_INVALID');
+        expect(issues[0].message).toBe('Invalid Glb version: 1. Version must be 2.');
+        expect(issues[0].filePath).toBe('filepath');
+        expect(issues[0].byteOffset).toBe(4);
+    });
+
+    it('returns the warnings and infos of glTF-Validator', async () => {
+        const glb = specUtility.createGlb();
+        const jsonChunkLength = glb.readUInt32LE(12);
+        const gltf = JSON.parse(glb.toString('utf8', 20, 20 + jsonChunkLength));
+        gltf.asset.unexpected = true;
+        gltf.nodes.push({});
+        let jsonChunk = Buffer.from(JSON.stringify(gltf));
+        jsonChunk = Buffer.concat([jsonChunk, Buffer.alloc((4 - jsonChunk.length % 4) % 4, ' ')]);
+        const binaryChunk = glb.slice(20 + jsonChunkLength);
+        const header = Buffer.alloc(20);
+        header.write('glTF', 0);
+        header.writeUInt32LE(2, 4);
+        header.writeUInt32LE(20 + jsonChunk.length + binaryChunk.length, 8);
+        header.writeUInt32LE(jsonChunk.length, 12);
+        header.write('JSON', 16);
+
+        const issues = await validateGlb({
+            content: Buffer.concat([header, jsonChunk, binaryChunk]),
+            filePath: 'filepath'
+        });
+        const unexpectedProperty = issues.find(issue => issue.code === 'UNEXPECTED_PROPERTY');
+        expect(unexpectedProperty.severity).toBe(ValidationSeverity.WARNING);
+        expect(unexpectedProperty.pointer).toBe('/asset/unexpected');
+        const emptyNode = issues.find(issue => issue.code === 'NODE_EMPTY');
+        expect(emptyNode.severity).toBe(ValidationSeverity.INFO);
+        expect(emptyNode.pointer).toBe('/nodes/1');
+        expect(issues.filter(issue => issue.severity === ValidationSeverity.ERROR)).toEqual([]);
     });
 });
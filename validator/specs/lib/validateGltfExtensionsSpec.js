@@ -0,0 +1,271 @@
+'use strict';
+const Cesium = require('cesium');
+const validateGltfExtensions = require('../../lib/validateGltfExtensions');
+
+const clone = Cesium.clone;
+
+function createDataUri(buffer) {
+    return `data:application/octet-stream;base64,${buffer.toString('base64')}`;
+}
+
+// A property table with 2 rows of a UINT16 height and a name string, and a primitive with 3 vertices whose
+// _FEATURE_ID_0 attribute values are 0, 1 and 1
+const values = Buffer.alloc(32);
+values.writeUInt16LE(10, 0);
+values.writeUInt16LE(20, 2);
+values.write('ab', 8);
+values.writeUInt32LE(0, 16);
+values.writeUInt32LE(1, 20);
+values.writeUInt32LE(2, 24);
+const featureIds = Buffer.from([0, 1, 1, 0]);
+
+const sampleGltf = {
+    asset: {
+        version: '2.0'
+    },
+    extensionsUsed: ['EXT_structural_metadata', 'EXT_mesh_features'],
+    extensions: {
+        EXT_structural_metadata: {
+            schema: {
+                id: 'schema',
+                classes: {
+                    building: {
+                        properties: {
+                            height: {
+                                type: 'SCALAR',
+                                componentType: 'UINT16',
+                                required: true
+                            },
+                            name: {
+                                type: 'STRING'
+                            }
+                        }
+                    }
+                }
+            },
+            propertyTables: [{
+                class: 'building',
+                count: 2,
+                properties: {
+                    height: {
+                        values: 0
+                    },
+                    name: {
+                        values: 1,
+                        stringOffsets: 2
+                    }
+                }
+            }]
+        }
+    },
+    buffers: [{
+        uri: createDataUri(values),
+        byteLength: 32
+    }, {
+        uri: createDataUri(featureIds),
+        byteLength: 4
+    }],
+    bufferViews: [{
+        buffer: 0,
+        byteOffset: 0,
+        byteLength: 4
+    }, {
+        buffer: 0,
+        byteOffset: 8,
+        byteLength: 2
+    }, {
+        buffer: 0,
+        byteOffset: 16,
+        byteLength: 12
+    }, {
+        buffer: 1,
+        byteOffset: 0,
+        byteLength: 4
+    }],
+    accessors: [{
+        componentType: 5126,
+        type: 'VEC3',
+        count: 3
+    }, {
+        bufferView: 3,
+        componentType: 5121,
+        type: 'SCALAR',
+        count: 3
+    }],
+    meshes: [{
+        primitives: [{
+            attributes: {
+                POSITION: 0,
+                _FEATURE_ID_0: 1
+            },
+            extensions: {
+                EXT_mesh_features: {
+                    featureIds: [{
+                        featureCount: 2,
+                        attribute: 0,
+                        propertyTable: 0
+                    }]
+                }
+            }
+        }]
+    }]
+};
+
+function validate(gltf) {
+    return validateGltfExtensions({
+        gltf: gltf,
+        filePath: 'filepath',
+        directory: '.'
+    });
+}
+
+describe('validateGltfExtensions', () => {
+    it('succeeds for valid metadata and feature IDs', async () => {
+        expect(await validate(sampleGltf)).toEqual([]);
+    });
+
+    it('ignores glTF without the metadata and instancing extensions', async () => {
+        const gltf = clone(sampleGltf, true);
+        delete gltf.extensionsUsed;
+        gltf.extensions.EXT_structural_metadata.propertyTables[0].class = 'tree';
+        expect(await validate(gltf)).toEqual([]);
+    });
+
+    it('returns error message when a property table\'s class is not in the schema', async () => {
+        const gltf = clone(sampleGltf, true);
+        gltf.extensions.EXT_structural_metadata.propertyTables[0].class = 'tree';
+        const issues = await validate(gltf);
+        expect(issues[0].code).toBe('EXT_STRUCTURAL_METADATA_CLASS_NOT_FOUND');
+        expect(issues[0].pointer).toBe('/extensions/EXT_structural_metadata/propertyTables/0/class');
+    });
+
+    it('returns error message when a property table does not match its class', async () => {
+        const gltf = clone(sampleGltf, true);
+        const properties = gltf.extensions.EXT_structural_metadata.propertyTables[0].properties;
+        properties.color = properties.height;
+        delete properties.height;
+        const issues = await validate(gltf);
+        expect(issues.length).toBe(2);
+        expect(issues[0].code).toBe('EXT_STRUCTURAL_METADATA_PROPERTY_NOT_FOUND');
+        expect(issues[0].pointer).toBe('/extensions/EXT_structural_metadata/propertyTables/0/properties/color');
+        expect(issues[1].code).toBe('EXT_STRUCTURAL_METADATA_PROPERTY_MISSING');
+    });
+
+    it('returns error message when property values are shorter than the property table', async () => {
+        const gltf = clone(sampleGltf, true);
+        gltf.extensions.EXT_structural_metadata.propertyTables[0].count = 3;
+        const issues = await validate(gltf);
+        expect(issues[0].code).toBe('EXT_STRUCTURAL_METADATA_VALUES_LENGTH_INVALID');
+        expect(issues[0].pointer).toBe('/extensions/EXT_structural_metadata/propertyTables/0/properties/height/values');
+    });
+
+    it('returns error message when string offsets are missing or invalid', async () => {
+        const gltf = clone(sampleGltf, true);
+        const name = gltf.extensions.EXT_structural_metadata.propertyTables[0].properties.name;
+        gltf.bufferViews[1].byteLength = 1;
+        let issues = await validate(gltf);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXT_STRUCTURAL_METADATA_OFFSETS_INVALID');
+
+        delete name.stringOffsets;
+        issues = await validate(gltf);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXT_STRUCTURAL_METADATA_OFFSETS_MISSING');
+        expect(issues[0].pointer).toBe('/extensions/EXT_structural_metadata/propertyTables/0/properties/name/stringOffsets');
+    });
+
+    it('returns error message when feature IDs are not less than featureCount', async () => {
+        const gltf = clone(sampleGltf, true);
+        const featureId = gltf.meshes[0].primitives[0].extensions.EXT_mesh_features.featureIds[0];
+        featureId.featureCount = 1;
+        let issues = await validate(gltf);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXT_MESH_FEATURES_FEATURE_ID_OUT_OF_RANGE');
+        expect(issues[0].pointer).toBe('/meshes/0/primitives/0/extensions/EXT_mesh_features/featureIds/0/attribute');
+
+        featureId.nullFeatureId = 1;
+        issues = await validate(gltf);
+        expect(issues).toEqual([]);
+    });
+
+    it('returns error message when feature IDs refer to missing property table rows or attributes', async () => {
+        const gltf = clone(sampleGltf, true);
+        gltf.extensions.EXT_structural_metadata.propertyTables[0].count = 1;
+        gltf.bufferViews[1].byteLength = 1;
+        const featureId = gltf.meshes[0].primitives[0].extensions.EXT_mesh_features.featureIds[0];
+        let issues = await validate(gltf);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXT_MESH_FEATURES_FEATURE_ID_OUT_OF_RANGE');
+
+        featureId.propertyTable = 1;
+        issues = await validate(gltf);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXT_MESH_FEATURES_PROPERTY_TABLE_INVALID');
+
+        delete featureId.propertyTable;
+        featureId.attribute = 1;
+        issues = await validate(gltf);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXT_MESH_FEATURES_ATTRIBUTE_NOT_FOUND');
+    });
+
+    it('checks implicit feature IDs and feature ID textures', async () => {
+        const gltf = clone(sampleGltf, true);
+        const featureIds = gltf.meshes[0].primitives[0].extensions.EXT_mesh_features.featureIds;
+        featureIds[0] = {
+            featureCount: 2
+        };
+        featureIds[1] = {
+            featureCount: 2,
+            texture: {
+                index: 0,
+                channels: [4]
+            }
+        };
+        const issues = await validate(gltf);
+        expect(issues.map(issue => issue.code)).toEqual([
+            'EXT_MESH_FEATURES_FEATURE_ID_OUT_OF_RANGE',
+            'EXT_MESH_FEATURES_TEXTURE_INVALID',
+            'EXT_MESH_FEATURES_TEXCOORD_NOT_FOUND',
+            'EXT_MESH_FEATURES_TEXTURE_INVALID'
+        ]);
+        expect(issues[0].pointer).toBe('/meshes/0/primitives/0/extensions/EXT_mesh_features/featureIds/0/featureCount');
+    });
+
+    it('checks that instancing attributes have matching counts', async () => {
+        const gltf = clone(sampleGltf, true);
+        gltf.extensionsUsed = ['EXT_mesh_gpu_instancing', 'EXT_instance_features'];
+        gltf.accessors.push({
+            componentType: 5126,
+            type: 'VEC3',
+            count: 2
+        });
+        gltf.nodes = [{
+            mesh: 0,
+            extensions: {
+                EXT_mesh_gpu_instancing: {
+                    attributes: {
+                        TRANSLATION: 2,
+                        _FEATURE_ID_0: 1
+                    }
+                },
+                EXT_instance_features: {
+                    featureIds: [{
+                        featureCount: 1,
+                        attribute: 0
+                    }]
+                }
+            }
+        }];
+        let issues = await validate(gltf);
+        expect(issues.length).toBe(2);
+        expect(issues[0].code).toBe('EXT_MESH_GPU_INSTANCING_COUNT_MISMATCH');
+        expect(issues[0].pointer).toBe('/nodes/0/extensions/EXT_mesh_gpu_instancing/attributes/_FEATURE_ID_0');
+        expect(issues[1].code).toBe('EXT_INSTANCE_FEATURES_FEATURE_ID_OUT_OF_RANGE');
+
+        delete gltf.nodes[0].extensions.EXT_mesh_gpu_instancing;
+        issues = await validate(gltf);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXT_INSTANCE_FEATURES_INSTANCING_MISSING');
+    });
+});
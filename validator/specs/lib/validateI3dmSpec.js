@@ -1,110 +1,113 @@
 'use strict';
+const path = require('path');
 const validateI3dm = require('../../lib/validateI3dm');
+const ValidationSeverity = require('../../lib/ValidationSeverity');
 const specUtility = require('./specUtility.js');
 
+const createGlb = specUtility.createGlb;
 const createI3dm = specUtility.createI3dm;
 
 describe('validate i3dm', () => {
     it ('returns error message if the i3dm buffer\'s byte length is less than its header length', async () => {
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: Buffer.alloc(0),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Header must be 32 bytes.');
+        expect(issues[0].message).toBe('Header must be 32 bytes.');
     });
 
     it('returns error message if the i3dm has invalid magic', async () => {
         const i3dm = createI3dm();
         i3dm.write('xxxx', 0);
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid magic: xxxx');
+        expect(issues[0].message).toBe('Invalid magic: xxxx');
     });
 
     it('returns error message if the i3dm has an invalid version', async () => {
         const i3dm = createI3dm();
         i3dm.writeUInt32LE(10, 4);
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid version: 10. Version must be 1.');
+        expect(issues[0].message).toBe('Invalid version: 10. Version must be 1.');
     });
 
     it('returns error message if the i3dm has wrong byteLength', async () => {
         const i3dm = createI3dm();
         i3dm.writeUInt32LE(0, 8);
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeDefined();
-        expect(message.indexOf('byteLength of 0 does not equal the tile\'s actual byte length of') === 0).toBe(true);
+        expect(issues.length).toBe(1);
+        expect(issues[0].message.indexOf('byteLength of 0 does not equal the tile\'s actual byte length of') === 0).toBe(true);
     });
 
     it('returns error message if the feature table binary is not aligned to an 8-byte boundary', async () => {
         const i3dm = createI3dm({
             unalignedFeatureTableBinary: true
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Feature table binary must be aligned to an 8-byte boundary.');
     });
 
     it('returns error message if the batch table binary is not aligned to an 8-byte boundary', async () => {
         const i3dm = createI3dm({
             unalignedBatchTableBinary: true
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Batch table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Batch table binary must be aligned to an 8-byte boundary.');
     });
 
     it('returns error message if the glb is not aligned to an 8-byte boundary', async () => {
         const i3dm = createI3dm({
             unalignedGlb: true
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Glb must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Glb must be aligned to an 8-byte boundary.');
     });
 
     it('returns error message if the byte lengths in the header exceed the tile\'s byte length', async () => {
         const i3dm = createI3dm();
         i3dm.writeUInt32LE(6000, 12);
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table, batch table, and glb byte lengths exceed the tile\'s byte length.');
+        expect(issues[0].message).toBe('Feature table, batch table, and glb byte lengths exceed the tile\'s byte length.');
     });
 
     it('returns error message if feature table JSON could not be parsed: ', async () => {
         const i3dm = createI3dm();
         const charCode = '!'.charCodeAt(0);
         i3dm.writeUInt8(charCode, 32); // Replace '{' with '!'
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table JSON could not be parsed: Unexpected token ! in JSON at position 0');
+        expect(issues[0].message).toBe('Feature table JSON could not be parsed: Unexpected token ! in JSON at position 0');
     });
 
     it('returns error message if batch table JSON could not be parsed: ', async () => {
@@ -122,12 +125,12 @@ describe('validate i3dm', () => {
         const batchTableJsonByteOffset = 32 + featureTableJsonByteLength + featureTableBinaryByteLength;
         const charCode = '!'.charCodeAt(0);
         i3dm.writeUInt8(charCode, batchTableJsonByteOffset); // Replace '{' with '!'
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Batch table JSON could not be parsed: Unexpected token ! in JSON at position 0');
+        expect(issues[0].message).toBe('Batch table JSON could not be parsed: Unexpected token ! in JSON at position 0');
     });
 
     it('returns error message if feature table does not contain an INSTANCES_LENGTH property: ', async () => {
@@ -136,12 +139,12 @@ describe('validate i3dm', () => {
                 POSITION: [0, 0, 0]
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table must contain an INSTANCES_LENGTH property.');
+        expect(issues[0].message).toBe('Feature table must contain an INSTANCES_LENGTH property.');
     });
 
     it('returns error message if feature table does not contain either POSITION or POSITION_QUANTIZED properties: ', async () => {
@@ -150,12 +153,12 @@ describe('validate i3dm', () => {
                 INSTANCES_LENGTH: 1
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table must contain either the POSITION or POSITION_QUANTIZED property.');
+        expect(issues[0].message).toBe('Feature table must contain either the POSITION or POSITION_QUANTIZED property.');
     });
 
     it('returns error message if feature table has a NORMAL_UP property but not a NORMAL_RIGHT property: ', async () => {
@@ -166,12 +169,12 @@ describe('validate i3dm', () => {
                 NORMAL_UP: [1, 0, 0]
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table property NORMAL_RIGHT is required when NORMAL_UP is present.');
+        expect(issues[0].message).toBe('Feature table property NORMAL_RIGHT is required when NORMAL_UP is present.');
     });
 
     it('returns error message if feature table has a NORMAL_RIGHT property but not a NORMAL_UP property: ', async () => {
@@ -182,12 +185,12 @@ describe('validate i3dm', () => {
                 NORMAL_RIGHT: [1, 0, 0]
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table property NORMAL_UP is required when NORMAL_RIGHT is present.');
+        expect(issues[0].message).toBe('Feature table property NORMAL_UP is required when NORMAL_RIGHT is present.');
     });
 
     it('returns error message if feature table has a NORMAL_UP_OCT32P property but not a NORMAL_RIGHT_OCT32P property: ', async () => {
@@ -198,12 +201,12 @@ describe('validate i3dm', () => {
                 NORMAL_UP_OCT32P: [1, 0, 0]
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table property NORMAL_RIGHT_OCT32P is required when NORMAL_UP_OCT32P is present.');
+        expect(issues[0].message).toBe('Feature table property NORMAL_RIGHT_OCT32P is required when NORMAL_UP_OCT32P is present.');
     });
 
     it('returns error message if feature table has a NORMAL_RIGHT_OCT32P property but not a NORMAL_UP_OCT32P property: ', async () => {
@@ -214,12 +217,12 @@ describe('validate i3dm', () => {
                 NORMAL_RIGHT_OCT32P: [1, 0, 0]
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table property NORMAL_UP_OCT32P is required when NORMAL_RIGHT_OCT32P is present.');
+        expect(issues[0].message).toBe('Feature table property NORMAL_UP_OCT32P is required when NORMAL_RIGHT_OCT32P is present.');
     });
 
     it('returns error message if feature table has a POSITION_QUANTIZED property but not QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE: ', async () => {
@@ -229,12 +232,12 @@ describe('validate i3dm', () => {
                 POSITION_QUANTIZED: [0, 0, 0]
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Feature table properties QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE are required when POSITION_QUANTIZED is present.');
+        expect(issues[0].message).toBe('Feature table properties QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE are required when POSITION_QUANTIZED is present.');
     });
 
     it('returns error message if feature table is invalid', async () => {
@@ -245,12 +248,12 @@ describe('validate i3dm', () => {
                 INVALID: 0
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid feature table property "INVALID".');
+        expect(issues[0].message).toBe('Invalid feature table property "INVALID".');
     });
 
     it('returns error message if batch table is invalid', async () => {
@@ -267,12 +270,12 @@ describe('validate i3dm', () => {
                 }
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Batch table binary property "height" exceeds batch table binary byte length.');
+        expect(issues[0].message).toBe('Batch table binary property "height" exceeds batch table binary byte length.');
     });
 
     it('succeeds for valid i3dm', async () => {
@@ -282,12 +285,12 @@ describe('validate i3dm', () => {
                 POSITION: [0, 0, 0]
             }
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('succeeds for valid i3dm with a feature table binary', async () => {
@@ -302,12 +305,12 @@ describe('validate i3dm', () => {
             },
             featureTableBinary: Buffer.alloc(16)
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('succeeds for valid i3dm with a batch table', async () => {
@@ -328,11 +331,161 @@ describe('validate i3dm', () => {
             },
             batchTableBinary: Buffer.alloc(4)
         });
-        const message = await validateI3dm({
+        const issues = await validateI3dm({
             content: i3dm,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
+    });
+
+    it('returns error message if feature table values are invalid', async () => {
+        const i3dm = createI3dm({
+            featureTableJson: {
+                INSTANCES_LENGTH: 1,
+                POSITION: [0.0, 0.0, 0.0],
+                SCALE: [0.0]
+            }
+        });
+        const issues = await validateI3dm({
+            content: i3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('FEATURE_TABLE_VALUE_OUT_OF_RANGE');
+        expect(issues[0].filePath).toBe('filepath');
+        expect(issues[0].pointer).toBe('/SCALE');
+    });
+
+    it('returns error message if a BATCH_ID is not less than the batch table length', async () => {
+        const featureTableBinary = Buffer.alloc(4);
+        featureTableBinary.writeUInt16LE(0, 0);
+        featureTableBinary.writeUInt16LE(2, 2);
+        const i3dm = createI3dm({
+            featureTableJson: {
+                INSTANCES_LENGTH: 2,
+                POSITION: [0.0, 0.0, 0.0, 1.0, 1.0, 1.0],
+                BATCH_ID: {
+                    byteOffset: 0
+                }
+            },
+            featureTableBinary: featureTableBinary,
+            batchTableJson: {
+                height: [10.0, 20.0]
+            }
+        });
+        const issues = await validateI3dm({
+            content: i3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_ID_OUT_OF_RANGE');
+        expect(issues[0].message).toBe('BATCH_ID 2 of instance 1 must be less than the batch table length 2.');
+        expect(issues[0].pointer).toBe('/BATCH_ID');
+        expect(issues[0].byteOffset).toBe(32 + i3dm.readUInt32LE(12) + 2);
+    });
+
+    it('succeeds if the BATCH_IDs are less than the batch table length but not less than INSTANCES_LENGTH', async () => {
+        const i3dm = createI3dm({
+            featureTableJson: {
+                INSTANCES_LENGTH: 2,
+                POSITION: [0.0, 0.0, 0.0, 1.0, 1.0, 1.0],
+                BATCH_ID: [0, 2]
+            },
+            batchTableJson: {
+                height: [10.0, 20.0, 30.0]
+            }
+        });
+        let issues = await validateI3dm({
+            content: i3dm,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues).toEqual([]);
+
+        // Without a batch table, the batch table length is max BATCH_ID + 1
+        issues = await validateI3dm({
+            content: createI3dm({
+                featureTableJson: {
+                    INSTANCES_LENGTH: 2,
+                    POSITION: [0.0, 0.0, 0.0, 1.0, 1.0, 1.0],
+                    BATCH_ID: [0, 2]
+                }
+            }),
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('validates the external glTF of an i3dm with gltfFormat 0', async () => {
+        const i3dm = createI3dm({
+            instancesLength: 1,
+            glb: 'models/model.glb'
+        });
+        const reader = {
+            readBinary: jasmine.createSpy('readBinary').and.returnValue(Promise.resolve(createGlb()))
+        };
+        let issues = await validateI3dm({
+            content: i3dm,
+            filePath: 'directory/tile.i3dm',
+            directory: 'directory',
+            reader: reader
+        });
+        expect(issues).toEqual([]);
+        expect(reader.readBinary).toHaveBeenCalledWith(path.join('directory', 'models', 'model.glb'));
+
+        const glb = createGlb();
+        glb.writeUInt32LE(1, 4);
+        issues = await validateI3dm({
+            content: i3dm,
+            filePath: 'directory/tile.i3dm',
+            directory: 'directory',
+            reader: {
+                readBinary: () => Promise.resolve(glb)
+            }
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('GLB_VERSION_INVALID');
+        expect(issues[0].filePath).toBe(path.join('directory', 'models', 'model.glb'));
+    });
+
+    it('returns error message if the external glTF of an i3dm cannot be read', async () => {
+        const i3dm = createI3dm({
+            instancesLength: 1,
+            glb: 'model.glb'
+        });
+        const issues = await validateI3dm({
+            content: i3dm,
+            filePath: 'tile.i3dm',
+            directory: '.',
+            reader: {
+                readBinary: () => Promise.reject(new Error('not found'))
+            }
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('GLTF_URI_UNREADABLE');
+        expect(issues[0].message).toBe('glTF model.glb could not be read (not found).');
+        expect(issues[0].byteOffset).toBe(i3dm.length - 16);
+    });
+
+    it('returns warning message if the uri of the external glTF of an i3dm is absolute', async () => {
+        const i3dm = createI3dm({
+            instancesLength: 1,
+            glb: '/models/model.glb'
+        });
+        const issues = await validateI3dm({
+            content: i3dm,
+            filePath: 'tile.i3dm',
+            directory: '.',
+            reader: {
+                readBinary: () => Promise.resolve(createGlb())
+            }
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('GLTF_URI_ABSOLUTE_PATH');
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
     });
 });
@@ -0,0 +1,92 @@
+'use strict';
+const validateMetadataEntity = require('../../lib/validateMetadataEntity');
+
+const schema = {
+    id: 'buildings',
+    enums: {
+        roofType: {
+            values: [{
+                name: 'FLAT',
+                value: 0
+            }]
+        }
+    },
+    classes: {
+        building: {
+            properties: {
+                floors: {
+                    type: 'SCALAR',
+                    componentType: 'UINT8',
+                    required: true
+                },
+                roof: {
+                    type: 'ENUM',
+                    enumType: 'roofType'
+                },
+                center: {
+                    type: 'VEC3',
+                    componentType: 'FLOAT64'
+                },
+                tags: {
+                    type: 'STRING',
+                    array: true
+                }
+            }
+        }
+    }
+};
+
+describe('validateMetadataEntity', () => {
+    it('succeeds for an entity that conforms to its class', () => {
+        const entity = {
+            class: 'building',
+            properties: {
+                floors: 3,
+                roof: 'FLAT',
+                center: [1.0, 2.0, 3.5],
+                tags: ['office', 'historic']
+            }
+        };
+        expect(validateMetadataEntity(entity, schema, 'filepath', '/metadata')).toEqual([]);
+    });
+
+    it('returns error message when the class is not defined', () => {
+        const issues = validateMetadataEntity({
+            class: 'tree'
+        }, schema, 'filepath', '/metadata');
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('METADATA_CLASS_NOT_FOUND');
+        expect(issues[0].pointer).toBe('/metadata/class');
+    });
+
+    it('returns error message when properties are unknown or missing', () => {
+        const issues = validateMetadataEntity({
+            class: 'building',
+            properties: {
+                color: 'red'
+            }
+        }, schema, 'filepath', '/groups/0');
+        expect(issues.length).toBe(2);
+        expect(issues[0].code).toBe('METADATA_PROPERTY_NOT_FOUND');
+        expect(issues[0].pointer).toBe('/groups/0/properties/color');
+        expect(issues[1].code).toBe('METADATA_PROPERTY_MISSING');
+        expect(issues[1].pointer).toBe('/groups/0/properties');
+    });
+
+    it('returns error message when values do not match their property', () => {
+        const issues = validateMetadataEntity({
+            class: 'building',
+            properties: {
+                floors: 256,
+                roof: 'GABLED',
+                center: [1.0, 2.0],
+                tags: 'office'
+            }
+        }, schema, 'filepath', '/metadata');
+        expect(issues.length).toBe(4);
+        expect(issues.every(issue => issue.code === 'METADATA_VALUE_INVALID')).toBe(true);
+        expect(issues[0].message).toBe('Value of property floors must be a UINT8 integer, but is 256.');
+        expect(issues[2].message).toBe('Value of property center must be an array of 3 numbers, but is [1,2].');
+        expect(issues[3].message).toBe('Value of property tags must be an array of any number of elements that are a string, but is "office".');
+    });
+});
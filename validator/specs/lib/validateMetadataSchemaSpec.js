@@ -0,0 +1,157 @@
+'use strict';
+const Cesium = require('cesium');
+const validateMetadataSchema = require('../../lib/validateMetadataSchema');
+
+const clone = Cesium.clone;
+
+const sampleSchema = {
+    id: 'buildings',
+    enums: {
+        roofType: {
+            values: [{
+                name: 'FLAT',
+                value: 0
+            }, {
+                name: 'GABLED',
+                value: 1
+            }]
+        }
+    },
+    classes: {
+        building: {
+            properties: {
+                height: {
+                    type: 'SCALAR',
+                    componentType: 'FLOAT32',
+                    min: 0.0,
+                    max: 500.0,
+                    required: true
+                },
+                roof: {
+                    type: 'ENUM',
+                    enumType: 'roofType',
+                    default: 'FLAT'
+                },
+                corners: {
+                    type: 'VEC2',
+                    componentType: 'UINT8',
+                    normalized: true,
+                    array: true,
+                    count: 2,
+                    scale: [[10.0, 10.0], [10.0, 10.0]],
+                    noData: [[255, 255], [255, 255]]
+                },
+                names: {
+                    type: 'STRING',
+                    array: true
+                }
+            }
+        }
+    }
+};
+
+describe('validateMetadataSchema', () => {
+    it('succeeds for a valid schema', () => {
+        expect(validateMetadataSchema(sampleSchema, 'filepath', '/schema')).toEqual([]);
+    });
+
+    it('returns error message when identifiers are invalid', () => {
+        const schema = clone(sampleSchema, true);
+        schema.id = 'my schema';
+        schema.classes.building.properties['1st'] = schema.classes.building.properties.height;
+        const issues = validateMetadataSchema(schema, 'filepath', '/schema');
+        expect(issues.length).toBe(2);
+        expect(issues[0].code).toBe('METADATA_SCHEMA_ID_INVALID');
+        expect(issues[0].pointer).toBe('/schema/id');
+        expect(issues[1].pointer).toBe('/schema/classes/building/properties/1st');
+    });
+
+    it('returns error message when enum values are not unique or out of range', () => {
+        const schema = clone(sampleSchema, true);
+        const values = schema.enums.roofType.values;
+        values[1].value = 0;
+        values.push({
+            name: 'FLAT',
+            value: 70000
+        });
+        const issues = validateMetadataSchema(schema, 'filepath', '');
+        expect(issues.length).toBe(3);
+        expect(issues.every(issue => issue.code === 'METADATA_SCHEMA_ENUM_VALUES_INVALID')).toBe(true);
+        expect(issues[0].pointer).toBe('/enums/roofType/values/1/value');
+        expect(issues[1].pointer).toBe('/enums/roofType/values/2/name');
+        expect(issues[2].pointer).toBe('/enums/roofType/values/2/value');
+    });
+
+    it('returns error message when a property type or component type is invalid', () => {
+        const schema = clone(sampleSchema, true);
+        const properties = schema.classes.building.properties;
+        properties.height.type = 'VEC5';
+        properties.names.componentType = 'UINT8';
+        properties.corners.componentType = 'UINT128';
+        const issues = validateMetadataSchema(schema, 'filepath', '/schema');
+        expect(issues.map(issue => issue.code)).toEqual([
+            'METADATA_SCHEMA_PROPERTY_TYPE_INVALID',
+            'METADATA_SCHEMA_COMPONENT_TYPE_INVALID',
+            'METADATA_SCHEMA_COMPONENT_TYPE_INVALID'
+        ]);
+    });
+
+    it('returns error message when an enum type is not defined', () => {
+        const schema = clone(sampleSchema, true);
+        schema.classes.building.properties.roof.enumType = 'wallType';
+        const issues = validateMetadataSchema(schema, 'filepath', '/schema');
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('METADATA_SCHEMA_ENUM_TYPE_NOT_FOUND');
+        expect(issues[0].pointer).toBe('/schema/classes/building/properties/roof/enumType');
+    });
+
+    it('returns error message when count, normalized, offset or scale are not allowed', () => {
+        const schema = clone(sampleSchema, true);
+        const properties = schema.classes.building.properties;
+        properties.names.count = 1;
+        properties.height.normalized = true;
+        properties.height.offset = 1;
+        delete properties.corners.normalized;
+        const issues = validateMetadataSchema(schema, 'filepath', '/schema');
+        expect(issues.map(issue => issue.code)).toEqual([
+            'METADATA_SCHEMA_NORMALIZED_INVALID',
+            'METADATA_SCHEMA_OFFSET_SCALE_INVALID',
+            'METADATA_SCHEMA_COUNT_INVALID'
+        ]);
+        expect(issues[0].pointer).toBe('/schema/classes/building/properties/height/normalized');
+    });
+
+    it('returns error message when values do not match the property type', () => {
+        const schema = clone(sampleSchema, true);
+        const properties = schema.classes.building.properties;
+        properties.roof.default = 'HIPPED';
+        properties.corners.noData = [[256, 255], [255, 255]];
+        properties.corners.scale = [10.0, 10.0];
+        const issues = validateMetadataSchema(schema, 'filepath', '/schema');
+        expect(issues.length).toBe(3);
+        expect(issues.every(issue => issue.code === 'METADATA_SCHEMA_VALUE_INVALID')).toBe(true);
+        expect(issues[0].pointer).toBe('/schema/classes/building/properties/roof/default');
+        expect(issues[1].pointer).toBe('/schema/classes/building/properties/corners/scale');
+        expect(issues[2].pointer).toBe('/schema/classes/building/properties/corners/noData');
+    });
+
+    it('returns error message when min is greater than max', () => {
+        const schema = clone(sampleSchema, true);
+        schema.classes.building.properties.height.min = 600.0;
+        const issues = validateMetadataSchema(schema, 'filepath', '/schema');
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('METADATA_SCHEMA_MIN_MAX_INVALID');
+    });
+
+    it('returns error message when noData or default are defined for required properties', () => {
+        const schema = clone(sampleSchema, true);
+        const height = schema.classes.building.properties.height;
+        height.noData = 0.0;
+        height.default = 10.0;
+        const issues = validateMetadataSchema(schema, 'filepath', '/schema');
+        expect(issues.map(issue => issue.code)).toEqual([
+            'METADATA_SCHEMA_NO_DATA_INVALID',
+            'METADATA_SCHEMA_DEFAULT_INVALID'
+        ]);
+    });
+});
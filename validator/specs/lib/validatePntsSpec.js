@@ -1,90 +1,111 @@
 'use strict';
+const fsExtra = require('fs-extra');
 const validatePnts = require('../../lib/validatePnts');
 const specUtility = require('./specUtility.js');
 
 const createPnts = specUtility.createPnts;
 
+// Four points with a POSITION (attribute 0), an RGB (attribute 1) and a generic BATCH_ID attribute (attribute 2) with the values 0 to 3
+const dracoData = fsExtra.readFileSync('./specs/data/PointCloudDraco/points.drc');
+
+function createDracoPnts(featureTableJson, dracoProperties) {
+    featureTableJson.POSITION = {
+        byteOffset: 0
+    };
+    featureTableJson.extensions = {
+        '3DTILES_draco_point_compression': {
+            properties: dracoProperties,
+            byteOffset: 0,
+            byteLength: dracoData.length
+        }
+    };
+    return createPnts({
+        featureTableJson: featureTableJson,
+        featureTableBinary: dracoData
+    });
+}
+
 describe('validate pnts', () => {
     it ('returns error message if the pnts buffer\'s byte length is less than its header length', async () => {
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: Buffer.alloc(0),
             filePath: 'filepath'
         });
-        expect(message).toBe('Header must be 28 bytes.');
+        expect(issues[0].message).toBe('Header must be 28 bytes.');
     });
 
     it('returns error message if the pnts has invalid magic', async () => {
         const pnts = createPnts();
         pnts.write('xxxx', 0);
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Invalid magic: xxxx');
+        expect(issues[0].message).toBe('Invalid magic: xxxx');
     });
 
     it('returns error message if the pnts has an invalid version', async () => {
         const pnts = createPnts();
         pnts.writeUInt32LE(10, 4);
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Invalid version: 10. Version must be 1.');
+        expect(issues[0].message).toBe('Invalid version: 10. Version must be 1.');
     });
 
     it('returns error message if the pnts has wrong byteLength', async () => {
         const pnts = createPnts();
         pnts.writeUInt32LE(0, 8);
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBeDefined();
-        expect(message.indexOf('byteLength of 0 does not equal the tile\'s actual byte length of') === 0).toBe(true);
+        expect(issues.length).toBe(1);
+        expect(issues[0].message.indexOf('byteLength of 0 does not equal the tile\'s actual byte length of') === 0).toBe(true);
     });
 
     it('returns error message if the feature table binary is not aligned to an 8-byte boundary', async () => {
         const pnts = createPnts({
             unalignedFeatureTableBinary: true
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Feature table binary must be aligned to an 8-byte boundary.');
     });
 
     it('returns error message if the batch table binary is not aligned to an 8-byte boundary', async () => {
         const pnts = createPnts({
             unalignedBatchTableBinary: true
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Batch table binary must be aligned to an 8-byte boundary.');
+        expect(issues[0].message).toBe('Batch table binary must be aligned to an 8-byte boundary.');
     });
 
     it('returns error message if the byte lengths in the header exceed the tile\'s byte length', async () => {
         const pnts = createPnts();
         pnts.writeUInt32LE(124, 12);
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table and batch table exceed the tile\'s byte length.');
+        expect(issues[0].message).toBe('Feature table and batch table exceed the tile\'s byte length.');
     });
 
     it('returns error message if feature table JSON could not be parsed: ', async () => {
         const pnts = createPnts();
         const charCode = '!'.charCodeAt(0);
         pnts.writeUInt8(charCode, 28); // Replace '{' with '!'
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table JSON could not be parsed: Unexpected token ! in JSON at position 0');
+        expect(issues[0].message).toBe('Feature table JSON could not be parsed: Unexpected token ! in JSON at position 0');
     });
 
     it('returns error message if batch table JSON could not be parsed: ', async () => {
@@ -102,11 +123,11 @@ describe('validate pnts', () => {
         const batchTableJsonByteOffset = 28 + featureTableJsonByteLength + featureTableBinaryByteLength;
         const charCode = '!'.charCodeAt(0);
         pnts.writeUInt8(charCode, batchTableJsonByteOffset); // Replace '{' with '!'
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Batch table JSON could not be parsed: Unexpected token ! in JSON at position 0');
+        expect(issues[0].message).toBe('Batch table JSON could not be parsed: Unexpected token ! in JSON at position 0');
     });
 
     it('returns error message if feature table does not contain a POINTS_LENGTH property: ', async () => {
@@ -115,11 +136,11 @@ describe('validate pnts', () => {
                 POSITION: [0, 0, 0]
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table must contain a POINTS_LENGTH property.');
+        expect(issues[0].message).toBe('Feature table must contain a POINTS_LENGTH property.');
     });
 
     it('returns error message if feature table does not contain either POSITION or POSITION_QUANTIZED properties: ', async () => {
@@ -128,11 +149,11 @@ describe('validate pnts', () => {
                 POINTS_LENGTH: 1
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table must contain either the POSITION or POSITION_QUANTIZED property.');
+        expect(issues[0].message).toBe('Feature table must contain either the POSITION or POSITION_QUANTIZED property.');
     });
 
     it('returns error message if feature table has a POSITION_QUANTIZED property but not QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE: ', async () => {
@@ -142,11 +163,11 @@ describe('validate pnts', () => {
                 POSITION_QUANTIZED: [0, 0, 0]
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table properties QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE are required when POSITION_QUANTIZED is present.');
+        expect(issues[0].message).toBe('Feature table properties QUANTIZED_VOLUME_OFFSET and QUANTIZED_VOLUME_SCALE are required when POSITION_QUANTIZED is present.');
     });
 
     it('returns error message if feature table has a BATCH_ID property but not a BATCH_LENGTH: ', async () => {
@@ -157,11 +178,11 @@ describe('validate pnts', () => {
                 BATCH_ID: [0]
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table property BATCH_LENGTH is required when BATCH_ID is present.');
+        expect(issues[0].message).toBe('Feature table property BATCH_LENGTH is required when BATCH_ID is present.');
     });
 
     it('returns error message if feature table has a BATCH_LENGTH property but not a BATCH_ID: ', async () => {
@@ -172,11 +193,11 @@ describe('validate pnts', () => {
                 BATCH_LENGTH: 1
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table property BATCH_ID is required when BATCH_LENGTH is present.');
+        expect(issues[0].message).toBe('Feature table property BATCH_ID is required when BATCH_LENGTH is present.');
     });
 
     it('returns error message if BATCH_LENGTH is greater than POINTS_LENGTH: ', async () => {
@@ -188,11 +209,11 @@ describe('validate pnts', () => {
                 BATCH_LENGTH: 2
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Feature table property BATCH_LENGTH must be less than or equal to POINTS_LENGTH.');
+        expect(issues[0].message).toBe('Feature table property BATCH_LENGTH must be less than or equal to POINTS_LENGTH.');
     });
 
     it('returns error message if any BATCH_ID is greater than BATCH_LENGTH [Test using feature table JSON]: ', async () => {
@@ -204,11 +225,11 @@ describe('validate pnts', () => {
                 BATCH_LENGTH: 2
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('All the BATCH_IDs must have values less than feature table property BATCH_LENGTH.');
+        expect(issues[0].message).toBe('All the BATCH_IDs must have values less than feature table property BATCH_LENGTH.');
     });
 
     it('returns error message if any BATCH_ID is greater than BATCH_LENGTH [Test using feature table binary]: ', async () => {
@@ -242,11 +263,11 @@ describe('validate pnts', () => {
             },
             featureTableBinary: combinedBinary
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('All the BATCH_IDs must have values less than feature table property BATCH_LENGTH.');
+        expect(issues[0].message).toBe('All the BATCH_IDs must have values less than feature table property BATCH_LENGTH.');
     });
 
     it('returns error message if feature table is invalid', async () => {
@@ -257,11 +278,11 @@ describe('validate pnts', () => {
                 INVALID: 0
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Invalid feature table property "INVALID".');
+        expect(issues[0].message).toBe('Invalid feature table property "INVALID".');
     });
 
     it('returns error message if batch table is invalid', async () => {
@@ -280,11 +301,11 @@ describe('validate pnts', () => {
                 }
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBe('Batch table binary property "height" exceeds batch table binary byte length.');
+        expect(issues[0].message).toBe('Batch table binary property "height" exceeds batch table binary byte length.');
     });
 
     it('succeeds for valid pnts', async () => {
@@ -294,11 +315,11 @@ describe('validate pnts', () => {
                 POSITION: [0, 0, 0]
             }
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('succeeds for valid pnts with a feature table binary', async () => {
@@ -313,11 +334,11 @@ describe('validate pnts', () => {
             },
             featureTableBinary: Buffer.alloc(16)
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('succeeds for valid pnts with a batch table', async () => {
@@ -338,10 +359,155 @@ describe('validate pnts', () => {
             },
             batchTableBinary: Buffer.alloc(4)
         });
-        const message = await validatePnts({
+        const issues = await validatePnts({
+            content: pnts,
+            filePath: 'filepath'
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('returns error message if the Draco compressed data is not within the feature table binary', async () => {
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 1,
+                POSITION: {
+                    byteOffset: 0
+                },
+                extensions: {
+                    '3DTILES_draco_point_compression': {
+                        properties: {
+                            POSITION: 0
+                        },
+                        byteOffset: 0,
+                        byteLength: 16
+                    }
+                }
+            },
+            featureTableBinary: Buffer.alloc(8)
+        });
+        const issues = await validatePnts({
+            content: pnts,
+            filePath: 'filepath'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('DRACO_BYTE_RANGE_INVALID');
+        expect(issues[0].pointer).toBe('/extensions/3DTILES_draco_point_compression');
+        expect(issues[0].byteOffset).toBe(28);
+    });
+
+    it('validates Draco compressed properties', async () => {
+        const pnts = createDracoPnts({
+            POINTS_LENGTH: 4,
+            BATCH_LENGTH: 4,
+            RGB: {
+                byteOffset: 0
+            },
+            BATCH_ID: {
+                byteOffset: 0
+            }
+        }, {
+            POSITION: 0,
+            RGB: 1,
+            BATCH_ID: 2
+        });
+        const issues = await validatePnts({
+            content: pnts,
+            filePath: 'filepath'
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('returns error message if the Draco compressed data has a different number of points', async () => {
+        const pnts = createDracoPnts({
+            POINTS_LENGTH: 5
+        }, {
+            POSITION: 0
+        });
+        const issues = await validatePnts({
+            content: pnts,
+            filePath: 'filepath'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('DRACO_POINTS_LENGTH_MISMATCH');
+        expect(issues[0].pointer).toBe('/POINTS_LENGTH');
+    });
+
+    it('returns error message if a Draco compressed property is not in the Draco compressed data', async () => {
+        const pnts = createDracoPnts({
+            POINTS_LENGTH: 4,
+            RGB: {
+                byteOffset: 0
+            }
+        }, {
+            POSITION: 0,
+            RGB: 7
+        });
+        const issues = await validatePnts({
+            content: pnts,
+            filePath: 'filepath'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('DRACO_ATTRIBUTE_NOT_FOUND');
+        expect(issues[0].pointer).toBe('/extensions/3DTILES_draco_point_compression/properties/RGB');
+    });
+
+    it('returns error message if a Draco compressed BATCH_ID is not less than BATCH_LENGTH', async () => {
+        const pnts = createDracoPnts({
+            POINTS_LENGTH: 4,
+            BATCH_LENGTH: 3,
+            BATCH_ID: {
+                byteOffset: 0
+            }
+        }, {
+            POSITION: 0,
+            BATCH_ID: 2
+        });
+        const issues = await validatePnts({
+            content: pnts,
+            filePath: 'filepath'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BATCH_ID_OUT_OF_RANGE');
+        expect(issues[0].pointer).toBe('/BATCH_ID');
+    });
+
+    it('reads BATCH_ID from the feature table binary if the Draco extension has no properties', async () => {
+        const pnts = createDracoPnts({
+            POINTS_LENGTH: 4,
+            BATCH_LENGTH: 1,
+            BATCH_ID: {
+                byteOffset: 0,
+                componentType: 'UNSIGNED_BYTE'
+            }
+        });
+        const issues = await validatePnts({
+            content: pnts,
+            filePath: 'filepath'
+        });
+        expect(issues.map(issue => issue.code)).toEqual(['BATCH_ID_OUT_OF_RANGE']);
+    });
+
+    it('returns error message if feature table values are invalid', async () => {
+        const featureTableBinary = Buffer.alloc(24);
+        featureTableBinary.writeFloatLE(Infinity, 0);
+        featureTableBinary.writeFloatLE(0.5, 20);
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 1,
+                POSITION: {
+                    byteOffset: 0
+                },
+                NORMAL: {
+                    byteOffset: 12
+                }
+            },
+            featureTableBinary: featureTableBinary
+        });
+        const issues = await validatePnts({
             content: pnts,
             filePath: 'filepath'
         });
-        expect(message).toBeUndefined();
+        expect(issues.map(issue => issue.code)).toEqual(['FEATURE_TABLE_VALUE_NOT_FINITE', 'FEATURE_TABLE_NORMAL_NOT_UNIT_LENGTH']);
+        expect(issues[0].byteOffset).toBe(issues[1].byteOffset - 12);
     });
 });
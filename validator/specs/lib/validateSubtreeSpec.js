@@ -0,0 +1,252 @@
+'use strict';
+const Cesium = require('cesium');
+const specUtility = require('./specUtility.js');
+const validateSubtree = require('../../lib/validateSubtree');
+
+const clone = Cesium.clone;
+
+const createSubtree = specUtility.createSubtree;
+
+// A quadtree subtree with 2 levels has 5 tiles and 16 child subtrees
+const constantSubtreeJson = {
+    tileAvailability: {
+        constant: 1
+    },
+    contentAvailability: [{
+        constant: 1
+    }],
+    childSubtreeAvailability: {
+        constant: 0
+    }
+};
+
+// Tiles 0, 1 and 2 and the child subtrees 0 and 4, whose parents are tiles 1 and 2, are available
+const bitstreamSubtreeJson = {
+    buffers: [{
+        byteLength: 16
+    }],
+    bufferViews: [{
+        buffer: 0,
+        byteOffset: 0,
+        byteLength: 1
+    }, {
+        buffer: 0,
+        byteOffset: 8,
+        byteLength: 2
+    }],
+    tileAvailability: {
+        bitstream: 0,
+        availableCount: 3
+    },
+    contentAvailability: [{
+        bitstream: 0
+    }],
+    childSubtreeAvailability: {
+        bitstream: 1
+    }
+};
+
+function createBitstreamBinary(tileBits, childSubtreeBits) {
+    const binary = Buffer.alloc(16);
+    binary.writeUInt8(tileBits, 0);
+    binary.writeUInt16LE(childSubtreeBits, 8);
+    return binary;
+}
+
+function validate(content, options) {
+    return validateSubtree(Object.assign({
+        content: content,
+        filePath: 'filepath',
+        directory: '.',
+        subdivisionScheme: 'QUADTREE',
+        subtreeLevels: 2,
+        contentsLength: 1
+    }, options));
+}
+
+describe('validateSubtree', () => {
+    it('succeeds for a subtree with constant availability', async () => {
+        const result = await validate(createSubtree({
+            json: constantSubtreeJson
+        }));
+        expect(result.issues).toEqual([]);
+        expect(result.availability.tileAvailability.isAvailable(4)).toBe(true);
+        expect(result.availability.contentAvailability[0].isAvailable(4)).toBe(true);
+        expect(result.availability.childSubtreeAvailability.isAvailable(0)).toBe(false);
+    });
+
+    it('succeeds for subtree JSON', async () => {
+        const result = await validate(Buffer.from(JSON.stringify(constantSubtreeJson)));
+        expect(result.issues).toEqual([]);
+    });
+
+    it('succeeds for a subtree with availability bitstreams in the binary chunk', async () => {
+        const result = await validate(createSubtree({
+            json: bitstreamSubtreeJson,
+            binary: createBitstreamBinary(0x07, 0x0011)
+        }));
+        expect(result.issues).toEqual([]);
+        const availability = result.availability;
+        expect(availability.tileAvailability.isAvailable(2)).toBe(true);
+        expect(availability.tileAvailability.isAvailable(3)).toBe(false);
+        expect(availability.childSubtreeAvailability.isAvailable(4)).toBe(true);
+        expect(availability.childSubtreeAvailability.isAvailable(5)).toBe(false);
+    });
+
+    it('reads external buffers', async () => {
+        const json = clone(bitstreamSubtreeJson, true);
+        json.buffers[0].uri = 'availability.bin';
+        const reader = {
+            readBinary: jasmine.createSpy('readBinary').and.returnValue(Promise.resolve(createBitstreamBinary(0x07, 0x0011)))
+        };
+        const result = await validate(createSubtree({
+            json: json
+        }), {
+            reader: reader,
+            directory: 'subtrees'
+        });
+        expect(result.issues).toEqual([]);
+        expect(reader.readBinary).toHaveBeenCalledWith('subtrees/availability.bin');
+    });
+
+    it('supports subtrees of the 3DTILES_implicit_tiling extension', async () => {
+        const result = await validate(createSubtree({
+            json: {
+                buffers: [{
+                    byteLength: 16
+                }],
+                bufferViews: [{
+                    buffer: 0,
+                    byteOffset: 0,
+                    byteLength: 1
+                }],
+                tileAvailability: {
+                    bufferView: 0
+                },
+                contentAvailability: {
+                    bufferView: 0
+                },
+                childSubtreeAvailability: {
+                    constant: 0
+                }
+            },
+            binary: createBitstreamBinary(0x01, 0)
+        }));
+        expect(result.issues).toEqual([]);
+        expect(result.availability.contentAvailability[0].isAvailable(0)).toBe(true);
+    });
+
+    it('returns error message if the subtree has an invalid version', async () => {
+        const subtree = createSubtree({
+            json: constantSubtreeJson
+        });
+        subtree.writeUInt32LE(2, 4);
+        const result = await validate(subtree);
+        expect(result.issues[0].code).toBe('VERSION_INVALID');
+        expect(result.issues[0].byteOffset).toBe(4);
+    });
+
+    it('returns error message if the chunks do not fit into the subtree', async () => {
+        const subtree = createSubtree({
+            json: constantSubtreeJson
+        });
+        subtree.writeUInt32LE(1000, 16);
+        const result = await validate(subtree);
+        expect(result.issues[0].code).toBe('SUBTREE_BYTE_LENGTH_INVALID');
+    });
+
+    it('returns error message if the subtree JSON could not be parsed', async () => {
+        const result = await validate(Buffer.from('{'));
+        expect(result.issues[0].code).toBe('SUBTREE_JSON_INVALID');
+        expect(result.availability).toBeUndefined();
+    });
+
+    it('returns error message if a buffer view does not fit into its buffer', async () => {
+        const json = clone(bitstreamSubtreeJson, true);
+        json.bufferViews[1].byteOffset = 16;
+        const result = await validate(createSubtree({
+            json: json,
+            binary: createBitstreamBinary(0x07, 0x0011)
+        }));
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('SUBTREE_BUFFER_VIEW_INVALID');
+        expect(result.issues[0].pointer).toBe('/bufferViews/1');
+    });
+
+    it('returns error message if an availability bitstream is too short', async () => {
+        const json = clone(bitstreamSubtreeJson, true);
+        json.childSubtreeAvailability.bitstream = 0;
+        const result = await validate(createSubtree({
+            json: json,
+            binary: createBitstreamBinary(0x07, 0x0011)
+        }));
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('SUBTREE_AVAILABILITY_BITSTREAM_LENGTH_INVALID');
+        expect(result.issues[0].pointer).toBe('/childSubtreeAvailability/bitstream');
+    });
+
+    it('returns error message if availableCount does not match the bitstream', async () => {
+        const json = clone(bitstreamSubtreeJson, true);
+        json.tileAvailability.availableCount = 5;
+        const result = await validate(createSubtree({
+            json: json,
+            binary: createBitstreamBinary(0x07, 0x0011)
+        }));
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('SUBTREE_AVAILABLE_COUNT_MISMATCH');
+        expect(result.issues[0].pointer).toBe('/tileAvailability/availableCount');
+    });
+
+    it('returns error message if availability defines both a bitstream and a constant', async () => {
+        const json = clone(bitstreamSubtreeJson, true);
+        json.tileAvailability.constant = 1;
+        const result = await validate(createSubtree({
+            json: json,
+            binary: createBitstreamBinary(0x07, 0x0011)
+        }));
+        expect(result.issues[0].code).toBe('SUBTREE_AVAILABILITY_INVALID');
+    });
+
+    it('returns error message if content availability is missing', async () => {
+        const json = clone(constantSubtreeJson, true);
+        delete json.contentAvailability;
+        const result = await validate(createSubtree({
+            json: json
+        }));
+        expect(result.issues[0].code).toBe('SUBTREE_AVAILABILITY_MISSING');
+        expect(result.issues[0].pointer).toBe('/contentAvailability');
+    });
+
+    it('returns error message if content is available for a tile that is not', async () => {
+        const json = clone(bitstreamSubtreeJson, true);
+        json.contentAvailability[0] = {
+            constant: 1
+        };
+        const result = await validate(createSubtree({
+            json: json,
+            binary: createBitstreamBinary(0x07, 0x0011)
+        }));
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('SUBTREE_CONTENT_AVAILABILITY_INVALID');
+    });
+
+    it('returns error message if a tile is available but its parent is not', async () => {
+        const json = clone(bitstreamSubtreeJson, true);
+        json.tileAvailability.availableCount = 2;
+        const result = await validate(createSubtree({
+            json: json,
+            binary: createBitstreamBinary(0x06, 0x0011)
+        }));
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('SUBTREE_TILE_AVAILABILITY_INVALID');
+    });
+
+    it('returns error message if a child subtree is available but its parent tile is not', async () => {
+        const result = await validate(createSubtree({
+            json: bitstreamSubtreeJson,
+            binary: createBitstreamBinary(0x07, 0x1000)
+        }));
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('SUBTREE_CHILD_SUBTREE_AVAILABILITY_INVALID');
+    });
+});
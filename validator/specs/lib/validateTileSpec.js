@@ -9,55 +9,55 @@ const createCmpt = specUtility.createCmpt;
 
 describe('validateTile', () => {
     it('returns error message if the tile format cannot be read from the tile', async () => {
-        const message = await validateTile({
+        const issues = await validateTile({
             content: Buffer.alloc(0),
             filePath: 'filepath'
         });
-        expect(message).toBe('Cannot determine tile format from tile header, tile content is 0 bytes.');
+        expect(issues[0].message).toBe('Cannot determine tile format from tile header, tile content is 0 bytes.');
     });
 
     it('returns error message if the tile has an invalid magic', async () => {
-        const message = await validateTile({
+        const issues = await validateTile({
             content: Buffer.from('xxxx'),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Invalid magic: xxxx');
+        expect(issues[0].message).toBe('Invalid magic: xxxx');
     });
 
     it('validates b3dm', async () => {
-        const message = await validateTile({
+        const issues = await validateTile({
             content: createB3dm(),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('validates i3dm', async () => {
-        const message = await validateTile({
+        const issues = await validateTile({
             content: createI3dm(),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('validates pnts', async () => {
-        const message = await validateTile({
+        const issues = await validateTile({
             content: createPnts(),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('validates cmpt', async () => {
-        const message = await validateTile({
+        const issues = await validateTile({
             content: createCmpt(),
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 });
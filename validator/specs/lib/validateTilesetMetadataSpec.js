@@ -0,0 +1,215 @@
+'use strict';
+const Cesium = require('cesium');
+const validateTilesetMetadata = require('../../lib/validateTilesetMetadata');
+
+const clone = Cesium.clone;
+
+const sampleTileset = {
+    asset: {
+        version: '1.1'
+    },
+    schema: {
+        id: 'city',
+        classes: {
+            city: {
+                properties: {
+                    name: {
+                        type: 'STRING'
+                    }
+                }
+            },
+            building: {
+                properties: {
+                    height: {
+                        type: 'SCALAR',
+                        componentType: 'FLOAT32',
+                        min: 0.0,
+                        max: 500.0
+                    },
+                    name: {
+                        type: 'STRING'
+                    }
+                }
+            }
+        }
+    },
+    metadata: {
+        class: 'city',
+        properties: {
+            name: 'Philadelphia'
+        }
+    },
+    groups: [{
+        class: 'building',
+        properties: {
+            height: 20.0
+        }
+    }],
+    statistics: {
+        classes: {
+            building: {
+                count: 10,
+                properties: {
+                    height: {
+                        min: 5.0,
+                        max: 150.0,
+                        mean: 40.0
+                    }
+                }
+            }
+        }
+    }
+};
+
+function validate(tileset, reader) {
+    return validateTilesetMetadata({
+        tileset: tileset,
+        filePath: 'filepath',
+        directory: 'directory',
+        reader: reader
+    });
+}
+
+describe('validateTilesetMetadata', () => {
+    it('succeeds for valid tileset metadata', async () => {
+        const result = await validate(sampleTileset);
+        expect(result.issues).toEqual([]);
+        expect(result.schema).toBe(sampleTileset.schema);
+    });
+
+    it('reads the schema from schemaUri', async () => {
+        const tileset = clone(sampleTileset, true);
+        const schema = tileset.schema;
+        delete tileset.schema;
+        tileset.schemaUri = 'schema.json';
+        const reader = {
+            readJson: jasmine.createSpy('readJson').and.returnValue(Promise.resolve(schema))
+        };
+        const result = await validate(tileset, reader);
+        expect(result.issues).toEqual([]);
+        expect(result.schema).toBe(schema);
+        expect(reader.readJson).toHaveBeenCalledWith('directory/schema.json');
+    });
+
+    it('returns error message when the schema from schemaUri could not be read or is invalid', async () => {
+        const tileset = clone(sampleTileset, true);
+        const schema = tileset.schema;
+        delete tileset.schema;
+        tileset.schemaUri = 'schema.json';
+        let result = await validate(tileset, {
+            readJson: () => Promise.reject(new Error('not found'))
+        });
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('TILESET_SCHEMA_UNREADABLE');
+        expect(result.issues[0].pointer).toBe('/schemaUri');
+
+        schema.classes.building.properties.height.type = 'NUMBER';
+        result = await validate(tileset, {
+            readJson: () => Promise.resolve(schema)
+        });
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('METADATA_SCHEMA_PROPERTY_TYPE_INVALID');
+        expect(result.issues[0].filePath).toBe('directory/schema.json');
+        expect(result.issues[0].pointer).toBe('/classes/building/properties/height/type');
+        expect(result.schema).toBeUndefined();
+    });
+
+    it('decodes a percent-encoded schemaUri', async () => {
+        const tileset = clone(sampleTileset, true);
+        const schema = tileset.schema;
+        delete tileset.schema;
+        tileset.schemaUri = 'metadata%20schema.json';
+        const reader = {
+            readJson: jasmine.createSpy('readJson').and.returnValue(Promise.resolve(schema))
+        };
+        const result = await validate(tileset, reader);
+        expect(result.issues).toEqual([]);
+        expect(reader.readJson).toHaveBeenCalledWith('directory/metadata schema.json');
+    });
+
+    it('returns error message when the schema from schemaUri is not an object', async () => {
+        const tileset = clone(sampleTileset, true);
+        delete tileset.schema;
+        tileset.schemaUri = 'schema.json';
+        for (const schema of [null, 1, []]) {
+            const result = await validate(tileset, {
+                readJson: () => Promise.resolve(schema)
+            });
+            expect(result.issues.length).toBe(1);
+            expect(result.issues[0].code).toBe('TILESET_SCHEMA_INVALID');
+            expect(result.issues[0].pointer).toBe('/schemaUri');
+            expect(result.schema).toBeUndefined();
+        }
+    });
+
+    it('returns error message when metadata is used without a schema', async () => {
+        const tileset = clone(sampleTileset, true);
+        delete tileset.schema;
+        const result = await validate(tileset);
+        expect(result.issues.map(issue => issue.pointer)).toEqual(['/metadata', '/groups', '/statistics']);
+        expect(result.issues[0].code).toBe('TILESET_SCHEMA_MISSING');
+    });
+
+    it('returns error message when the tileset metadata or groups do not conform to their class', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.metadata.properties.name = 1;
+        tileset.groups[0].class = 'tree';
+        const result = await validate(tileset);
+        expect(result.issues.length).toBe(2);
+        expect(result.issues[0].code).toBe('METADATA_VALUE_INVALID');
+        expect(result.issues[0].pointer).toBe('/metadata/properties/name');
+        expect(result.issues[1].code).toBe('METADATA_CLASS_NOT_FOUND');
+        expect(result.issues[1].pointer).toBe('/groups/0/class');
+    });
+
+    it('returns error message when statistics refer to unknown classes or properties', async () => {
+        const tileset = clone(sampleTileset, true);
+        const classes = tileset.statistics.classes;
+        classes.tree = {
+            count: 1
+        };
+        classes.building.properties.floors = {
+            min: 1
+        };
+        classes.building.properties.name = {
+            max: 'Z'
+        };
+        const result = await validate(tileset);
+        expect(result.issues.map(issue => issue.code)).toEqual([
+            'STATISTICS_PROPERTY_NOT_FOUND',
+            'STATISTICS_VALUE_INVALID',
+            'STATISTICS_CLASS_NOT_FOUND'
+        ]);
+        expect(result.issues[0].pointer).toBe('/statistics/classes/building/properties/floors');
+        expect(result.issues[1].pointer).toBe('/statistics/classes/building/properties/name/max');
+    });
+
+    it('returns error message when statistics are inconsistent', async () => {
+        const tileset = clone(sampleTileset, true);
+        const height = tileset.statistics.classes.building.properties.height;
+        height.mean = 200.0;
+        height.variance = -1.0;
+        let result = await validate(tileset);
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('STATISTICS_VALUE_INVALID');
+        expect(result.issues[0].pointer).toBe('/statistics/classes/building/properties/height/variance');
+
+        delete height.variance;
+        result = await validate(tileset);
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('STATISTICS_OUT_OF_RANGE');
+        expect(result.issues[0].pointer).toBe('/statistics/classes/building/properties/height/mean');
+
+        height.mean = 40.0;
+        height.max = 600.0;
+        result = await validate(tileset);
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('STATISTICS_OUT_OF_RANGE');
+        expect(result.issues[0].pointer).toBe('/statistics/classes/building/properties/height/max');
+
+        height.min = 700.0;
+        result = await validate(tileset);
+        expect(result.issues.length).toBe(1);
+        expect(result.issues[0].code).toBe('STATISTICS_MIN_GREATER_THAN_MAX');
+    });
+});
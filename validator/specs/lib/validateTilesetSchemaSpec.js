@@ -0,0 +1,89 @@
+'use strict';
+const Cesium = require('cesium');
+const validateTilesetSchema = require('../../lib/validateTilesetSchema');
+
+const clone = Cesium.clone;
+
+const sampleTileset = {
+    asset: {
+        version: '1.0'
+    },
+    geometricError: 240,
+    root: {
+        boundingVolume: {
+            region: [-1.3197209591796106, 0.6988424218, -1.3196390408203893, 0.6989055782, 0, 88]
+        },
+        geometricError: 70,
+        refine: 'ADD',
+        content: {
+            uri: 'parent.b3dm'
+        },
+        children: [
+            {
+                boundingVolume: {
+                    sphere: [0, 0, 0, 10]
+                },
+                geometricError: 0
+            }
+        ]
+    }
+};
+
+describe('validateTilesetSchema', () => {
+    it('succeeds for a valid tileset', () => {
+        expect(validateTilesetSchema(sampleTileset, 'tileset.json')).toEqual([]);
+    });
+
+    it('returns an issue for a value with the wrong type', () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[0].geometricError = '10';
+        const issues = validateTilesetSchema(tileset, 'tileset.json');
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILESET_SCHEMA_VIOLATION');
+        expect(issues[0].filePath).toBe('tileset.json');
+        expect(issues[0].pointer).toBe('/root/children/0/geometricError');
+        expect(issues[0].message).toBe('"/root/children/0/geometricError" should be number (schema path: tile.schema.json#/properties/geometricError/type)');
+    });
+
+    it('points to a missing required property', () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[0].boundingVolum = tileset.root.children[0].boundingVolume;
+        delete tileset.root.children[0].boundingVolume;
+        const issues = validateTilesetSchema(tileset, 'tileset.json');
+        expect(issues.length).toBe(1);
+        expect(issues[0].pointer).toBe('/root/children/0/boundingVolume');
+        expect(issues[0].message).toBe('"/root/children/0" should have required property \'boundingVolume\' (schema path: tile.schema.json#/required)');
+    });
+
+    it('returns an issue for a transform with the wrong length', () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.transform = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+        const issues = validateTilesetSchema(tileset, 'tileset.json');
+        expect(issues.length).toBe(1);
+        expect(issues[0].pointer).toBe('/root/transform');
+        expect(issues[0].message).toContain('schema path: tile.schema.json#/properties/transform/minItems');
+    });
+
+    it('summarizes a bounding volume without box, region or sphere in a single issue', () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[0].boundingVolume = {};
+        const issues = validateTilesetSchema(tileset, 'tileset.json');
+        expect(issues.length).toBe(1);
+        expect(issues[0].pointer).toBe('/root/children/0/boundingVolume');
+        expect(issues[0].message).toContain('schema path: boundingVolume.schema.json#/anyOf');
+    });
+
+    it('validates against the schemas of the tileset version', () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.contents = [{
+            uri: 'content.glb'
+        }];
+        expect(validateTilesetSchema(tileset, 'tileset.json')).toEqual([]);
+
+        tileset.asset.version = '1.1';
+        const issues = validateTilesetSchema(tileset, 'tileset.json');
+        expect(issues.length).toBe(1);
+        expect(issues[0].pointer).toBe('/root');
+        expect(issues[0].message).toContain('schema path: tile.schema.json#/not');
+    });
+});
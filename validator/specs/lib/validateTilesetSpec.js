@@ -1,12 +1,24 @@
 'use strict';
 const Cesium = require('cesium');
+const specUtility = require('./specUtility.js');
+const utility = require('../../lib/utility');
 const validateTileset = require('../../lib/validateTileset');
+const ValidationSeverity = require('../../lib/ValidationSeverity');
 
 const clone = Cesium.clone;
 
+const createCmpt = specUtility.createCmpt;
+const createGlb = specUtility.createGlb;
+const createI3dm = specUtility.createI3dm;
+const createPnts = specUtility.createPnts;
+const createSubtree = specUtility.createSubtree;
+
+const regionToBox = utility.regionToBox;
+
 const sampleTileset = {
     asset: {
-        version: '1.0'
+        version: '1.0',
+        generator: '3d-tiles-validator'
     },
     geometricError: 240,
     root: {
@@ -44,105 +56,110 @@ describe('validateTileset', () => {
     it('returns error message when the geometricError is not defined', async () => {
         const tileset = clone(sampleTileset, true);
         delete tileset.root.children[0].geometricError;
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = 'Each tile must define geometricError';
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues.length).toBe(1);
+        expect(issues[0].severity).toBe(ValidationSeverity.ERROR);
+        expect(issues[0].code).toBe('TILE_GEOMETRIC_ERROR_MISSING');
+        expect(issues[0].message).toBe(error);
+        expect(issues[0].filePath).toBe('filepath');
+        expect(issues[0].pointer).toBe('/root/children/0/geometricError');
     });
 
     it('returns error message when the geometricError is less than 0.0', async () => {
         const tileset = clone(sampleTileset, true);
         tileset.root.children[0].geometricError = -1;
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = 'geometricError must be greater than or equal to 0.0';
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('returns error message when child has geometricError greater than parent', async () => {
         const tileset = clone(sampleTileset, true);
         tileset.root.children[0].geometricError = 80;
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = 'Child has geometricError greater than parent';
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('returns error message when refine property of tile has incorrect value', async () => {
         const tileset = clone(sampleTileset, true);
         tileset.root.children[0].refine = 'NEW';
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = 'Refine property in tile must have either "ADD" or "REPLACE" as its value.';
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('returns error message when the top-level geometricError is missing', async () => {
         const tileset = clone(sampleTileset, true);
         delete tileset.geometricError;
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Tileset must declare its geometricError as a top-level property.');
+        expect(issues[0].message).toBe('Tileset must declare its geometricError as a top-level property.');
     });
 
     it('returns error message when refine property is not defined in root tile', async () => {
         const tileset = clone(sampleTileset, true);
         delete tileset.root.refine;
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = 'Tileset must define refine property in root tile';
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('returns error message when the top-level asset is missing', async () => {
         const tileset = clone(sampleTileset, true);
         delete tileset.asset;
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Tileset must declare its asset as a top-level property.');
+        expect(issues[0].message).toBe('Tileset must declare its asset as a top-level property.');
     });
 
     it('returns error message when asset.version property is missing', async () => {
         const tileset = clone(sampleTileset, true);
         delete tileset.asset.version;
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe('Tileset must declare a version in its asset property');
+        expect(issues[0].message).toBe('Tileset must declare a version in its asset property');
     });
 
     it('returns error message when asset.version property value is incorrect', async () => {
         const tileset = clone(sampleTileset, true);
         tileset.asset.version = '0.0';
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBe(`Tileset version must be 1.0. Tileset version provided: ${tileset.asset.version}`);
+        expect(issues[0].message).toBe(`Tileset version must be 1.0, 1.1 or 2.0.0-alpha.0. Tileset version provided: ${tileset.asset.version}`);
     });
 
     it('returns error message when a content\'s box type boundingVolume is not within it\'s tile\'s box type boundingVolume [invalid aligned bounding boxes]', async () => {
@@ -163,13 +180,13 @@ describe('validateTileset', () => {
             ]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = `content bounding volume is not within tile bounding volume: box [${contentBoundingVolume.box}] is not within box [${tileBoundingVolume.box}]`;
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('returns error message when a content\'s box type boundingVolume is not within it\'s tile\'s box type boundingVolume [invalid unaligned bounding boxes]', async () => {
@@ -185,18 +202,18 @@ describe('validateTileset', () => {
             box: [
                 0, 0, 0,
                 1, 1, 0,
-                1, 1, 0,
+                -1, 1, 0,
                 0, 0, 1
             ]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = `content bounding volume is not within tile bounding volume: box [${contentBoundingVolume.box}] is not within box [${tileBoundingVolume.box}]`;
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('succeeds when a content\'s box type boundingVolume is within it\'s tile\'s box type boundingVolume [valid bounding boxes]', async () => {
@@ -211,18 +228,19 @@ describe('validateTileset', () => {
         const contentBoundingVolume = {
             box: [
                 0, 0, 0,
-                0.5, 0.5, 0,
-                0.5, 0.5, 0,
+                0.4, 0.4, 0,
+                -0.4, 0.4, 0,
                 0, 0, 1
             ]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
-            directory: '.'
+            directory: '.',
+            onlyValidateTilesets: true
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('returns error message when content\'s box type boundingVolume is not within it\'s tile\'s sphere type boundingVolume', async () => {
@@ -238,13 +256,13 @@ describe('validateTileset', () => {
             ]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = `content bounding volume is not within tile bounding volume: box [${contentBoundingVolume.box}] is not within sphere [${tileBoundingVolume.sphere}]`;
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('succeeds when content\'s box type boundingVolume is within it\'s tile\'s sphere type boundingVolume', async () => {
@@ -260,12 +278,13 @@ describe('validateTileset', () => {
             ]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
-            directory: '.'
+            directory: '.',
+            onlyValidateTilesets: true
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('returns error message when content\'s sphere type boundingVolume is entirely outside tile\'s box type boundingVolume', async () => {
@@ -281,13 +300,13 @@ describe('validateTileset', () => {
             sphere: [10, 10, 10, 1]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = `content bounding volume is not within tile bounding volume: sphere [${contentBoundingVolume.sphere}] is not within box [${tileBoundingVolume.box}]`;
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('returns error message when content\'s bounding sphere\'s center is within the tile\'s bounding box but it\'s radius extends beyond', async () => {
@@ -303,13 +322,13 @@ describe('validateTileset', () => {
             sphere: [0, 0, 0, 1.1]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = `content bounding volume is not within tile bounding volume: sphere [${contentBoundingVolume.sphere}] is not within box [${tileBoundingVolume.box}]`;
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('returns error message when content\'s bounding sphere\'s center is outside tile\'s bounding box and the volumes intersect', async () => {
@@ -325,13 +344,13 @@ describe('validateTileset', () => {
             sphere: [0, 5, 0, 3]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
         const error = `content bounding volume is not within tile bounding volume: sphere [${contentBoundingVolume.sphere}] is not within box [${tileBoundingVolume.box}]`;
-        expect(message.slice(0, error.length)).toBe(error);
+        expect(issues[0].message).toBe(error);
     });
 
     it('succeeds when content\'s bounding sphere is within tile\'s bounding box', async () => {
@@ -347,12 +366,13 @@ describe('validateTileset', () => {
             sphere: [0, 0, 0, 2]
         };
         const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
-            directory: '.'
+            directory: '.',
+            onlyValidateTilesets: true
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
     it('succeeds when child\'s box type boundingVolume is completely within it\'s parents\'s box type boundingVolume', async () => {
@@ -381,28 +401,1417 @@ describe('validateTileset', () => {
             ]
         };
         const tileset = createParentChildTileset(parentBoundingVolume, childBoundingVolume, childTransform, undefined);
-        const message = await validateTileset({
+        const issues = await validateTileset({
             tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues).toEqual([]);
     });
 
-    it('succeeds for valid tileset', async () => {
-        const message = await validateTileset({
-            tileset: sampleTileset,
+    it('returns error message when child\'s sphere type boundingVolume is not within it\'s parent\'s box type boundingVolume', async () => {
+        const parentBoundingVolume = {
+            box: [
+                0, 0, 0,
+                1, 0, 0,
+                0, 1, 0,
+                0, 0, 1
+            ]
+        };
+        const childBoundingVolume = {
+            sphere: [0.5, 0, 0, 0.6]
+        };
+        const tileset = createParentChildTileset(parentBoundingVolume, childBoundingVolume, {}, undefined);
+        const issues = await validateTileset({
+            tileset: tileset,
             filePath: 'filepath',
             directory: '.'
         });
-        expect(message).toBeUndefined();
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILE_BOUNDING_VOLUME_NOT_CONTAINED');
+        expect(issues[0].pointer).toBe('/root/children/0/boundingVolume');
+        expect(issues[0].message).toBe(`child tile bounding volume is not within parent tile bounding volume: sphere [${childBoundingVolume.sphere}] is not within box [${parentBoundingVolume.box}]`);
     });
-});
+
+    it('succeeds when child\'s boundingVolume extends beyond it\'s parent\'s boundingVolume by less than the tolerance', async () => {
+        const parentBoundingVolume = {
+            sphere: [0, 0, 0, 1]
+        };
+        const childBoundingVolume = {
+            sphere: [0.5, 0, 0, 0.6]
+        };
+        const tileset = createParentChildTileset(parentBoundingVolume, childBoundingVolume, {}, undefined);
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            containmentTolerance: 0.2
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('applies the accumulated transforms when checking that a child\'s boundingVolume is within it\'s parent\'s boundingVolume', async () => {
+        const parentBoundingVolume = {
+            box: [
+                0, 0, 0,
+                1, 0, 0,
+                0, 1, 0,
+                0, 0, 1
+            ]
+        };
+        const childBoundingVolume = {
+            box: [
+                0, 0, 0,
+                0.5, 0, 0,
+                0, 0.5, 0,
+                0, 0, 0.5
+            ]
+        };
+        const translation = {
+            transform: [
+                1, 0, 0, 0,
+                0, 1, 0, 0,
+                0, 0, 1, 0,
+                10, 0, 0, 1
+            ]
+        };
+        const tileset = createParentChildTileset(parentBoundingVolume, childBoundingVolume, {}, translation.transform);
+        tileset.root.children[0].children = [{
+            transform: translation.transform,
+            boundingVolume: clone(childBoundingVolume, true),
+            geometricError: 0
+        }];
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILE_BOUNDING_VOLUME_NOT_CONTAINED');
+        expect(issues[0].pointer).toBe('/root/children/0/children/0/boundingVolume');
+    });
+
+    it('applies the accumulated transforms to the content\'s boundingVolume', async () => {
+        const parentBoundingVolume = {
+            box: [
+                0, 0, 0,
+                1, 0, 0,
+                0, 1, 0,
+                0, 0, 1
+            ]
+        };
+        const childBoundingVolume = {
+            box: [
+                0, 0, 0,
+                0.5, 0, 0,
+                0, 0.5, 0,
+                0, 0, 0.5
+            ]
+        };
+        const translation = [
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            10, 0, 0, 1
+        ];
+        const tileset = createParentChildTileset(parentBoundingVolume, childBoundingVolume, {}, translation);
+        tileset.root.children[0].content = {
+            uri: 'content.b3dm',
+            boundingVolume: {
+                sphere: [0, 0, 0, 0.5]
+            }
+        };
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('succeeds when content\'s box type boundingVolume is within it\'s tile\'s region type boundingVolume', async () => {
+        const tileBoundingVolume = {
+            region: [-1.3197209591796106, 0.6988424218, -1.3196390408203893, 0.6989055782, 0, 88]
+        };
+        const contentBoundingVolume = {
+            box: regionToBox([-1.31970, 0.69885, -1.31965, 0.69889, 10, 20])
+        };
+        const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('checks region type boundingVolumes that cross the antimeridian', async () => {
+        const parentBoundingVolume = {
+            region: [3.0, -0.1, -3.0, 0.1, 0, 100]
+        };
+        const tileset = createParentChildTileset(parentBoundingVolume, {
+            region: [3.1, -0.05, -3.1, 0.05, 0, 50]
+        }, {});
+        tileset.root.children.push({
+            boundingVolume: {
+                region: [-3.1, -0.05, -3.05, 0.05, 0, 50]
+            },
+            geometricError: 50
+        }, {
+            boundingVolume: {
+                region: [2.9, -0.05, 3.1, 0.05, 0, 50]
+            },
+            geometricError: 50
+        });
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        const errors = issues.filter(issue => issue.severity === ValidationSeverity.ERROR);
+        expect(errors.length).toBe(1);
+        expect(errors[0].pointer).toBe('/root/children/2/boundingVolume');
+    });
+
+    it('returns error message when content\'s region type boundingVolume is not within it\'s tile\'s sphere type boundingVolume', async () => {
+        const contentRegion = [-1.31970, 0.69885, -1.31965, 0.69889, 10, 20];
+        const contentBox = regionToBox(contentRegion);
+        const tileBoundingVolume = {
+            sphere: [contentBox[0], contentBox[1], contentBox[2], 10]
+        };
+        const contentBoundingVolume = {
+            region: contentRegion
+        };
+        const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].message).toBe(`content bounding volume is not within tile bounding volume: region [${contentRegion}] is not within sphere [${tileBoundingVolume.sphere}]`);
+    });
+
+    it('returns error message when content\'s box type boundingVolume extends beyond the curved surface of it\'s tile\'s region type boundingVolume', async () => {
+        const tileBoundingVolume = {
+            region: [-1.3197209591796106, 0.6988424218, -1.3196390408203893, 0.6989055782, 0, 88]
+        };
+        // The oriented bounding box of a region encloses the region, so its corners are outside of the region
+        const contentBoundingVolume = {
+            box: regionToBox(tileBoundingVolume.region)
+        };
+        const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
+        let issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].message).toBe(`content bounding volume is not within tile bounding volume: box [${contentBoundingVolume.box}] is not within region [${tileBoundingVolume.region}]`);
+
+        issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true,
+            containmentTolerance: 1.0
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('checks sphere type boundingVolumes against region type boundingVolumes', async () => {
+        const region = [-1.3197209591796106, 0.6988424218, -1.3196390408203893, 0.6989055782, 0, 88];
+        const box = regionToBox(region);
+        const center = [box[0], box[1], box[2]];
+        let tileset = createSampleTileset({
+            region: region
+        }, {
+            sphere: center.concat(20)
+        });
+        let issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues).toEqual([]);
+
+        tileset = createSampleTileset({
+            region: region
+        }, {
+            sphere: center.concat(100)
+        });
+        issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_BOUNDING_VOLUME_NOT_CONTAINED');
+
+        tileset = createSampleTileset({
+            sphere: center.concat(300)
+        }, {
+            region: region
+        });
+        issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('stops at the first tile with issues by default', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[0].geometricError = -1;
+        tileset.root.children[1].refine = 'NEW';
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        // The schema violations of the tiles that are not reached are still reported
+        expect(issues.map(issue => issue.code)).toEqual(['TILE_REFINE_INVALID', 'TILESET_SCHEMA_VIOLATION']);
+        expect(issues[1].pointer).toBe('/root/children/0/geometricError');
+    });
+
+    it('reports the issues of every tile when collectAll is true', async () => {
+        const tileset = clone(sampleTileset, true);
+        delete tileset.geometricError;
+        tileset.root.children[0].refine = 'NEW';
+        tileset.root.children[0].children[0].geometricError = -1;
+        delete tileset.root.children[1].geometricError;
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            collectAll: true
+        });
+        const pointers = issues.map(issue => issue.pointer).sort();
+        expect(pointers).toEqual([
+            '/geometricError',
+            '/root/children/0/children/0/geometricError',
+            '/root/children/0/refine',
+            '/root/children/1/geometricError'
+        ]);
+    });
+
+    it('returns a warning when a tile with children has a geometricError of 0', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[0].geometricError = 0;
+        tileset.root.children[0].children[0].refine = 'NEW';
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        // Warnings do not stop the validation at the first tile
+        expect(issues.length).toBe(2);
+        const warning = issues.find(issue => issue.severity === ValidationSeverity.WARNING);
+        expect(warning.code).toBe('TILE_GEOMETRIC_ERROR_ZERO_WITH_CHILDREN');
+        expect(warning.pointer).toBe('/root/children/0/geometricError');
+    });
+
+    it('returns error message when the root tile has a geometricError greater than the tileset', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.geometricError = 60;
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILE_GEOMETRIC_ERROR_GREATER_THAN_TILESET');
+        expect(issues[0].pointer).toBe('/root/geometricError');
+    });
+
+    it('returns a warning when a leaf tile without content replaces the content of its parent', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.refine = 'REPLACE';
+        tileset.root.content = {
+            uri: 'parent.b3dm'
+        };
+        const options = {
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        };
+        let issues = await validateTileset(options);
+        // The leaf tile below children/0 replaces children/0, which has no content
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILE_EMPTY_LEAF_REPLACES_CONTENT');
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
+        expect(issues[0].pointer).toBe('/root/children/1');
+
+        tileset.root.children[1].refine = 'ADD';
+        issues = await validateTileset(options);
+        expect(issues).toEqual([]);
+    });
+
+    it('returns a warning when a viewerRequestVolume is not within the viewerRequestVolume of an ancestor', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.viewerRequestVolume = {
+            sphere: [0, 0, 0, 100]
+        };
+        tileset.root.children[0].children[0].viewerRequestVolume = {
+            sphere: [0, 0, 50, 100]
+        };
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILE_VIEWER_REQUEST_VOLUME_NOT_CONTAINED');
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
+        expect(issues[0].pointer).toBe('/root/children/0/children/0/viewerRequestVolume');
+    });
+
+    it('returns error message when a viewerRequestVolume is malformed', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[1].viewerRequestVolume = {
+            sphere: [0, 0, 0, -1]
+        };
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].pointer).toContain('/root/children/1/viewerRequestVolume');
+    });
+
+    it('returns a warning when the root of an external tileset refines differently than the tile that references it', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[1].content = {
+            uri: 'external.json'
+        };
+        const externalTileset = clone(sampleTileset, true);
+        externalTileset.root.refine = 'REPLACE';
+        const issues = await validateTileset({
+            reader: {
+                readJson: () => Promise.resolve(externalTileset)
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXTERNAL_TILESET_REFINE_MISMATCH');
+        expect(issues[0].filePath).toBe('external.json');
+        expect(issues[0].pointer).toBe('/root/refine');
+    });
+
+    it('applies the transform of the tile that references an external tileset to its tiles', async () => {
+        const region = sampleTileset.root.boundingVolume.region;
+        const box = regionToBox(region);
+        // The external tileset is in a local coordinate system centered on the region
+        const localBoundingVolume = {
+            box: [0, 0, 0].concat(box.slice(3))
+        };
+        const tileset = clone(sampleTileset, true);
+        tileset.root.boundingVolume = {
+            sphere: [box[0], box[1], box[2], 1000]
+        };
+        tileset.root.children = [{
+            transform: [
+                1, 0, 0, 0,
+                0, 1, 0, 0,
+                0, 0, 1, 0,
+                box[0], box[1], box[2], 1
+            ],
+            boundingVolume: localBoundingVolume,
+            geometricError: 50,
+            content: {
+                uri: 'external.json'
+            }
+        }];
+        const externalTileset = clone(sampleTileset, true);
+        externalTileset.root.boundingVolume = localBoundingVolume;
+        externalTileset.root.geometricError = 50;
+        externalTileset.root.children = [{
+            boundingVolume: {
+                region: region
+            },
+            geometricError: 0
+        }];
+        const options = {
+            reader: {
+                readJson: () => Promise.resolve(externalTileset)
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        };
+        let issues = await validateTileset(options);
+        expect(issues).toEqual([]);
+
+        // Without the transform the region is far outside of the box at the center of the Earth
+        tileset.root.children[0].transform = undefined;
+        tileset.root.boundingVolume = {
+            box: localBoundingVolume.box
+        };
+        issues = await validateTileset(options);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILE_BOUNDING_VOLUME_NOT_CONTAINED');
+        expect(issues[0].filePath).toBe('external.json');
+        expect(issues[0].pointer).toBe('/root/children/0/boundingVolume');
+    });
+
+    it('reads the external glTF of a data URI i3dm content with the reader', async () => {
+        const i3dm = createI3dm({
+            instancesLength: 1,
+            glb: 'model.glb'
+        });
+        const tileset = createSampleTileset({
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        });
+        tileset.root.content.uri = `data:application/octet-stream;base64,${i3dm.toString('base64')}`;
+        const reader = {
+            readBinary: jasmine.createSpy('readBinary').and.returnValue(Promise.resolve(createGlb()))
+        };
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues).toEqual([]);
+        expect(reader.readBinary).toHaveBeenCalledWith('model.glb');
+    });
+
+    it('validates the expire property of tiles', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.expire = {
+            duration: 5.0
+        };
+        tileset.root.children[1].expire = {
+            date: '2017-08-01T00:00:00Z'
+        };
+        const options = {
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        };
+        let issues = await validateTileset(options);
+        expect(issues).toEqual([]);
+
+        tileset.root.expire.duration = -5.0;
+        tileset.root.children[1].expire.date = '2017-13-01';
+        tileset.root.children[0].expire = {};
+        issues = await validateTileset(options);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILE_EXPIRE_DURATION_INVALID');
+        expect(issues[0].pointer).toBe('/root/expire/duration');
+
+        options.collectAll = true;
+        issues = await validateTileset(options);
+        expect(issues.map(issue => issue.code)).toEqual([
+            'TILE_EXPIRE_DURATION_INVALID',
+            'TILE_EXPIRE_DATE_INVALID',
+            'TILE_EXPIRE_INVALID'
+        ]);
+        expect(issues[1].pointer).toBe('/root/children/1/expire/date');
+        expect(issues[2].pointer).toBe('/root/children/0/expire');
+    });
+
+    it('checks that expire.date is a valid ISO 8601 date', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.expire = {};
+        const options = {
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        };
+        const validDates = ['2017-08-01', '2016-02-29T23:59:60Z', '2017-08-01T12:30', '2017-08-01T24:00:00.000+02:00', '2017-08-01T12:30:15,5-0530'];
+        for (const date of validDates) {
+            tileset.root.expire.date = date;
+            expect(await validateTileset(options)).withContext(date).toEqual([]);
+        }
+        const invalidDates = ['hello', '2017-13-45T99:00:00Z', '2017-02-29', '2017-08-01T24:30:00Z', '2017-08-01T12:30:00+25:00', '2017-8-1', '2017-08-01 12:30:00'];
+        for (const date of invalidDates) {
+            tileset.root.expire.date = date;
+            const issues = await validateTileset(options);
+            expect(issues.map(issue => issue.code)).withContext(date).toEqual(['TILE_EXPIRE_DATE_INVALID']);
+        }
+    });
+
+    it('returns an info message when asset.generator is missing', async () => {
+        const tileset = clone(sampleTileset, true);
+        delete tileset.asset.generator;
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].severity).toBe(ValidationSeverity.INFO);
+        expect(issues[0].code).toBe('TILESET_ASSET_GENERATOR_MISSING');
+    });
+
+    it('returns a warning for each unused extension in extensionsUsed', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.extensionsUsed = ['3DTILES_bounding_volume_S2', '3DTILES_multiple_contents'];
+        tileset.root.children[1].extensions = {
+            '3DTILES_bounding_volume_S2': {}
+        };
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
+        expect(issues[0].code).toBe('EXTENSION_UNUSED');
+        expect(issues[0].pointer).toBe('/extensionsUsed/1');
+    });
+
+    it('returns error message when an extension of the tileset JSON is not declared in extensionsUsed', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[1].extensions = {
+            '3DTILES_bounding_volume_S2': {}
+        };
+        tileset.extensionsRequired = ['3DTILES_metadata'];
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.map(issue => issue.code)).toEqual([
+            'EXTENSION_REQUIRED_NOT_USED',
+            'EXTENSION_UNDECLARED'
+        ]);
+        expect(issues[0].pointer).toBe('/extensionsRequired/0');
+        expect(issues[1].pointer).toBe('/root/children/1/extensions/3DTILES_bounding_volume_S2');
+    });
+
+    it('returns an info message for unknown extensions', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.extensionsUsed = ['VENDOR_extension'];
+        tileset.root.extensions = {
+            VENDOR_extension: {}
+        };
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].severity).toBe(ValidationSeverity.INFO);
+        expect(issues[0].code).toBe('EXTENSION_UNKNOWN');
+        expect(issues[0].pointer).toBe('/extensionsUsed/0');
+    });
+
+    it('returns error message when an extension of a content is not declared in extensionsUsed', async () => {
+        const tileset = createSampleTileset({
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        });
+        tileset.root.content.uri = 'content.cmpt';
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 1,
+                POSITION: [0, 0, 0],
+                extensions: {
+                    VENDOR_extension: {}
+                }
+            }
+        });
+        const options = {
+            reader: {
+                readBinary: () => Promise.resolve(createCmpt([pnts]))
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        };
+        let issues = await validateTileset(options);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXTENSION_UNDECLARED');
+        expect(issues[0].filePath).toBe('content.cmpt');
+        expect(issues[0].pointer).toBe('/extensions/VENDOR_extension');
+        // The feature table JSON of the pnts follows the cmpt header and the pnts header
+        expect(issues[0].byteOffset).toBe(16 + 28);
+
+        tileset.extensionsUsed = ['VENDOR_extension'];
+        issues = await validateTileset(options);
+        expect(issues.map(issue => issue.code)).toEqual(['EXTENSION_UNKNOWN']);
+    });
+
+    it('requires 3DTILES_content_gltf for glTF content of 3D Tiles 1.0 tilesets', async () => {
+        const tileset = createSampleTileset({
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        });
+        tileset.root.content.uri = 'content.glb';
+        const options = {
+            reader: {
+                readBinary: () => Promise.resolve(createGlb())
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        };
+        let issues = await validateTileset(options);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXTENSION_UNDECLARED');
+        expect(issues[0].message).toContain('3DTILES_content_gltf');
+        expect(issues[0].pointer).toBe('/root/content/uri');
+
+        tileset.extensionsUsed = ['3DTILES_content_gltf'];
+        issues = await validateTileset(options);
+        expect(issues).toEqual([]);
+    });
+
+    it('only reports content extensions as unused when the contents are validated', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.extensionsUsed = ['3DTILES_draco_point_compression'];
+        const options = {
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        };
+        let issues = await validateTileset(options);
+        expect(issues).toEqual([]);
+
+        options.onlyValidateTilesets = false;
+        issues = await validateTileset(options);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXTENSION_UNUSED');
+    });
+
+    it('returns error message when a tile\'s bounding volume is malformed', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[1].boundingVolume.region[5] = -10;
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('BOUNDING_REGION_HEIGHT_ORDER_INVALID');
+        expect(issues[0].pointer).toBe('/root/children/1/boundingVolume/region/4');
+    });
+
+    it('reports schema violations that are not covered by other checks', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[1].geometricError = -1;
+        tileset.root.transform = [1, 0, 0, 0];
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            collectAll: true
+        });
+        expect(issues.map(issue => issue.code)).toEqual([
+            'TILE_GEOMETRIC_ERROR_NEGATIVE',
+            'TILESET_SCHEMA_VIOLATION'
+        ]);
+        expect(issues[1].pointer).toBe('/root/transform');
+    });
+
+    it('validates external tilesets against the schema', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[1].content = {
+            uri: 'external.json'
+        };
+        const externalTileset = clone(sampleTileset, true);
+        externalTileset.geometricError = '240';
+        const issues = await validateTileset({
+            reader: {
+                readJson: () => Promise.resolve(externalTileset)
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILESET_SCHEMA_VIOLATION');
+        expect(issues[0].filePath).toBe('external.json');
+        expect(issues[0].pointer).toBe('/geometricError');
+    });
+
+    it('returns error message when external tilesets reference each other in a cycle', async () => {
+        const tilesets = {};
+        ['tileset.json', 'a.json', 'b.json'].forEach((fileName, i, fileNames) => {
+            tilesets[fileName] = clone(sampleTileset, true);
+            tilesets[fileName].root.children[1].content = {
+                uri: fileNames[(i + 1) % fileNames.length]
+            };
+        });
+        const reader = {
+            readJson: jasmine.createSpy('readJson').and.callFake(filePath => Promise.resolve(tilesets[filePath]))
+        };
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: tilesets['tileset.json'],
+            filePath: 'tileset.json',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXTERNAL_TILESET_CYCLE');
+        expect(issues[0].message).toContain('tileset.json -> a.json -> b.json -> tileset.json');
+        expect(issues[0].filePath).toBe('b.json');
+        expect(issues[0].pointer).toBe('/root/children/1/content/uri');
+        expect(reader.readJson.calls.allArgs()).toEqual([['a.json'], ['b.json']]);
+    });
+
+    it('returns error message when an external tileset references itself', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[1].content = {
+            uri: './filepath'
+        };
+        const issues = await validateTileset({
+            reader: {
+                readJson: () => Promise.reject(new Error('Tilesets in a cycle must not be read again'))
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('EXTERNAL_TILESET_CYCLE');
+        expect(issues[0].filePath).toBe('filepath');
+    });
+
+    it('validates an external tileset that is referenced more than once only once', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[0].content = {
+            uri: 'external.json'
+        };
+        tileset.root.children[1].content = {
+            uri: 'external.json'
+        };
+        const externalTileset = clone(sampleTileset, true);
+        externalTileset.geometricError = '240';
+        const reader = {
+            readJson: jasmine.createSpy('readJson').and.returnValue(Promise.resolve(externalTileset))
+        };
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(reader.readJson).toHaveBeenCalledTimes(1);
+        expect(issues.map(issue => issue.code)).toEqual([
+            'TILESET_SCHEMA_VIOLATION',
+            'EXTERNAL_TILESET_DUPLICATE'
+        ]);
+        expect(issues[0].filePath).toBe('external.json');
+        expect(issues[1].severity).toBe(ValidationSeverity.INFO);
+        expect(issues[1].filePath).toBe('filepath');
+        expect(issues[1].pointer).toBe('/root/children/0/content/uri');
+    });
+
+    it('returns error message when content could not be read', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[0].content = {
+            uri: 'missing.b3dm'
+        };
+        tileset.root.children[1].content = {
+            uri: 'missing.json'
+        };
+        const issues = await validateTileset({
+            reader: {
+                readBinary: () => Promise.reject(new Error('ENOENT')),
+                readJson: () => Promise.reject(new Error('ENOENT'))
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(2);
+        expect(issues[0].code).toBe('CONTENT_UNREADABLE');
+        expect(issues[0].severity).toBe(ValidationSeverity.ERROR);
+        expect(issues[0].message).toBe('Content missing.json could not be read (ENOENT).');
+        expect(issues[0].pointer).toBe('/root/children/1/content/uri');
+        expect(issues[1].code).toBe('CONTENT_UNREADABLE');
+        expect(issues[1].pointer).toBe('/root/children/0/content/uri');
+    });
+
+    it('returns warning message when content URIs are absolute or lead out of the tileset directory', async () => {
+        const tileBoundingVolume = {
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        };
+        const tileset = createSampleTileset(tileBoundingVolume);
+        tileset.root.content.uri = '/content.pnts';
+        let issues = await validateTileset({
+            reader: createPntsReader([0, 0, 0]),
+            tileset: tileset,
+            filePath: 'tileset/filepath',
+            directory: 'tileset'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_URI_ABSOLUTE_PATH');
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
+        expect(issues[0].pointer).toBe('/root/content/uri');
+
+        tileset.root.content.uri = '../content.pnts';
+        issues = await validateTileset({
+            reader: createPntsReader([0, 0, 0]),
+            tileset: tileset,
+            filePath: 'tileset/filepath',
+            directory: 'tileset'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_URI_OUTSIDE_TILESET');
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
+    });
+
+    it('allows external tilesets to refer to content in the directory of the root tileset', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.root.children[1].content = {
+            uri: 'external/external.json'
+        };
+        const externalTileset = createSampleTileset({
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        });
+        externalTileset.root.content.uri = '../content.pnts';
+        const reader = createPntsReader([0, 0, 0]);
+        reader.readJson = () => Promise.resolve(externalTileset);
+        spyOn(reader, 'readBinary').and.callThrough();
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues).toEqual([]);
+        expect(reader.readBinary).toHaveBeenCalledWith('content.pnts');
+    });
+
+    it('returns warning message when a content URI only resolves because the file system ignores case', async () => {
+        const tileBoundingVolume = {
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        };
+        const tileset = createSampleTileset(tileBoundingVolume);
+        tileset.root.content.uri = 'Content.pnts';
+        const reader = createPntsReader([0, 0, 0]);
+        reader.getActualPath = () => Promise.resolve('content.pnts');
+        let issues = await validateTileset({
+            reader: reader,
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_URI_CASE_MISMATCH');
+        expect(issues[0].severity).toBe(ValidationSeverity.WARNING);
+        expect(issues[0].pointer).toBe('/root/content/uri');
+
+        reader.readBinary = () => Promise.reject(new Error('ENOENT'));
+        issues = await validateTileset({
+            reader: reader,
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_UNREADABLE');
+        expect(issues[0].message).toBe('Content Content.pnts could not be read (ENOENT). content.pnts exists, but URIs are case-sensitive.');
+    });
+
+    it('returns error message when the content geometry is not within the tile\'s boundingVolume', async () => {
+        const tileBoundingVolume = {
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        };
+        const tileset = createSampleTileset(tileBoundingVolume);
+        delete tileset.root.content.boundingVolume;
+        tileset.root.content.uri = 'content.pnts';
+        const issues = await validateTileset({
+            reader: createPntsReader([0, 0, 0, 5, 5, 5, 0, 0, 12]),
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_GEOMETRY_NOT_CONTAINED');
+        expect(issues[0].filePath).toBe('filepath');
+        expect(issues[0].pointer).toBe('/root/boundingVolume');
+        expect(issues[0].message).toBe('Geometry of content.pnts is not within box [0,0,0,10,0,0,0,10,0,0,0,10]: position (0, 0, 12) is outside.');
+    });
+
+    it('checks the content geometry against the content\'s boundingVolume in the tile\'s coordinate system', async () => {
+        const tileBoundingVolume = {
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        };
+        const contentBoundingVolume = {
+            sphere: [0, 0, 0, 5]
+        };
+        const tileset = createSampleTileset(tileBoundingVolume, contentBoundingVolume);
+        tileset.root.content.uri = 'content.pnts';
+        tileset.root.transform = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 100, 0, 0, 1];
+        let issues = await validateTileset({
+            reader: createPntsReader([1, 1, 1, -2, -2, -2]),
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues).toEqual([]);
+
+        issues = await validateTileset({
+            reader: createPntsReader([1, 1, 1, 6, 0, 0]),
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_GEOMETRY_NOT_CONTAINED');
+        expect(issues[0].pointer).toBe('/root/content/boundingVolume');
+
+        issues = await validateTileset({
+            reader: createPntsReader([1, 1, 1, 6, 0, 0]),
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            containmentTolerance: 1.5
+        });
+        expect(issues).toEqual([]);
+    });
+
+    it('checks the content geometry against region type boundingVolumes', async () => {
+        const region = [-1.3197209591796106, 0.6988424218, -1.3196390408203893, 0.6989055782, 0, 88];
+        const tileset = createSampleTileset({
+            region: region
+        });
+        delete tileset.root.content.boundingVolume;
+        tileset.root.content.uri = 'content.pnts';
+        const center = regionToBox(region).slice(0, 3);
+        let issues = await validateTileset({
+            reader: createPntsReader([0, 0, 0], center),
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues).toEqual([]);
+
+        issues = await validateTileset({
+            reader: createPntsReader([0, 0, 0, 0, 0, 1000], center),
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_GEOMETRY_NOT_CONTAINED');
+        expect(issues[0].pointer).toBe('/root/boundingVolume');
+    });
+
+    it('validates the subtrees and contents of implicit tiles', async () => {
+        const tileset = createImplicitTileset();
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 1,
+                POSITION: [-5, -5, 0]
+            }
+        });
+        const readBinary = jasmine.createSpy('readBinary').and.callFake(filePath => {
+            if (filePath.endsWith('.subtree')) {
+                return Promise.resolve(createSubtree({
+                    json: {
+                        tileAvailability: {
+                            constant: 1
+                        },
+                        contentAvailability: [{
+                            constant: 1
+                        }],
+                        childSubtreeAvailability: {
+                            constant: filePath === 'subtrees/0/0/0.subtree' ? 1 : 0
+                        }
+                    }
+                }));
+            }
+            return Promise.resolve(pnts);
+        });
+        const issues = await validateTileset({
+            reader: {
+                readBinary: readBinary
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+
+        const filePaths = readBinary.calls.allArgs().map(args => args[0]);
+        expect(filePaths).toContain('subtrees/1/1/1.subtree');
+        expect(filePaths).toContain('content/0/0/0.pnts');
+        expect(filePaths).toContain('content/1/1/1.pnts');
+        expect(filePaths.length).toBe(10);
+
+        // The point is only within the bounding volume of the root tile and of the implicit tile 1/0/0
+        expect(issues.length).toBe(3);
+        expect(issues.every(issue => issue.code === 'CONTENT_GEOMETRY_NOT_CONTAINED')).toBe(true);
+        expect(issues[0].pointer).toBe('/root/boundingVolume');
+    });
+
+    it('returns error message when the implicit tiling is invalid', async () => {
+        const tileset = createImplicitTileset();
+        tileset.root.implicitTiling.subdivisionScheme = 'BINARY';
+        let issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('IMPLICIT_TILING_SUBDIVISION_SCHEME_INVALID');
+        expect(issues[0].pointer).toBe('/root/implicitTiling/subdivisionScheme');
+
+        tileset.root.implicitTiling.subdivisionScheme = 'QUADTREE';
+        tileset.root.content.uri = 'content/{level}/{x}/{y}/{z}.pnts';
+        issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('IMPLICIT_TILING_TEMPLATE_VARIABLE_INVALID');
+        expect(issues[0].pointer).toBe('/root/content/uri');
+    });
+
+    it('returns error message when a subtree cannot be read', async () => {
+        const issues = await validateTileset({
+            reader: {
+                readBinary: () => Promise.reject(new Error('not found'))
+            },
+            tileset: createImplicitTileset(),
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('IMPLICIT_TILING_SUBTREE_UNREADABLE');
+        expect(issues[0].pointer).toBe('/root/implicitTiling/subtrees/uri');
+    });
+
+    it('validates each of multiple contents', async () => {
+        const tileset = createSampleTileset({
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        });
+        tileset.asset.version = '1.1';
+        delete tileset.root.content;
+        tileset.root.contents = [{
+            uri: 'inside.pnts'
+        }, {
+            uri: 'outside.pnts',
+            boundingVolume: {
+                box: [0, 0, 0, 5, 0, 0, 0, 5, 0, 0, 0, 5]
+            }
+        }];
+        const reader = createPntsReader([0, 0, 0, 8, 0, 0]);
+        spyOn(reader, 'readBinary').and.callThrough();
+        const issues = await validateTileset({
+            reader: reader,
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(reader.readBinary.calls.allArgs()).toEqual([['inside.pnts'], ['outside.pnts']]);
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_GEOMETRY_NOT_CONTAINED');
+        expect(issues[0].pointer).toBe('/root/contents/1/boundingVolume');
+    });
+
+    it('returns error message when one of multiple content bounding volumes is not within the tile', async () => {
+        const tileset = createSampleTileset({
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        });
+        tileset.root.extensions = {
+            '3DTILES_multiple_contents': {
+                contents: [{
+                    uri: 'a.b3dm'
+                }, {
+                    uri: 'b.b3dm',
+                    boundingVolume: {
+                        box: [20, 0, 0, 5, 0, 0, 0, 5, 0, 0, 0, 5]
+                    }
+                }]
+            }
+        };
+        tileset.extensionsUsed = ['3DTILES_multiple_contents'];
+        delete tileset.root.content;
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_BOUNDING_VOLUME_NOT_CONTAINED');
+        expect(issues[0].pointer).toBe('/root/extensions/3DTILES_multiple_contents/contents/1/boundingVolume');
+    });
+
+    it('returns error message when a tile has both content and contents', async () => {
+        const tileset = createSampleTileset({
+            box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+        });
+        tileset.asset.version = '1.1';
+        tileset.root.contents = [{
+            uri: 'other.b3dm'
+        }];
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('TILE_CONTENTS_INVALID');
+        expect(issues[0].pointer).toBe('/root');
+    });
+
+    it('reports tiles and contents of the wrong type as schema violations', async () => {
+        const tileset = clone(sampleTileset, true);
+        tileset.asset.version = '1.1';
+        tileset.root.children[0].children = [null];
+        tileset.root.children[1].contents = [null];
+        tileset.root.content = {
+            uri: 5
+        };
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues.map(issue => issue.code)).toEqual(['TILESET_SCHEMA_VIOLATION', 'TILESET_SCHEMA_VIOLATION', 'TILESET_SCHEMA_VIOLATION']);
+        expect(issues.map(issue => issue.pointer).sort()).toEqual([
+            '/root/children/0/children/0',
+            '/root/children/1/contents/0',
+            '/root/content/uri'
+        ]);
+    });
+
+    it('expands the templates of multiple contents of implicit tiles', async () => {
+        const tileset = createImplicitTileset();
+        tileset.root.contents = [tileset.root.content, {
+            uri: 'buildings/{level}/{x}/{y}.pnts'
+        }];
+        delete tileset.root.content;
+        const pnts = createPnts({
+            featureTableJson: {
+                POINTS_LENGTH: 1,
+                POSITION: [0, 0, 0]
+            }
+        });
+        const readBinary = jasmine.createSpy('readBinary').and.callFake(filePath => {
+            if (filePath.endsWith('.subtree')) {
+                // Only the first content of the root tile is available
+                return Promise.resolve(createSubtree({
+                    json: {
+                        tileAvailability: {
+                            constant: 1
+                        },
+                        contentAvailability: [{
+                            constant: 1
+                        }, {
+                            constant: filePath === 'subtrees/0/0/0.subtree' ? 0 : 1
+                        }],
+                        childSubtreeAvailability: {
+                            constant: filePath === 'subtrees/0/0/0.subtree' ? 1 : 0
+                        }
+                    }
+                }));
+            }
+            return Promise.resolve(pnts);
+        });
+        await validateTileset({
+            reader: {
+                readBinary: readBinary
+            },
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+
+        const filePaths = readBinary.calls.allArgs().map(args => args[0]);
+        expect(filePaths).toContain('content/0/0/0.pnts');
+        expect(filePaths).not.toContain('buildings/0/0/0.pnts');
+        expect(filePaths).toContain('buildings/1/1/1.pnts');
+        expect(filePaths.length).toBe(14);
+    });
+
+    it('checks the groups of multiple contents', async () => {
+        const tileset = createMetadataTileset();
+        tileset.root.contents = [tileset.root.content, {
+            uri: 'other.b3dm',
+            group: 2
+        }];
+        delete tileset.root.content;
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_GROUP_INVALID');
+        expect(issues[0].pointer).toBe('/root/contents/1/group');
+    });
+
+    it('validates tile and content metadata against the tileset schema', async () => {
+        const tileset = createMetadataTileset();
+        let issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues).toEqual([]);
+
+        tileset.root.metadata.properties.level = -1;
+        tileset.root.content.metadata.class = 'tree';
+        issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true,
+            collectAll: true
+        });
+        expect(issues.length).toBe(2);
+        expect(issues[0].code).toBe('METADATA_VALUE_INVALID');
+        expect(issues[0].pointer).toBe('/root/metadata/properties/level');
+        expect(issues[1].code).toBe('METADATA_CLASS_NOT_FOUND');
+        expect(issues[1].pointer).toBe('/root/content/metadata/class');
+    });
+
+    it('returns error message when a content group is out of range', async () => {
+        const tileset = createMetadataTileset();
+        tileset.root.content.group = 1;
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true
+        });
+        expect(issues.length).toBe(1);
+        expect(issues[0].code).toBe('CONTENT_GROUP_INVALID');
+        expect(issues[0].pointer).toBe('/root/content/group');
+    });
+
+    it('returns error message when tile metadata is used without a schema', async () => {
+        const tileset = createMetadataTileset();
+        delete tileset.schema;
+        delete tileset.groups;
+        delete tileset.root.content.group;
+        const issues = await validateTileset({
+            tileset: tileset,
+            filePath: 'filepath',
+            directory: '.',
+            onlyValidateTilesets: true,
+            collectAll: true
+        });
+        expect(issues.map(issue => issue.code)).toEqual(['TILESET_SCHEMA_MISSING', 'TILESET_SCHEMA_MISSING']);
+        expect(issues[0].pointer).toBe('/root/metadata');
+    });
+
+    it('succeeds for valid tileset', async () => {
+        const issues = await validateTileset({
+            tileset: sampleTileset,
+            filePath: 'filepath',
+            directory: '.'
+        });
+        expect(issues).toEqual([]);
+    });
+});
+
+function createMetadataTileset() {
+    const tileset = clone(sampleTileset, true);
+    tileset.asset.version = '1.1';
+    tileset.schema = {
+        id: 'tiles',
+        classes: {
+            tile: {
+                properties: {
+                    level: {
+                        type: 'SCALAR',
+                        componentType: 'UINT8'
+                    }
+                }
+            },
+            layer: {
+                properties: {
+                    name: {
+                        type: 'STRING',
+                        required: true
+                    }
+                }
+            }
+        }
+    };
+    tileset.groups = [{
+        class: 'layer',
+        properties: {
+            name: 'buildings'
+        }
+    }];
+    tileset.root.metadata = {
+        class: 'tile',
+        properties: {
+            level: 0
+        }
+    };
+    tileset.root.content = {
+        uri: 'root.b3dm',
+        group: 0,
+        metadata: {
+            class: 'layer',
+            properties: {
+                name: 'root'
+            }
+        }
+    };
+    return tileset;
+}
+
+function createImplicitTileset() {
+    return {
+        asset: {
+            version: '1.1',
+            generator: '3d-tiles-validator'
+        },
+        geometricError: 500,
+        root: {
+            boundingVolume: {
+                box: [0, 0, 0, 10, 0, 0, 0, 10, 0, 0, 0, 10]
+            },
+            geometricError: 100,
+            refine: 'REPLACE',
+            content: {
+                uri: 'content/{level}/{x}/{y}.pnts'
+            },
+            implicitTiling: {
+                subdivisionScheme: 'QUADTREE',
+                subtreeLevels: 1,
+                availableLevels: 2,
+                subtrees: {
+                    uri: 'subtrees/{level}/{x}/{y}.subtree'
+                }
+            }
+        }
+    };
+}
+
+function createPntsReader(positions, rtcCenter) {
+    const pnts = createPnts({
+        featureTableJson: {
+            POINTS_LENGTH: positions.length / 3,
+            POSITION: positions,
+            RTC_CENTER: rtcCenter
+        }
+    });
+    return {
+        readBinary: () => Promise.resolve(pnts)
+    };
+}
 
 function createSampleTileset(tileBoundingVolume, contentBoundingVolume) {
     const sampleTileset = {
         asset: {
-            version: '1.0'
+            version: '1.0',
+            generator: '3d-tiles-validator'
         },
         geometricError: 500,
         root: {
@@ -410,6 +1819,7 @@ function createSampleTileset(tileBoundingVolume, contentBoundingVolume) {
             geometricError: 100,
             refine: 'ADD',
             content: {
+                uri: 'content.b3dm',
                 boundingVolume: contentBoundingVolume
             }
         }
@@ -420,7 +1830,8 @@ function createSampleTileset(tileBoundingVolume, contentBoundingVolume) {
 function createParentChildTileset(parentBoundingVolume, childBoundingVolume, childTransform, parentTransform) {
     const sampleTileset = {
         asset: {
-            version: '1.0'
+            version: '1.0',
+            generator: '3d-tiles-validator'
         },
         geometricError: 500,
         root: {